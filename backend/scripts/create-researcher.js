@@ -0,0 +1,75 @@
+require('dotenv').config();
+const readline = require('readline');
+const mongoose = require('mongoose');
+const config = require('../src/config');
+const Researcher = require('../src/models/Researcher');
+
+/**
+ * Create a researcher account, or reset the password of an existing one
+ *
+ *   node scripts/create-researcher.js --username alice [--role admin] [--name "Alice A."]
+ *
+ * The password is read from RESEARCHER_PASSWORD or prompted for
+ */
+
+const USAGE = 'Usage: node scripts/create-researcher.js --username NAME [--role researcher|admin] [--name "Full Name"]';
+const OPTIONS = ['username', 'role', 'name'];
+
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (!OPTIONS.includes(name) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option "${argv[i]}"\n${USAGE}`);
+    }
+    options[name] = argv[i + 1];
+  }
+
+  if (!options.username) {
+    throw new Error(`--username is required\n${USAGE}`);
+  }
+
+  return options;
+}
+
+function promptPassword() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question('Password: ', answer => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+async function createResearcher() {
+  const { username, role = 'researcher', name } = parseArgs(process.argv.slice(2));
+  const password = process.env.RESEARCHER_PASSWORD || await promptPassword();
+
+  if (password.length < Researcher.MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${Researcher.MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const mongoUri = process.env.MONGODB_URI || config.mongoUri;
+  console.log('🔌 Connecting to MongoDB:', mongoUri);
+  await mongoose.connect(mongoUri);
+
+  try {
+    const existing = await Researcher.findOne({ username: username.toLowerCase() });
+    const researcher = existing || new Researcher({ username });
+    researcher.role = role;
+    if (name) researcher.name = name;
+    await researcher.setPassword(password);
+    await researcher.save();
+
+    console.log(`✅ ${existing ? 'Updated' : 'Created'} ${researcher.role} account "${researcher.username}"`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+createResearcher().catch(error => {
+  console.error('❌ Could not create researcher:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs').promises;
+const mongoose = require('mongoose');
+const config = require('../src/config');
+const { buildStudyExport } = require('../src/utils/studyExport');
+
+/**
+ * Export every participant matching the filters to a folder of CSVs
+ *
+ *   node scripts/export-study.js [--from 2024-01-01] [--to 2024-12-31]
+ *                                [--status completed] [--gender F] [--out exports/my-study]
+ *                                [--demographics full|coarse|none]
+ */
+
+const USAGE = 'Usage: node scripts/export-study.js [--from DATE] [--to DATE] [--status STATUS] [--gender M|F|O] [--demographics full|coarse|none] [--out DIR]';
+const OPTIONS = ['from', 'to', 'status', 'gender', 'demographics', 'out'];
+
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (!OPTIONS.includes(name) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option "${argv[i]}"\n${USAGE}`);
+    }
+    options[name] = argv[i + 1];
+  }
+
+  return options;
+}
+
+async function exportStudy() {
+  const { out, ...filter } = parseArgs(process.argv.slice(2));
+  const outDir = path.resolve(out || path.join('exports', `study-${Date.now()}`));
+  const mongoUri = process.env.MONGODB_URI || config.mongoUri;
+
+  console.log('🔌 Connecting to MongoDB:', mongoUri);
+  await mongoose.connect(mongoUri);
+
+  try {
+    const files = await buildStudyExport(filter);
+    await fs.mkdir(outDir, { recursive: true });
+
+    for (const file of files) {
+      await fs.writeFile(path.join(outDir, file.name), file.content);
+      console.log(`  ${file.name}`);
+    }
+
+    console.log(`✅ Study export written to ${outDir}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+exportStudy().catch(error => {
+  console.error('❌ Study export failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,178 @@
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs').promises;
+const mongoose = require('mongoose');
+const config = require('../src/config');
+const Participant = require('../src/models/Participant');
+const Demographics = require('../src/models/Demographics');
+const ExperimentSession = require('../src/models/ExperimentSession');
+
+/**
+ * Move participants registered with demographic IDs (<gender>-<age>-<number>)
+ * to pseudonymous IDs:
+ *
+ *   node scripts/migrate-pseudonymous-ids.js [--dry-run]
+ *
+ * For each legacy participant this stores gender and age in Demographics
+ * (keeping the old ID as legacyParticipantId), renames data/<old ID> and any
+ * file named after it, rewrites the old ID inside the folder's JSON files,
+ * and updates the participant record and its NST sessions. Run it with the
+ * server stopped; re-running resumes an interrupted migration
+ */
+
+const USAGE = 'Usage: node scripts/migrate-pseudonymous-ids.js [--dry-run]';
+const LEGACY_ID = /^([MFO])-(\d+)-(\d+)$/;
+const DATA_DIR = path.join(process.cwd(), 'data');
+
+function parseArgs(argv) {
+  const unknown = argv.filter(arg => arg !== '--dry-run');
+  if (unknown.length > 0) {
+    throw new Error(`Unknown option "${unknown[0]}"\n${USAGE}`);
+  }
+  return { dryRun: argv.includes('--dry-run') };
+}
+
+/**
+ * Replace whole occurrences of an ID (not part of a longer ID such as M-34-120)
+ */
+function replaceId(text, oldId, newId) {
+  const escaped = oldId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return text.replace(new RegExp(`(?<![A-Za-z0-9])${escaped}(?!\\d)`, 'g'), newId);
+}
+
+function replaceIdInValue(value, oldId, newId) {
+  return value === undefined ? value : JSON.parse(replaceId(JSON.stringify(value), oldId, newId));
+}
+
+async function exists(target) {
+  try {
+    await fs.access(target);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Rename files named after the old ID and rewrite it inside JSON files
+ */
+async function rewriteFolder(dir, oldId, newId) {
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    let name = entry.name;
+    if (replaceId(name, oldId, newId) !== name) {
+      name = replaceId(name, oldId, newId);
+      await fs.rename(path.join(dir, entry.name), path.join(dir, name));
+    }
+
+    const target = path.join(dir, name);
+    if (entry.isDirectory()) {
+      await rewriteFolder(target, oldId, newId);
+    } else if (name.endsWith('.json')) {
+      const content = await fs.readFile(target, 'utf8');
+      const rewritten = replaceId(content, oldId, newId);
+      if (rewritten !== content) {
+        await fs.writeFile(target, rewritten);
+      }
+    }
+  }
+}
+
+/**
+ * The new ID for a legacy participant: the one given by an earlier,
+ * interrupted run, or a fresh one
+ */
+async function pseudonymFor(oldId) {
+  const previous = await Demographics.findOne({ legacyParticipantId: oldId }).lean();
+  if (previous) return previous.participantId;
+
+  let newId;
+  do {
+    newId = Participant.generateParticipantId();
+  } while (await Participant.exists({ participantId: newId }));
+  return newId;
+}
+
+async function migrateParticipant(doc, { dryRun }) {
+  const oldId = doc.participantId;
+  const [, idGender, idAge] = oldId.match(LEGACY_ID) || [];
+  const gender = doc.gender || idGender;
+  const age = doc.age ?? (idAge ? parseInt(idAge) : undefined);
+  const newId = LEGACY_ID.test(oldId) ? await pseudonymFor(oldId) : oldId;
+
+  const oldDir = path.join(DATA_DIR, oldId);
+  const newDir = path.join(DATA_DIR, newId);
+  const moveFolder = newId !== oldId && await exists(oldDir);
+
+  console.log(`  ${oldId} -> ${newId}${moveFolder ? ` (data/${oldId} -> data/${newId})` : ''}`);
+  if (dryRun) return;
+
+  if (gender && age !== undefined) {
+    await Demographics.updateOne(
+      { participantId: newId },
+      { $set: { gender, age, ...(newId !== oldId && { legacyParticipantId: oldId }) } },
+      { upsert: true, runValidators: true }
+    );
+  }
+
+  if (moveFolder) {
+    if (await exists(newDir)) {
+      throw new Error(`Both data/${oldId} and data/${newId} exist; merge them by hand and re-run`);
+    }
+    await fs.rename(oldDir, newDir);
+  }
+  if (newId !== oldId && await exists(newDir)) {
+    await rewriteFolder(newDir, oldId, newId);
+  }
+
+  if (newId !== oldId) {
+    await ExperimentSession.updateMany({ participantId: oldId }, { $set: { participantId: newId } });
+  }
+
+  // Raw collection update: gender and age are no longer in the schema
+  await Participant.collection.updateOne(
+    { _id: doc._id },
+    {
+      $set: {
+        participantId: newId,
+        dataDirectory: `data/${newId}`,
+        tasksCompleted: replaceIdInValue(doc.tasksCompleted, oldId, newId) || [],
+        taskProgress: replaceIdInValue(doc.taskProgress, oldId, newId) || {},
+        metadata: replaceIdInValue(doc.metadata, oldId, newId) || {}
+      },
+      $unset: { gender: '', age: '', 'allocation.stratum': '' }
+    }
+  );
+}
+
+async function migrate() {
+  const options = parseArgs(process.argv.slice(2));
+  const mongoUri = process.env.MONGODB_URI || config.mongoUri;
+
+  console.log('🔌 Connecting to MongoDB:', mongoUri);
+  await mongoose.connect(mongoUri);
+
+  try {
+    const legacy = await Participant.collection.find({
+      $or: [
+        { participantId: LEGACY_ID },
+        { gender: { $exists: true } },
+        { age: { $exists: true } },
+        { 'allocation.stratum': { $exists: true } }
+      ]
+    }).sort({ participantNumber: 1 }).toArray();
+
+    console.log(`${options.dryRun ? '🔍 Would migrate' : '🔁 Migrating'} ${legacy.length} participant(s)`);
+    for (const doc of legacy) {
+      await migrateParticipant(doc, options);
+    }
+
+    console.log(options.dryRun ? '✅ Dry run finished; nothing was changed' : '✅ Migration finished');
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrate().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
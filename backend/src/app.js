@@ -1,5 +1,7 @@
 require('dotenv').config();
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 const express = require('express');
 const cors = require('cors');
@@ -47,14 +49,40 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false,
 }));
 
+// Session cookies are signed with SESSION_SECRET. Production refuses to start
+// without one; elsewhere a random secret is generated on first run and kept in
+// backend/.session-secret, so sessions (and queued uploads) survive restarts
+const SESSION_SECRET_FILE = path.join(__dirname, '..', '.session-secret');
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+  if (process.env.NODE_ENV === 'production') {
+    console.error('❌ SESSION_SECRET must be set in production');
+    process.exit(1);
+  }
+  try {
+    sessionSecret = fs.readFileSync(SESSION_SECRET_FILE, 'utf8').trim();
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`❌ Cannot read ${SESSION_SECRET_FILE}:`, error.message);
+      process.exit(1);
+    }
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(SESSION_SECRET_FILE, `${sessionSecret}\n`, { mode: 0o600 });
+    console.warn(`⚠️  SESSION_SECRET not set; generated one in ${SESSION_SECRET_FILE}`);
+  }
+}
+
 app.use(session({
   store: mongoStore,
-  secret: 'nst-experiment-secret',
+  secret: sessionSecret,
   resave: true,
   saveUninitialized: true,
   cookie: {
     secure: false,
-    sameSite: 'lax'
+    httpOnly: true,
+    sameSite: 'lax',
+    // Outlive a browser restart so an interrupted participant can resume
+    maxAge: 24 * 60 * 60 * 1000
   }
 }));
 
@@ -63,13 +91,21 @@ app.use(express.json());
 
 const nstRoutes = require('./routes/NSTRoutes');
 const participantRoutes = require('./routes/participantRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const authRoutes = require('./routes/authRoutes');
+const protocolRoutes = require('./routes/protocolRoutes');
+const cameraProfileRoutes = require('./routes/cameraProfileRoutes');
 
+app.use('/api/auth', authRoutes);
 app.use('/api', nstRoutes);
 app.use('/api/participants', participantRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/protocols', protocolRoutes);
+app.use('/api/camera-profiles', cameraProfileRoutes);
 
 app.use((err, req, res, next) => {
   console.error('Error details:', err);
-  res.status(err.status || 500).json({
+  res.status(err.statusCode || 500).json({
     message: err.message || 'Something went wrong!',
     stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
   });
@@ -0,0 +1,200 @@
+const Ajv = require('ajv');
+const { TASK_RULES } = require('../utils/taskRules');
+const { SCHEDULE_DESIGNS, balancedLatinSquare } = require('../utils/trialSchedule');
+const { validateSequenceConstraints } = require('../utils/markovChain');
+const { generateSessionPlan } = require('../utils/sessionGenerator');
+
+const KEY_MAPPING_POLICIES = ['balanced', 'random', 'standard', 'reversed'];
+
+const positiveInteger = { type: 'integer', minimum: 1 };
+const milliseconds = { type: 'integer', minimum: 0, maximum: 60000 };
+
+/**
+ * JSON schema for the NST experiment configuration (see experimentConfig.js
+ * for what each setting does). Unknown keys are rejected so a typo in an
+ * edited config fails loudly instead of being ignored
+ */
+const experimentConfigSchema = {
+  $id: 'experiment-config',
+  type: 'object',
+  additionalProperties: false,
+  required: ['taskRule', 'trialConfig', 'captureConfig', 'KEYS', 'EFFORT_LEVELS'],
+  properties: {
+    taskRule: { enum: Object.keys(TASK_RULES) },
+    shuffleTrials: { type: 'boolean' },
+    trialConfig: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['level', 'trials'],
+        properties: {
+          level: positiveInteger,
+          trials: positiveInteger
+        }
+      }
+    },
+    schedule: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        design: { enum: SCHEDULE_DESIGNS },
+        maxConsecutive: { anyOf: [{ type: 'null' }, positiveInteger] }
+      }
+    },
+    sequenceConstraints: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        noImmediateRepeats: { type: 'boolean' },
+        balancedParity: { type: 'boolean' },
+        balancedDigits: { type: 'boolean' }
+      }
+    },
+    captureConfig: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['firstCapture', 'interval'],
+      properties: {
+        firstCapture: { type: 'integer', minimum: 0 },
+        interval: positiveInteger,
+        quality: { enum: ['low', 'medium', 'high'] },
+        cameraId: { type: ['string', 'null'] }
+      }
+    },
+    clipConfig: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['enabled'],
+      properties: {
+        enabled: { type: 'boolean' },
+        preMs: { type: 'integer', minimum: 0, maximum: 10000 },
+        postMs: { type: 'integer', minimum: 0, maximum: 10000 }
+      }
+    },
+    keyMappingPolicy: { enum: KEY_MAPPING_POLICIES },
+    timing: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        feedbackDuration: milliseconds,
+        interDigitDelay: milliseconds,
+        completionDelay: milliseconds
+      }
+    },
+    KEYS: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['ODD', 'EVEN'],
+      properties: {
+        ODD: { type: 'string', minLength: 1, maxLength: 1 },
+        EVEN: { type: 'string', minLength: 1, maxLength: 1 }
+      }
+    },
+    EFFORT_LEVELS: {
+      type: 'object',
+      minProperties: 1,
+      additionalProperties: false,
+      patternProperties: {
+        '^[1-9][0-9]*$': {
+          type: 'object',
+          additionalProperties: false,
+          required: ['min', 'max'],
+          properties: {
+            min: { type: 'integer', minimum: 0 },
+            max: { type: 'integer', minimum: 0 }
+          }
+        }
+      }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(experimentConfigSchema);
+
+/**
+ * Checks that span several settings and so are not expressible in the schema
+ */
+const crossFieldErrors = (config) => {
+  const errors = [];
+
+  (config.trialConfig || []).forEach(({ level }, index) => {
+    if (!config.EFFORT_LEVELS?.[level]) {
+      errors.push({ path: `/trialConfig/${index}/level`, message: `effort level ${level} is not defined in EFFORT_LEVELS` });
+    }
+  });
+
+  Object.entries(config.EFFORT_LEVELS || {}).forEach(([level, range]) => {
+    if (range.min > range.max) {
+      errors.push({ path: `/EFFORT_LEVELS/${level}`, message: 'min must not be greater than max' });
+    }
+  });
+
+  if (config.KEYS && config.KEYS.ODD === config.KEYS.EVEN) {
+    errors.push({ path: '/KEYS', message: 'ODD and EVEN must be different keys' });
+  }
+
+  return errors.length ? errors : sessionPlanErrors(config);
+};
+
+/**
+ * Dry-run session generation so a config that cannot produce a session is
+ * rejected on save rather than on every /start. Latin-square schedules are
+ * tried for each row, since the row depends on the participant number
+ */
+const sessionPlanErrors = (config) => {
+  const asError = (path, error) => {
+    if (!error.statusCode) throw error;
+    return [{ path, message: error.message }];
+  };
+
+  try {
+    validateSequenceConstraints(config);
+  } catch (error) {
+    return asError('/EFFORT_LEVELS', error);
+  }
+
+  const rows = config.schedule?.design === 'latin-square'
+    ? balancedLatinSquare((config.trialConfig || []).length).length
+    : 1;
+  try {
+    for (let participantNumber = 1; participantNumber <= rows; participantNumber++) {
+      generateSessionPlan(config, { participantNumber });
+    }
+  } catch (error) {
+    return asError('/schedule', error);
+  }
+  return [];
+};
+
+/**
+ * Validate an experiment configuration
+ * @param {object} config
+ * @returns {object} { valid, errors: [{ path, message }] }
+ */
+const validateExperimentConfig = (config) => {
+  if (!validateSchema(config)) {
+    return {
+      valid: false,
+      errors: validateSchema.errors.map(error => ({
+        path: error.instancePath || '/',
+        message: error.params?.additionalProperty
+          ? `unknown setting "${error.params.additionalProperty}"`
+          : error.params?.allowedValues
+            ? `${error.message}: ${error.params.allowedValues.join(', ')}`
+            : error.message
+      }))
+    };
+  }
+
+  const errors = crossFieldErrors(config);
+  return { valid: errors.length === 0, errors };
+};
+
+module.exports = {
+  KEY_MAPPING_POLICIES,
+  experimentConfigSchema,
+  validateExperimentConfig
+};
@@ -1,46 +1,79 @@
 const path = require('path');
 const { generateTrialNumbers, generateMarkovNumber } = require('../utils/markovChain');
+const { generateSessionPlan } = require('../utils/sessionGenerator');
+const { scoreResponse, responseForKey } = require('../utils/taskRules');
+const { validateExperimentConfig } = require('../config/experimentConfigSchema');
+const Participant = require('../models/Participant');
+const CameraProfile = require('../models/CameraProfile');
 const MediaHandler = require('../services/mediaHandler');
 const mediaHandler = new MediaHandler(path.join(process.cwd(), 'uploads'));
 const stateManager = require('../services/stateManager');
-const { createAndDownloadZip } = require('../utils/zipCreator');
-const config = require('../config');
+const configStore = require('../services/configStore');
+const exportProgress = require('../services/exportProgress');
+const { streamZip } = require('../utils/zipCreator');
+const AppError = require('../utils/AppError');
+const StateTransitionError = require('../utils/StateTransitionError');
 const ResultsAggregator = require('../utils/resultsAggregator');
 const resultsAggregator = new ResultsAggregator(stateManager);
+const SessionAnalyzer = require('../utils/sessionAnalyzer');
+const sessionAnalyzer = new SessionAnalyzer(stateManager);
 
 // Core Session Management
 /**
  * @frontend ExperimentController initiates session
  * Creates new experiment session and returns initial state
- * Frontend needs: none (POST request only)
- * Frontend receives: experimentId, initial digit, trial metadata
+ * Frontend needs: participantId; deferStart keeps the session in INIT so the
+ *   key mapping can be shown during practice before the main task starts;
+ *   cameraProfile ({ name, applied }) is recorded with the session
+ * Frontend receives: experimentId, initial digit, trial metadata, keyMapping,
+ *   and the config version, capture settings and timing the session runs under
  */
 const startSession = async (req, res) => {
   try {
     const experimentId = Date.now().toString();
-    const trials = await generateTrialNumbers(config.experimentConfig);
+    const { deferStart = false } = req.body;
+    // Every session has an owner: the participant named in the request
+    // (requireParticipant limits participants to their own ID) or the
+    // browser session's participant
+    const participantId = req.body.participantId || req.session?.participantId;
+    if (!participantId) {
+      return res.status(400).json({ error: 'A session needs a participant' });
+    }
+    const cameraProfile = await CameraProfile.sessionRecord(req.body.cameraProfile);
     
-    // Randomly assign key mapping (50% chance of standard vs reversed)
-    const useStandardMapping = Math.random() < 0.5;
-    const keyMapping = useStandardMapping ? {
-      odd: 'f',
-      even: 'j',
-      responseStyle: 'standard'
-    } : {
-      odd: 'j',
-      even: 'f',
-      responseStyle: 'reversed'
-    };
+    // Latin-square counterbalancing is keyed on the participant number
+    const participant = await Participant.findOne({ participantId });
+    if (!participant) {
+      return res.status(404).json({ error: 'Participant not found' });
+    }
+    const { version: configVersion, config: currentConfig } = await configStore.getCurrent();
+    
+    // The participant's protocol may override config settings for the NST
+    const protocolSettings = participant?.protocol?.tasks?.find(task => task.taskType === 'nst')?.settings;
+    const experimentConfig = { ...currentConfig, ...protocolSettings };
+    
+    // Schedule, digit sequences and key mapping all come from one stored seed
+    const { seed, schedule, trials, keyMapping } = generateSessionPlan(experimentConfig, {
+      participantNumber: participant?.participantNumber,
+      responseStyle: participant?.allocation?.keyMapping
+    });
 
     const session = await stateManager.createSession(experimentId, {
+      participantId,
       type: 'nst',
+      seed,
       trials,
-      config: config.experimentConfig,
+      schedule,
+      config: experimentConfig,
+      configVersion,
+      cameraProfile,
       keyMapping // Store key mapping in session
     });
     
 
-    await stateManager.updateSessionState(experimentId, { status: 'RUNNING' });
+    if (!deferStart) {
+      await stateManager.updateSessionState(experimentId, { status: 'RUNNING' }, 'session-started');
+    }
     
     // This structure maps directly to frontend experimentSlice initial state
     const initialState = {
@@ -57,8 +90,13 @@ const startSession = async (req, res) => {
         }
       },
       experimentId,
+      seed,
+      taskRule: experimentConfig.taskRule || 'parity',
       trials,
-      captureConfig: config.experimentConfig.captureConfig,
+      schedule,
+      configVersion,
+      captureConfig: experimentConfig.captureConfig,
+      timing: experimentConfig.timing,
       keyMapping // Include key mapping in initial state
     };
 
@@ -67,16 +105,62 @@ const startSession = async (req, res) => {
     res.json(initialState);
   } catch (error) {
     console.error('Start session error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 };
 const abortSession = async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    await stateManager.updateSessionState(sessionId, { status: 'ABORTED' });
+    const sessionId = req.params.sessionId || req.body.sessionId || req.body.experimentId;
+    const session = await stateManager.updateSessionState(
+      sessionId,
+      { status: 'ABORTED' },
+      req.body.reason || 'abort-requested'
+    );
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
     res.json({ status: 'ABORTED', endTime: Date.now() });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Pause / resume an active session
+ * Body: cause (optional, recorded in the transition log)
+ * Paused time is excluded from response-time and duration metrics
+ */
+const pauseSession = async (req, res) => {
+  try {
+    const session = await stateManager.pauseSession(req.params.id, req.body.cause || 'pause-requested');
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({
+      status: session.state.status,
+      pausedFrom: session.state.pausedFrom,
+      pausedAt: session.state.pausedAt
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+const resumeSession = async (req, res) => {
+  try {
+    const session = await stateManager.resumeSession(req.params.id, req.body.cause || 'resume-requested');
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const pauses = session.state.pauses || [];
+    res.json({
+      status: session.state.status,
+      resumedAt: Date.now(),
+      lastPause: pauses[pauses.length - 1],
+      totalPausedMs: session.state.totalPausedMs
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 };
 
@@ -91,22 +175,96 @@ const getExperimentState = async (req, res) => {
   }
 };
 
+/**
+ * Lists persisted sessions so past runs can be inspected
+ * Query: participantId, status, limit (all optional)
+ */
+const listSessions = async (req, res) => {
+  try {
+    const { participantId, status, limit } = req.query;
+    const sessions = await stateManager.listSessions({
+      participantId,
+      status,
+      limit: limit ? parseInt(limit) : undefined
+    });
+    res.json({ sessions, count: sessions.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 const getSessionStatus = async (req, res) => {
   try {
     const status = await stateManager.getSessionState(req.params.id);
-    res.json(status);
+    if (!status) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const stateHistory = await stateManager.getStateTransitions(req.params.id);
+    res.json({ ...status, stateHistory });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
+// Transitions a participant may request: starting or dropping a session
+// that has not started yet, and pausing or resuming it. A session completes
+// through its responses; other moves need a researcher
+const PARTICIPANT_TRANSITIONS = {
+  INIT: ['RUNNING', 'ABORTED'],
+  RUNNING: ['PAUSED'],
+  TRIAL_START: ['PAUSED'],
+  AWAIT_RESPONSE: ['PAUSED'],
+  PAUSED: ['RUNNING', 'TRIAL_START', 'AWAIT_RESPONSE']
+};
+
+/**
+ * Requests a status change through the session state machine
+ * Body: targetState, cause (optional, recorded in the transition log)
+ * Illegal transitions are rejected with 409 and the allowed targets;
+ * participants are limited to PARTICIPANT_TRANSITIONS (403 otherwise)
+ */
 const requestStateTransition = async (req, res) => {
   try {
-    const newState = await stateManager.updateSessionState(req.params.id, { 
-      status: req.body.targetState 
-    });
+    const { targetState, cause } = req.body;
+    if (!targetState) {
+      return res.status(400).json({ error: 'targetState required' });
+    }
+
+    if (!req.session?.researcher) {
+      const session = await stateManager.getSessionState(req.params.id);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      const fromState = session.state.status;
+      const allowedTransitions = PARTICIPANT_TRANSITIONS[fromState] || [];
+      if (!allowedTransitions.includes(targetState)) {
+        return res.status(403).json({
+          error: `Only a researcher can move a ${fromState} session to ${targetState}`,
+          fromState,
+          targetState,
+          allowedTransitions
+        });
+      }
+    }
+
+    const newState = await stateManager.updateSessionState(
+      req.params.id,
+      { status: targetState },
+      cause || 'client-request'
+    );
+    if (!newState) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
     res.json(newState);
   } catch (error) {
+    if (error instanceof StateTransitionError) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        fromState: error.fromState,
+        targetState: error.toState,
+        allowedTransitions: error.allowed
+      });
+    }
     res.status(500).json({ error: error.message });
   }
 };
@@ -160,11 +318,12 @@ const getTrialState = async (req, res) => {
 };
 const createTrial = async (req, res) => {
   try {
-    const trial = await generateTrialNumbers(config.experimentConfig);
-    await stateManager.updateSessionState(req.params.id, { status: 'TRIAL_START' });
+    const { config: experimentConfig } = await configStore.getCurrent();
+    const trial = await generateTrialNumbers(experimentConfig);
+    await stateManager.updateSessionState(req.params.id, { status: 'TRIAL_START' }, 'trial-created');
     res.json(trial[0]);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 };
 
@@ -177,7 +336,7 @@ const getNextDigit = async (req, res) => {
     const session = await stateManager.getSessionState(experimentId);
     const currentTrial = session.state.trials[session.state.currentTrial];
     
-    await stateManager.updateSessionState(experimentId, { status: 'TRIAL_START' });
+    await stateManager.updateSessionState(experimentId, { status: 'TRIAL_START' }, 'next-digit-requested');
     
     res.json({
       digit: currentTrial.sequence[session.state.currentDigit],
@@ -187,7 +346,7 @@ const getNextDigit = async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 };
 
@@ -200,42 +359,165 @@ const getNextDigit = async (req, res) => {
  */
 const ResponsePipeline = require('../services/ResponsePipeline');
 const responsePipeline = new ResponsePipeline(stateManager, mediaHandler);
+/**
+ * Score one submitted response against the stored sequence and key mapping.
+ * The digit, cue and correctness come from the session, never the client
+ * @returns {object|null} Scored response, or null when the position does not exist
+ */
+const scoreSubmittedResponse = (session, response) => {
+  const trialNumber = Number(response.trialNumber);
+  const position = Number(response.position);
+  const trial = session.state.trials[trialNumber];
+
+  if (!trial || !Number.isInteger(trialNumber) || !Number.isInteger(position) ||
+      position < 0 || position >= trial.number.length) {
+    return null;
+  }
+
+  const taskRule = session.experimentConfig?.taskRule || 'parity';
+  const digit = trial.number[position];
+  const cue = trial.cues?.[position] || null;
+  const { isCorrect, expectedResponse } = scoreResponse(taskRule, digit, response.response, session.keyMapping, cue);
+
+  return {
+    ...response,
+    trialNumber,
+    position,
+    digit: Number(digit),
+    cue,
+    responseType: responseForKey(taskRule, session.keyMapping, response.response, cue),
+    responseStyle: session.keyMapping?.responseStyle,
+    expectedResponse,
+    isCorrect,
+    // Kept for auditing client/server disagreement
+    clientIsCorrect: typeof response.isCorrect === 'boolean' ? response.isCorrect : undefined
+  };
+};
+
+/**
+ * @frontend responseQueueMiddleware posts queued responses
+ * Scores each response server-side and returns the authoritative correctness
+ * Responses for positions outside the stored sequence are rejected (400)
+ */
 const submitResponse = async (req, res) => {
   try {
     const { experimentId, responses } = req.body;
+    if (!Array.isArray(responses) || responses.length === 0) {
+      return res.status(400).json({ error: 'responses array required' });
+    }
+
     const session = await stateManager.getSessionState(experimentId);
     
     if (!session) {
       return res.status(404).json({ error: 'Session not found' });
     }
 
-    await stateManager.updateSessionState(experimentId, { status: 'AWAIT_RESPONSE' });
+    if (session.state.status === 'PAUSED') {
+      return res.status(409).json({ error: 'Session is paused' });
+    }
+
+    if (['COMPLETE', 'ABORTED'].includes(session.state.status)) {
+      return res.status(409).json({ error: `Session is ${session.state.status.toLowerCase()}` });
+    }
+
+    const scoredResponses = responses.map(response => scoreSubmittedResponse(session, response));
+    const invalidPositions = responses
+      .filter((response, index) => !scoredResponses[index])
+      .map(({ trialNumber, position }) => ({ trialNumber, position }));
+
+    if (invalidPositions.length > 0) {
+      return res.status(400).json({
+        error: 'Response position does not exist in this session',
+        invalidPositions
+      });
+    }
+
+    await stateManager.transitionTo(experimentId, 'AWAIT_RESPONSE', 'response-submitted');
     
-    const processedResponses = responses.map(response => ({
-      ...response,
-      timestamp: response.timestamp || Date.now(),
-      positionKey: `${response.trialNumber}-${response.position}`
-    }));
+    const processedResponses = scoredResponses.map(response => {
+      const timestamp = response.timestamp || Date.now();
+      // Remove any pause that fell between stimulus onset and the key press
+      const pausedMs = response.responseTime
+        ? stateManager.getPausedDuration(session.state, timestamp - response.responseTime, timestamp)
+        : 0;
+
+      return {
+        ...response,
+        timestamp,
+        responseTime: response.responseTime ? response.responseTime - pausedMs : response.responseTime,
+        pausedMs,
+        positionKey: `${response.trialNumber}-${response.position}`
+      };
+    });
 
     // Record each response in its unique position
+    let state = session.state;
     for (const response of processedResponses) {
-      await stateManager.recordResponse(experimentId, response);
+      state = await stateManager.recordResponse(experimentId, response);
+    }
+
+    // Keep the persisted position in step so a reload resumes at the next digit
+    const synced = await stateManager.syncPosition(experimentId);
+
+    // The final digit's response completes the session
+    if (synced.state.currentTrial >= synced.state.trials.length) {
+      await stateManager.transitionTo(experimentId, 'COMPLETE', 'final-response-recorded');
+    }
+
+    // Refresh stored performance metrics whenever a trial's last digit comes in
+    const completedTrials = processedResponses
+      .filter(r => r.position === session.state.trials[r.trialNumber].number.length - 1)
+      .map(r => r.trialNumber);
+    if (completedTrials.length > 0) {
+      const analysis = await sessionAnalyzer.analyzeSession(experimentId);
+      await stateManager.updatePerformanceMetrics(
+        experimentId,
+        analysis.trials.filter(trial => completedTrials.includes(trial.trialNumber))
+      );
     }
 
+    // A repeated position keeps its first recording, so report what is stored
+    const results = processedResponses.map(({ positionKey }) => {
+      const stored = state.responsesByPosition[positionKey];
+      return {
+        trialNumber: stored.trialNumber,
+        position: stored.position,
+        positionKey,
+        digit: stored.digit,
+        cue: stored.cue || null,
+        response: stored.response,
+        responseType: stored.responseType,
+        expectedResponse: stored.expectedResponse,
+        isCorrect: stored.isCorrect
+      };
+    });
+
     res.json({ 
       success: true,
-      processed: processedResponses.length
+      processed: processedResponses.length,
+      results
     });
   } catch (error) {
     console.error('Response storage error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 };
-const CAPTURE_SETTINGS = {
-  width: 640,
-  height: 480,
-  imageType: 'image/jpeg',
-  quality: 0.8
+/**
+ * Settings the session's main camera took its photos with: what the station
+ * reported applying, over what the camera profile asked for. Null for
+ * sessions started without a camera profile
+ */
+const captureSettings = (cameraProfile) => {
+  if (!cameraProfile) return null;
+  const camera = { ...cameraProfile.cameras?.main, ...cameraProfile.applied?.main };
+  return {
+    cameraProfile: cameraProfile.name,
+    width: camera.width ?? null,
+    height: camera.height ?? null,
+    frameRate: camera.frameRate ?? null,
+    imageFormat: camera.imageFormat ?? null,
+    jpegQuality: camera.jpegQuality ?? null
+  };
 };
 
 // Media Handling
@@ -261,6 +543,7 @@ const submitCapture = async (req, res) => {
     
     // Get the effort level from the specific trial, not just the "currentTrial"
     const effortLevel = trialObj?.effortLevel || 0;
+    const settings = captureSettings(session.cameraProfile);
 
     const fileResult = await mediaHandler.saveTrialCapture(
       experimentId,
@@ -270,10 +553,7 @@ const submitCapture = async (req, res) => {
         trialNumber: requestedTrialIndex,
         digitIndex,
         effortLevel: effortLevel,
-        width: CAPTURE_SETTINGS.width,
-        height: CAPTURE_SETTINGS.height,
-        quality: CAPTURE_SETTINGS.quality,
-        imageType: CAPTURE_SETTINGS.imageType
+        settings
       }
     );
 
@@ -281,7 +561,7 @@ const submitCapture = async (req, res) => {
     const captureRecord = await stateManager.addCapture(experimentId, {
       ...fileResult,
       timestamp,
-      settings: CAPTURE_SETTINGS,
+      settings,
       effortLevel: effortLevel  // Add effort level explicitly to record
     });
 
@@ -324,9 +604,10 @@ const getSessionCaptures = async (req, res) => {
 // Configuration
 const getCaptureConfig = async (req, res) => {
   try {
+    const { config: experimentConfig } = await configStore.getCurrent();
     res.json({
       enabled: true,
-      frequency: config.experimentConfig.captureFrequency || 1,
+      frequency: experimentConfig.captureConfig?.interval || 1,
       quality: 'high'
     });
   } catch (error) {
@@ -334,76 +615,134 @@ const getCaptureConfig = async (req, res) => {
   }
 };
 
+/**
+ * Current config version: { version, config, createdBy, note, createdAt }
+ */
 const getNSTConfig = async (req, res) => {
   try {
-    res.json(config.experimentConfig);
+    res.json(await configStore.getCurrent());
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
+/**
+ * Apply top-level settings from the request body to the current config
+ * (`note` is kept apart as the version's description)
+ */
+const mergeConfigChanges = async (body) => {
+  const { note, ...changes } = body || {};
+  const { config: current } = await configStore.getCurrent();
+  return { note, config: { ...current, ...changes } };
+};
+
+/**
+ * Save the current config with the body's settings applied as a new version
+ * Invalid configs are rejected with 400 and a list of { path, message } errors
+ */
 const updateNSTConfig = async (req, res) => {
   try {
-    Object.assign(config.experimentConfig, req.body);
-    res.json(config.experimentConfig);
+    const { note, config: updated } = await mergeConfigChanges(req.body);
+    const saved = await configStore.saveVersion(updated, {
+      createdBy: req.session?.researcher?.username,
+      note
+    });
+    res.json(saved);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message, errors: error.errors });
+  }
+};
+
+/**
+ * Dry run of updateNSTConfig: the validation report without saving
+ */
+const validateNSTConfig = async (req, res) => {
+  try {
+    const { config: updated } = await mergeConfigChanges(req.body);
+    res.json(validateExperimentConfig(updated));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+const listConfigVersions = async (req, res) => {
+  try {
+    res.json({ versions: await configStore.listVersions() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getConfigVersion = async (req, res) => {
+  try {
+    const version = await configStore.getVersion(req.params.version);
+    if (!version) {
+      return res.status(404).json({ error: 'Config version not found' });
+    }
+    res.json(version);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
 // Data Export
-const { convertToCSV } = require('../utils/exportFormatters');
+const {
+  buildSessionExport,
+  getFormatter,
+  getFormatters,
+  convertTransitionsToCSV,
+  convertSummaryToCSV
+} = require('../utils/exportFormatters');
 const exportSessionData = async (req, res) => {
   try {
     const { sessionId } = req.params;
+    const formatters = getFormatters(req.query.format);
+    const onProgress = exportProgress.tracker(req.query.progressId);
     const session = await stateManager.getSessionState(sessionId);
-    const captures = await stateManager.getSessionCaptures(sessionId);
+    if (!session) {
+      throw new AppError('Session not found', 404);
+    }
 
-    // Format trial and response data for CSV
-    const trialData = session.state.trials.map((trial, trialIndex) => {
-      const trialResponses = Object.values(session.state.responsesByPosition)
-        .filter(r => r.trialNumber === trialIndex)
-        .sort((a, b) => a.position - b.position);
-      
-      // Add effortLevel to each response
-      const enhancedResponses = trialResponses.map(response => ({
-        ...response,
-        effortLevel: trial.effortLevel // Include the effort level from the trial
-      }));
-      
-      return {
-        trialNumber: trialIndex + 1,
-        sequence: trial.number,
-        effortLevel: trial.effortLevel, // Include effort level at trial level
-        responses: enhancedResponses
-      };
-    });
+    const captures = await stateManager.getSessionCaptures(sessionId);
+    const stateTransitions = await stateManager.getStateTransitions(sessionId);
 
+    // Trial data (with key mapping and seed) in each requested format
+    const exportData = buildSessionExport(session, { sessionId, stateTransitions });
 
-    const csvData = convertToCSV(trialData);
-    
-    // Include key mapping in the export metadata
-    const exportData = {
-      sessionId: sessionId,
-      keyMapping: session.keyMapping || null,
-      trials: trialData
-    };
-    const jsonData = JSON.stringify(exportData, null, 2);
-
-    const zipFileName = await createAndDownloadZip({
-      'data.csv': csvData,
-      'data.json': jsonData,
-      captures: captures
-    });
+    const files = [
+      ...formatters.map(formatter => ({ name: formatter.filename, content: formatter.format(exportData) })),
+      { name: 'transitions.csv', content: convertTransitionsToCSV(stateTransitions) },
+      { name: 'summary.csv', content: convertSummaryToCSV(await sessionAnalyzer.analyzeSession(sessionId)) },
+      // Captures grouped by effort level, streamed from disk
+      ...captures
+        .filter(capture => capture.filepath)
+        .map(capture => ({
+          name: `effort_level_${capture.effortLevel || 0}/${path.basename(capture.filepath)}`,
+          path: capture.filepath
+        }))
+    ];
 
-    res.setHeader('Content-Type', 'application/zip');
-    res.setHeader('Content-Disposition', `attachment; filename=nst-session-${sessionId}.zip`);
-    res.sendFile(zipFileName);
+    await streamZip(res, { filename: `nst-session-${sessionId}.zip`, files, onProgress });
   } catch (error) {
     console.error('Export error:', error);
-    res.status(500).json({ error: error.message });
+    if (!res.headersSent) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
   }
 };
+
+/**
+ * @frontend ResultsView polls this while an export downloads
+ * Progress of an export started with ?progressId=
+ */
+const getExportProgress = async (req, res) => {
+  const progress = exportProgress.get(req.params.progressId);
+  if (!progress) {
+    return res.status(404).json({ error: 'Export not found' });
+  }
+  res.json(progress);
+};
+
 const validateExportData = async (req, res) => {
   try {
     const validation = await mediaHandler.validateCapture(req.body);
@@ -454,7 +793,10 @@ const getResults = async (req, res) => {
       return res.status(400).json({ error: 'Session not yet complete' });
     }
 
-    const sessionCaptures = stateManager.getSessionCaptures(experimentId);
+    const sessionCaptures = await stateManager.getSessionCaptures(experimentId);
+    const startTime = new Date(session.startTime).getTime();
+    const endTime = new Date(session.lastActivity).getTime();
+    const pausedDuration = stateManager.getPausedDuration(session.state, startTime, endTime);
     
     const results = {
       trialData: session.state.trials,
@@ -465,7 +807,9 @@ const getResults = async (req, res) => {
         completedTrials: session.state.currentTrial,
         totalCaptures: sessionCaptures.length,
         startTime: session.startTime,
-        endTime: session.lastActivity
+        endTime: session.lastActivity,
+        pausedDuration,
+        activeDuration: endTime - startTime - pausedDuration
       }
     };
 
@@ -475,6 +819,11 @@ const getResults = async (req, res) => {
   }
 };
 
+/**
+ * @frontend ExperimentController checks for an interrupted session
+ * Returns the position to resume from without modifying the session
+ * Frontend receives: recoveryPlan (trial/digit index, key mapping, trials), fallbackState
+ */
 const getRecoveryInstructions = async (req, res) => {
   try {
     const { id } = req.params;
@@ -482,21 +831,106 @@ const getRecoveryInstructions = async (req, res) => {
     if (!session) {
       return res.status(404).json({ error: 'Session not found' });
     }
+    const recoveryPlan = stateManager.buildRecoveryPlan(session);
     res.json({
-      instructions: 'Resume from last valid state',
-      lastValidState: session.state.currentTrial
+      recoveryPlan,
+      fallbackState: recoveryPlan.isComplete ? 'COMPLETE' : session.state.status
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
+/**
+ * @frontend NSTTask resumes an interrupted session
+ * Marks the gap since the last activity in the session data and
+ * returns the recovery plan to restore from
+ */
+const recoverSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const session = await stateManager.markRecovery(id, req.body.cause || 'crash-recovery');
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ recoveryPlan: stateManager.buildRecoveryPlan(session) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
 /**
  * @frontend ResultsView requests final data
  * Returns complete experiment data for analysis
  * Frontend needs: experimentId (query param)
  * Frontend receives: trials, responses, captures, metrics
  */
+/**
+ * Rebuild a session's trial list and key mapping from its stored seed and
+ * compare them with what the participant was actually shown
+ */
+const regenerateSession = async (req, res) => {
+  try {
+    const { id: sessionId } = req.params;
+    const session = await stateManager.getSessionState(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (!session.seed) {
+      return res.status(409).json({ error: 'Session was created without a seed and cannot be regenerated' });
+    }
+
+    const participant = session.participantId
+      ? await Participant.findOne({ participantId: session.participantId }).lean()
+      : null;
+    const plan = generateSessionPlan(session.experimentConfig, {
+      seed: session.seed,
+      participantNumber: session.schedule?.participantNumber,
+      responseStyle: participant?.allocation?.keyMapping
+    });
+
+    const storedTrials = session.state.trials || [];
+    const mismatchedTrials = plan.trials
+      .map((trial, index) => ({ trial, stored: storedTrials[index], trialNumber: index + 1 }))
+      .filter(({ trial, stored }) =>
+        !stored || stored.number !== trial.number || stored.effortLevel !== trial.effortLevel
+      )
+      .map(({ trialNumber }) => trialNumber);
+
+    res.json({
+      sessionId,
+      seed: plan.seed,
+      schedule: plan.schedule,
+      keyMapping: plan.keyMapping,
+      trials: plan.trials,
+      matchesStored: mismatchedTrials.length === 0 &&
+        plan.trials.length === storedTrials.length &&
+        plan.keyMapping.responseStyle === session.keyMapping?.responseStyle,
+      mismatchedTrials
+    });
+  } catch (error) {
+    console.error('Regenerate session error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * @frontend ResultsView shows the summary after a session
+ * Per-effort-level accuracy, RT, switch cost, post-error slowing and RT outliers
+ */
+const getSessionAnalysis = async (req, res) => {
+  try {
+    const analysis = await sessionAnalyzer.analyzeSession(req.params.sessionId);
+    if (!analysis) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(analysis);
+  } catch (error) {
+    console.error('Session analysis error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
 const getProgress = async (req, res) => {
   try {
     const { experimentId } = req.query;
@@ -510,6 +944,7 @@ const getProgress = async (req, res) => {
       currentTrial: state.state.currentTrial,
       totalTrials: state.state.trials.length,
       status: state.state.status,
+      isPaused: state.state.status === 'PAUSED',
       percentComplete: Math.round((state.state.currentTrial / state.state.trials.length) * 100),
       lastActivity: state.lastActivity
     };
@@ -520,34 +955,28 @@ const getProgress = async (req, res) => {
   }
 };
 
-const exportFormatters = require('../utils/exportFormatters');
+/**
+ * Download the session's trial data as a single file
+ * Query: format - registered export format (default csv)
+ */
 const exportResults = async (req, res) => {
   try {
     const { sessionId } = req.params;
+    const formatter = getFormatter(req.query.format || 'csv');
     const session = await stateManager.getSessionState(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const stateTransitions = await stateManager.getStateTransitions(sessionId);
+    const formattedData = formatter.format(buildSessionExport(session, { sessionId, stateTransitions }));
     
-    const formattedData = exportFormatters.formatCSV({
-      trials: session.state.trials.map((trial, index) => ({
-        trialNumber: index + 1,
-        sequence: trial.number,
-        effortLevel: trial.effortLevel, // Include effort level here
-        responses: session.state.responses.filter(r => r.trialNumber === index + 1).map(response => ({
-          digit: response.digit,
-          keyPressed: response.key,
-          isCorrect: response.isCorrect,
-          timestamp: response.timestamp,
-          responseTime: response.timing,
-          effortLevel: trial.effortLevel // Add effort level to each response
-        }))
-      }))
-    });
-    
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename=nst-results-${sessionId}.csv`);
+    res.setHeader('Content-Type', formatter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=nst-${sessionId}-${formatter.filename}`);
     res.send(formattedData);
   } catch (error) {
     console.error('Export error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 };
 
@@ -569,18 +998,21 @@ const generatePracticeTrial = async (req, res) => {
     }
 
     // Generate a simple practice sequence using effort level 2 (easy)
-    const practiceSequence = generateMarkovNumber(2, config.experimentConfig);
+    const { config: experimentConfig } = await configStore.getCurrent();
+    const practiceSequence = generateMarkovNumber(2, experimentConfig);
     
     res.json({
       number: practiceSequence.number,
       effortLevel: practiceSequence.effortLevel,
+      cues: practiceSequence.cues,
+      taskRule: practiceSequence.metadata.taskRule,
       metadata: practiceSequence.metadata,
       participantId,
       taskType
     });
   } catch (error) {
     console.error('Practice trial generation error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 };
 
@@ -590,7 +1022,10 @@ module.exports = {
   getTrialState,
   getProgress,
   abortSession,
+  pauseSession,
+  resumeSession,
   getSessionStatus,
+  listSessions,
   requestStateTransition,
   createTrial,
   getNextDigit,
@@ -600,11 +1035,18 @@ module.exports = {
   getNSTConfig,
   getResults,
   updateNSTConfig,
+  validateNSTConfig,
+  listConfigVersions,
+  getConfigVersion,
   exportSessionData,
+  getExportProgress,
   getSessionCaptures,
   validateExportData,
   reportError,
   getRecoveryInstructions,
+  recoverSession,
+  regenerateSession,
+  getSessionAnalysis,
   exportResults,
   generatePracticeTrial
 };
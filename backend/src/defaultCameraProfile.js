@@ -0,0 +1,38 @@
+module.exports = {
+  // DEFAULT CAMERA STATION PROFILE
+  // seeded into the cameraprofiles collection when it is empty;
+  // add or edit profiles from the station's camera settings
+  // (or /api/camera-profiles) - changes here are not picked up
+  name: 'default',
+  title: 'Default station',
+  description: 'Any cameras at 1280x720, JPEG photos.',
+  // per camera:
+  // deviceLabel - picks the camera whose label contains this text
+  //               (case-insensitive); empty keeps the station's choice
+  // width, height, frameRate - requested from the camera (ideal values)
+  // imageFormat - 'jpeg' or 'png'; jpegQuality 0.1-1 for JPEG photos
+  // trackConstraints - applyConstraints options such as exposureMode,
+  //                    exposureTime, whiteBalanceMode or colorTemperature,
+  //                    applied only where the camera supports them
+  cameras: {
+    main: {
+      deviceLabel: '',
+      width: 1280,
+      height: 720,
+      frameRate: 30,
+      imageFormat: 'jpeg',
+      jpegQuality: 0.95,
+      trackConstraints: {}
+    },
+    equipment: {
+      deviceLabel: '',
+      width: 1280,
+      height: 720,
+      frameRate: 30,
+      imageFormat: 'jpeg',
+      jpegQuality: 0.95,
+      trackConstraints: {}
+    }
+  },
+  active: true
+};
@@ -0,0 +1,26 @@
+module.exports = {
+  // DEFAULT PROTOCOL
+  // seeded into the protocols collection when it is empty;
+  // add or edit protocols from the researcher dashboard
+  // (or /api/protocols) - changes here are not picked up
+  name: 'standard',
+  title: 'Standard NST Plus protocol',
+  description: 'This study consists of two tasks measuring cognitive and physical effort.',
+  // capture the baseline (neutral) expression before the first task
+  neutralCapture: true,
+  // task order rule:
+  // 'balanced' (block randomization stratified by gender),
+  // 'fixed' (as listed), 'random' (seeded shuffle per participant),
+  // or 'counterbalanced' (balanced Latin square by participant number)
+  ordering: 'balanced',
+  // tasks: 'nst' or 'physical-effort', each at most once
+  // settings - nst: experiment config settings to override
+  //            physical-effort: repetitions (per dot), restDuration (seconds)
+  // tutorial - optional { title, steps: [{ title, text }] } replacing
+  //            the built-in tutorial; blank lines in text start a paragraph
+  tasks: [
+    { taskType: 'nst', settings: {} },
+    { taskType: 'physical-effort', settings: { repetitions: 5, restDuration: 10 } }
+  ],
+  active: true
+};
@@ -1,5 +1,13 @@
 module.exports = {
-  // CONFIGURATION
+  // DEFAULT CONFIGURATION
+  // seeds version 1 of the stored config on first start;
+  // after that edit the config from the researcher dashboard
+  // (or PUT /api/config) - changes here are not picked up
+  // task rule participants apply to each digit:
+  // 'parity' (odd/even), 'magnitude' (<5 / >5), or
+  // 'cued' (a cue with each digit says parity or magnitude;
+  // effort levels then count cue switches)
+  taskRule: 'parity',
   // turn shuffle off or on vi
   // a boolean here
   shuffleTrials: true,
@@ -11,12 +19,54 @@ module.exports = {
     { level: 4, trials: 1 },
     { level: 2, trials: 1 },
   ],
+  // trial ordering - overrides shuffleTrials when set
+  // design: 'fixed' (trialConfig order), 'shuffled',
+  // 'blocked' (levels grouped, block order shuffled),
+  // 'ascending', 'descending', or 'latin-square'
+  // (block order counterbalanced by participant number)
+  // maxConsecutive: cap on same-level trials in a row (null = no cap)
+  schedule: {
+    design: 'shuffled',
+    maxConsecutive: null
+  },
+  // digit sequence constraints - the switch count
+  // per EFFORT_LEVELS range is always exact
+  // noImmediateRepeats: no digit twice in a row
+  // balancedParity: odd/even counts differ by at most 1
+  // balancedDigits: each odd (and each even) digit used equally often
+  sequenceConstraints: {
+    noImmediateRepeats: false,
+    balancedParity: false,
+    balancedDigits: false
+  },
   captureConfig: {
     firstCapture: 0,    // Capture after X responses
     interval: 3,        // Capture every Y responses after that
     quality: 'high',
     cameraId: null      // Specific camera device ID (null = use default)
   },
+  // optional WebM clips from both cameras around each
+  // stimulus onset (NST digits at capture positions,
+  // grip trial targets): preMs before, postMs after
+  clipConfig: {
+    enabled: false,
+    preMs: 1000,
+    postMs: 2000
+  },
+  // which key answers which response in each session:
+  // 'balanced' (allocated at registration, balanced within
+  // protocol and gender), 'random' (standard or reversed,
+  // 50/50 per session), 'standard', or 'reversed'
+  keyMappingPolicy: 'balanced',
+  // frontend timing, all in milliseconds
+  // feedbackDuration: practice feedback shown per digit
+  // interDigitDelay: pause after a response before the next digit
+  // completionDelay: completion screen before moving on
+  timing: {
+    feedbackDuration: 1500,
+    interDigitDelay: 100,
+    completionDelay: 2000
+  },
   KEYS: {
     ODD: 'f',
     EVEN: 'j'
@@ -0,0 +1,168 @@
+const AppError = require('../utils/AppError');
+const Participant = require('../models/Participant');
+const stateManager = require('../services/stateManager');
+
+/**
+ * Access control for the API
+ *
+ * Researchers log in with a local account (see authRoutes); the express
+ * session then holds `researcher` ({ id, username, role }). Roles are
+ * ordered, so a route that needs 'researcher' also admits 'admin'.
+ *
+ * Participants never log in: registering stores `participantId` in the
+ * session, and participant-facing routes only accept requests about that
+ * participant and the NST sessions they own. Researchers pass every
+ * participant check so they can resume or inspect a run. Capture and clip
+ * uploads may instead present the participant's upload token, since the
+ * browser's upload queue can still hold them after the session has moved on
+ */
+
+const ROLE_LEVELS = {
+  researcher: 1,
+  admin: 2
+};
+
+/**
+ * Require a logged-in researcher with at least the given role
+ * @param {string} role - 'researcher' or 'admin'
+ */
+const requireRole = (role = 'researcher') => (req, res, next) => {
+  const researcher = req.session?.researcher;
+  if (!researcher) {
+    return next(new AppError('Researcher login required', 401));
+  }
+  if ((ROLE_LEVELS[researcher.role] || 0) < ROLE_LEVELS[role]) {
+    return next(new AppError(`This action requires the ${role} role`, 403));
+  }
+  next();
+};
+
+/**
+ * Participant a request is about, from route params, body or query
+ */
+const requestedParticipantId = (req) =>
+  req.params.participantId || req.body?.participantId || req.query.participantId || null;
+
+/**
+ * NST session a request is about, from route params, body or query
+ */
+const requestedSessionId = (req) =>
+  req.params.id || req.params.sessionId ||
+  req.body?.sessionId || req.body?.experimentId ||
+  req.query.sessionId || req.query.experimentId || null;
+
+/**
+ * Limit a participant-facing route to the session's own participant and
+ * their NST sessions. Session ownership is looked up once, then cached in
+ * the express session
+ */
+const requireParticipant = async (req, res, next) => {
+  try {
+    if (req.session?.researcher) return next();
+
+    const activeParticipantId = req.session?.participantId;
+    if (!activeParticipantId) {
+      throw new AppError('No active participant for this browser session', 401);
+    }
+
+    const participantId = requestedParticipantId(req);
+    if (participantId && participantId !== activeParticipantId) {
+      throw new AppError('Access limited to the active participant', 403);
+    }
+
+    const sessionId = requestedSessionId(req);
+    if (sessionId) {
+      const ownedSessions = req.session.experimentIds || [];
+      if (!ownedSessions.includes(sessionId)) {
+        const owner = await stateManager.getSessionOwner(sessionId);
+        // Unknown sessions fall through to the handler's own not-found response
+        if (owner && owner !== activeParticipantId) {
+          throw new AppError('Access limited to the active participant\'s session', 403);
+        }
+        if (owner) {
+          req.session.experimentIds = [...ownedSessions, sessionId];
+        }
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Authorize an upload before its files are read, so an unauthorized client
+ * cannot make the server buffer them. Queued uploads carry the participant's
+ * upload token and ID (Upload-Token and Upload-Participant headers), which
+ * keep working after another participant has registered in this browser or
+ * the session was lost; other uploads need the browser session's participant.
+ * Pair with requireUploadOwner after the body is parsed
+ */
+const requireUploadAccess = async (req, res, next) => {
+  try {
+    if (req.session?.researcher) return next();
+
+    const token = req.get('Upload-Token');
+    if (token) {
+      const participantId = req.get('Upload-Participant');
+      if (!participantId || !await Participant.verifyUploadToken(participantId, token)) {
+        throw new AppError('Invalid upload token', 403);
+      }
+      req.uploadParticipantId = participantId;
+      return next();
+    }
+
+    if (!req.session?.participantId) {
+      throw new AppError('No active participant for this browser session', 401);
+    }
+    req.uploadParticipantId = req.session.participantId;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check that a parsed upload is about the participant requireUploadAccess
+ * admitted, and about one of their NST sessions
+ */
+const requireUploadOwner = async (req, res, next) => {
+  try {
+    if (req.session?.researcher) return next();
+
+    const participantId = requestedParticipantId(req);
+    if (participantId && participantId !== req.uploadParticipantId) {
+      throw new AppError('Access limited to the active participant', 403);
+    }
+
+    const sessionId = requestedSessionId(req);
+    if (sessionId) {
+      const owner = await stateManager.getSessionOwner(sessionId);
+      if (owner && owner !== req.uploadParticipantId) {
+        throw new AppError('Upload does not belong to this participant\'s session', 403);
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Make the given participant the active one for this browser session
+ */
+const setActiveParticipant = (req, participantId) => {
+  req.session.participantId = participantId;
+  req.session.experimentIds = [];
+};
+
+module.exports = {
+  ROLE_LEVELS,
+  requireRole,
+  requireParticipant,
+  requireUploadAccess,
+  requireUploadOwner,
+  setActiveParticipant
+};
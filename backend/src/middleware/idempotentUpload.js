@@ -0,0 +1,52 @@
+const AppError = require('../utils/AppError');
+const UploadReceipt = require('../models/UploadReceipt');
+const logger = require('../utils/logger');
+
+/**
+ * Make an upload idempotent. The browser's upload queue sends an
+ * Idempotency-Key header and keeps it across retries. The key is claimed
+ * before the upload is handled: a key with a stored response gets it back
+ * without saving again, and a key still being handled gets 425. Runs after
+ * multer, since the participant comes from the multipart body
+ */
+async function idempotentUpload(req, res, next) {
+  const uploadKey = req.get('Idempotency-Key');
+  const { participantId } = req.body;
+  if (!uploadKey || !participantId) return next();
+  if (uploadKey.length > 100) {
+    throw new AppError('Invalid Idempotency-Key', 400);
+  }
+
+  const receipt = await UploadReceipt.claim(participantId, uploadKey, req.path);
+  if (receipt && receipt.status !== 'pending') {
+    logger.info(`Upload ${uploadKey} already saved for ${participantId}`, { endpoint: req.path });
+    res.set('Idempotent-Replayed', 'true');
+    return res.json(receipt.response);
+  }
+  if (receipt) {
+    // 425 Too Early: the upload queue retries once the first attempt is done
+    throw new AppError('An upload with this Idempotency-Key is still being processed', 425);
+  }
+
+  // Keep the response of a successful upload; release the key otherwise
+  let settled = false;
+  const sendJSON = res.json.bind(res);
+  res.json = (body) => {
+    settled = true;
+    const settle = res.statusCode >= 400
+      ? UploadReceipt.release(participantId, uploadKey)
+      : UploadReceipt.complete(participantId, uploadKey, body);
+    settle
+      .catch(error => logger.error(`Failed to store upload receipt ${uploadKey}`, { error: error.message }))
+      .finally(() => sendJSON(body));
+    return res;
+  };
+  res.on('close', () => {
+    if (settled) return;
+    UploadReceipt.release(participantId, uploadKey)
+      .catch(error => logger.error(`Failed to release upload receipt ${uploadKey}`, { error: error.message }));
+  });
+  next();
+}
+
+module.exports = idempotentUpload;
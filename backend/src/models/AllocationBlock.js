@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * AllocationBlock model - the current randomization block for one stratum
+ * (protocol + gender). `sequence` lists cell indexes in allocation order
+ * and `position` is the next one to hand out; registrations take positions
+ * with an atomic increment so concurrent requests never share one
+ */
+const allocationBlockSchema = new mongoose.Schema({
+  // `${protocol}:${gender}`
+  stratum: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  protocol: {
+    type: String,
+    required: true
+  },
+
+  gender: {
+    type: String,
+    required: true
+  },
+
+  // Cells being balanced: { taskOrder (null when the protocol orders tasks
+  // itself), keyMapping }. cellsKey identifies the set so a protocol edit
+  // starts a fresh block
+  cells: {
+    type: Array,
+    required: true
+  },
+
+  cellsKey: {
+    type: String,
+    required: true
+  },
+
+  blockNumber: {
+    type: Number,
+    default: 1
+  },
+
+  // Seed the block was shuffled with
+  seed: {
+    type: String,
+    required: true
+  },
+
+  sequence: {
+    type: [Number],
+    required: true
+  },
+
+  position: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('AllocationBlock', allocationBlockSchema);
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+
+const CAMERAS = ['main', 'equipment'];
+const IMAGE_FORMATS = ['jpeg', 'png'];
+
+// MediaTrack constraints a profile may pass to applyConstraints
+const TRACK_CONSTRAINTS = [
+  'exposureMode',
+  'exposureTime',
+  'exposureCompensation',
+  'whiteBalanceMode',
+  'colorTemperature',
+  'brightness',
+  'contrast',
+  'saturation',
+  'sharpness',
+  'focusMode',
+  'focusDistance',
+  'zoom'
+];
+
+// Values a station reports about the settings its cameras actually run at
+const APPLIED_FIELDS = ['deviceLabel', 'width', 'height', 'frameRate', 'imageFormat', 'jpegQuality', ...TRACK_CONSTRAINTS];
+
+const cameraSettingsSchema = new mongoose.Schema({
+  // Picks the camera whose label contains this text (case-insensitive)
+  deviceLabel: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  width: {
+    type: Number,
+    min: 160,
+    max: 4096,
+    default: 1280
+  },
+
+  height: {
+    type: Number,
+    min: 120,
+    max: 2160,
+    default: 720
+  },
+
+  frameRate: {
+    type: Number,
+    min: 1,
+    max: 120,
+    default: 30
+  },
+
+  imageFormat: {
+    type: String,
+    enum: IMAGE_FORMATS,
+    default: 'jpeg'
+  },
+
+  jpegQuality: {
+    type: Number,
+    min: 0.1,
+    max: 1,
+    default: 0.95
+  },
+
+  trackConstraints: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+    validate: {
+      validator: constraints => constraints !== null && typeof constraints === 'object' && !Array.isArray(constraints) &&
+        Object.entries(constraints).every(([key, value]) =>
+          TRACK_CONSTRAINTS.includes(key) && ['string', 'number'].includes(typeof value)),
+      message: `trackConstraints may only set ${TRACK_CONSTRAINTS.join(', ')} to a string or number`
+    }
+  }
+}, { _id: false, minimize: false });
+
+/**
+ * CameraProfile model - a named camera station setup: which physical
+ * cameras to use and the resolution, frame rate, photo format and track
+ * constraints to run them at. Sessions record the profile they ran under
+ */
+const cameraProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9-]+$/
+  },
+
+  title: {
+    type: String,
+    required: true
+  },
+
+  description: {
+    type: String
+  },
+
+  cameras: {
+    main: { type: cameraSettingsSchema, default: () => ({}) },
+    equipment: { type: cameraSettingsSchema, default: () => ({}) }
+  },
+
+  // Inactive profiles are kept for past sessions but not offered at stations
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: String
+  },
+
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// What a session stores about the profile it ran under
+cameraProfileSchema.methods.toSnapshot = function() {
+  return {
+    name: this.name,
+    title: this.title,
+    updatedAt: this.updatedAt,
+    cameras: this.toObject().cameras
+  };
+};
+
+// Static method to seed defaultCameraProfile.js when no profile exists yet
+cameraProfileSchema.statics.ensureDefault = async function() {
+  if (await this.estimatedDocumentCount() > 0) return;
+  try {
+    await this.create({ ...require('../defaultCameraProfile'), createdBy: 'defaults' });
+  } catch (error) {
+    // Another request seeded it first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Static method to build the camera profile record for a session from what a
+ * station reports: { name, applied: { main, equipment } }, where applied
+ * holds the settings each camera actually runs at. Returns null when the
+ * station reports no profile
+ */
+cameraProfileSchema.statics.sessionRecord = async function(input) {
+  if (!input || typeof input !== 'object' || !input.name) return null;
+
+  const profile = await this.findOne({ name: String(input.name).toLowerCase() });
+  const applied = Object.fromEntries(CAMERAS.map(camera => {
+    const settings = input.applied?.[camera];
+    if (!settings || typeof settings !== 'object') return [camera, null];
+    return [camera, Object.fromEntries(
+      APPLIED_FIELDS
+        .filter(field => ['string', 'number'].includes(typeof settings[field]))
+        .map(field => [field, settings[field]])
+    )];
+  }));
+
+  return {
+    ...(profile ? profile.toSnapshot() : { name: String(input.name), title: null, cameras: null }),
+    applied,
+    recordedAt: new Date()
+  };
+};
+
+const CameraProfile = mongoose.model('CameraProfile', cameraProfileSchema);
+
+CameraProfile.CAMERAS = CAMERAS;
+CameraProfile.IMAGE_FORMATS = IMAGE_FORMATS;
+CameraProfile.TRACK_CONSTRAINTS = TRACK_CONSTRAINTS;
+
+module.exports = CameraProfile;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * Demographics model - gender and age kept apart from the Participant
+ * record, so participant data, folders and filenames carry only the
+ * pseudonymous participant ID. Only researcher routes read this collection
+ */
+const demographicsSchema = new mongoose.Schema({
+  participantId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  gender: {
+    type: String,
+    required: true,
+    enum: ['M', 'F', 'O'], // Male, Female, Other
+    index: true
+  },
+
+  age: {
+    type: Number,
+    required: true,
+    min: 18,
+    max: 100
+  },
+
+  // Pre-pseudonymization ID (<gender>-<age>-<number>) of migrated participants
+  legacyParticipantId: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to load demographics for many participants, keyed by participant ID
+demographicsSchema.statics.mapByParticipant = async function(participantIds) {
+  const docs = await this.find({ participantId: { $in: participantIds } }).lean();
+  return new Map(docs.map(doc => [doc.participantId, doc]));
+};
+
+const Demographics = mongoose.model('Demographics', demographicsSchema);
+
+module.exports = Demographics;
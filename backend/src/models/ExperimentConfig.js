@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+/**
+ * ExperimentConfig model - one document per saved version of the NST
+ * configuration. Versions are never edited; a change saves a new version,
+ * and sessions record the version they ran under
+ */
+const experimentConfigSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+
+  config: {
+    type: Object,
+    required: true
+  },
+
+  // Username of the researcher who saved it ('defaults' for the seeded version)
+  createdBy: {
+    type: String
+  },
+
+  note: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+module.exports = mongoose.model('ExperimentConfig', experimentConfigSchema);
@@ -1,21 +1,62 @@
 const mongoose = require('mongoose');
 
+/**
+ * ExperimentSession model for NST runs
+ * Persists the session state machine, trial sequence, captures and
+ * transition log so a run survives a backend restart
+ */
 const ExperimentSessionSchema = new mongoose.Schema({
   experimentId: {
     type: String,
     required: true,
     unique: true
   },
+  participantId: {
+    type: String,
+    index: true
+  },
+  type: {
+    type: String,
+    default: 'nst'
+  },
+  seed: String,
   trials: Array,
-  state: Object,
-  startTime: Date,
-  responses: Array,
+  schedule: Object,
+  state: {
+    type: Object,
+    default: () => ({
+      currentTrial: 0,
+      digitIndex: 0,
+      status: 'INIT'
+    })
+  },
+  keyMapping: Object,
+  startTime: {
+    type: Date,
+    default: Date.now
+  },
+  lastActivity: {
+    type: Date,
+    default: Date.now
+  },
   config: Object,
+  // ExperimentConfig version the session was generated from
+  configVersion: Number,
+  // Camera station profile the session ran under, with the settings the
+  // cameras actually reported (see CameraProfile.sessionRecord)
+  cameraProfile: Object,
+  captures: Array,
+  stateTransitions: Array,
   captureStats: {
-    total: Number,
-    successful: Number,
-    failed: Number
+    total: { type: Number, default: 0 },
+    successful: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
   }
+}, {
+  timestamps: true,
+  minimize: false
 });
 
+ExperimentSessionSchema.index({ 'state.status': 1, startTime: -1 });
+
 module.exports = mongoose.model('ExperimentSession', ExperimentSessionSchema);
@@ -1,11 +1,17 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
+// Participant ID characters, without look-alikes (0/o, 1/i/l)
+const ID_ALPHABET = '23456789abcdefghjkmnpqrstuvwxyz';
+const ID_LENGTH = 10;
+
 /**
  * Participant model for NST Plus experiment
- * Stores participant demographics and experiment metadata
+ * Stores experiment metadata under a pseudonymous ID; demographics live in
+ * the separate Demographics collection
  */
 const participantSchema = new mongoose.Schema({
-  // Participant identification
+  // Participant identification (opaque, see generateParticipantId)
   participantId: {
     type: String,
     required: true,
@@ -18,27 +24,36 @@ const participantSchema = new mongoose.Schema({
     required: true
   },
   
-  // Demographics
-  gender: {
-    type: String,
-    required: true,
-    enum: ['M', 'F', 'O'], // Male, Female, Other
-    index: true
-  },
-  
-  age: {
-    type: Number,
-    required: true,
-    min: 18,
-    max: 100
-  },
-  
   // Experiment configuration
   taskOrder: [{
     type: String,
     enum: ['nst', 'physical-effort']
   }],
   
+  // Seed the task order was drawn from
+  randomSeed: {
+    type: String
+  },
+  
+  // Snapshot of the protocol the participant was registered under
+  // (name, title, neutralCapture, ordering, tasks); absent for participants
+  // registered before protocols, who ran the standard protocol
+  protocol: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  
+  // Randomization cell from the stratified block allocation
+  // (see services/assignmentService). The stratum is left out as it
+  // would reveal the participant's gender
+  allocation: {
+    blockNumber: Number,
+    position: Number,
+    keyMapping: {
+      type: String,
+      enum: ['standard', 'reversed']
+    }
+  },
+  
   // Timestamps
   registrationTime: {
     type: Date,
@@ -71,6 +86,12 @@ const participantSchema = new mongoose.Schema({
     metadata: mongoose.Schema.Types.Mixed
   }],
   
+  // Resumable per-task state (e.g. physical-effort trial plan), keyed by task type
+  taskProgress: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  
   // File storage paths
   dataDirectory: {
     type: String,
@@ -85,6 +106,13 @@ const participantSchema = new mongoose.Schema({
     notes: String
   },
   
+  // SHA-256 of the upload token issued at registration; queued uploads
+  // present the token, so they do not depend on the browser session
+  uploadTokenHash: {
+    type: String,
+    select: false
+  },
+  
   // Status tracking
   status: {
     type: String,
@@ -105,15 +133,19 @@ participantSchema.virtual('experimentDuration').get(function() {
   return null;
 });
 
+// Virtual for the number of tasks in the participant's protocol
+participantSchema.virtual('totalTasks').get(function() {
+  const neutralCapture = this.protocol?.neutralCapture === false ? 0 : 1;
+  return neutralCapture + (this.taskOrder?.length || 0);
+});
+
 // Virtual for completion percentage
 participantSchema.virtual('completionPercentage').get(function() {
-  const totalTasks = 3; // neutral-capture, nst, physical-effort
-  return Math.round((this.tasksCompleted.length / totalTasks) * 100);
+  return Math.round((this.tasksCompleted.length / this.totalTasks) * 100);
 });
 
 // Index for efficient queries
 participantSchema.index({ status: 1, registrationTime: -1 });
-participantSchema.index({ gender: 1, participantNumber: 1 });
 
 // Pre-save middleware to set data directory
 participantSchema.pre('save', function(next) {
@@ -132,7 +164,7 @@ participantSchema.methods.addCompletedTask = function(taskType, metadata = {}) {
   });
   
   // Update overall status
-  if (this.tasksCompleted.length >= 3) {
+  if (this.tasksCompleted.length >= this.totalTasks) {
     this.status = 'completed';
     this.experimentEndTime = new Date();
   } else if (this.tasksCompleted.length > 0) {
@@ -145,6 +177,21 @@ participantSchema.methods.addCompletedTask = function(taskType, metadata = {}) {
   return this.save();
 };
 
+// Instance method to merge resumable progress for a task
+participantSchema.methods.updateTaskProgress = function(taskType, progress) {
+  const current = this.taskProgress?.[taskType] || {};
+  this.taskProgress = {
+    ...(this.taskProgress || {}),
+    [taskType]: {
+      ...current,
+      ...progress,
+      updatedAt: new Date()
+    }
+  };
+  this.markModified('taskProgress');
+  return this.save();
+};
+
 // Static method to get next participant number
 participantSchema.statics.getNextParticipantNumber = async function() {
   const lastParticipant = await this.findOne()
@@ -154,9 +201,32 @@ participantSchema.statics.getNextParticipantNumber = async function() {
   return lastParticipant ? lastParticipant.participantNumber + 1 : 1;
 };
 
-// Static method to generate participant ID
-participantSchema.statics.generateParticipantId = function(gender, age, participantNumber) {
-  return `${gender}-${age}-${participantNumber}`;
+// Static method to generate a pseudonymous participant ID ("p-" + 10 random
+// characters); it says nothing about the participant, so it is safe in
+// folder names, filenames and exports
+participantSchema.statics.generateParticipantId = function() {
+  const characters = Array.from({ length: ID_LENGTH }, () => ID_ALPHABET[crypto.randomInt(ID_ALPHABET.length)]);
+  return `p-${characters.join('')}`;
+};
+
+// Hash under which an upload token is stored
+const hashUploadToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Instance method to issue a new upload token; only its hash is kept
+participantSchema.methods.issueUploadToken = function() {
+  const token = crypto.randomBytes(24).toString('hex');
+  this.uploadTokenHash = hashUploadToken(token);
+  return token;
+};
+
+// Static method to check an upload token against the participant's record
+participantSchema.statics.verifyUploadToken = async function(participantId, token) {
+  const participant = await this.findOne({ participantId }).select('+uploadTokenHash').lean();
+  if (!participant?.uploadTokenHash || !token) return false;
+  return crypto.timingSafeEqual(
+    Buffer.from(participant.uploadTokenHash, 'hex'),
+    Buffer.from(hashUploadToken(token), 'hex')
+  );
 };
 
 const Participant = mongoose.model('Participant', participantSchema);
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+const TASK_TYPES = ['nst', 'physical-effort'];
+const TASK_ORDERINGS = ['fixed', 'random', 'counterbalanced', 'balanced'];
+
+const tutorialStepSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  text: { type: String, required: true }
+}, { _id: false });
+
+const protocolTaskSchema = new mongoose.Schema({
+  taskType: {
+    type: String,
+    required: true,
+    enum: TASK_TYPES
+  },
+
+  // Task-specific settings (see defaultProtocol.js)
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Replaces the built-in tutorial when set
+  tutorial: {
+    title: String,
+    steps: [tutorialStepSchema]
+  }
+}, { _id: false, minimize: false });
+
+/**
+ * Protocol model - a named study protocol picked at registration: which
+ * tasks run, how their order is assigned, and per-task settings and
+ * tutorial text. Participants keep a snapshot of the protocol they ran
+ */
+const protocolSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9-]+$/
+  },
+
+  title: {
+    type: String,
+    required: true
+  },
+
+  description: {
+    type: String
+  },
+
+  neutralCapture: {
+    type: Boolean,
+    default: true
+  },
+
+  ordering: {
+    type: String,
+    enum: TASK_ORDERINGS,
+    default: 'random'
+  },
+
+  tasks: {
+    type: [protocolTaskSchema],
+    validate: [
+      {
+        validator: tasks => tasks.length > 0,
+        message: 'A protocol needs at least one task'
+      },
+      {
+        validator: tasks => new Set(tasks.map(task => task.taskType)).size === tasks.length,
+        message: 'Each task can appear only once in a protocol'
+      }
+    ]
+  },
+
+  // Inactive protocols are kept for past participants but not offered at registration
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// What a participant stores about the protocol they were registered under
+protocolSchema.methods.toSnapshot = function() {
+  return {
+    name: this.name,
+    title: this.title,
+    neutralCapture: this.neutralCapture,
+    ordering: this.ordering,
+    tasks: this.tasks.map(task => ({
+      taskType: task.taskType,
+      settings: task.settings || {},
+      tutorial: task.tutorial?.steps?.length
+        ? { title: task.tutorial.title, steps: task.tutorial.steps.map(({ title, text }) => ({ title, text })) }
+        : null
+    }))
+  };
+};
+
+// Static method to seed defaultProtocol.js when no protocol exists yet
+protocolSchema.statics.ensureDefault = async function() {
+  if (await this.estimatedDocumentCount() > 0) return;
+  try {
+    await this.create({ ...require('../defaultProtocol'), createdBy: 'defaults' });
+  } catch (error) {
+    // Another request seeded it first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+const Protocol = mongoose.model('Protocol', protocolSchema);
+
+Protocol.TASK_TYPES = TASK_TYPES;
+Protocol.TASK_ORDERINGS = TASK_ORDERINGS;
+
+module.exports = Protocol;
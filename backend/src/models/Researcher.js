@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const mongoose = require('mongoose');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt key length and salt size in bytes
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+/**
+ * Researcher model - local accounts for the researcher-only API
+ * Passwords are stored as scrypt hashes ("salt:hash", hex encoded)
+ */
+const researcherSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+
+  passwordHash: {
+    type: String,
+    required: true
+  },
+
+  // researcher: dashboard, exports; admin: also config and accounts
+  role: {
+    type: String,
+    enum: ['researcher', 'admin'],
+    default: 'researcher'
+  },
+
+  name: {
+    type: String
+  },
+
+  lastLogin: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to hash and store a new password
+researcherSchema.methods.setPassword = async function(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  this.passwordHash = `${salt}:${hash.toString('hex')}`;
+};
+
+// Instance method to check a password against the stored hash
+researcherSchema.methods.verifyPassword = async function(password) {
+  const [salt, stored] = (this.passwordHash || '').split(':');
+  if (!salt || !stored) return false;
+
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  const storedBuffer = Buffer.from(stored, 'hex');
+  return storedBuffer.length === hash.length && crypto.timingSafeEqual(storedBuffer, hash);
+};
+
+// Account details that are safe to send to the client
+researcherSchema.methods.toPublic = function() {
+  return {
+    id: this._id.toString(),
+    username: this.username,
+    name: this.name,
+    role: this.role
+  };
+};
+
+const Researcher = mongoose.model('Researcher', researcherSchema);
+
+// Shortest password accepted for a researcher account
+Researcher.MIN_PASSWORD_LENGTH = 10;
+
+module.exports = Researcher;
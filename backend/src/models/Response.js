@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+/**
+ * Response model for NST sessions
+ * One document per trial, holding every digit response recorded for it
+ */
 const ResponseSchema = new mongoose.Schema({
   sessionId: {
     type: String,
@@ -14,11 +18,22 @@ const ResponseSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  effortLevel: Number,
   responses: [{
+    _id: false,
+    positionKey: String,
+    position: Number,
     digit: Number,
+    cue: String,
     response: String,
+    responseType: String,
+    responseStyle: String,
+    expectedResponse: String,
     isCorrect: Boolean,
-    timestamp: Number
+    clientIsCorrect: Boolean,
+    timestamp: Number,
+    responseTime: Number,
+    pausedMs: Number
   }],
   performanceMetrics: {
     accuracy: Number,
@@ -32,4 +47,7 @@ const ResponseSchema = new mongoose.Schema({
   }]
 }, { timestamps: true });
 
+// A trial has exactly one response document per session
+ResponseSchema.index({ sessionId: 1, trialNumber: 1 }, { unique: true });
+
 module.exports = mongoose.model('Response', ResponseSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// A pending receipt this old belongs to a request that never finished (for
+// example the server restarted mid-upload), so a retry may take it over
+const PENDING_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * UploadReceipt model - the response to a capture or clip upload, stored
+ * under the client's upload key. The browser's upload queue retries an
+ * upload with the same key until it gets a response, so a retry of an upload
+ * that was already saved is answered from here instead of being saved twice.
+ * The key is claimed (status 'pending') before the upload is handled, so a
+ * retry that arrives while the first attempt is still running is turned away
+ */
+const uploadReceiptSchema = new mongoose.Schema({
+  participantId: {
+    type: String,
+    required: true
+  },
+
+  // Idempotency-Key header sent with the upload
+  uploadKey: {
+    type: String,
+    required: true
+  },
+
+  endpoint: {
+    type: String
+  },
+
+  // Receipts stored before statuses existed count as complete
+  status: {
+    type: String,
+    enum: ['pending', 'complete'],
+    default: 'pending'
+  },
+
+  response: {
+    type: Object
+  }
+}, {
+  timestamps: true
+});
+
+uploadReceiptSchema.index({ participantId: 1, uploadKey: 1 }, { unique: true });
+
+/**
+ * Static method to claim an upload key before handling the upload. Returns
+ * null when this request holds the claim, otherwise the existing receipt
+ * (pending while another attempt is still running)
+ */
+uploadReceiptSchema.statics.claim = async function(participantId, uploadKey, endpoint) {
+  try {
+    await this.create({ participantId, uploadKey, endpoint });
+    return null;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const receipt = await this.findOne({ participantId, uploadKey }).lean();
+  if (!receipt) return { status: 'pending' }; // Released in the meantime; retry
+  if (receipt.status === 'pending' && Date.now() - receipt.updatedAt > PENDING_TIMEOUT) {
+    const { modifiedCount } = await this.updateOne(
+      { _id: receipt._id, status: 'pending', updatedAt: receipt.updatedAt },
+      { $set: { endpoint } } // Also refreshes updatedAt
+    );
+    if (modifiedCount) return null;
+  }
+  return receipt;
+};
+
+/**
+ * Static method to store the response of a claimed upload
+ */
+uploadReceiptSchema.statics.complete = function(participantId, uploadKey, response) {
+  return this.updateOne(
+    { participantId, uploadKey, status: 'pending' },
+    { $set: { status: 'complete', response } }
+  );
+};
+
+/**
+ * Static method to drop the claim of an upload that failed, so a retry
+ * handles it afresh
+ */
+uploadReceiptSchema.statics.release = function(participantId, uploadKey) {
+  return this.deleteOne({ participantId, uploadKey, status: 'pending' });
+};
+
+module.exports = mongoose.model('UploadReceipt', uploadReceiptSchema);
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const nstController = require('../controllers/nstController');
+const { requireRole, requireParticipant } = require('../middleware/auth');
 
 /**
  * Session Management Routes
@@ -19,7 +20,7 @@ const nstController = require('../controllers/nstController');
  *  - Configuration loading
  * @returns {Object} sessionId, initialState, config
  */
-router.post('/start', nstController.startSession);
+router.post('/start', requireParticipant, nstController.startSession);
 
 /**
  * @route GET /api/state
@@ -30,7 +31,7 @@ router.post('/start', nstController.startSession);
  * @triggers State query via StateManager
  * @returns {Object} currentState, metadata
  */
-router.get('/state', nstController.getExperimentState);
+router.get('/state', requireParticipant, nstController.getExperimentState);
 
 /**
  * @route GET /api/trial-state
@@ -40,7 +41,7 @@ router.get('/state', nstController.getExperimentState);
  * @triggers Trial state query via NSTExperiment
  * @returns {Object} trialNumber, currentDigit, effortLevel
  */
-router.get('/trial-state', nstController.getTrialState);
+router.get('/trial-state', requireParticipant, nstController.getTrialState);
 
 /**
  * @route GET /api/progress
@@ -50,7 +51,16 @@ router.get('/trial-state', nstController.getTrialState);
  * @triggers Progress calculation via NSTService
  * @returns {Object} completedTrials, totalTrials, currentLevel
  */
-router.get('/progress', nstController.getProgress);
+router.get('/progress', requireParticipant, nstController.getProgress);
+
+/**
+ * @route GET /api/analysis/:sessionId
+ * @desc Switch-cost and effort-level analytics for a session
+ * @state ANY
+ * @frontend ResultsView summary table
+ * @returns {Object} overall, byEffortLevel[], trials[], outliers[], thresholds
+ */
+router.get('/analysis/:sessionId', requireRole('researcher'), nstController.getSessionAnalysis);
 
 /**
  * @route GET /api/results
@@ -60,7 +70,7 @@ router.get('/progress', nstController.getProgress);
  * @triggers Results compilation and formatting
  * @returns {Object} trialData, responses, captures, metrics
  */
-router.get('/results', nstController.getResults);
+router.get('/results', requireRole('researcher'), nstController.getResults);
 
 /**
  * @route PUT /api/session/abort
@@ -70,13 +80,42 @@ router.get('/results', nstController.getResults);
  * @triggers Session termination
  * @returns {Object} sessionStatus, terminationTime
  */
-router.put('/session/abort', nstController.abortSession);
+router.put('/session/abort', requireParticipant, nstController.abortSession);
+
+/**
+ * @route PUT /api/session/:id/pause
+ * @desc Pause an active session
+ * @state RUNNING | TRIAL_START | AWAIT_RESPONSE
+ * @vision NSTvision.txt:Session Management:SessionControl.pause
+ * @triggers PAUSED transition, pause start recorded for metric exclusion
+ * @returns {Object} status, pausedFrom, pausedAt
+ */
+router.put('/session/:id/pause', requireParticipant, nstController.pauseSession);
+
+/**
+ * @route PUT /api/session/:id/resume
+ * @desc Resume a paused session into the state it was paused from
+ * @state PAUSED
+ * @vision NSTvision.txt:Session Management:SessionControl.resume
+ * @triggers Pause log entry, paused duration excluded from metrics
+ * @returns {Object} status, resumedAt, lastPause, totalPausedMs
+ */
+router.put('/session/:id/resume', requireParticipant, nstController.resumeSession);
 
 /**
  * State Management Routes
  * Handles state transitions and status queries
  */
 
+/**
+ * @route GET /api/sessions
+ * @desc List persisted sessions, most recent first
+ * @state ANY
+ * @triggers StateManager session query
+ * @returns {Object} sessions[], count
+ */
+router.get('/sessions', requireRole('researcher'), nstController.listSessions);
+
 /**
  * @route GET /api/session/:id/status
  * @desc Get detailed session status
@@ -85,17 +124,18 @@ router.put('/session/abort', nstController.abortSession);
  * @triggers StateManager status query
  * @returns {Object} detailedStatus, stateHistory
  */
-router.get('/session/:id/status', nstController.getSessionStatus);
+router.get('/session/:id/status', requireParticipant, nstController.getSessionStatus);
 
 /**
  * @route POST /api/session/:id/transition
- * @desc Request state transition
+ * @desc Request state transition. Participants may only start or drop a
+ *   session in INIT and pause or resume it; other transitions need a researcher
  * @state ANY
  * @vision NSTvision.txt:State Management:POST /session/:id/transition
- * @triggers State machine transition validation
- * @returns {Object} newState, transitionSuccess
+ * @triggers State machine transition validation, transition log entry
+ * @returns {Object} newState | 403/409 {error, fromState, targetState, allowedTransitions}
  */
-router.post('/session/:id/transition', nstController.requestStateTransition);
+router.post('/session/:id/transition', requireParticipant, nstController.requestStateTransition);
 
 /**
  * Error Handling Routes
@@ -110,7 +150,7 @@ router.post('/session/:id/transition', nstController.requestStateTransition);
  * @triggers Error logging and recovery process
  * @returns {Object} errorStatus, recoverySteps
  */
-router.post('/session/:id/error', nstController.reportError);
+router.post('/session/:id/error', requireParticipant, nstController.reportError);
 
 /**
  * @route GET /api/session/:id/recovery
@@ -120,7 +160,26 @@ router.post('/session/:id/error', nstController.reportError);
  * @triggers Recovery plan generation
  * @returns {Object} recoveryPlan, fallbackState
  */
-router.get('/session/:id/recovery', nstController.getRecoveryInstructions);
+router.get('/session/:id/recovery', requireParticipant, nstController.getRecoveryInstructions);
+
+/**
+ * @route POST /api/session/:id/recover
+ * @desc Resume an interrupted session at its last recorded position
+ * @state ANY (except COMPLETE | ABORTED)
+ * @frontend NSTTask crash recovery
+ * @triggers Recovery gap recorded in session state, position resync
+ * @returns {Object} recoveryPlan
+ */
+router.post('/session/:id/recover', requireParticipant, nstController.recoverSession);
+
+/**
+ * @route GET /api/session/:id/regenerate
+ * @desc Rebuild the trial list and key mapping from the session's seed
+ * @state ANY
+ * @triggers None (read-only verification)
+ * @returns {Object} seed, schedule, keyMapping, trials, matchesStored, mismatchedTrials
+ */
+router.get('/session/:id/regenerate', requireRole('researcher'), nstController.regenerateSession);
 
 /**
  * Trial Management Routes
@@ -137,7 +196,7 @@ router.get('/session/:id/recovery', nstController.getRecoveryInstructions);
  *  - Trial initialization
  * @returns {Object} trialId, sequence, effortLevel
  */
-router.post('/trials', nstController.createTrial);
+router.post('/trials', requireParticipant, nstController.createTrial);
 
 /**
  * @route GET /api/next-digit
@@ -148,7 +207,7 @@ router.post('/trials', nstController.createTrial);
  * @triggers Digit generation via MarkovChain
  * @returns {Object} digit, metadata
  */
-router.get('/next-digit', nstController.getNextDigit);
+router.get('/next-digit', requireParticipant, nstController.getNextDigit);
 
 /**
  * @route POST /api/response
@@ -157,11 +216,11 @@ router.get('/next-digit', nstController.getNextDigit);
  * @frontend CORE ENDPOINT - Used for response submission
  * @vision NSTvision.txt:Trial Management:POST /response
  * @triggers 
- *  - Response validation
+ *  - Server-side scoring against the stored sequence and keyMapping
  *  - Optional image capture
- * @returns {Object} responseValid, nextState
+ * @returns {Object} processed, results[{positionKey, isCorrect, expectedResponse}] | 400 {invalidPositions}
  */
-router.post('/response', nstController.submitResponse);
+router.post('/response', requireParticipant, nstController.submitResponse);
 
 /**
  * Capture Control Routes
@@ -176,7 +235,7 @@ router.post('/response', nstController.submitResponse);
  * @triggers Image storage and validation
  * @returns {Object} captureId, storageStatus
  */
-router.post('/capture', nstController.submitCapture);
+router.post('/capture', requireParticipant, nstController.submitCapture);
 
 /**
  * @route GET /api/capture-config
@@ -195,23 +254,48 @@ router.get('/capture-config', nstController.getCaptureConfig);
 
 /**
  * @route GET /api/config
- * @desc Get NST configuration
+ * @desc Get the current NST configuration version
  * @state ANY
  * @vision NSTvision.txt:Configuration:GET /config
  * @triggers Configuration retrieval
- * @returns {Object} fullConfig
+ * @returns {Object} { version, config, createdBy, note, createdAt }
  */
 router.get('/config', nstController.getNSTConfig);
 
 /**
  * @route PUT /api/config
- * @desc Update NST configuration
+ * @desc Save a new NST configuration version; body holds the settings to
+ *   change and an optional `note`. Running sessions keep their version
  * @state INIT
  * @vision NSTvision.txt:Configuration:PUT /config
  * @triggers Configuration validation and update
- * @returns {Object} updatedConfig
+ * @returns {Object} savedVersion, or 400 { error, errors: [{ path, message }] }
  */
-router.put('/config', nstController.updateNSTConfig);
+router.put('/config', requireRole('admin'), nstController.updateNSTConfig);
+
+/**
+ * @route POST /api/config/validate
+ * @desc Validate configuration changes without saving them
+ * @state ANY
+ * @returns {Object} { valid, errors: [{ path, message }] }
+ */
+router.post('/config/validate', requireRole('admin'), nstController.validateNSTConfig);
+
+/**
+ * @route GET /api/config/versions
+ * @desc List saved configuration versions, newest first
+ * @state ANY
+ * @returns {Object} { versions: [{ version, createdBy, note, createdAt }] }
+ */
+router.get('/config/versions', requireRole('researcher'), nstController.listConfigVersions);
+
+/**
+ * @route GET /api/config/versions/:version
+ * @desc Get one saved configuration version
+ * @state ANY
+ * @returns {Object} { version, config, createdBy, note, createdAt }
+ */
+router.get('/config/versions/:version', requireRole('researcher'), nstController.getConfigVersion);
 
 /**
  * Export and Capture Management Routes
@@ -224,9 +308,29 @@ router.put('/config', nstController.updateNSTConfig);
  * @state COMPLETE
  * @vision NSTvision.txt:Export Management:GET /export/:sessionId
  * @triggers Session data packaging via zipCreator
+ * @query format - comma-separated export formats (csv, json, events-tsv, jsonl, wide-csv); default csv,json
+ * @query progressId - optional client-chosen ID to poll at /api/export/progress/:progressId
  * @returns {Object} exportData, metadata
  */
-router.get('/export/:sessionId', nstController.exportSessionData);
+router.get('/export/:sessionId', requireRole('researcher'), nstController.exportSessionData);
+
+/**
+ * @route GET /api/export/progress/:progressId
+ * @desc Progress of a ZIP export requested with ?progressId=
+ * @state ANY
+ * @frontend ResultsView polls it while the archive downloads
+ * @returns {Object} filename, processed, total, bytes, status (running, complete or failed)
+ */
+router.get('/export/progress/:progressId', requireRole('researcher'), nstController.getExportProgress);
+
+/**
+ * @route GET /api/export/:sessionId/results
+ * @desc Return the session's trial data as a single file
+ * @state ANY
+ * @query format - csv (default), json, events-tsv, jsonl or wide-csv
+ * @returns {File} Formatted trial data
+ */
+router.get('/export/:sessionId/results', requireRole('researcher'), nstController.exportResults);
 
 /**
  * @route GET /api/captures/:sessionId
@@ -236,7 +340,7 @@ router.get('/export/:sessionId', nstController.exportSessionData);
  * @triggers MediaHandler capture retrieval
  * @returns {Object} captures[], metadata
  */
-router.get('/captures/:sessionId', nstController.getSessionCaptures);
+router.get('/captures/:sessionId', requireRole('researcher'), nstController.getSessionCaptures);
 
 /**
  * @route POST /api/export/validate
@@ -245,7 +349,7 @@ router.get('/captures/:sessionId', nstController.getSessionCaptures);
  * @vision NSTvision.txt:Export Management:POST /export/validate
  * @returns {Object} isValid, errors[], metadata
  */
-router.post('/export/validate', nstController.validateExportData);
+router.post('/export/validate', requireRole('researcher'), nstController.validateExportData);
 
 /**
  * @route POST /api/generate-practice-trial
@@ -255,11 +359,11 @@ router.post('/export/validate', nstController.validateExportData);
  * @triggers Practice sequence generation via markovChain
  * @returns {Object} practice number sequence, effortLevel, metadata
  */
-router.post('/generate-practice-trial', nstController.generatePracticeTrial);
+router.post('/generate-practice-trial', requireParticipant, nstController.generatePracticeTrial);
 
 // Add these routes alongside existing ones
-router.post('/capture', nstController.submitCapture);
-router.get('/export/:sessionId', nstController.exportSessionData);
+router.post('/capture', requireParticipant, nstController.submitCapture);
+router.get('/export/:sessionId', requireRole('researcher'), nstController.exportSessionData);
 
 
 module.exports = router;
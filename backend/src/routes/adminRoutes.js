@@ -0,0 +1,252 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs').promises;
+const Participant = require('../models/Participant');
+const Demographics = require('../models/Demographics');
+const stateManager = require('../services/stateManager');
+const assignmentService = require('../services/assignmentService');
+const asyncHandler = require('../utils/asyncHandler');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const SessionAnalyzer = require('../utils/sessionAnalyzer');
+const { buildParticipantQuery } = require('../utils/studyExport');
+const { readCaptureMetadata } = require('../utils/participantBundle');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+const sessionAnalyzer = new SessionAnalyzer(stateManager);
+
+// Participant data folders holding photos
+const IMAGE_TASKS = ['neutral', 'nst', 'physical-effort'];
+
+// Every admin route needs a logged-in researcher
+router.use(requireRole('researcher'));
+
+/**
+ * GET /api/admin/participants?status=&gender=&from=&to=&search=
+ * List participants with status, completion, task order, durations and
+ * capture counts. from/to filter on registration time; search matches the
+ * participant ID
+ */
+router.get('/participants', asyncHandler(async (req, res) => {
+  const { status, gender, from, to, search } = req.query;
+
+  const query = await buildParticipantQuery({ status, gender, from, to });
+  if (search) {
+    query.participantId = { ...query.participantId, $regex: escapeRegex(search), $options: 'i' };
+  }
+
+  const participants = await Participant.find(query).sort({ participantNumber: -1 });
+  const demographics = await Demographics.mapByParticipant(participants.map(p => p.participantId));
+  const summaries = [];
+  for (const participant of participants) {
+    summaries.push({
+      ...summarizeParticipant(participant, demographics.get(participant.participantId)),
+      captureCounts: await countCaptures(participant.participantId)
+    });
+  }
+
+  res.json({
+    success: true,
+    total: summaries.length,
+    participants: summaries
+  });
+}));
+
+/**
+ * GET /api/admin/allocation
+ * Stratified block randomization report: per protocol + gender stratum,
+ * the current block and the number of participants in each
+ * task order x key mapping cell
+ */
+router.get('/allocation', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    strata: await assignmentService.getReport()
+  });
+}));
+
+/**
+ * GET /api/admin/participants/:participantId
+ * Drill-down for one participant: record, NST sessions with per-trial
+ * results, and captures grouped by task and trial with image URLs
+ */
+router.get('/participants/:participantId', asyncHandler(async (req, res) => {
+  const { participantId } = req.params;
+
+  const participant = await Participant.findOne({ participantId });
+  if (!participant) {
+    throw new AppError('Participant not found', 404);
+  }
+
+  const sessions = [];
+  for (const session of await stateManager.listSessions({ participantId })) {
+    const analysis = await sessionAnalyzer.analyzeSession(session.experimentId);
+    sessions.push({
+      ...session,
+      taskRule: analysis?.taskRule || null,
+      overall: analysis?.overall || null,
+      trials: analysis?.trials || []
+    });
+  }
+
+  res.json({
+    success: true,
+    participant: {
+      ...summarizeParticipant(participant, await Demographics.findOne({ participantId }).lean()),
+      tasksCompleted: participant.tasksCompleted,
+      taskProgress: participant.taskProgress,
+      metadata: participant.metadata
+    },
+    sessions,
+    captures: await listCaptures(participantId)
+  });
+}));
+
+/**
+ * GET /api/admin/participants/:participantId/images/:task/:filename
+ * Serve a stored participant photo (used for dashboard thumbnails)
+ */
+router.get('/participants/:participantId/images/:task/:filename', asyncHandler(async (req, res) => {
+  const { participantId, task, filename } = req.params;
+
+  if (!IMAGE_TASKS.includes(task) || filename !== path.basename(filename) || participantId !== path.basename(participantId)) {
+    throw new AppError('Invalid image path', 400);
+  }
+
+  const filePath = path.join(process.cwd(), 'data', participantId, task, filename);
+  try {
+    await fs.access(filePath);
+  } catch (error) {
+    throw new AppError('Image not found', 404);
+  }
+
+  res.sendFile(filePath);
+}));
+
+/**
+ * POST /api/admin/participants/:participantId/incomplete
+ * Mark a participant as incomplete (e.g. withdrew or was excluded)
+ */
+router.post('/participants/:participantId/incomplete', asyncHandler(async (req, res) => {
+  const { participantId } = req.params;
+  const { notes } = req.body;
+
+  const participant = await Participant.findOne({ participantId });
+  if (!participant) {
+    throw new AppError('Participant not found', 404);
+  }
+
+  participant.status = 'incomplete';
+  if (notes) {
+    participant.metadata = { ...(participant.metadata || {}), notes };
+  }
+  await participant.save();
+
+  logger.info(`Participant ${participantId} marked incomplete`, { participantId, notes });
+
+  res.json({
+    success: true,
+    participant: summarizeParticipant(participant, await Demographics.findOne({ participantId }).lean())
+  });
+}));
+
+/**
+ * Helper function to escape user input for a regex query
+ */
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Helper function to build the dashboard row for a participant, with their
+ * linked demographics. Each task's duration runs from the previous task's
+ * completion (or registration)
+ */
+function summarizeParticipant(participant, demographics) {
+  let previous = participant.registrationTime;
+  const taskDurations = participant.tasksCompleted.map(task => {
+    const durationMs = previous && task.completedAt ? task.completedAt - previous : null;
+    previous = task.completedAt;
+    return { taskType: task.taskType, status: task.status, completedAt: task.completedAt, durationMs };
+  });
+
+  const lastActivity = participant.experimentEndTime || previous;
+
+  return {
+    participantId: participant.participantId,
+    participantNumber: participant.participantNumber,
+    gender: demographics?.gender || null,
+    age: demographics?.age || null,
+    status: participant.status,
+    completionPercentage: participant.completionPercentage,
+    taskOrder: participant.taskOrder,
+    protocol: participant.protocol?.name || 'standard',
+    registrationTime: participant.registrationTime,
+    experimentEndTime: participant.experimentEndTime || null,
+    durationMs: lastActivity && participant.registrationTime
+      ? lastActivity - participant.registrationTime
+      : null,
+    taskDurations
+  };
+}
+
+/**
+ * Helper function to count stored photos per task
+ */
+async function countCaptures(participantId) {
+  const counts = {};
+  for (const task of IMAGE_TASKS) {
+    counts[task] = (await listImages(participantId, task)).length;
+  }
+  return counts;
+}
+
+/**
+ * Helper function to list the photo filenames stored for a task
+ */
+async function listImages(participantId, task) {
+  try {
+    const files = await fs.readdir(path.join(process.cwd(), 'data', participantId, task));
+    return files.filter(file => /\.(jpe?g|png)$/i.test(file)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Helper function to group a participant's photos by task and trial,
+ * alongside the capture metadata saved for each trial
+ */
+async function listCaptures(participantId) {
+  const imageUrl = (task, filename) =>
+    `/api/admin/participants/${encodeURIComponent(participantId)}/images/${task}/${encodeURIComponent(filename)}`;
+  const metadata = await readCaptureMetadata(path.join(process.cwd(), 'data', participantId, 'metadata'));
+
+  const neutral = (await listImages(participantId, 'neutral')).map(filename => ({
+    filename,
+    url: imageUrl('neutral', filename)
+  }));
+
+  const nstImages = await listImages(participantId, 'nst');
+  // Server-side file paths are replaced by image URLs
+  const nst = metadata.nst.map(({ files, ...capture }) => ({
+    ...capture,
+    images: nstImages
+      .filter(filename => filename.includes(`-t${capture.trialNumber}-d${capture.digitIndex}.`))
+      .map(filename => ({ filename, url: imageUrl('nst', filename) }))
+  }));
+
+  const physicalImages = await listImages(participantId, 'physical-effort');
+  const physicalEffort = metadata.physicalEffort.map(({ files, ...capture }) => ({
+    ...capture,
+    images: physicalImages
+      .filter(filename => filename.replace(/\.(jpe?g|png)$/i, '').endsWith(`-${capture.trial?.trialId}`))
+      .map(filename => ({ filename, url: imageUrl('physical-effort', filename) }))
+  }));
+
+  return { neutral, nst, physicalEffort };
+}
+
+module.exports = router;
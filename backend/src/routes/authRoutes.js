@@ -0,0 +1,97 @@
+const express = require('express');
+const Researcher = require('../models/Researcher');
+const asyncHandler = require('../utils/asyncHandler');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const { ROLE_LEVELS, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * POST /api/auth/login
+ * Log a researcher in; the session cookie then carries their role
+ */
+router.post('/login', asyncHandler(async (req, res) => {
+  const { username, password } = req.body;
+
+  if (!username || !password) {
+    throw new AppError('Username and password are required', 400);
+  }
+
+  const researcher = await Researcher.findOne({ username: String(username).toLowerCase() });
+  if (!researcher || !(await researcher.verifyPassword(String(password)))) {
+    logger.warn('Failed researcher login', { username });
+    throw new AppError('Invalid username or password', 401);
+  }
+
+  // New session id on login; keep the station's active participant
+  const { participantId, experimentIds } = req.session;
+  await new Promise((resolve, reject) => req.session.regenerate(error => (error ? reject(error) : resolve())));
+  req.session.participantId = participantId;
+  req.session.experimentIds = experimentIds;
+  req.session.researcher = researcher.toPublic();
+
+  researcher.lastLogin = new Date();
+  await researcher.save();
+
+  logger.info(`Researcher ${researcher.username} logged in`);
+
+  res.json({
+    success: true,
+    researcher: researcher.toPublic()
+  });
+}));
+
+/**
+ * POST /api/auth/logout
+ * End the researcher login (an active participant stays active)
+ */
+router.post('/logout', (req, res) => {
+  delete req.session.researcher;
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/auth/me
+ * The logged-in researcher, or 401
+ */
+router.get('/me', requireRole('researcher'), (req, res) => {
+  res.json({
+    success: true,
+    researcher: req.session.researcher
+  });
+});
+
+/**
+ * POST /api/auth/researchers
+ * Create a researcher account (admin only)
+ */
+router.post('/researchers', requireRole('admin'), asyncHandler(async (req, res) => {
+  const { username, password, name, role = 'researcher' } = req.body;
+
+  if (!username || !password) {
+    throw new AppError('Username and password are required', 400);
+  }
+  if (String(password).length < Researcher.MIN_PASSWORD_LENGTH) {
+    throw new AppError(`Password must be at least ${Researcher.MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+  if (!ROLE_LEVELS[role]) {
+    throw new AppError(`Invalid role "${role}". Expected one of: ${Object.keys(ROLE_LEVELS).join(', ')}`, 400);
+  }
+  if (await Researcher.exists({ username: String(username).toLowerCase() })) {
+    throw new AppError('Username already exists', 409);
+  }
+
+  const researcher = new Researcher({ username, name, role });
+  await researcher.setPassword(String(password));
+  await researcher.save();
+
+  logger.info(`Researcher account ${researcher.username} created by ${req.session.researcher.username}`);
+
+  res.status(201).json({
+    success: true,
+    researcher: researcher.toPublic()
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const CameraProfile = require('../models/CameraProfile');
+const asyncHandler = require('../utils/asyncHandler');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Fields a researcher may set on a camera profile
+const PROFILE_FIELDS = ['title', 'description', 'cameras', 'active'];
+
+/**
+ * GET /api/camera-profiles
+ * Profiles offered at camera stations; logged-in researchers also see
+ * inactive ones
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  await CameraProfile.ensureDefault();
+
+  const query = req.session?.researcher ? {} : { active: true };
+  const profiles = await CameraProfile.find(query).sort({ name: 1 }).lean();
+
+  res.json({
+    success: true,
+    profiles
+  });
+}));
+
+/**
+ * GET /api/camera-profiles/:name
+ */
+router.get('/:name', asyncHandler(async (req, res) => {
+  const profile = await CameraProfile.findOne({ name: req.params.name }).lean();
+  if (!profile) {
+    throw new AppError('Camera profile not found', 404);
+  }
+
+  res.json({
+    success: true,
+    profile
+  });
+}));
+
+/**
+ * POST /api/camera-profiles
+ * Define a new camera station profile
+ */
+router.post('/', requireRole('researcher'), asyncHandler(async (req, res) => {
+  const { name } = req.body;
+  if (!name) {
+    throw new AppError('Camera profile name is required', 400);
+  }
+  if (await CameraProfile.exists({ name: String(name).toLowerCase() })) {
+    throw new AppError(`Camera profile "${name}" already exists`, 409);
+  }
+
+  const profile = new CameraProfile({
+    name,
+    ...pickProfileFields(req.body),
+    createdBy: req.session.researcher.username
+  });
+  validateProfile(profile);
+  await profile.save();
+
+  logger.info(`Camera profile ${profile.name} created by ${req.session.researcher.username}`);
+
+  res.status(201).json({
+    success: true,
+    profile
+  });
+}));
+
+/**
+ * PUT /api/camera-profiles/:name
+ * Update a camera profile; sessions already run keep their snapshot
+ */
+router.put('/:name', requireRole('researcher'), asyncHandler(async (req, res) => {
+  const profile = await CameraProfile.findOne({ name: req.params.name });
+  if (!profile) {
+    throw new AppError('Camera profile not found', 404);
+  }
+
+  profile.set({ ...pickProfileFields(req.body), updatedBy: req.session.researcher.username });
+  validateProfile(profile);
+  await profile.save();
+
+  logger.info(`Camera profile ${profile.name} updated by ${req.session.researcher.username}`);
+
+  res.json({
+    success: true,
+    profile
+  });
+}));
+
+/**
+ * Helper function to copy the editable profile fields from a request body
+ */
+function pickProfileFields(body) {
+  return Object.fromEntries(
+    PROFILE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  );
+}
+
+/**
+ * Helper function to validate a camera profile
+ */
+function validateProfile(profile) {
+  const validationError = profile.validateSync();
+  if (validationError) {
+    const errors = Object.values(validationError.errors).map(error => error.message);
+    throw new AppError(`Invalid camera profile: ${errors.join('; ')}`, 400);
+  }
+}
+
+module.exports = router;
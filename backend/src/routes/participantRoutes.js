@@ -3,9 +3,28 @@ const path = require('path');
 const fs = require('fs').promises;
 const multer = require('multer');
 const Participant = require('../models/Participant');
+const Demographics = require('../models/Demographics');
+const Protocol = require('../models/Protocol');
+const CameraProfile = require('../models/CameraProfile');
+const stateManager = require('../services/stateManager');
+const assignmentService = require('../services/assignmentService');
+const exportProgress = require('../services/exportProgress');
 const asyncHandler = require('../utils/asyncHandler');
 const AppError = require('../utils/AppError');
 const logger = require('../utils/logger');
+const { generateSeed, createRandom } = require('../utils/seededRandom');
+const { buildTaskOrder } = require('../utils/taskOrder');
+const { buildParticipantBundle } = require('../utils/participantBundle');
+const { buildStudyExport } = require('../utils/studyExport');
+const { streamZip } = require('../utils/zipCreator');
+const {
+  requireRole,
+  requireParticipant,
+  requireUploadAccess,
+  requireUploadOwner,
+  setActiveParticipant
+} = require('../middleware/auth');
+const idempotentUpload = require('../middleware/idempotentUpload');
 
 const router = express.Router();
 
@@ -18,12 +37,25 @@ const upload = multer({
   }
 });
 
+// Video clips around stimulus onsets (see frontend services/clipRecorder)
+const clipUpload = multer({
+  storage,
+  limits: {
+    fileSize: 50 * 1024 * 1024 // 50MB limit
+  }
+}).fields([
+  { name: 'mainClip', maxCount: 1 },
+  { name: 'equipmentClip', maxCount: 1 }
+]);
+
 /**
  * POST /api/participants/register
- * Register a new participant and create their directory structure
+ * Register a new participant under a protocol (default: standard) and
+ * create their directory structure. The participant gets a pseudonymous ID;
+ * gender and age go to the separate Demographics collection
  */
 router.post('/register', asyncHandler(async (req, res) => {
-  const { gender, age } = req.body;
+  const { gender, age, protocol: protocolName = 'standard' } = req.body;
   
   // Validate input
   if (!gender || !age) {
@@ -39,42 +71,71 @@ router.post('/register', asyncHandler(async (req, res) => {
     throw new AppError('Age must be between 18 and 100', 400);
   }
   
+  await Protocol.ensureDefault();
+  const protocol = await Protocol.findOne({ name: String(protocolName).toLowerCase(), active: true });
+  if (!protocol) {
+    throw new AppError(`Unknown or inactive protocol "${protocolName}"`, 400);
+  }
+  
   try {
     // Get next participant number
     const participantNumber = await Participant.getNextParticipantNumber();
     
     // Generate participant ID
-    const participantId = Participant.generateParticipantId(gender, ageNum, participantNumber);
-    
-    // Create task order (randomized)
-    const taskOrder = Math.random() < 0.5 
-      ? ['physical-effort', 'nst'] 
-      : ['nst', 'physical-effort'];
+    const participantId = Participant.generateParticipantId();
     
     // Create participant record
+    const randomSeed = generateSeed();
     const participant = new Participant({
       participantId,
       participantNumber,
-      gender,
-      age: ageNum,
-      taskOrder,
+      randomSeed,
+      protocol: protocol.toSnapshot(),
       dataDirectory: `data/${participantId}`,
       metadata: {
         browserInfo: req.headers['user-agent'],
         sessionId: req.sessionID
       }
     });
+    const uploadToken = participant.issueUploadToken();
     
     await participant.save();
     
+    // Balanced protocols take task order from the stratified allocation,
+    // which also assigns the NST key mapping. Other ordering rules apply
+    // here; random orders are drawn from a stored seed so they can be reproduced.
+    // The slot is only taken once the participant is stored, and a failed
+    // registration is removed again so it does not count as a participant
+    let allocation;
+    try {
+      await Demographics.create({ participantId, gender, age: ageNum });
+      allocation = await assignmentService.allocate(protocol, gender);
+      participant.taskOrder = allocation.taskOrder || buildTaskOrder(protocol, {
+        participantNumber,
+        random: createRandom(randomSeed)
+      });
+      participant.allocation = {
+        blockNumber: allocation.blockNumber,
+        position: allocation.position,
+        keyMapping: allocation.keyMapping
+      };
+      await participant.save();
+    } catch (error) {
+      await removeFailedRegistration(participantId);
+      throw error;
+    }
+    
+    // This browser session may now act for the new participant only
+    setActiveParticipant(req, participantId);
+    
     // Create directory structure
     await createParticipantDirectories(participantId);
     
     logger.info(`Participant registered: ${participantId}`, {
       participantId,
-      gender,
-      age: ageNum,
-      taskOrder
+      protocol: protocol.name,
+      taskOrder: participant.taskOrder,
+      keyMapping: allocation.keyMapping
     });
     
     res.status(201).json({
@@ -82,11 +143,15 @@ router.post('/register', asyncHandler(async (req, res) => {
       participant: {
         participantId: participant.participantId,
         participantNumber: participant.participantNumber,
-        gender: participant.gender,
-        age: participant.age,
+        // Returned to this station only; the physical effort task is scaled by gender
+        gender,
+        age: ageNum,
         taskOrder: participant.taskOrder,
+        protocol: participant.protocol,
         registrationTime: participant.registrationTime,
-        dataDirectory: participant.dataDirectory
+        dataDirectory: participant.dataDirectory,
+        // Sent with this participant's queued uploads (Upload-Token header)
+        uploadToken
       }
     });
     
@@ -100,10 +165,14 @@ router.post('/register', asyncHandler(async (req, res) => {
 
 /**
  * POST /api/neutral-capture
- * Save neutral capture photos and metadata
+ * Save neutral capture photos and metadata, including each photo's
+ * quality scores
  */
 router.post('/neutral-capture', 
+  requireUploadAccess, // Before multer so rejected uploads are not buffered
   upload.any(), // Accept any field names for multiple files
+  requireUploadOwner, // After multer so the form's participantId is parsed
+  asyncHandler(idempotentUpload),
   asyncHandler(async (req, res) => {
     const { participantId, timestamp } = req.body;
     
@@ -123,7 +192,10 @@ router.post('/neutral-capture',
         main: [],
         equipment: []
       },
-      totalCaptures: parseInt(req.body.totalCaptures) || 0
+      totalCaptures: parseInt(req.body.totalCaptures) || 0,
+      cameraProfile: req.body.cameraProfile
+        ? await CameraProfile.sessionRecord(parseJSONField(req.body.cameraProfile, 'cameraProfile'))
+        : null
     };
     
     // Process all uploaded files
@@ -131,31 +203,35 @@ router.post('/neutral-capture',
       for (const file of req.files) {
         if (file.fieldname.startsWith('mainPhoto_')) {
           const index = file.fieldname.split('_')[1];
+          const filename = `neutral-main-${index}.${photoExtension(file)}`;
           const mainPath = await saveFile(
             participantId, 
             'neutral', 
-            `neutral-main-${index}.jpg`, 
+            filename, 
             file.buffer
           );
           captureData.files.main.push({
             index: parseInt(index),
-            filename: `neutral-main-${index}.jpg`,
+            filename,
             path: mainPath,
-            size: file.size
+            size: file.size,
+            quality: photoQuality(req.body, index, 'main')
           });
         } else if (file.fieldname.startsWith('equipmentPhoto_')) {
           const index = file.fieldname.split('_')[1];
+          const filename = `neutral-equipment-${index}.${photoExtension(file)}`;
           const equipmentPath = await saveFile(
             participantId, 
             'neutral', 
-            `neutral-equipment-${index}.jpg`, 
+            filename, 
             file.buffer
           );
           captureData.files.equipment.push({
             index: parseInt(index),
-            filename: `neutral-equipment-${index}.jpg`,
+            filename,
             path: equipmentPath,
-            size: file.size
+            size: file.size,
+            quality: photoQuality(req.body, index, 'equipment')
           });
         }
       }
@@ -185,13 +261,16 @@ router.post('/neutral-capture',
 
 /**
  * POST /api/nst-capture
- * Save NST task capture photos and metadata
+ * Save NST task capture photos and metadata (frame timing, quality scores)
  */
 router.post('/nst-capture',
+  requireUploadAccess,
   upload.fields([
     { name: 'mainPhoto', maxCount: 1 },
     { name: 'equipmentPhoto', maxCount: 1 }
   ]),
+  requireUploadOwner,
+  asyncHandler(idempotentUpload),
   asyncHandler(async (req, res) => {
     const { 
       participantId, 
@@ -200,7 +279,9 @@ router.post('/nst-capture',
       digit, 
       response, 
       responseTime,
-      timestamp 
+      timestamp,
+      timing,
+      quality
     } = req.body;
     
     if (!participantId) {
@@ -214,6 +295,8 @@ router.post('/nst-capture',
       response,
       responseTime: parseInt(responseTime),
       timestamp: timestamp || new Date().toISOString(),
+      timing: parseObjectField(timing, 'timing'),
+      quality: parseObjectField(quality, 'quality'),
       files: {}
     };
     
@@ -222,7 +305,7 @@ router.post('/nst-capture',
       const mainPath = await saveFile(
         participantId,
         'nst',
-        `nst-main-t${trialNumber}-d${digitIndex}.jpg`,
+        `nst-main-t${trialNumber}-d${digitIndex}.${photoExtension(req.files.mainPhoto[0])}`,
         req.files.mainPhoto[0].buffer
       );
       captureData.files.main = mainPath;
@@ -232,7 +315,7 @@ router.post('/nst-capture',
       const equipmentPath = await saveFile(
         participantId,
         'nst',
-        `nst-equipment-t${trialNumber}-d${digitIndex}.jpg`,
+        `nst-equipment-t${trialNumber}-d${digitIndex}.${photoExtension(req.files.equipmentPhoto[0])}`,
         req.files.equipmentPhoto[0].buffer
       );
       captureData.files.equipment = equipmentPath;
@@ -250,15 +333,19 @@ router.post('/nst-capture',
 
 /**
  * POST /api/physical-effort-capture
- * Save physical effort task capture photos and metadata
+ * Save physical effort task capture photos and metadata (frame timing,
+ * quality scores)
  */
 router.post('/physical-effort-capture',
+  requireUploadAccess,
   upload.fields([
     { name: 'mainPhoto', maxCount: 1 },
     { name: 'equipmentPhoto', maxCount: 1 }
   ]),
+  requireUploadOwner,
+  asyncHandler(idempotentUpload),
   asyncHandler(async (req, res) => {
-    const { participantId, trial, timestamp } = req.body;
+    const { participantId, trial, timestamp, timing, quality } = req.body;
     
     if (!participantId) {
       throw new AppError('Participant ID is required', 400);
@@ -268,6 +355,8 @@ router.post('/physical-effort-capture',
     const captureData = {
       trial: trialData,
       timestamp: timestamp || new Date().toISOString(),
+      timing: parseObjectField(timing, 'timing'),
+      quality: parseObjectField(quality, 'quality'),
       files: {}
     };
     
@@ -276,7 +365,7 @@ router.post('/physical-effort-capture',
       const mainPath = await saveFile(
         participantId,
         'physical-effort',
-        `physical-effort-main-${trialData.trialId}.jpg`,
+        `physical-effort-main-${trialData.trialId}.${photoExtension(req.files.mainPhoto[0])}`,
         req.files.mainPhoto[0].buffer
       );
       captureData.files.main = mainPath;
@@ -286,7 +375,7 @@ router.post('/physical-effort-capture',
       const equipmentPath = await saveFile(
         participantId,
         'physical-effort',
-        `physical-effort-equipment-${trialData.trialId}.jpg`,
+        `physical-effort-equipment-${trialData.trialId}.${photoExtension(req.files.equipmentPhoto[0])}`,
         req.files.equipmentPhoto[0].buffer
       );
       captureData.files.equipment = equipmentPath;
@@ -295,6 +384,18 @@ router.post('/physical-effort-capture',
     // Save capture metadata
     await saveMetadata(participantId, 'physical-effort', `capture-${trialData.trialId}.json`, captureData);
     
+    // Track completed trials so an interrupted task can resume after this one
+    const participant = await Participant.findOne({ participantId });
+    if (participant) {
+      const progress = participant.taskProgress?.['physical-effort'] || {};
+      const completedTrialIds = progress.completedTrialIds || [];
+      if (!completedTrialIds.includes(trialData.trialId)) {
+        await participant.updateTaskProgress('physical-effort', {
+          completedTrialIds: [...completedTrialIds, trialData.trialId]
+        });
+      }
+    }
+    
     res.json({
       success: true,
       captureData
@@ -302,11 +403,217 @@ router.post('/physical-effort-capture',
   })
 );
 
+/**
+ * POST /api/participants/nst-clip
+ * Save the WebM clips recorded around an NST digit onset
+ */
+router.post('/nst-clip',
+  requireUploadAccess,
+  clipUpload,
+  requireUploadOwner,
+  asyncHandler(idempotentUpload),
+  asyncHandler(async (req, res) => {
+    const { participantId, trialNumber, digitIndex, digit } = req.body;
+    
+    if (!participantId || trialNumber === undefined || digitIndex === undefined) {
+      throw new AppError('Participant ID, trial number and digit index are required', 400);
+    }
+    
+    const trial = parseInt(trialNumber);
+    const position = parseInt(digitIndex);
+    const clipData = {
+      trialNumber: trial,
+      digitIndex: position,
+      digit: parseInt(digit),
+      ...await saveClips(participantId, 'nst', `t${trial}-d${position}`, req)
+    };
+    
+    await saveMetadata(participantId, 'nst', `clip-t${trial}-d${position}.json`, clipData);
+    
+    res.json({
+      success: true,
+      clipData
+    });
+  })
+);
+
+/**
+ * POST /api/participants/physical-effort-clip
+ * Save the WebM clips recorded around a grip trial's target onset
+ */
+router.post('/physical-effort-clip',
+  requireUploadAccess,
+  clipUpload,
+  requireUploadOwner,
+  asyncHandler(idempotentUpload),
+  asyncHandler(async (req, res) => {
+    const { participantId, trial } = req.body;
+    
+    if (!participantId || !trial) {
+      throw new AppError('Participant ID and trial are required', 400);
+    }
+    
+    const trialData = parseJSONField(trial, 'trial');
+    if (!trialData?.trialId || path.basename(String(trialData.trialId)) !== String(trialData.trialId)) {
+      throw new AppError('Invalid trial', 400);
+    }
+    
+    const clipData = {
+      trial: trialData,
+      ...await saveClips(participantId, 'physical-effort', trialData.trialId, req)
+    };
+    
+    await saveMetadata(participantId, 'physical-effort', `clip-${trialData.trialId}.json`, clipData);
+    
+    res.json({
+      success: true,
+      clipData
+    });
+  })
+);
+
+/**
+ * POST /api/participants/physical-effort-progress
+ * Store the randomized physical effort trial plan so it can be resumed,
+ * along with the camera profile the task runs under
+ */
+router.post('/physical-effort-progress', requireParticipant, asyncHandler(async (req, res) => {
+  const { participantId, trials, cameraProfile } = req.body;
+  
+  if (!participantId || !Array.isArray(trials)) {
+    throw new AppError('Participant ID and trials are required', 400);
+  }
+  
+  const participant = await Participant.findOne({ participantId });
+  if (!participant) {
+    throw new AppError('Participant not found', 404);
+  }
+  
+  await participant.updateTaskProgress('physical-effort', {
+    trials,
+    completedTrialIds: [],
+    recoveries: [],
+    cameraProfile: await CameraProfile.sessionRecord(cameraProfile),
+    startedAt: new Date()
+  });
+  
+  res.json({
+    success: true,
+    totalTrials: trials.length
+  });
+}));
+
+/**
+ * POST /api/participants/physical-effort-recover
+ * Mark the gap left by an interrupted physical effort task before resuming it
+ */
+router.post('/physical-effort-recover', requireParticipant, asyncHandler(async (req, res) => {
+  const { participantId } = req.body;
+  
+  if (!participantId) {
+    throw new AppError('Participant ID is required', 400);
+  }
+  
+  const participant = await Participant.findOne({ participantId });
+  if (!participant) {
+    throw new AppError('Participant not found', 404);
+  }
+  
+  const progress = participant.taskProgress?.['physical-effort'];
+  if (!progress?.trials) {
+    throw new AppError('No physical effort task in progress', 409);
+  }
+  
+  const plan = buildPhysicalEffortPlan(progress);
+  const gapStart = new Date(progress.updatedAt).getTime();
+  const gapEnd = Date.now();
+  const recoveries = [...(progress.recoveries || []), {
+    gapStart,
+    gapEnd,
+    duration: gapEnd - gapStart,
+    trialIndex: plan.currentTrial,
+    cause: req.body.cause || 'crash-recovery'
+  }];
+  
+  await participant.updateTaskProgress('physical-effort', { recoveries });
+  
+  logger.info(`Physical effort task resumed for ${participantId}`, {
+    participantId,
+    trialIndex: plan.currentTrial
+  });
+  
+  res.json({
+    success: true,
+    physicalEffort: { ...plan, recoveries }
+  });
+}));
+
+/**
+ * GET /api/participants/:participantId/recovery
+ * Work out where an interrupted participant should resume: the phase,
+ * the active task and its saved position, plus everything captured so far
+ */
+router.get('/:participantId/recovery', requireParticipant, asyncHandler(async (req, res) => {
+  const { participantId } = req.params;
+  
+  const participant = await Participant.findOne({ participantId });
+  if (!participant) {
+    throw new AppError('Participant not found', 404);
+  }
+  
+  const completed = participant.tasksCompleted.map(task => task.taskType);
+  let resumePhase = 'neutral-capture';
+  let taskIndex = 0;
+  
+  if (completed.includes('neutral-capture') || participant.protocol?.neutralCapture === false) {
+    taskIndex = participant.taskOrder.findIndex(task => !completed.includes(task));
+    resumePhase = taskIndex === -1 ? 'completion' : 'task';
+  }
+  
+  const currentTask = resumePhase === 'task' ? participant.taskOrder[taskIndex] : null;
+  
+  let nst = null;
+  if (currentTask === 'nst') {
+    const session = await stateManager.findActiveSession(participantId);
+    nst = session ? stateManager.buildRecoveryPlan(session) : null;
+  }
+  
+  let physicalEffort = null;
+  const physicalProgress = participant.taskProgress?.['physical-effort'];
+  if (currentTask === 'physical-effort' && physicalProgress?.trials) {
+    physicalEffort = buildPhysicalEffortPlan(physicalProgress);
+  }
+  
+  const demographics = await Demographics.findOne({ participantId }).lean();
+  
+  res.json({
+    success: true,
+    participant: {
+      participantId: participant.participantId,
+      participantNumber: participant.participantNumber,
+      gender: demographics?.gender || null,
+      age: demographics?.age || null,
+      taskOrder: participant.taskOrder,
+      protocol: participant.protocol || null,
+      registrationTime: participant.registrationTime,
+      dataDirectory: participant.dataDirectory,
+      status: participant.status
+    },
+    completedTasks: completed,
+    resumePhase,
+    taskIndex: Math.max(taskIndex, 0),
+    currentTask,
+    nst,
+    physicalEffort,
+    captured: await listCapturedSoFar(participantId)
+  });
+}));
+
 /**
  * POST /api/nst-complete
  * Mark NST task as complete and save final results
  */
-router.post('/nst-complete', asyncHandler(async (req, res) => {
+router.post('/nst-complete', requireParticipant, asyncHandler(async (req, res) => {
   const { participantId, sessionData, completionTime } = req.body;
   
   if (!participantId) {
@@ -347,7 +654,7 @@ router.post('/nst-complete', asyncHandler(async (req, res) => {
  * POST /api/physical-effort-complete
  * Mark physical effort task as complete
  */
-router.post('/physical-effort-complete', asyncHandler(async (req, res) => {
+router.post('/physical-effort-complete', requireParticipant, asyncHandler(async (req, res) => {
   const { participantId, totalTrials, capturedImages, completionTime } = req.body;
   
   if (!participantId) {
@@ -359,12 +666,13 @@ router.post('/physical-effort-complete', asyncHandler(async (req, res) => {
     throw new AppError('Participant not found', 404);
   }
   
-  // Save completion metadata
+  // Save completion metadata (including any gaps left by a crash/reload)
   await saveMetadata(participantId, 'physical-effort', 'task-completion.json', {
     totalTrials,
     capturedImages,
     completionTime,
-    taskType: 'physical-effort'
+    taskType: 'physical-effort',
+    recoveries: participant.taskProgress?.['physical-effort']?.recoveries || []
   });
   
   // Mark task as completed
@@ -386,6 +694,54 @@ router.post('/physical-effort-complete', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /api/participants/export?from=&to=&status=&gender=&demographics=&progressId=
+ * Study-wide export of every matching participant: one long-format CSV per
+ * task plus a codebook. from/to filter on registration time; demographics
+ * is full (default), coarse (age bands) or none. progressId makes the
+ * progress pollable at /api/export/progress/:progressId
+ */
+router.get('/export', requireRole('researcher'), asyncHandler(async (req, res) => {
+  const { from, to, status, gender, demographics } = req.query;
+  const onProgress = exportProgress.tracker(req.query.progressId);
+  
+  const files = await buildStudyExport({ from, to, status, gender, demographics });
+  const result = await streamZip(res, {
+    filename: `study-export-${Date.now()}.zip`,
+    files,
+    onProgress
+  });
+  
+  logger.info('Study export streamed', { from, to, status, gender, demographics, ...result });
+}));
+
+/**
+ * GET /api/participants/:participantId/export?format=&demographics=&progressId=
+ * Download everything recorded for a participant as one ZIP: manifest,
+ * participant record, per-task CSV/JSON, images by task and trial, checksums.
+ * format picks the NST session data formats (default csv,json); demographics
+ * is full (default), coarse or none; progressId as for the study export
+ */
+router.get('/:participantId/export', requireRole('researcher'), asyncHandler(async (req, res) => {
+  const { participantId } = req.params;
+  const onProgress = exportProgress.tracker(req.query.progressId);
+  
+  const files = await buildParticipantBundle(participantId, {
+    format: req.query.format,
+    demographics: req.query.demographics
+  });
+  const result = await streamZip(res, {
+    filename: `participant-${participantId}.zip`,
+    files,
+    onProgress
+  });
+  
+  logger.info(`Participant bundle exported for ${participantId}`, {
+    participantId,
+    ...result
+  });
+}));
+
 /**
  * Helper function to create participant directory structure
  */
@@ -415,6 +771,142 @@ async function createParticipantDirectories(participantId) {
   );
 }
 
+/**
+ * Helper function to undo a registration that failed part-way
+ */
+async function removeFailedRegistration(participantId) {
+  await Promise.all([
+    Participant.deleteOne({ participantId }),
+    Demographics.deleteOne({ participantId })
+  ]);
+}
+
+/**
+ * Helper function to find the next physical effort trial to run
+ */
+function buildPhysicalEffortPlan(progress) {
+  const completedTrialIds = progress.completedTrialIds || [];
+  const nextTrial = progress.trials.findIndex(trial => !completedTrialIds.includes(trial.trialId));
+  
+  return {
+    trials: progress.trials,
+    currentTrial: nextTrial === -1 ? progress.trials.length : nextTrial,
+    completedTrialIds,
+    lastActivity: progress.updatedAt
+  };
+}
+
+/**
+ * Helper function to list captures already saved for a participant
+ */
+async function listCapturedSoFar(participantId) {
+  const metadataDir = path.join(process.cwd(), 'data', participantId, 'metadata');
+  let files = [];
+  try {
+    files = await fs.readdir(metadataDir);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  
+  const nst = [];
+  const physicalEffort = [];
+  for (const file of files) {
+    const nstMatch = file.match(/^capture-t(\d+)-d(\d+)\.json$/);
+    if (nstMatch) {
+      nst.push({ trialNumber: parseInt(nstMatch[1]), digitIndex: parseInt(nstMatch[2]) });
+    } else if (file.startsWith('capture-') && file.endsWith('.json')) {
+      physicalEffort.push(file.slice('capture-'.length, -'.json'.length));
+    }
+  }
+  
+  return { nst, physicalEffort };
+}
+
+/**
+ * Helper function to save an upload's clips as <task>-<camera>-<key>.webm
+ * and describe their timing. Each camera's onsetOffsetMs is where the
+ * stimulus onset falls within its clip
+ */
+async function saveClips(participantId, taskType, key, req) {
+  const timing = parseJSONField(req.body.clipTiming || '{}', 'clipTiming');
+  const clips = {
+    onset: timing.onset ?? null,
+    preMs: timing.preMs ?? null,
+    postMs: timing.postMs ?? null,
+    files: {},
+    timing: {}
+  };
+  
+  for (const camera of ['main', 'equipment']) {
+    const file = req.files?.[`${camera}Clip`]?.[0];
+    if (!file) continue;
+    if (!/^video\/webm\b/.test(file.mimetype)) {
+      throw new AppError(`${camera} clip must be video/webm`, 400);
+    }
+    
+    clips.files[camera] = await saveFile(participantId, taskType, `${taskType}-${camera}-${key}.webm`, file.buffer);
+    const { startedAt = null, endedAt = null } = timing[camera] || {};
+    clips.timing[camera] = {
+      startedAt,
+      endedAt,
+      onsetOffsetMs: startedAt !== null && clips.onset !== null ? clips.onset - startedAt : null,
+      size: file.size
+    };
+  }
+  
+  if (Object.keys(clips.files).length === 0) {
+    throw new AppError('No clip uploaded', 400);
+  }
+  
+  return clips;
+}
+
+/**
+ * Helper function to parse a JSON form field
+ */
+function parseJSONField(value, name) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new AppError(`Invalid ${name}: not valid JSON`, 400);
+  }
+}
+
+/**
+ * Helper function to parse an optional JSON object form field, such as a
+ * capture's frame timing or quality scores; null when not sent
+ */
+function parseObjectField(value, name) {
+  if (!value) return null;
+  const parsed = parseJSONField(value, name);
+  if (parsed !== null && (typeof parsed !== 'object' || Array.isArray(parsed))) {
+    throw new AppError(`Invalid ${name}: expected an object`, 400);
+  }
+  return parsed;
+}
+
+/**
+ * Helper function to read one neutral photo's quality scores from the
+ * quality_<index> field ({ main, equipment, retakes, keptDespiteFailures })
+ */
+function photoQuality(body, index, camera) {
+  const quality = parseObjectField(body[`quality_${index}`], `quality_${index}`);
+  if (!quality?.[camera]) return null;
+  return {
+    ...quality[camera],
+    retakes: quality.retakes ?? 0,
+    keptDespiteFailures: Boolean(quality.keptDespiteFailures)
+  };
+}
+
+/**
+ * Helper function to pick a photo's file extension from its upload type;
+ * camera profiles can switch photos from JPEG to PNG
+ */
+function photoExtension(file) {
+  return file.mimetype === 'image/png' ? 'png' : 'jpg';
+}
+
 /**
  * Helper function to save files
  */
@@ -0,0 +1,145 @@
+const express = require('express');
+const Protocol = require('../models/Protocol');
+const configStore = require('../services/configStore');
+const asyncHandler = require('../utils/asyncHandler');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const { validateExperimentConfig } = require('../config/experimentConfigSchema');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Fields a researcher may set on a protocol
+const PROTOCOL_FIELDS = ['title', 'description', 'neutralCapture', 'ordering', 'tasks', 'active'];
+
+/**
+ * GET /api/protocols
+ * Protocols offered at registration; logged-in researchers also see
+ * inactive ones
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  await Protocol.ensureDefault();
+
+  const query = req.session?.researcher ? {} : { active: true };
+  const protocols = await Protocol.find(query).sort({ name: 1 }).lean();
+
+  res.json({
+    success: true,
+    protocols
+  });
+}));
+
+/**
+ * GET /api/protocols/:name
+ */
+router.get('/:name', asyncHandler(async (req, res) => {
+  const protocol = await Protocol.findOne({ name: req.params.name }).lean();
+  if (!protocol) {
+    throw new AppError('Protocol not found', 404);
+  }
+
+  res.json({
+    success: true,
+    protocol
+  });
+}));
+
+/**
+ * POST /api/protocols
+ * Define a new protocol
+ */
+router.post('/', requireRole('researcher'), asyncHandler(async (req, res) => {
+  const { name } = req.body;
+  if (!name) {
+    throw new AppError('Protocol name is required', 400);
+  }
+  if (await Protocol.exists({ name: String(name).toLowerCase() })) {
+    throw new AppError(`Protocol "${name}" already exists`, 409);
+  }
+
+  const protocol = new Protocol({
+    name,
+    ...pickProtocolFields(req.body),
+    createdBy: req.session.researcher.username
+  });
+  await validateProtocol(protocol);
+  await protocol.save();
+
+  logger.info(`Protocol ${protocol.name} created by ${req.session.researcher.username}`);
+
+  res.status(201).json({
+    success: true,
+    protocol
+  });
+}));
+
+/**
+ * PUT /api/protocols/:name
+ * Update a protocol; participants already registered keep their snapshot
+ */
+router.put('/:name', requireRole('researcher'), asyncHandler(async (req, res) => {
+  const protocol = await Protocol.findOne({ name: req.params.name });
+  if (!protocol) {
+    throw new AppError('Protocol not found', 404);
+  }
+
+  protocol.set(pickProtocolFields(req.body));
+  await validateProtocol(protocol);
+  await protocol.save();
+
+  logger.info(`Protocol ${protocol.name} updated by ${req.session.researcher.username}`);
+
+  res.json({
+    success: true,
+    protocol
+  });
+}));
+
+/**
+ * Helper function to copy the editable protocol fields from a request body
+ */
+function pickProtocolFields(body) {
+  return Object.fromEntries(
+    PROTOCOL_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  );
+}
+
+/**
+ * Helper function to validate a protocol and its per-task settings;
+ * NST settings are checked as overrides of the current experiment config
+ */
+async function validateProtocol(protocol) {
+  const errors = [];
+
+  const validationError = protocol.validateSync();
+  if (validationError) {
+    Object.values(validationError.errors).forEach(error => errors.push(error.message));
+  }
+
+  const { config: currentConfig } = await configStore.getCurrent();
+  (protocol.tasks || []).forEach((task, index) => {
+    const settings = task.settings || {};
+
+    if (task.taskType === 'nst') {
+      validateExperimentConfig({ ...currentConfig, ...settings }).errors.forEach(({ path, message }) => {
+        errors.push(`tasks.${index}.settings${path === '/' ? '' : path.replace(/\//g, '.')}: ${message}`);
+      });
+    }
+
+    if (task.taskType === 'physical-effort') {
+      const { repetitions, restDuration } = settings;
+      if (repetitions !== undefined && !(Number.isInteger(repetitions) && repetitions >= 1 && repetitions <= 20)) {
+        errors.push(`tasks.${index}.settings.repetitions: must be a whole number from 1 to 20`);
+      }
+      if (restDuration !== undefined && !(Number.isInteger(restDuration) && restDuration >= 0 && restDuration <= 120)) {
+        errors.push(`tasks.${index}.settings.restDuration: must be a whole number of seconds from 0 to 120`);
+      }
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new AppError(`Invalid protocol: ${errors.join('; ')}`, 400);
+  }
+}
+
+module.exports = router;
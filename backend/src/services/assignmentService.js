@@ -0,0 +1,172 @@
+const AllocationBlock = require('../models/AllocationBlock');
+const Participant = require('../models/Participant');
+const Demographics = require('../models/Demographics');
+const AppError = require('../utils/AppError');
+const { generateSeed, createRandom } = require('../utils/seededRandom');
+const { shuffle } = require('../utils/trialSchedule');
+
+const KEY_MAPPINGS = ['standard', 'reversed'];
+
+// Each cell appears this many times per block: imbalance within a stratum
+// never exceeds this, while the next allocation stays hard to predict
+const BLOCK_REPEATS = 2;
+
+// Retries when concurrent registrations race for the end of a block
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Every ordering of a list
+ */
+const permutations = (items) => (items.length <= 1
+  ? [items]
+  : items.flatMap((item, index) =>
+    permutations([...items.slice(0, index), ...items.slice(index + 1)]).map(rest => [item, ...rest])
+  ));
+
+/**
+ * AssignmentService - stratified block randomization of task order and NST
+ * key mapping. Each protocol + gender stratum works through shuffled blocks
+ * holding every cell BLOCK_REPEATS times; blocks are stored so balance holds
+ * across restarts and concurrent registrations
+ */
+class AssignmentService {
+  /**
+   * Cells balanced for a protocol: task order x key mapping when the protocol
+   * uses 'balanced' ordering, key mapping alone otherwise
+   */
+  cellsFor(protocol) {
+    const taskOrders = protocol.ordering === 'balanced'
+      ? permutations(protocol.tasks.map(task => task.taskType))
+      : [null];
+
+    return taskOrders.flatMap(taskOrder => KEY_MAPPINGS.map(keyMapping => ({ taskOrder, keyMapping })));
+  }
+
+  /**
+   * Allocate the next cell for a new participant
+   * @param {object} protocol - Protocol document or snapshot
+   * @param {string} gender
+   * @returns {object} { stratum, blockNumber, position, taskOrder, keyMapping }
+   */
+  async allocate(protocol, gender) {
+    const stratum = `${protocol.name}:${gender}`;
+    const cells = this.cellsFor(protocol);
+    const cellsKey = JSON.stringify(cells);
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const block = await AllocationBlock.findOneAndUpdate(
+        { stratum, cellsKey, $expr: { $lt: ['$position', { $size: '$sequence' }] } },
+        { $inc: { position: 1 } },
+        { new: false }
+      ).lean();
+
+      if (block) {
+        const cell = block.cells[block.sequence[block.position]];
+        return {
+          stratum,
+          blockNumber: block.blockNumber,
+          position: block.position,
+          taskOrder: cell.taskOrder,
+          keyMapping: cell.keyMapping
+        };
+      }
+
+      await this.startBlock({ stratum, protocol: protocol.name, gender, cells, cellsKey });
+    }
+
+    throw new AppError(`Could not allocate a condition for stratum ${stratum}; please retry`, 503);
+  }
+
+  /**
+   * Replace a used-up (or outdated) block with a freshly shuffled one.
+   * The update only matches a block that still needs replacing, so when
+   * several registrations hit the end of a block just one new block starts
+   */
+  async startBlock({ stratum, protocol, gender, cells, cellsKey }) {
+    const seed = generateSeed();
+    const sequence = shuffle(
+      Array.from({ length: cells.length * BLOCK_REPEATS }, (_, index) => index % cells.length),
+      createRandom(seed)
+    );
+    const block = { cells, cellsKey, seed, sequence, position: 0 };
+
+    const existing = await AllocationBlock.findOne({ stratum }, { blockNumber: 1 }).lean();
+    if (!existing) {
+      try {
+        await AllocationBlock.create({ stratum, protocol, gender, blockNumber: 1, ...block });
+      } catch (error) {
+        // Another registration created the stratum first
+        if (error.code !== 11000) throw error;
+      }
+      return;
+    }
+
+    await AllocationBlock.updateOne(
+      {
+        stratum,
+        blockNumber: existing.blockNumber,
+        $or: [
+          { cellsKey: { $ne: cellsKey } },
+          { $expr: { $gte: ['$position', { $size: '$sequence' }] } }
+        ]
+      },
+      { $set: block, $inc: { blockNumber: 1 } }
+    );
+  }
+
+  /**
+   * Allocation report: each stratum's block state and how many participants
+   * are in each cell. Participants do not store their stratum, so it is
+   * rebuilt from the protocol and the linked demographics
+   */
+  async getReport() {
+    const blocks = await AllocationBlock.find().sort({ stratum: 1 }).lean();
+    const counts = await Participant.aggregate([
+      { $match: { 'allocation.keyMapping': { $exists: true } } },
+      {
+        $lookup: {
+          from: Demographics.collection.name,
+          localField: 'participantId',
+          foreignField: 'participantId',
+          as: 'demographics'
+        }
+      },
+      { $unwind: '$demographics' },
+      {
+        $group: {
+          _id: {
+            stratum: { $concat: [{ $ifNull: ['$protocol.name', 'standard'] }, ':', '$demographics.gender'] },
+            taskOrder: '$taskOrder',
+            keyMapping: '$allocation.keyMapping'
+          },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    return blocks.map(block => {
+      const cellCounts = block.cells.map(cell => ({
+        taskOrder: cell.taskOrder,
+        keyMapping: cell.keyMapping,
+        count: counts
+          .filter(({ _id }) => _id.stratum === block.stratum &&
+            _id.keyMapping === cell.keyMapping &&
+            (cell.taskOrder === null || JSON.stringify(_id.taskOrder) === JSON.stringify(cell.taskOrder)))
+          .reduce((sum, { count }) => sum + count, 0)
+      }));
+
+      return {
+        stratum: block.stratum,
+        protocol: block.protocol,
+        gender: block.gender,
+        blockNumber: block.blockNumber,
+        blockSize: block.sequence.length,
+        allocatedInBlock: Math.min(block.position, block.sequence.length),
+        total: cellCounts.reduce((sum, { count }) => sum + count, 0),
+        cells: cellCounts
+      };
+    });
+  }
+}
+
+module.exports = new AssignmentService();
@@ -0,0 +1,108 @@
+const ExperimentConfig = require('../models/ExperimentConfig');
+const AppError = require('../utils/AppError');
+const defaults = require('../experimentConfig');
+const { validateExperimentConfig } = require('../config/experimentConfigSchema');
+
+/**
+ * ConfigStore - versioned NST configuration kept in MongoDB
+ * The highest version is the current one. experimentConfig.js only seeds
+ * version 1 when the collection is empty
+ */
+class ConfigStore {
+  constructor() {
+    this.current = null;
+  }
+
+  /**
+   * Current configuration as { version, config, createdBy, note, createdAt }
+   */
+  async getCurrent() {
+    if (this.current) return this.current;
+
+    let doc = await ExperimentConfig.findOne().sort({ version: -1 }).lean();
+    if (!doc) {
+      doc = await this.seedDefaults();
+    }
+
+    this.current = this.toVersion(doc);
+    return this.current;
+  }
+
+  /**
+   * Store experimentConfig.js as version 1
+   */
+  async seedDefaults() {
+    try {
+      const doc = await ExperimentConfig.create({
+        version: 1,
+        config: JSON.parse(JSON.stringify(defaults)),
+        createdBy: 'defaults',
+        note: 'Seeded from experimentConfig.js'
+      });
+      return doc.toObject();
+    } catch (error) {
+      // Another request seeded it first
+      if (error.code === 11000) {
+        return ExperimentConfig.findOne({ version: 1 }).lean();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a complete configuration and save it as the next version
+   * @throws {AppError} 400 with `errors` ([{ path, message }]) when invalid
+   */
+  async saveVersion(config, { createdBy, note } = {}) {
+    const { valid, errors } = validateExperimentConfig(config);
+    if (!valid) {
+      const error = new AppError('Invalid experiment configuration', 400);
+      error.errors = errors;
+      throw error;
+    }
+
+    const { version: currentVersion } = await this.getCurrent();
+    try {
+      const doc = await ExperimentConfig.create({
+        version: currentVersion + 1,
+        config,
+        createdBy,
+        note
+      });
+      this.current = this.toVersion(doc.toObject());
+      return this.current;
+    } catch (error) {
+      if (error.code === 11000) {
+        this.current = null;
+        throw new AppError(`Config version ${currentVersion + 1} was saved by someone else; reload and retry`, 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * All saved versions, newest first, without their config bodies
+   */
+  async listVersions() {
+    await this.getCurrent();
+    const docs = await ExperimentConfig.find({}, { config: 0 }).sort({ version: -1 }).lean();
+    return docs.map(doc => this.toVersion(doc));
+  }
+
+  async getVersion(version) {
+    const doc = await ExperimentConfig.findOne({ version: Number(version) }).lean();
+    return doc ? this.toVersion(doc) : null;
+  }
+
+  toVersion(doc) {
+    return {
+      version: doc.version,
+      config: doc.config,
+      createdBy: doc.createdBy,
+      note: doc.note,
+      createdAt: doc.createdAt
+    };
+  }
+}
+
+module.exports = new ConfigStore();
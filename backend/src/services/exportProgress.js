@@ -0,0 +1,58 @@
+const AppError = require('../utils/AppError');
+
+// A finished export stays readable this long, so the last poll sees how it ended
+const RETAIN_MS = 5 * 60 * 1000;
+
+// Progress IDs are chosen by the client (a UUID in practice)
+const PROGRESS_ID_PATTERN = /^[\w-]{8,100}$/;
+
+/**
+ * ExportProgress - progress of streamed ZIP exports, kept in memory under an
+ * ID the client sends with the export request (`?progressId=`). The client
+ * polls GET /api/export/progress/:progressId for how many of the archive's
+ * files have been written while the download runs
+ */
+class ExportProgress {
+  constructor() {
+    this.exports = new Map();
+  }
+
+  /**
+   * streamZip onProgress callback that records progress under an ID;
+   * undefined when the request did not ask for progress
+   * @throws {AppError} 400 for a malformed ID
+   */
+  tracker(progressId) {
+    if (progressId === undefined) return undefined;
+    if (!PROGRESS_ID_PATTERN.test(progressId)) {
+      throw new AppError('Invalid progressId', 400);
+    }
+
+    this.prune();
+    return (progress) => {
+      this.exports.set(progressId, { ...progress, updatedAt: Date.now() });
+    };
+  }
+
+  /**
+   * Latest progress for an ID: { filename, processed, total, bytes, status },
+   * status being running, complete or failed; null when unknown
+   */
+  get(progressId) {
+    return this.exports.get(progressId) || null;
+  }
+
+  /**
+   * Drop finished exports older than RETAIN_MS
+   */
+  prune() {
+    const cutoff = Date.now() - RETAIN_MS;
+    for (const [progressId, progress] of this.exports) {
+      if (progress.status !== 'running' && progress.updatedAt < cutoff) {
+        this.exports.delete(progressId);
+      }
+    }
+  }
+}
+
+module.exports = new ExportProgress();
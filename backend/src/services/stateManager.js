@@ -1,57 +1,120 @@
-const VALID_STATES = ['INIT', 'RUNNING', 'TRIAL_START', 'AWAIT_RESPONSE', 'COMPLETE', 'ABORTED'];
+const ExperimentSession = require('../models/ExperimentSession');
+const Response = require('../models/Response');
+const StateTransitionError = require('../utils/StateTransitionError');
+
+const VALID_STATES = ['INIT', 'RUNNING', 'TRIAL_START', 'AWAIT_RESPONSE', 'PAUSED', 'COMPLETE', 'ABORTED'];
 const VALID_TRANSITIONS = {
-  'INIT': ['RUNNING'],
-  'RUNNING': ['TRIAL_START', 'ABORTED'],
-  'TRIAL_START': ['AWAIT_RESPONSE'],
-  'AWAIT_RESPONSE': ['TRIAL_START', 'COMPLETE'],
+  'INIT': ['RUNNING', 'ABORTED'],
+  'RUNNING': ['TRIAL_START', 'PAUSED', 'ABORTED'],
+  'TRIAL_START': ['AWAIT_RESPONSE', 'PAUSED', 'ABORTED'],
+  'AWAIT_RESPONSE': ['TRIAL_START', 'COMPLETE', 'PAUSED', 'ABORTED'],
+  // Resuming returns to whichever active state the session was paused from
+  'PAUSED': ['RUNNING', 'TRIAL_START', 'AWAIT_RESPONSE', 'ABORTED'],
   'COMPLETE': [],
   'ABORTED': []
 };
 
+/**
+ * StateManager - MongoDB-backed store for NST sessions
+ * Sessions, captures and transitions live on ExperimentSession documents,
+ * responses live on one Response document per trial
+ */
 class StateManager {
-  constructor() {
-    this.sessions = new Map();
-    this.captures = new Map();
-    this.stateTransitions = new Map();
+  isValidTransition(fromState, toState) {
+    return VALID_STATES.includes(toState) && VALID_TRANSITIONS[fromState]?.includes(toState);
   }
 
-  isValidTransition(fromState, toState) {
-    return VALID_TRANSITIONS[fromState]?.includes(toState);
+  getAllowedTransitions(fromState) {
+    return VALID_TRANSITIONS[fromState] || [];
   }
 
-  createSession(sessionId, experimentConfig) {
-    const session = {
-      experimentConfig,
-      startTime: Date.now(),
-      lastActivity: Date.now(),
+  async createSession(sessionId, experimentConfig) {
+    const doc = await ExperimentSession.create({
+      experimentId: sessionId,
+      participantId: experimentConfig.participantId,
+      type: experimentConfig.type,
+      seed: experimentConfig.seed,
+      trials: experimentConfig.trials,
+      schedule: experimentConfig.schedule,
+      keyMapping: experimentConfig.keyMapping,
+      config: experimentConfig.config,
+      configVersion: experimentConfig.configVersion,
+      cameraProfile: experimentConfig.cameraProfile || null,
       state: {
         currentTrial: 0,
         digitIndex: 0,
-        trials: experimentConfig.trials,
-        responses: [],
         status: 'INIT'
-      }
-    };
+      },
+      captures: [],
+      stateTransitions: [{
+        from: null,
+        to: 'INIT',
+        cause: 'session-created',
+        timestamp: Date.now()
+      }]
+    });
 
-    this.sessions.set(sessionId, session);
-    this.stateTransitions.set(sessionId, []);
-    return session;
+    return this.toSession(doc.toObject(), []);
   }
 
-  getSessionState(sessionId) {
-    const session = this.sessions.get(sessionId);
-    if (!session) return null;
-    session.lastActivity = Date.now();
-    return session;
+  /**
+   * Load a session. Reads have no side effects: lastActivity only moves on
+   * participant activity (state changes, responses, captures), so recovery
+   * can measure the gap since the last real activity
+   */
+  async getSessionState(sessionId) {
+    const doc = await ExperimentSession.findOne({ experimentId: sessionId }).lean();
+    if (!doc) return null;
+
+    const responses = await Response.find({ sessionId }).sort({ trialNumber: 1 }).lean();
+    return this.toSession(doc, responses);
+  }
+
+  /**
+   * Rebuild the in-memory session shape the controllers work with
+   * from the persisted session and its per-trial response documents
+   */
+  toSession(doc, responseDocs) {
+    const responses = responseDocs.flatMap(trialDoc =>
+      (trialDoc.responses || []).map(response => ({
+        ...response,
+        trialNumber: trialDoc.trialNumber
+      }))
+    );
+    const responsesByPosition = {};
+    for (const response of responses) {
+      responsesByPosition[response.positionKey] = response;
+    }
+
+    return {
+      experimentId: doc.experimentId,
+      participantId: doc.participantId,
+      type: doc.type,
+      experimentConfig: doc.config,
+      configVersion: doc.configVersion ?? null,
+      cameraProfile: doc.cameraProfile || null,
+      seed: doc.seed,
+      schedule: doc.schedule,
+      keyMapping: doc.keyMapping,
+      startTime: doc.startTime,
+      lastActivity: doc.lastActivity,
+      captureCount: doc.captureStats?.total || 0,
+      state: {
+        ...doc.state,
+        trials: doc.trials || [],
+        responses,
+        responsesByPosition
+      }
+    };
   }
 
-  getFullStateVector(sessionId) {
-    const session = this.sessions.get(sessionId);
+  async getFullStateVector(sessionId) {
+    const session = await this.getSessionState(sessionId);
     if (!session) return null;
-    
+
     return {
       experimentState: session.state,
-      captureState: this.captures.get(sessionId),
+      captureState: await this.getSessionCaptures(sessionId),
       responseState: session.state.responses,
       lastUpdate: Date.now(),
       metadata: {
@@ -60,42 +123,296 @@ class StateManager {
       }
     };
   }
-  updateSessionState(sessionId, updates) {
-    const session = this.sessions.get(sessionId);
-    if (!session) return null;
+
+  /**
+   * Merge updates into the session state. A change of `status` must follow
+   * VALID_TRANSITIONS and is appended to the transition log with its cause.
+   * @param {string} sessionId
+   * @param {object} updates - State fields to merge
+   * @param {string} cause - Why the status is changing (recorded in the log)
+   * @throws {StateTransitionError} When the status change is not allowed
+   */
+  async updateSessionState(sessionId, updates, cause = 'unspecified') {
+    const doc = await ExperimentSession.findOne({ experimentId: sessionId }).lean();
+    if (!doc) return null;
+
+    const state = { ...doc.state };
+    const fromStatus = state.status;
+    const statusChanging = updates.status !== undefined && updates.status !== fromStatus;
+
+    if (statusChanging && !this.isValidTransition(fromStatus, updates.status)) {
+      throw new StateTransitionError(fromStatus, updates.status, this.getAllowedTransitions(fromStatus));
+    }
 
     // Handle trial progression
     if (updates.phase === 'trial-start') {
-      const currentTrial = session.state.trials[session.state.currentTrial];
-      
+      const currentTrial = doc.trials[state.currentTrial];
+
       if (currentTrial?.number) {
         const sequenceLength = currentTrial.number.length;
-        // Complete only after the last digit of trial 14
-        if (session.state.currentTrial === session.state.trials.length - 1 && 
-            session.state.digitIndex >= sequenceLength - 1) {
+        // Complete only after the last digit of the final trial
+        if (state.currentTrial === doc.trials.length - 1 &&
+            state.digitIndex >= sequenceLength - 1) {
           return this.completeTrialSequence(sessionId);
         }
-        
-        if (session.state.digitIndex >= sequenceLength - 1) {
-          session.state.currentTrial++;
-          session.state.digitIndex = 0;
+
+        if (state.digitIndex >= sequenceLength - 1) {
+          state.currentTrial++;
+          state.digitIndex = 0;
         } else {
-          session.state.digitIndex++;
+          state.digitIndex++;
         }
       }
     }
 
-    session.state = {
-      ...session.state,
+    const nextState = {
+      ...state,
       ...updates,
       lastActivity: Date.now()
     };
-    
-    return session;
+
+    const update = { $set: { state: nextState, lastActivity: new Date() } };
+    if (statusChanging) {
+      update.$push = {
+        stateTransitions: {
+          from: fromStatus,
+          to: updates.status,
+          cause,
+          timestamp: Date.now(),
+          trialNumber: state.currentTrial,
+          digitIndex: state.digitIndex
+        }
+      };
+    }
+
+    // Guard on the status we validated against so concurrent transitions cannot interleave
+    const result = await ExperimentSession.updateOne(
+      { experimentId: sessionId, 'state.status': fromStatus },
+      update
+    );
+    if (result.matchedCount === 0) {
+      return this.updateSessionState(sessionId, updates, cause);
+    }
+
+    return this.getSessionState(sessionId);
+  }
+
+  /**
+   * Move a session to a new status, passing through TRIAL_START when the
+   * target is only reachable from there (e.g. RUNNING -> AWAIT_RESPONSE)
+   */
+  async transitionTo(sessionId, toState, cause) {
+    const session = await this.getSessionState(sessionId);
+    if (!session) return null;
+
+    const fromState = session.state.status;
+    if (fromState === toState) return session;
+
+    if (!this.isValidTransition(fromState, toState) &&
+        this.isValidTransition(fromState, 'TRIAL_START') &&
+        this.isValidTransition('TRIAL_START', toState)) {
+      await this.updateSessionState(sessionId, { status: 'TRIAL_START' }, cause);
+    }
+
+    return this.updateSessionState(sessionId, { status: toState }, cause);
+  }
+
+  /**
+   * Pause an active session; the time spent paused is excluded from
+   * response-time and session-duration metrics
+   * @throws {StateTransitionError} When the session is not in an active state
+   */
+  async pauseSession(sessionId, cause = 'pause-requested') {
+    const session = await this.getSessionState(sessionId);
+    if (!session) return null;
+
+    const fromStatus = session.state.status;
+    if (!this.isValidTransition(fromStatus, 'PAUSED')) {
+      throw new StateTransitionError(fromStatus, 'PAUSED', this.getAllowedTransitions(fromStatus));
+    }
+
+    return this.updateSessionState(sessionId, {
+      status: 'PAUSED',
+      pausedFrom: fromStatus,
+      pausedAt: Date.now()
+    }, cause);
+  }
+
+  /**
+   * Resume a paused session into the state it was paused from and
+   * append the completed pause to the session's pause log
+   * @throws {StateTransitionError} When the session is not paused
+   */
+  async resumeSession(sessionId, cause = 'resume-requested') {
+    const session = await this.getSessionState(sessionId);
+    if (!session) return null;
+
+    const { state } = session;
+    if (state.status !== 'PAUSED') {
+      throw new StateTransitionError(state.status, 'RESUME', this.getAllowedTransitions(state.status));
+    }
+
+    const resumedAt = Date.now();
+    const pause = {
+      start: state.pausedAt,
+      end: resumedAt,
+      duration: resumedAt - state.pausedAt,
+      trialNumber: state.currentTrial,
+      digitIndex: state.digitIndex,
+      cause
+    };
+    const pauses = [...(state.pauses || []), pause];
+
+    return this.updateSessionState(sessionId, {
+      status: state.pausedFrom || 'RUNNING',
+      pausedFrom: null,
+      pausedAt: null,
+      pauses,
+      totalPausedMs: (state.totalPausedMs || 0) + pause.duration
+    }, cause);
+  }
+
+  /**
+   * Milliseconds a session spent paused between two timestamps,
+   * including a pause that is still in progress
+   * @param {object} state - Session state holding pauses / pausedAt
+   * @param {number} from - Window start (ms epoch)
+   * @param {number} to - Window end (ms epoch)
+   */
+  getPausedDuration(state, from, to = Date.now()) {
+    const pauses = [...(state.pauses || [])];
+    if (state.status === 'PAUSED' && state.pausedAt) {
+      pauses.push({ start: state.pausedAt, end: Date.now() });
+    }
+
+    return pauses.reduce((total, pause) => {
+      const overlap = Math.min(pause.end, to) - Math.max(pause.start, from);
+      return total + Math.max(0, overlap);
+    }, 0);
+  }
+
+  /**
+   * Position of the next digit to present, derived from the furthest
+   * response recorded so far
+   * @returns {object} trialNumber, digitIndex (trialNumber === trials.length when done)
+   */
+  getNextPosition(session) {
+    const { trials, responses } = session.state;
+    const last = responses.reduce((furthest, response) => {
+      if (!furthest) return response;
+      if (response.trialNumber > furthest.trialNumber) return response;
+      if (response.trialNumber === furthest.trialNumber && response.position > furthest.position) {
+        return response;
+      }
+      return furthest;
+    }, null);
+
+    if (!last) return { trialNumber: 0, digitIndex: 0 };
+
+    const sequenceLength = trials[last.trialNumber]?.number?.length || 0;
+    if (last.position + 1 < sequenceLength) {
+      return { trialNumber: last.trialNumber, digitIndex: last.position + 1 };
+    }
+    return { trialNumber: last.trialNumber + 1, digitIndex: 0 };
+  }
+
+  /**
+   * Persist the presentation position so a reload can resume from it
+   */
+  async syncPosition(sessionId) {
+    const session = await this.getSessionState(sessionId);
+    if (!session) return null;
+
+    const next = this.getNextPosition(session);
+    return this.updateSessionState(sessionId, {
+      currentTrial: next.trialNumber,
+      digitIndex: next.digitIndex
+    });
+  }
+
+  /**
+   * Participant an NST session belongs to, or null for an unknown session
+   */
+  async getSessionOwner(sessionId) {
+    const doc = await ExperimentSession.findOne(
+      { experimentId: sessionId },
+      { participantId: 1 }
+    ).lean();
+    return doc ? doc.participantId || null : null;
+  }
+
+  /**
+   * Most recent session for a participant that has not completed or aborted
+   */
+  async findActiveSession(participantId) {
+    const doc = await ExperimentSession.findOne(
+      { participantId, 'state.status': { $nin: ['COMPLETE', 'ABORTED'] } },
+      { experimentId: 1 }
+    ).sort({ startTime: -1 }).lean();
+
+    return doc ? this.getSessionState(doc.experimentId) : null;
   }
 
-  completeTrialSequence(sessionId) {
-    const session = this.sessions.get(sessionId);
+  /**
+   * Everything the frontend needs to put a participant back at the
+   * exact digit they were on when the page went away
+   */
+  buildRecoveryPlan(session) {
+    const next = this.getNextPosition(session);
+    const { trials } = session.state;
+
+    return {
+      sessionId: session.experimentId,
+      participantId: session.participantId,
+      status: session.state.status,
+      trialIndex: next.trialNumber,
+      digitIndex: next.digitIndex,
+      isComplete: next.trialNumber >= trials.length,
+      keyMapping: session.keyMapping,
+      configVersion: session.configVersion,
+      captureConfig: session.experimentConfig?.captureConfig,
+      timing: session.experimentConfig?.timing,
+      trials,
+      responsesRecorded: session.state.responses.length,
+      capturesRecorded: session.captureCount,
+      lastActivity: session.lastActivity,
+      recoveries: session.state.recoveries || []
+    };
+  }
+
+  /**
+   * Record the gap between the last activity before a crash/reload and
+   * the moment the session was picked up again
+   */
+  async markRecovery(sessionId, cause = 'crash-recovery') {
+    const session = await this.getSessionState(sessionId);
+    if (!session) return null;
+
+    const gapStart = new Date(session.lastActivity).getTime();
+    const gapEnd = Date.now();
+    const next = this.getNextPosition(session);
+    const recoveries = [...(session.state.recoveries || []), {
+      gapStart,
+      gapEnd,
+      duration: gapEnd - gapStart,
+      trialNumber: next.trialNumber,
+      digitIndex: next.digitIndex,
+      responsesBeforeGap: session.state.responses.length,
+      cause
+    }];
+
+    return this.updateSessionState(sessionId, {
+      recoveries,
+      currentTrial: next.trialNumber,
+      digitIndex: next.digitIndex
+    });
+  }
+
+  /**
+   * Persist the COMPLETE transition after the last digit of the final trial
+   */
+  async completeTrialSequence(sessionId) {
+    const session = await this.transitionTo(sessionId, 'COMPLETE', 'trial-sequence-complete');
     return {
       status: 'COMPLETE',
       finalState: session.state,
@@ -105,37 +422,75 @@ class StateManager {
         trialsCompleted: session.state.currentTrial
       }
     };
-  }  
-  recordResponse(sessionId, responseData) {
-    const session = this.sessions.get(sessionId);
-    if (!session) return null;
+  }
 
-    // Store response in position-keyed object
-    if (!session.state.responsesByPosition) {
-      session.state.responsesByPosition = {};
-    }
+  async recordResponse(sessionId, responseData) {
+    const doc = await ExperimentSession.findOne(
+      { experimentId: sessionId },
+      { trials: 1 }
+    ).lean();
+    if (!doc) return null;
 
+    const trialNumber = Number(responseData.trialNumber);
+    const trial = doc.trials[trialNumber];
     const positionKey = responseData.positionKey;
-    if (!session.state.responsesByPosition[positionKey]) {
-      session.state.responsesByPosition[positionKey] = responseData;
-      session.state.responses.push(responseData);
-    }
 
+    // Store each position once; a repeat submission for the same position is ignored
+    try {
+      await Response.updateOne(
+        { sessionId, trialNumber, 'responses.positionKey': { $ne: positionKey } },
+        {
+          $setOnInsert: {
+            sequence: trial?.number || '',
+            effortLevel: trial?.effortLevel
+          },
+          $push: { responses: { ...responseData, positionKey } }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Upsert collided with the existing trial document: position already recorded
+      if (error.code !== 11000) throw error;
+    }
+    await ExperimentSession.updateOne({ experimentId: sessionId }, { $set: { lastActivity: new Date() } });
 
+    const session = await this.getSessionState(sessionId);
     return session.state;
   }
 
-  getSessionResponses(sessionId) {
-    const session = this.sessions.get(sessionId);
+  /**
+   * Store per-trial performance metrics on the trial's Response document
+   * @param {Array} trialMetrics - [{ trialNumber, accuracy, meanRT, switchCost }]
+   */
+  async updatePerformanceMetrics(sessionId, trialMetrics) {
+    await Promise.all(trialMetrics.map(({ trialNumber, accuracy, meanRT, switchCost }) =>
+      Response.updateOne(
+        { sessionId, trialNumber },
+        {
+          $set: {
+            performanceMetrics: {
+              accuracy,
+              averageResponseTime: meanRT,
+              switchCosts: switchCost === null ? [] : [switchCost]
+            }
+          }
+        }
+      )
+    ));
+  }
+
+  async getSessionResponses(sessionId) {
+    const session = await this.getSessionState(sessionId);
     if (!session) return null;
-    
+
     return {
-      byPosition: session.state.responsesByPosition || {},
-      ordered: session.state.responses || [],
-      total: session.state.responses?.length || 0
+      byPosition: session.state.responsesByPosition,
+      ordered: session.state.responses,
+      total: session.state.responses.length
     };
-  }  async addCapture(sessionId, captureData) {
-    const captures = this.captures.get(sessionId) || [];
+  }
+
+  async addCapture(sessionId, captureData) {
     const newCapture = {
       timestamp: captureData.metadata?.timestamp || captureData.timestamp,
       filename: captureData.filename,
@@ -146,27 +501,74 @@ class StateManager {
       trialNumber: captureData.metadata?.trialNumber || captureData.trialNumber,
       digitIndex: captureData.metadata?.digitIndex || captureData.digitIndex
     };
-    
-    captures.push(newCapture);
-    this.captures.set(sessionId, captures);
+
+    await ExperimentSession.updateOne(
+      { experimentId: sessionId },
+      {
+        $push: { captures: newCapture },
+        $set: { lastActivity: new Date() },
+        $inc: { 'captureStats.total': 1, 'captureStats.successful': 1 }
+      }
+    );
 
     return newCapture;
   }
 
-  getSessionCaptures(sessionId) {
-    return this.captures.get(sessionId) || [];
+  async getSessionCaptures(sessionId) {
+    const doc = await ExperimentSession.findOne(
+      { experimentId: sessionId },
+      { captures: 1 }
+    ).lean();
+    return doc?.captures || [];
   }
 
-  getStateTransitions(sessionId) {
-    return this.stateTransitions.get(sessionId) || [];
+  async getStateTransitions(sessionId) {
+    const doc = await ExperimentSession.findOne(
+      { experimentId: sessionId },
+      { stateTransitions: 1 }
+    ).lean();
+    return doc?.stateTransitions || [];
   }
 
-  endSession(sessionId) {
-    this.sessions.delete(sessionId);
-    this.captures.delete(sessionId);
-    this.stateTransitions.delete(sessionId);
-    return true;
+  /**
+   * Query past sessions, most recent first
+   * @param {object} filter - Optional participantId and status filters
+   */
+  async listSessions(filter = {}) {
+    const query = {};
+    if (filter.participantId) query.participantId = filter.participantId;
+    if (filter.status) query['state.status'] = filter.status;
+
+    const docs = await ExperimentSession.find(query, {
+      experimentId: 1,
+      participantId: 1,
+      type: 1,
+      configVersion: 1,
+      'cameraProfile.name': 1,
+      state: 1,
+      startTime: 1,
+      lastActivity: 1,
+      trials: 1,
+      captureStats: 1
+    })
+      .sort({ startTime: -1 })
+      .limit(filter.limit || 100)
+      .lean();
+
+    return docs.map(doc => ({
+      experimentId: doc.experimentId,
+      participantId: doc.participantId,
+      type: doc.type,
+      configVersion: doc.configVersion ?? null,
+      cameraProfile: doc.cameraProfile?.name ?? null,
+      status: doc.state?.status,
+      currentTrial: doc.state?.currentTrial,
+      totalTrials: doc.trials?.length || 0,
+      captureCount: doc.captureStats?.total || 0,
+      startTime: doc.startTime,
+      lastActivity: doc.lastActivity
+    }));
   }
 }
 
-module.exports = new StateManager();
\ No newline at end of file
+module.exports = new StateManager();
@@ -0,0 +1,86 @@
+jest.mock('../models/AllocationBlock', () => require('./helpers/memoryModel').createMemoryModel({
+  uniqueKeys: ['stratum']
+}));
+jest.mock('../models/Participant', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../models/Demographics', () => require('./helpers/memoryModel').createMemoryModel());
+
+const AllocationBlock = require('../models/AllocationBlock');
+const assignmentService = require('../services/assignmentService');
+
+const protocol = {
+  name: 'standard',
+  ordering: 'balanced',
+  tasks: [{ taskType: 'nst' }, { taskType: 'physical-effort' }]
+};
+
+const cellOf = ({ taskOrder, keyMapping }) => `${(taskOrder || []).join('>')}|${keyMapping}`;
+
+const tally = (allocations) => allocations.reduce((counts, allocation) => {
+  const cell = cellOf(allocation);
+  return { ...counts, [cell]: (counts[cell] || 0) + 1 };
+}, {});
+
+const allocateMany = async (count, gender, forProtocol = protocol) => {
+  const allocations = [];
+  for (let i = 0; i < count; i++) {
+    allocations.push(await assignmentService.allocate(forProtocol, gender));
+  }
+  return allocations;
+};
+
+describe('assignmentService', () => {
+  beforeEach(() => {
+    AllocationBlock.reset();
+  });
+
+  test('balanced protocols cross every task order with both key mappings', () => {
+    expect(assignmentService.cellsFor(protocol).map(cellOf)).toEqual([
+      'nst>physical-effort|standard',
+      'nst>physical-effort|reversed',
+      'physical-effort>nst|standard',
+      'physical-effort>nst|reversed'
+    ]);
+    expect(assignmentService.cellsFor({ ...protocol, ordering: 'fixed' }).map(cellOf)).toEqual(['|standard', '|reversed']);
+  });
+
+  test('every cell is used twice per block', async () => {
+    const allocations = await allocateMany(8, 'F');
+
+    expect(Object.values(tally(allocations))).toEqual([2, 2, 2, 2]);
+    expect(allocations.map(({ position }) => position)).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+    expect(new Set(allocations.map(({ blockNumber }) => blockNumber))).toEqual(new Set([1]));
+  });
+
+  test('a used-up block is replaced by a new one', async () => {
+    const allocations = await allocateMany(12, 'F');
+
+    expect(allocations[8]).toMatchObject({ blockNumber: 2, position: 0 });
+    // Imbalance never exceeds the two repeats per block
+    const counts = Object.values(tally(allocations));
+    expect(Math.max(...counts) - Math.min(...counts)).toBeLessThanOrEqual(2);
+  });
+
+  test('each gender stratum is balanced on its own', async () => {
+    const women = await allocateMany(8, 'F');
+    const men = await allocateMany(8, 'M');
+
+    expect(Object.values(tally(women))).toEqual([2, 2, 2, 2]);
+    expect(Object.values(tally(men))).toEqual([2, 2, 2, 2]);
+    expect(men[0]).toMatchObject({ stratum: 'standard:M', blockNumber: 1, position: 0 });
+  });
+
+  test('concurrent registrations never share a position', async () => {
+    const allocations = await Promise.all(Array.from({ length: 8 }, () => assignmentService.allocate(protocol, 'O')));
+
+    expect(allocations.map(({ position }) => position).sort((a, b) => a - b)).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+    expect(Object.values(tally(allocations))).toEqual([2, 2, 2, 2]);
+  });
+
+  test('editing the protocol\'s tasks starts a fresh block', async () => {
+    await allocateMany(3, 'F');
+    const [allocation] = await allocateMany(1, 'F', { ...protocol, tasks: [{ taskType: 'nst' }] });
+
+    expect(allocation).toMatchObject({ blockNumber: 2, position: 0 });
+    expect(allocation.taskOrder).toEqual(['nst']);
+  });
+});
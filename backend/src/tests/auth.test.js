@@ -0,0 +1,118 @@
+jest.mock('../models/ExperimentSession', () => require('./helpers/memoryModel').createMemoryModel({
+  defaults: () => ({ startTime: new Date(), lastActivity: new Date() })
+}));
+jest.mock('../models/Response', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../models/Participant', () => ({ verifyUploadToken: jest.fn() }));
+
+const ExperimentSession = require('../models/ExperimentSession');
+const Participant = require('../models/Participant');
+const stateManager = require('../services/stateManager');
+const {
+  requireRole,
+  requireParticipant,
+  requireUploadAccess,
+  requireUploadOwner,
+  setActiveParticipant
+} = require('../middleware/auth');
+
+/**
+ * Run a middleware and resolve with the error (or undefined) it passed to next
+ */
+const run = (middleware, req) => new Promise(resolve => {
+  middleware(Object.assign(req, { params: {}, body: {}, query: {}, get: () => undefined, ...req }), {}, resolve);
+});
+
+const researcher = (role) => ({ session: { researcher: { id: 'r1', username: 'alice', role } } });
+
+describe('requireRole', () => {
+  test('needs a researcher login', async () => {
+    expect(await run(requireRole('researcher'), { session: {} })).toMatchObject({ statusCode: 401 });
+  });
+
+  test('admits researchers and admins to researcher routes', async () => {
+    expect(await run(requireRole('researcher'), researcher('researcher'))).toBeUndefined();
+    expect(await run(requireRole('researcher'), researcher('admin'))).toBeUndefined();
+  });
+
+  test('keeps researchers out of admin routes', async () => {
+    expect(await run(requireRole('admin'), researcher('researcher'))).toMatchObject({ statusCode: 403 });
+  });
+});
+
+describe('requireParticipant', () => {
+  beforeEach(async () => {
+    ExperimentSession.reset();
+    await stateManager.createSession('session-a', { participantId: 'p-a', type: 'nst', trials: [] });
+    await stateManager.createSession('session-b', { participantId: 'p-b', type: 'nst', trials: [] });
+  });
+
+  const participantSession = () => {
+    const req = { session: {} };
+    setActiveParticipant(req, 'p-a');
+    return req.session;
+  };
+
+  test('needs a registered participant in the browser session', async () => {
+    expect(await run(requireParticipant, { session: {} })).toMatchObject({ statusCode: 401 });
+  });
+
+  test('admits requests about the active participant and their sessions', async () => {
+    const session = participantSession();
+    expect(await run(requireParticipant, { session, body: { participantId: 'p-a', experimentId: 'session-a' } })).toBeUndefined();
+    expect(session.experimentIds).toEqual(['session-a']);
+  });
+
+  test('rejects another participant and their sessions', async () => {
+    expect(await run(requireParticipant, { session: participantSession(), params: { participantId: 'p-b' } }))
+      .toMatchObject({ statusCode: 403 });
+    expect(await run(requireParticipant, { session: participantSession(), query: { experimentId: 'session-b' } }))
+      .toMatchObject({ statusCode: 403 });
+  });
+
+  test('lets researchers through', async () => {
+    expect(await run(requireParticipant, { ...researcher('researcher'), params: { participantId: 'p-b' } })).toBeUndefined();
+  });
+});
+
+describe('upload guards', () => {
+  const headersGetter = (headers) => (name) => headers[name];
+  const withToken = (token, participantId = 'p-a') => ({
+    session: {},
+    get: headersGetter({ 'Upload-Token': token, 'Upload-Participant': participantId })
+  });
+
+  beforeEach(async () => {
+    ExperimentSession.reset();
+    Participant.verifyUploadToken.mockImplementation(async (participantId, token) =>
+      participantId === 'p-a' && token === 'token-a');
+    await stateManager.createSession('session-b', { participantId: 'p-b', type: 'nst', trials: [] });
+  });
+
+  test('admit an upload carrying the participant\'s token without a browser session', async () => {
+    const req = withToken('token-a');
+    expect(await run(requireUploadAccess, req)).toBeUndefined();
+    expect(req.uploadParticipantId).toBe('p-a');
+  });
+
+  test('reject a wrong token before the body is read', async () => {
+    expect(await run(requireUploadAccess, withToken('token-b'))).toMatchObject({ statusCode: 403 });
+    expect(await run(requireUploadAccess, withToken('token-a', 'p-b'))).toMatchObject({ statusCode: 403 });
+  });
+
+  test('need the browser session\'s participant without a token', async () => {
+    expect(await run(requireUploadAccess, { session: {} })).toMatchObject({ statusCode: 401 });
+
+    const req = { session: { participantId: 'p-a' } };
+    expect(await run(requireUploadAccess, req)).toBeUndefined();
+    expect(req.uploadParticipantId).toBe('p-a');
+  });
+
+  test('reject a parsed upload for another participant or their session', async () => {
+    expect(await run(requireUploadOwner, { session: {}, uploadParticipantId: 'p-a', body: { participantId: 'p-b' } }))
+      .toMatchObject({ statusCode: 403 });
+    expect(await run(requireUploadOwner, { session: {}, uploadParticipantId: 'p-a', body: { participantId: 'p-a', experimentId: 'session-b' } }))
+      .toMatchObject({ statusCode: 403 });
+    expect(await run(requireUploadOwner, { session: {}, uploadParticipantId: 'p-b', body: { participantId: 'p-b', experimentId: 'session-b' } }))
+      .toBeUndefined();
+  });
+});
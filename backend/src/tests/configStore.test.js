@@ -0,0 +1,94 @@
+jest.mock('../models/ExperimentConfig', () => require('./helpers/memoryModel').createMemoryModel({
+  defaults: () => ({ createdAt: new Date() }),
+  uniqueKeys: ['version']
+}));
+
+const ExperimentConfig = require('../models/ExperimentConfig');
+const configStore = require('../services/configStore');
+const defaults = require('../experimentConfig');
+const { validateExperimentConfig } = require('../config/experimentConfigSchema');
+
+const baseConfig = () => JSON.parse(JSON.stringify(defaults));
+
+const saveErrors = async (config) => {
+  try {
+    await configStore.saveVersion(config, { createdBy: 'alice' });
+  } catch (error) {
+    return { statusCode: error.statusCode, errors: error.errors };
+  }
+  return null;
+};
+
+describe('validateExperimentConfig', () => {
+  test('accepts the default config', () => {
+    expect(validateExperimentConfig(baseConfig())).toEqual({ valid: true, errors: [] });
+  });
+
+  test('reports schema errors with their path', () => {
+    const { valid, errors } = validateExperimentConfig({ ...baseConfig(), taskRule: 'colour', extra: 1 });
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ path: '/', message: 'unknown setting "extra"' })
+    ]));
+  });
+
+  test('reports settings that contradict each other', () => {
+    const config = { ...baseConfig(), trialConfig: [{ level: 9, trials: 1 }] };
+    expect(validateExperimentConfig(config).errors).toEqual([
+      { path: '/trialConfig/0/level', message: 'effort level 9 is not defined in EFFORT_LEVELS' }
+    ]);
+  });
+
+  test('rejects effort levels no sequence can satisfy', () => {
+    const config = baseConfig();
+    config.EFFORT_LEVELS[6] = { min: 20, max: 30 };
+    const { valid, errors } = validateExperimentConfig(config);
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([{ path: '/EFFORT_LEVELS', message: expect.stringMatching(/switches must be between 0 and 14/) }]);
+  });
+
+  test('rejects schedules whose design cannot meet maxConsecutive', () => {
+    const config = {
+      ...baseConfig(),
+      trialConfig: [{ level: 2, trials: 3 }],
+      schedule: { design: 'blocked', maxConsecutive: 1 }
+    };
+    expect(validateExperimentConfig(config).errors).toEqual([
+      { path: '/schedule', message: expect.stringMatching(/more than schedule.maxConsecutive \(1\)/) }
+    ]);
+  });
+});
+
+describe('configStore', () => {
+  beforeEach(() => {
+    ExperimentConfig.reset();
+    configStore.current = null;
+  });
+
+  test('seeds experimentConfig.js as version 1', async () => {
+    const current = await configStore.getCurrent();
+    expect(current.version).toBe(1);
+    expect(current.createdBy).toBe('defaults');
+  });
+
+  test('saves a valid config as the next version', async () => {
+    const config = { ...baseConfig(), taskRule: 'magnitude' };
+    const saved = await configStore.saveVersion(config, { createdBy: 'alice', note: 'magnitude pilot' });
+
+    expect(saved).toMatchObject({ version: 2, createdBy: 'alice', note: 'magnitude pilot' });
+    expect((await configStore.getCurrent()).config.taskRule).toBe('magnitude');
+    expect((await configStore.getVersion(1)).config.taskRule).toBe(defaults.taskRule);
+  });
+
+  test('refuses to save a config that cannot generate a session', async () => {
+    const config = baseConfig();
+    config.EFFORT_LEVELS[6] = { min: 20, max: 30 };
+
+    expect(await saveErrors(config)).toEqual({
+      statusCode: 400,
+      errors: [expect.objectContaining({ path: '/EFFORT_LEVELS' })]
+    });
+    expect((await configStore.getCurrent()).version).toBe(1);
+  });
+});
@@ -0,0 +1,59 @@
+const { TRIAL_CSV_COLUMNS, convertToCSV } = require('../utils/exportFormatters');
+const { buildCodebook } = require('../utils/studyExport');
+
+const trialData = [{
+  trialNumber: 1,
+  effortLevel: 3,
+  taskRule: 'cued',
+  sequence: '123456789123456',
+  responses: [{
+    position: 0,
+    digit: '1',
+    cue: 'parity',
+    expectedResponse: 'odd',
+    response: 'f',
+    responseType: 'odd',
+    responseStyle: 'standard',
+    isCorrect: true,
+    responseTime: 642,
+    timestamp: 1767261600123.456
+  }, {
+    position: 1,
+    digit: '2',
+    cue: null,
+    expectedResponse: 'even',
+    response: 'say "j", then ,',
+    responseType: 'even',
+    isCorrect: false,
+    responseTime: 815,
+    timestamp: 1767261600950
+  }]
+}];
+
+const parseRow = (line) => Object.fromEntries(TRIAL_CSV_COLUMNS.map((column, i) => [column, line.split(',')[i]]));
+
+describe('convertToCSV', () => {
+  test('writes the response time and the key press timestamp in their own columns', () => {
+    const [header, first] = convertToCSV(trialData).split('\n');
+
+    expect(header).toBe(TRIAL_CSV_COLUMNS.join(','));
+    expect(parseRow(first)).toMatchObject({ responseTime: '642', timestamp: '1767261600123.456', digit: '1' });
+  });
+
+  test('quotes values holding commas or quotes', () => {
+    const lines = convertToCSV(trialData).split('\n');
+
+    expect(lines).toHaveLength(3);
+    expect(lines[2]).toContain(',"say ""j"", then ,",');
+  });
+});
+
+describe('study codebook', () => {
+  test('describes every NST column', () => {
+    const nst = buildCodebook('full')['nst.csv'];
+
+    TRIAL_CSV_COLUMNS.forEach(column => expect(nst[column]).toEqual(expect.any(String)));
+    expect(nst.responseTime).toMatch(/from the digit onset/);
+    expect(nst.timestamp).toMatch(/ms since Unix epoch/);
+  });
+});
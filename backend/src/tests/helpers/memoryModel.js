@@ -0,0 +1,251 @@
+/**
+ * In-memory stand-in for a mongoose model, covering the queries the
+ * services use (equality, $ne, $in, $nin on dotted paths; $or; $expr with
+ * comparisons and $size; $set, $push, $inc and $setOnInsert updates;
+ * upserts; timestamps). Use it with jest.mock:
+ *
+ *   jest.mock('../models/Response', () =>
+ *     require('./helpers/memoryModel').createMemoryModel({ uniqueKeys: ['sessionId', 'trialNumber'] }));
+ */
+
+const clone = (value) => structuredClone(value);
+
+/**
+ * Values at a dotted path; arrays along the way are searched element-wise
+ */
+const valuesAt = (doc, path) => path.split('.').reduce((values, key) =>
+  values.flatMap(value => {
+    if (Array.isArray(value)) return value.map(item => item?.[key]);
+    return value === null || value === undefined ? [] : [value[key]];
+  }), [doc]).flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+
+const isOperator = (condition) =>
+  condition && typeof condition === 'object' && !(condition instanceof Date) &&
+  Object.keys(condition).some(key => key.startsWith('$'));
+
+const equals = (a, b) => (a instanceof Date || b instanceof Date
+  ? new Date(a).getTime() === new Date(b).getTime()
+  : a === b);
+
+const COMPARISONS = {
+  $eq: (a, b) => a === b,
+  $lt: (a, b) => a < b,
+  $lte: (a, b) => a <= b,
+  $gt: (a, b) => a > b,
+  $gte: (a, b) => a >= b
+};
+
+/**
+ * Evaluate an aggregation expression: '$field' paths, $size and comparisons
+ */
+const evaluate = (doc, expression) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return getPath(doc, expression.slice(1));
+  if (!isOperator(expression)) return expression;
+
+  const [[operator, operand]] = Object.entries(expression);
+  if (operator === '$size') return (evaluate(doc, operand) || []).length;
+  if (COMPARISONS[operator]) {
+    const [a, b] = operand.map(argument => evaluate(doc, argument));
+    return COMPARISONS[operator](a, b);
+  }
+  throw new Error(`memoryModel: unsupported expression ${operator}`);
+};
+
+const matches = (doc, query = {}) => Object.entries(query).every(([path, condition]) => {
+  if (path === '$or') return condition.some(branch => matches(doc, branch));
+  if (path === '$expr') return Boolean(evaluate(doc, condition));
+
+  const values = valuesAt(doc, path);
+  if (!isOperator(condition)) return values.some(value => equals(value, condition));
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$ne': return !values.some(value => equals(value, operand));
+      case '$in': return values.some(value => operand.some(item => equals(value, item)));
+      case '$nin': return !values.some(value => operand.some(item => equals(value, item)));
+      default: throw new Error(`memoryModel: unsupported operator ${operator}`);
+    }
+  });
+});
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] === undefined || target[key] === null) target[key] = {};
+    return target[key];
+  }, doc);
+  parent[last] = value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const applyUpdate = (doc, update, inserting) => {
+  const { $set = {}, $push = {}, $inc = {}, $setOnInsert = {} } = update;
+  if (inserting) Object.entries($setOnInsert).forEach(([path, value]) => setPath(doc, path, clone(value)));
+  Object.entries($set).forEach(([path, value]) => setPath(doc, path, clone(value)));
+  Object.entries($inc).forEach(([path, amount]) => setPath(doc, path, (getPath(doc, path) || 0) + amount));
+  Object.entries($push).forEach(([path, value]) => {
+    const list = getPath(doc, path) || [];
+    setPath(doc, path, [...list, clone(value)]);
+  });
+};
+
+const project = (doc, projection) => {
+  const fields = Object.keys(projection || {});
+  if (fields.length === 0) return clone(doc);
+  if (fields.every(path => !projection[path])) {
+    const projected = clone(doc);
+    fields.forEach(path => delete projected[path]);
+    return projected;
+  }
+  const projected = { _id: doc._id };
+  fields.forEach(path => {
+    const value = getPath(doc, path);
+    if (value !== undefined) setPath(projected, path, clone(value));
+  });
+  return projected;
+};
+
+/**
+ * Chainable, awaitable query over the model's documents
+ */
+class MemoryQuery {
+  constructor(run, single) {
+    this.run = run;
+    this.single = single;
+    this.sortSpec = null;
+    this.limitCount = null;
+  }
+
+  sort(spec) {
+    this.sortSpec = spec;
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  lean() {
+    return this;
+  }
+
+  exec() {
+    let docs = this.run();
+    if (this.sortSpec) {
+      const entries = Object.entries(this.sortSpec);
+      docs = [...docs].sort((a, b) => {
+        for (const [path, direction] of entries) {
+          const x = getPath(a, path);
+          const y = getPath(b, path);
+          if (x < y) return -direction;
+          if (x > y) return direction;
+        }
+        return 0;
+      });
+    }
+    if (this.limitCount) docs = docs.slice(0, this.limitCount);
+    return Promise.resolve(this.single ? docs[0] || null : docs);
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+}
+
+/**
+ * @param {object} options
+ * @param {function} options.defaults - Default fields for new documents
+ * @param {string[]} options.uniqueKeys - Fields of a unique index; inserting
+ *   a duplicate throws a duplicate-key error (code 11000) like MongoDB
+ * @param {boolean} options.timestamps - Keep createdAt and updatedAt, like
+ *   the schema option of the same name
+ */
+const createMemoryModel = ({ defaults = () => ({}), uniqueKeys = [], timestamps = false } = {}) => {
+  let docs = [];
+  let nextId = 1;
+
+  const touch = (doc) => {
+    if (timestamps) doc.updatedAt = new Date();
+  };
+
+  const insert = (fields) => {
+    const now = new Date();
+    const doc = {
+      _id: String(nextId++),
+      ...(timestamps ? { createdAt: now, updatedAt: now } : {}),
+      ...defaults(),
+      ...clone(fields)
+    };
+    if (uniqueKeys.length > 0 && docs.some(existing => uniqueKeys.every(key => equals(existing[key], doc[key])))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    docs.push(doc);
+    return doc;
+  };
+
+  return {
+    async create(fields) {
+      const doc = insert(fields);
+      return { ...clone(doc), toObject: () => clone(doc) };
+    },
+
+    findOne(query, projection) {
+      return new MemoryQuery(() => docs.filter(doc => matches(doc, query)).map(doc => project(doc, projection)), true);
+    },
+
+    find(query, projection) {
+      return new MemoryQuery(() => docs.filter(doc => matches(doc, query)).map(doc => project(doc, projection)), false);
+    },
+
+    findOneAndUpdate(query, update, { new: returnNew = false } = {}) {
+      return new MemoryQuery(() => {
+        const doc = docs.find(candidate => matches(candidate, query));
+        if (!doc) return [];
+        const before = clone(doc);
+        applyUpdate(doc, update, false);
+        touch(doc);
+        return [returnNew ? clone(doc) : before];
+      }, true);
+    },
+
+    async updateOne(query, update, { upsert = false } = {}) {
+      const doc = docs.find(candidate => matches(candidate, query));
+      if (doc) {
+        applyUpdate(doc, update, false);
+        touch(doc);
+        return { matchedCount: 1, modifiedCount: 1 };
+      }
+      if (!upsert) return { matchedCount: 0, modifiedCount: 0 };
+
+      const fields = Object.fromEntries(Object.entries(query).filter(([path, condition]) =>
+        !path.startsWith('$') && !path.includes('.') && !isOperator(condition)));
+      const inserted = { ...defaults(), ...fields };
+      applyUpdate(inserted, update, true);
+      insert(inserted);
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+    },
+
+    async deleteOne(query) {
+      const index = docs.findIndex(doc => matches(doc, query));
+      if (index === -1) return { deletedCount: 0 };
+      docs.splice(index, 1);
+      return { deletedCount: 1 };
+    },
+
+    async deleteMany(query) {
+      const before = docs.length;
+      docs = docs.filter(doc => !matches(doc, query));
+      return { deletedCount: before - docs.length };
+    },
+
+    // Test helper: drop every document
+    reset() {
+      docs = [];
+    }
+  };
+};
+
+module.exports = { createMemoryModel };
@@ -0,0 +1,95 @@
+const { generateMarkovNumber, validateSequenceConstraints, countSwitches } = require('../utils/markovChain');
+const { createRandom } = require('../utils/seededRandom');
+const experimentConfig = require('../experimentConfig');
+
+const EFFORT_LEVELS = Object.fromEntries(
+  Array.from({ length: 15 }, (_, switches) => [switches + 1, { min: switches, max: switches }])
+);
+
+const configFor = (overrides = {}) => ({
+  ...experimentConfig,
+  taskRule: 'parity',
+  EFFORT_LEVELS,
+  ...overrides
+});
+
+// Every exact switch count from 0 to 14, with a seeded stream per case
+const generateAll = (config, label) => Object.keys(EFFORT_LEVELS).map(level =>
+  generateMarkovNumber(Number(level), config, createRandom(`${label}-${level}`)));
+
+describe('generateMarkovNumber', () => {
+  test.each(['parity', 'magnitude'])('meets every switch count exactly under the %s rule', (taskRule) => {
+    generateAll(configFor({ taskRule }), taskRule).forEach(trial => {
+      expect(trial.number).toMatch(/^\d{15}$/);
+      expect(countSwitches(trial.number, taskRule)).toBe(trial.metadata.targetSwitches);
+      expect(trial.metadata.actualSwitches).toBe(trial.effortLevel - 1);
+    });
+  });
+
+  test('counts cue changes as switches under the cued rule', () => {
+    generateAll(configFor({ taskRule: 'cued' }), 'cued').forEach(trial => {
+      expect(trial.cues).toHaveLength(15);
+      expect(countSwitches(trial.number, 'cued', trial.cues)).toBe(trial.effortLevel - 1);
+    });
+  });
+
+  test('draws the switch count from the effort level range', () => {
+    const config = configFor({ EFFORT_LEVELS: { 1: { min: 3, max: 5 } } });
+    for (let i = 0; i < 30; i++) {
+      const { metadata } = generateMarkovNumber(1, config, createRandom(`range-${i}`));
+      expect(metadata.targetSwitches).toBeGreaterThanOrEqual(3);
+      expect(metadata.targetSwitches).toBeLessThanOrEqual(5);
+      expect(metadata.actualSwitches).toBe(metadata.targetSwitches);
+    }
+  });
+
+  test('noImmediateRepeats never shows a digit twice in a row', () => {
+    const config = configFor({ sequenceConstraints: { noImmediateRepeats: true } });
+    generateAll(config, 'repeats').forEach(({ number }) => {
+      expect(/(\d)\1/.test(number)).toBe(false);
+    });
+  });
+
+  test('balancedParity keeps odd and even counts within one', () => {
+    const levels = Object.fromEntries(Object.entries(EFFORT_LEVELS).filter(([, range]) => range.min > 0));
+    const config = configFor({ EFFORT_LEVELS: levels, sequenceConstraints: { balancedParity: true } });
+    Object.keys(levels).forEach(level => {
+      const { number } = generateMarkovNumber(Number(level), config, createRandom(`parity-${level}`));
+      const odd = [...number].filter(digit => digit % 2 === 1).length;
+      expect(Math.abs(odd - (15 - odd))).toBeLessThanOrEqual(1);
+    });
+  });
+
+  test('balancedDigits uses each digit of a condition equally often', () => {
+    const config = configFor({ sequenceConstraints: { balancedDigits: true } });
+    generateAll(config, 'digits').forEach(({ number }) => {
+      const counts = {};
+      [...number].forEach(digit => { counts[digit] = (counts[digit] || 0) + 1; });
+      [['1', '3', '5', '7', '9'], ['2', '4', '6', '8']].forEach(pool => {
+        const used = pool.map(digit => counts[digit] || 0);
+        expect(Math.max(...used) - Math.min(...used)).toBeLessThanOrEqual(1);
+      });
+    });
+  });
+
+  test('the same seed reproduces the sequence', () => {
+    const config = configFor();
+    expect(generateMarkovNumber(8, config, createRandom('same'))).toEqual(generateMarkovNumber(8, config, createRandom('same')));
+  });
+});
+
+describe('validateSequenceConstraints', () => {
+  test('rejects an effort level outside the possible switch counts', () => {
+    const config = configFor({ EFFORT_LEVELS: { 6: { min: 20, max: 30 } }, trialConfig: [{ level: 6, trials: 1 }] });
+    expect(() => validateSequenceConstraints(config)).toThrow(/switches must be between 0 and 14/);
+  });
+
+  test('rejects zero switches with balancedParity', () => {
+    const config = configFor({
+      EFFORT_LEVELS: { 1: { min: 0, max: 0 } },
+      trialConfig: [{ level: 1, trials: 1 }],
+      sequenceConstraints: { balancedParity: true }
+    });
+    expect(() => validateSequenceConstraints(config)).toThrow(/balancedParity needs at least one switch/);
+  });
+});
@@ -0,0 +1,58 @@
+jest.mock('../models/ExperimentSession', () => require('./helpers/memoryModel').createMemoryModel({
+  defaults: () => ({ startTime: new Date(), lastActivity: new Date() })
+}));
+jest.mock('../models/Response', () => require('./helpers/memoryModel').createMemoryModel({
+  uniqueKeys: ['sessionId', 'trialNumber']
+}));
+jest.mock('../services/mediaHandler');
+
+const ExperimentSession = require('../models/ExperimentSession');
+const Response = require('../models/Response');
+const stateManager = require('../services/stateManager');
+const nstController = require('../controllers/nstController');
+
+const experimentId = 'session-rt';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+describe('NST response time analysis', () => {
+  beforeEach(async () => {
+    ExperimentSession.reset();
+    Response.reset();
+    await stateManager.createSession(experimentId, {
+      participantId: 'p-test',
+      type: 'nst',
+      trials: [{ number: '3847', effortLevel: 2, metadata: {} }],
+      keyMapping: { odd: 'f', even: 'j', responseStyle: 'standard' },
+      config: { taskRule: 'parity' }
+    });
+    await stateManager.updateSessionState(experimentId, { status: 'RUNNING' }, 'session-started');
+  });
+
+  test('posted response times reach the session analysis', async () => {
+    // 3 odd, 8 even (switch), 4 even (repeat), 7 odd (switch)
+    const responses = [['f', 420], ['j', 610], ['j', 480], ['f', 650]]
+      .map(([response, responseTime], position) => ({ trialNumber: 0, position, response, responseTime }));
+    await nstController.submitResponse({ body: { experimentId, responses } }, mockResponse());
+
+    const res = mockResponse();
+    await nstController.getSessionAnalysis({ params: { sessionId: experimentId } }, res);
+    const { overall } = res.body;
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(overall.correct).toBe(4);
+    expect(overall.meanRT).toBe(540);
+    expect(overall.medianRT).toBe(545);
+    expect(overall.switchRT).toBe(630);
+    expect(overall.repeatRT).toBe(480);
+    expect(overall.switchCost).toBe(150);
+  });
+});
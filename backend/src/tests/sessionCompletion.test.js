@@ -0,0 +1,78 @@
+jest.mock('../models/ExperimentSession', () => require('./helpers/memoryModel').createMemoryModel({
+  defaults: () => ({ startTime: new Date(), lastActivity: new Date() })
+}));
+jest.mock('../models/Response', () => require('./helpers/memoryModel').createMemoryModel({
+  uniqueKeys: ['sessionId', 'trialNumber']
+}));
+jest.mock('../services/mediaHandler');
+
+const ExperimentSession = require('../models/ExperimentSession');
+const Response = require('../models/Response');
+const stateManager = require('../services/stateManager');
+const nstController = require('../controllers/nstController');
+
+const experimentId = 'session-1';
+const participantId = 'p-test';
+const keyMapping = { odd: 'f', even: 'j', responseStyle: 'standard' };
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+const submit = async (responses) => {
+  const res = mockResponse();
+  await nstController.submitResponse({ body: { experimentId, responses } }, res);
+  return res;
+};
+
+describe('NST session completion', () => {
+  beforeEach(async () => {
+    ExperimentSession.reset();
+    Response.reset();
+    await stateManager.createSession(experimentId, {
+      participantId,
+      type: 'nst',
+      trials: [{ number: '3847', effortLevel: 2, metadata: {} }],
+      keyMapping,
+      config: { taskRule: 'parity' }
+    });
+    await stateManager.updateSessionState(experimentId, { status: 'RUNNING' }, 'session-started');
+  });
+
+  test('an unfinished session is still active', async () => {
+    await submit([{ trialNumber: 0, position: 0, response: 'f', responseTime: 512 }]);
+
+    const active = await stateManager.findActiveSession(participantId);
+    expect(active.experimentId).toBe(experimentId);
+  });
+
+  test('the final response completes the session and it is no longer active', async () => {
+    const res = await submit(['f', 'j', 'j', 'j'].map((response, position) => ({
+      trialNumber: 0,
+      position,
+      response,
+      responseTime: 450 + position * 20
+    })));
+    expect(res.status).not.toHaveBeenCalled();
+
+    const session = await stateManager.getSessionState(experimentId);
+    expect(session.state.status).toBe('COMPLETE');
+    expect(await stateManager.findActiveSession(participantId)).toBeNull();
+
+    const transitions = await stateManager.getStateTransitions(experimentId);
+    expect(transitions[transitions.length - 1]).toMatchObject({ to: 'COMPLETE', cause: 'final-response-recorded' });
+  });
+
+  test('responses to a completed session are rejected', async () => {
+    await submit(['f', 'j', 'j', 'j'].map((response, position) => ({ trialNumber: 0, position, response })));
+
+    const res = await submit([{ trialNumber: 0, position: 3, response: 'j' }]);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
@@ -0,0 +1,93 @@
+jest.mock('../models/ExperimentSession', () => require('./helpers/memoryModel').createMemoryModel({
+  defaults: () => ({ startTime: new Date(), lastActivity: new Date() })
+}));
+jest.mock('../models/Response', () => require('./helpers/memoryModel').createMemoryModel({
+  uniqueKeys: ['sessionId', 'trialNumber']
+}));
+jest.mock('../models/Participant', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../services/mediaHandler');
+
+const { Writable } = require('stream');
+const ExperimentSession = require('../models/ExperimentSession');
+const nstController = require('../controllers/nstController');
+const exportProgress = require('../services/exportProgress');
+const { streamZip } = require('../utils/zipCreator');
+
+const mockResponse = () => {
+  const res = { headersSent: false };
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+/**
+ * Writable that stands in for the HTTP response of a streamed ZIP
+ */
+const zipResponse = () => {
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      res.bytes += chunk.length;
+      callback();
+    }
+  });
+  res.bytes = 0;
+  res.headers = {};
+  res.setHeader = (name, value) => {
+    res.headers[name] = value;
+  };
+  return res;
+};
+
+describe('session export', () => {
+  beforeEach(() => {
+    ExperimentSession.reset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('answers 404 for an unknown session', async () => {
+    const res = mockResponse();
+    await nstController.exportSessionData({ params: { sessionId: 'missing' }, query: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.body).toEqual({ error: 'Session not found' });
+  });
+});
+
+describe('export progress', () => {
+  const files = Array.from({ length: 3 }, (_, i) => ({ name: `file-${i}.csv`, content: `a,b\n${i},${i}` }));
+
+  test('streamZip reports the start, the written files and the outcome', async () => {
+    const reports = [];
+    const res = zipResponse();
+    const result = await streamZip(res, { filename: 'test.zip', files, onProgress: progress => reports.push(progress) });
+
+    expect(result).toMatchObject({ completed: true, entries: 3 });
+    expect(res.headers['X-Export-Entries']).toBe(3);
+    expect(reports[0]).toMatchObject({ filename: 'test.zip', processed: 0, total: 3, status: 'running' });
+    expect(reports[reports.length - 1]).toMatchObject({ processed: 3, total: 3, status: 'complete', bytes: res.bytes });
+  });
+
+  test('keeps the latest report under the client\'s progress ID', async () => {
+    const progressId = 'b4c0ffee-0000-4000-8000-000000000001';
+    await streamZip(zipResponse(), { filename: 'test.zip', files, onProgress: exportProgress.tracker(progressId) });
+
+    expect(exportProgress.get(progressId)).toMatchObject({ processed: 3, total: 3, status: 'complete' });
+    expect(exportProgress.get('unknown-export')).toBeNull();
+    expect(exportProgress.tracker(undefined)).toBeUndefined();
+    expect(() => exportProgress.tracker('../../etc')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('the progress route answers 404 for an unknown ID', async () => {
+    const res = mockResponse();
+    await nstController.getExportProgress({ params: { progressId: 'unknown-export' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
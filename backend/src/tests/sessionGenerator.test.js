@@ -0,0 +1,99 @@
+jest.mock('../models/ExperimentSession', () => require('./helpers/memoryModel').createMemoryModel({
+  defaults: () => ({ startTime: new Date(), lastActivity: new Date() })
+}));
+jest.mock('../models/Response', () => require('./helpers/memoryModel').createMemoryModel({
+  uniqueKeys: ['sessionId', 'trialNumber']
+}));
+jest.mock('../models/Participant', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../services/mediaHandler');
+
+const ExperimentSession = require('../models/ExperimentSession');
+const stateManager = require('../services/stateManager');
+const nstController = require('../controllers/nstController');
+const experimentConfig = require('../experimentConfig');
+const { generateSessionPlan } = require('../utils/sessionGenerator');
+const { createRandom } = require('../utils/seededRandom');
+
+const config = {
+  ...experimentConfig,
+  trialConfig: [{ level: 6, trials: 2 }, { level: 4, trials: 2 }, { level: 2, trials: 2 }],
+  schedule: { design: 'shuffled', maxConsecutive: null },
+  keyMappingPolicy: 'random'
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+describe('seeded session generation', () => {
+  test('the same seed yields the same random stream', () => {
+    const first = createRandom('abc123');
+    const second = createRandom('abc123');
+    const other = createRandom('abc124');
+    const draws = Array.from({ length: 5 }, () => [first(), second(), other()]);
+
+    draws.forEach(([a, b]) => expect(a).toBe(b));
+    expect(draws.map(([a]) => a)).not.toEqual(draws.map(([, , c]) => c));
+    draws.forEach(([a]) => expect(a >= 0 && a < 1).toBe(true));
+  });
+
+  test('a seed reproduces the schedule, sequences and key mapping', () => {
+    const plan = generateSessionPlan(config, { participantNumber: 3 });
+    const replayed = generateSessionPlan(config, { seed: plan.seed, participantNumber: 3 });
+
+    expect(replayed).toEqual(plan);
+  });
+
+  test('different seeds give different sessions', () => {
+    const first = generateSessionPlan(config, { seed: 'seed-a' });
+    const second = generateSessionPlan(config, { seed: 'seed-b' });
+
+    expect(first.trials.map(trial => trial.number)).not.toEqual(second.trials.map(trial => trial.number));
+  });
+
+  describe('regenerate endpoint', () => {
+    const experimentId = 'session-seeded';
+
+    const regenerate = async () => {
+      const res = mockResponse();
+      await nstController.regenerateSession({ params: { id: experimentId } }, res);
+      return res;
+    };
+
+    beforeEach(async () => {
+      ExperimentSession.reset();
+      const plan = generateSessionPlan(config, { participantNumber: 1 });
+      await stateManager.createSession(experimentId, {
+        participantId: 'p-test',
+        type: 'nst',
+        config,
+        ...plan
+      });
+    });
+
+    test('reports a stored session that matches its seed', async () => {
+      const res = await regenerate();
+
+      expect(res.status).not.toHaveBeenCalled();
+      expect(res.body.matchesStored).toBe(true);
+      expect(res.body.mismatchedTrials).toEqual([]);
+    });
+
+    test('names the trials that differ from what the seed produces', async () => {
+      const session = await stateManager.getSessionState(experimentId);
+      const trials = session.state.trials.map((trial, index) =>
+        (index === 1 ? { ...trial, number: trial.number.split('').reverse().join('') } : trial));
+      await ExperimentSession.updateOne({ experimentId }, { $set: { trials } });
+
+      const res = await regenerate();
+      expect(res.body.matchesStored).toBe(false);
+      expect(res.body.mismatchedTrials).toEqual([2]);
+    });
+  });
+});
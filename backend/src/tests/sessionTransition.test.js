@@ -0,0 +1,72 @@
+jest.mock('../models/ExperimentSession', () => require('./helpers/memoryModel').createMemoryModel({
+  defaults: () => ({ startTime: new Date(), lastActivity: new Date() })
+}));
+jest.mock('../models/Response', () => require('./helpers/memoryModel').createMemoryModel({
+  uniqueKeys: ['sessionId', 'trialNumber']
+}));
+jest.mock('../models/Participant', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../services/mediaHandler');
+
+const ExperimentSession = require('../models/ExperimentSession');
+const stateManager = require('../services/stateManager');
+const nstController = require('../controllers/nstController');
+
+const experimentId = 'session-1';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+const participant = { participantId: 'p-test' };
+const researcher = { researcher: { id: 'r1', username: 'alice', role: 'researcher' } };
+
+const requestTransition = async (session, targetState) => {
+  const res = mockResponse();
+  await nstController.requestStateTransition({ params: { id: experimentId }, body: { targetState }, session }, res);
+  return res;
+};
+
+const statusOf = async () => (await stateManager.getSessionState(experimentId)).state.status;
+
+describe('POST /session/:id/transition', () => {
+  beforeEach(async () => {
+    ExperimentSession.reset();
+    await stateManager.createSession(experimentId, { participantId: 'p-test', type: 'nst', trials: [] });
+  });
+
+  test('participants can start a session and pause and resume it', async () => {
+    expect((await requestTransition(participant, 'RUNNING')).status).not.toHaveBeenCalled();
+    expect((await requestTransition(participant, 'PAUSED')).status).not.toHaveBeenCalled();
+    expect((await requestTransition(participant, 'RUNNING')).status).not.toHaveBeenCalled();
+    expect(await statusOf()).toBe('RUNNING');
+  });
+
+  test('participants can drop a session that has not started', async () => {
+    await requestTransition(participant, 'ABORTED');
+    expect(await statusOf()).toBe('ABORTED');
+  });
+
+  test('participants cannot complete or abort a running session', async () => {
+    await requestTransition(participant, 'RUNNING');
+
+    for (const targetState of ['COMPLETE', 'ABORTED']) {
+      const res = await requestTransition(participant, targetState);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.body).toMatchObject({ fromState: 'RUNNING', targetState, allowedTransitions: ['PAUSED'] });
+    }
+    expect(await statusOf()).toBe('RUNNING');
+  });
+
+  test('researchers can make any transition the state machine allows', async () => {
+    await requestTransition(participant, 'RUNNING');
+
+    expect((await requestTransition(researcher, 'ABORTED')).status).not.toHaveBeenCalled();
+    expect(await statusOf()).toBe('ABORTED');
+  });
+});
@@ -1,82 +1,74 @@
-const StateManager = require('../services/stateManager');
+jest.mock('../models/ExperimentSession', () => require('./helpers/memoryModel').createMemoryModel({
+  defaults: () => ({ startTime: new Date(), lastActivity: new Date() })
+}));
+jest.mock('../models/Response', () => require('./helpers/memoryModel').createMemoryModel({
+  uniqueKeys: ['sessionId', 'trialNumber']
+}));
+
+const ExperimentSession = require('../models/ExperimentSession');
+const Response = require('../models/Response');
+const stateManager = require('../services/stateManager');
+const StateTransitionError = require('../utils/StateTransitionError');
 
 describe('StateManager', () => {
-  let stateManager;
   const experimentId = 'test-123';
-  
-    beforeEach(() => {
-      stateManager = new StateManager();
-    });
-  
-    test('creates new session', async () => {
-      const session = await stateManager.createSession(experimentId, {});
-      expect(session.experimentId).toBe(experimentId);
-      expect(session.phase).toBe('init');
-    });
-  
-    test('gets experiment state', async () => {
-      await stateManager.createSession(experimentId, {});
-      const state = await stateManager.getExperimentState(experimentId);
-      expect(state.experimentId).toBe(experimentId);
-    });
-  
-    test('updates state correctly', async () => {
-      await stateManager.createSession(experimentId, {});
-      const updated = await stateManager.updateState(experimentId, {
-        phase: 'running',
-        currentTrial: 1
-      });
-      expect(updated.phase).toBe('running');
-      expect(updated.currentTrial).toBe(1);
-    });
-  
-    test('throws error for invalid phase', async () => {
-      await stateManager.createSession(experimentId, {});
-      await expect(
-        stateManager.updateState(experimentId, { phase: 'invalid' })
-      ).rejects.toThrow('Invalid phase transition');
+
+  beforeEach(async () => {
+    ExperimentSession.reset();
+    Response.reset();
+    await stateManager.createSession(experimentId, {
+      participantId: 'p-test',
+      type: 'nst',
+      trials: [{ number: '3847', effortLevel: 2, metadata: {} }]
     });
+  });
+
+  test('creates a session in INIT', async () => {
+    const session = await stateManager.getSessionState(experimentId);
+    expect(session.experimentId).toBe(experimentId);
+    expect(session.state).toMatchObject({ status: 'INIT', currentTrial: 0, digitIndex: 0 });
+  });
+
+  test('returns null for an unknown session', async () => {
+    expect(await stateManager.getSessionState('fake-id')).toBeNull();
+    expect(await stateManager.updateSessionState('fake-id', { status: 'RUNNING' })).toBeNull();
+  });
+
+  test('merges state updates', async () => {
+    const updated = await stateManager.updateSessionState(experimentId, { status: 'RUNNING', currentTrial: 0 }, 'session-started');
+    expect(updated.state.status).toBe('RUNNING');
+  });
+
+  test('rejects transitions the state machine does not declare', async () => {
+    await expect(stateManager.updateSessionState(experimentId, { status: 'COMPLETE' }))
+      .rejects.toThrow(StateTransitionError);
+    expect((await stateManager.getSessionState(experimentId)).state.status).toBe('INIT');
+  });
 
-    test('handles state transitions correctly', async () => {
-        const session = await stateManager.createSession(experimentId, {});
-        
-        // Test init -> running
-        let updated = await stateManager.updateState(experimentId, { phase: 'running' });
-        expect(updated.phase).toBe('running');
-        
-        // Test running -> paused
-        updated = await stateManager.updateState(experimentId, { phase: 'paused' });
-        expect(updated.phase).toBe('paused');
-      });
+  test('logs each status change with its cause', async () => {
+    await stateManager.updateSessionState(experimentId, { status: 'RUNNING' }, 'session-started');
+    await stateManager.transitionTo(experimentId, 'AWAIT_RESPONSE', 'digit-shown');
+
+    const transitions = await stateManager.getStateTransitions(experimentId);
+    expect(transitions.map(({ from, to, cause }) => ({ from, to, cause }))).toEqual([
+      { from: null, to: 'INIT', cause: 'session-created' },
+      { from: 'INIT', to: 'RUNNING', cause: 'session-started' },
+      { from: 'RUNNING', to: 'TRIAL_START', cause: 'digit-shown' },
+      { from: 'TRIAL_START', to: 'AWAIT_RESPONSE', cause: 'digit-shown' }
+    ]);
+  });
+
+  test('resumes into the state it was paused from', async () => {
+    await stateManager.updateSessionState(experimentId, { status: 'RUNNING' }, 'session-started');
+    await stateManager.transitionTo(experimentId, 'AWAIT_RESPONSE', 'digit-shown');
+    await stateManager.pauseSession(experimentId);
+
+    const resumed = await stateManager.resumeSession(experimentId);
+    expect(resumed.state.status).toBe('AWAIT_RESPONSE');
+    expect(resumed.state.pauses).toHaveLength(1);
+  });
 
-      test('throws error for non-existent session', async () => {
-        await expect(
-          stateManager.getExperimentState('fake-id')
-        ).rejects.toThrow('Session not found');
-      });
-    
-      test('handles concurrent state updates', async () => {
-        await stateManager.createSession(experimentId, {});
-        const updates = await Promise.all([
-          stateManager.updateState(experimentId, { currentTrial: 1 }),
-          stateManager.updateState(experimentId, { currentDigit: 2 })
-        ]);
-        expect(updates[1].currentTrial).toBe(1);
-        expect(updates[1].currentDigit).toBe(2);
-      });
-    
-    
-      test('tracks trial progression', async () => {
-        await stateManager.createSession(experimentId, {});
-        const updated = await stateManager.updateState(experimentId, {
-          currentTrial: 1,
-          currentDigit: 2,
-          responses: ['odd']
-        });
-        
-        expect(updated.currentTrial).toBe(1);
-        expect(updated.currentDigit).toBe(2);
-        expect(updated.responses).toHaveLength(1);
-      });
+  test('only a paused session can be resumed', async () => {
+    await expect(stateManager.resumeSession(experimentId)).rejects.toThrow(StateTransitionError);
   });
-  
\ No newline at end of file
+});
@@ -0,0 +1,91 @@
+const { buildTrialSchedule, balancedLatinSquare } = require('../utils/trialSchedule');
+const { createRandom } = require('../utils/seededRandom');
+
+const trialConfig = [
+  { level: 6, trials: 3 },
+  { level: 2, trials: 3 },
+  { level: 4, trials: 3 }
+];
+
+const longestRun = (levels) => levels.reduce(({ longest, run }, level, i) => {
+  const next = i > 0 && level === levels[i - 1] ? run + 1 : 1;
+  return { longest: Math.max(longest, next), run: next };
+}, { longest: 0, run: 0 }).longest;
+
+const countLevels = (levels) => levels.reduce((counts, level) => ({ ...counts, [level]: (counts[level] || 0) + 1 }), {});
+
+describe('buildTrialSchedule', () => {
+  test('fixed keeps trialConfig order', () => {
+    const { levels } = buildTrialSchedule({ trialConfig, schedule: { design: 'fixed' } });
+    expect(levels).toEqual([6, 6, 6, 2, 2, 2, 4, 4, 4]);
+  });
+
+  test('ascending and descending sort the blocks by level', () => {
+    expect(buildTrialSchedule({ trialConfig, schedule: { design: 'ascending' } }).levels)
+      .toEqual([2, 2, 2, 4, 4, 4, 6, 6, 6]);
+    expect(buildTrialSchedule({ trialConfig, schedule: { design: 'descending' } }).levels)
+      .toEqual([6, 6, 6, 4, 4, 4, 2, 2, 2]);
+  });
+
+  test('blocked keeps each level together', () => {
+    const { levels } = buildTrialSchedule({ trialConfig, schedule: { design: 'blocked' } }, { random: createRandom('blocked') });
+    expect(countLevels(levels)).toEqual({ 2: 3, 4: 3, 6: 3 });
+    expect(longestRun(levels)).toBe(3);
+    expect(new Set(levels.filter((level, i) => level !== levels[i - 1])).size).toBe(3);
+  });
+
+  test('shuffled keeps every trial', () => {
+    const { levels } = buildTrialSchedule({ trialConfig, schedule: { design: 'shuffled' } }, { random: createRandom('shuffled') });
+    expect(countLevels(levels)).toEqual({ 2: 3, 4: 3, 6: 3 });
+  });
+
+  test('the legacy shuffleTrials flag picks fixed or shuffled', () => {
+    expect(buildTrialSchedule({ trialConfig, shuffleTrials: false }).design).toBe('fixed');
+    expect(buildTrialSchedule({ trialConfig }).design).toBe('shuffled');
+  });
+
+  test('latin-square assigns block orders by participant number', () => {
+    const rows = balancedLatinSquare(3);
+    expect(rows).toHaveLength(6);
+
+    const orders = rows.map((row, index) => buildTrialSchedule(
+      { trialConfig, schedule: { design: 'latin-square' } },
+      { participantNumber: index + 1 }
+    ));
+    orders.forEach(({ latinSquareRow, levels }, index) => {
+      expect(latinSquareRow).toBe(index);
+      expect(levels.filter((level, i) => level !== levels[i - 1])).toEqual(rows[index].map(block => trialConfig[block].level));
+    });
+    // Participant 7 starts the square again
+    expect(buildTrialSchedule({ trialConfig, schedule: { design: 'latin-square' } }, { participantNumber: 7 }).latinSquareRow).toBe(0);
+  });
+
+  test('balanced Latin square rows use each condition once per position', () => {
+    const rows = balancedLatinSquare(4);
+    for (let position = 0; position < 4; position++) {
+      expect(new Set(rows.map(row => row[position])).size).toBe(4);
+    }
+  });
+
+  test('shuffled schedules respect maxConsecutive', () => {
+    for (let participant = 0; participant < 20; participant++) {
+      const { levels } = buildTrialSchedule(
+        { trialConfig, schedule: { design: 'shuffled', maxConsecutive: 1 } },
+        { random: createRandom(`participant-${participant}`) }
+      );
+      expect(longestRun(levels)).toBe(1);
+      expect(countLevels(levels)).toEqual({ 2: 3, 4: 3, 6: 3 });
+    }
+  });
+
+  test('maxConsecutive that cannot be met is rejected', () => {
+    expect(() => buildTrialSchedule({ trialConfig: [{ level: 2, trials: 3 }, { level: 4, trials: 1 }], schedule: { design: 'shuffled', maxConsecutive: 1 } }))
+      .toThrow(/Cannot schedule 3 trials of level 2/);
+    expect(() => buildTrialSchedule({ trialConfig, schedule: { design: 'blocked', maxConsecutive: 2 } }))
+      .toThrow(/more than schedule.maxConsecutive/);
+  });
+
+  test('an unknown design is rejected', () => {
+    expect(() => buildTrialSchedule({ trialConfig, schedule: { design: 'spiral' } })).toThrow(/Unknown schedule design/);
+  });
+});
@@ -0,0 +1,136 @@
+jest.mock('../models/UploadReceipt', () => {
+  // Memory documents with the real claim/complete/release statics
+  const { schema } = jest.requireActual('../models/UploadReceipt');
+  return Object.assign(require('./helpers/memoryModel').createMemoryModel({
+    defaults: () => ({ status: 'pending' }),
+    uniqueKeys: ['participantId', 'uploadKey'],
+    timestamps: true
+  }), schema.statics);
+});
+
+const { EventEmitter } = require('events');
+const UploadReceipt = require('../models/UploadReceipt');
+const idempotentUpload = require('../middleware/idempotentUpload');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const uploadRequest = (uploadKey, participantId = 'p-a') => ({
+  get: (name) => (name === 'Idempotency-Key' ? uploadKey : undefined),
+  body: { participantId },
+  path: '/nst-capture'
+});
+
+const uploadResponse = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.set = jest.fn();
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+/**
+ * Run the middleware; resolves with next's argument, or 'sent' when it
+ * answered the request itself
+ */
+const handle = async (req, res) => {
+  const next = jest.fn();
+  await idempotentUpload(req, res, next);
+  if (next.mock.calls.length > 0) return next.mock.calls[0][0] || 'next';
+  return 'sent';
+};
+
+beforeEach(() => {
+  UploadReceipt.reset();
+  jest.useRealTimers();
+});
+
+describe('UploadReceipt', () => {
+  test('the first claim of a key wins and later ones see it pending', async () => {
+    expect(await UploadReceipt.claim('p-a', 'key-1', '/nst-capture')).toBeNull();
+    expect(await UploadReceipt.claim('p-a', 'key-1', '/nst-capture')).toMatchObject({ status: 'pending' });
+    // Keys belong to one participant
+    expect(await UploadReceipt.claim('p-b', 'key-1', '/nst-capture')).toBeNull();
+  });
+
+  test('a completed claim returns the stored response', async () => {
+    await UploadReceipt.claim('p-a', 'key-1', '/nst-capture');
+    await UploadReceipt.complete('p-a', 'key-1', { success: true });
+
+    expect(await UploadReceipt.claim('p-a', 'key-1', '/nst-capture'))
+      .toMatchObject({ status: 'complete', response: { success: true } });
+    // Only a pending receipt can be completed
+    await UploadReceipt.complete('p-a', 'key-1', { success: false });
+    expect((await UploadReceipt.findOne({ uploadKey: 'key-1' })).response).toEqual({ success: true });
+  });
+
+  test('a released claim can be taken again', async () => {
+    await UploadReceipt.claim('p-a', 'key-1', '/nst-capture');
+    await UploadReceipt.release('p-a', 'key-1');
+
+    expect(await UploadReceipt.claim('p-a', 'key-1', '/nst-capture')).toBeNull();
+  });
+
+  test('a claim left pending for over five minutes is taken over', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T10:00:00Z'), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    await UploadReceipt.claim('p-a', 'key-1', '/nst-capture');
+
+    jest.setSystemTime(new Date('2026-01-01T10:04:00Z'));
+    expect(await UploadReceipt.claim('p-a', 'key-1', '/nst-capture')).toMatchObject({ status: 'pending' });
+
+    jest.setSystemTime(new Date('2026-01-01T10:06:00Z'));
+    expect(await UploadReceipt.claim('p-a', 'key-1', '/nst-capture')).toBeNull();
+    // The takeover refreshed the claim
+    expect(await UploadReceipt.claim('p-a', 'key-1', '/nst-capture')).toMatchObject({ status: 'pending' });
+  });
+});
+
+describe('idempotentUpload', () => {
+  test('passes uploads without a key straight through', async () => {
+    expect(await handle(uploadRequest(undefined), uploadResponse())).toBe('next');
+  });
+
+  test('rejects an oversized key', async () => {
+    await expect(handle(uploadRequest('k'.repeat(101)), uploadResponse())).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('answers a retry of a saved upload from its receipt', async () => {
+    const res = uploadResponse();
+    expect(await handle(uploadRequest('key-1'), res)).toBe('next');
+    res.json({ success: true, files: ['a.jpg'] });
+    await flush();
+    expect(res.body).toEqual({ success: true, files: ['a.jpg'] });
+
+    const retry = uploadResponse();
+    expect(await handle(uploadRequest('key-1'), retry)).toBe('sent');
+    expect(retry.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(retry.body).toEqual({ success: true, files: ['a.jpg'] });
+  });
+
+  test('turns away a retry while the first attempt is still running with 425', async () => {
+    expect(await handle(uploadRequest('key-1'), uploadResponse())).toBe('next');
+
+    await expect(handle(uploadRequest('key-1'), uploadResponse())).rejects.toMatchObject({ statusCode: 425 });
+  });
+
+  test('releases the key of a failed upload', async () => {
+    const res = uploadResponse();
+    await handle(uploadRequest('key-1'), res);
+    res.statusCode = 500;
+    res.json({ error: 'disk full' });
+    await flush();
+
+    expect(await handle(uploadRequest('key-1'), uploadResponse())).toBe('next');
+  });
+
+  test('releases the key when the connection closes without a response', async () => {
+    const res = uploadResponse();
+    await handle(uploadRequest('key-1'), res);
+    res.emit('close');
+    await flush();
+
+    expect(await handle(uploadRequest('key-1'), uploadResponse())).toBe('next');
+  });
+});
@@ -0,0 +1,16 @@
+const AppError = require('./AppError');
+
+/**
+ * Raised when a session is asked to move between two states
+ * that the session state machine does not connect
+ */
+class StateTransitionError extends AppError {
+  constructor(fromState, toState, allowed = []) {
+    super(`Invalid state transition: ${fromState} -> ${toState}`, 409);
+    this.fromState = fromState;
+    this.toState = toState;
+    this.allowed = allowed;
+  }
+}
+
+module.exports = StateTransitionError;
@@ -0,0 +1,78 @@
+const Demographics = require('../models/Demographics');
+const AppError = require('./AppError');
+
+/**
+ * How much of a participant's demographics an export carries:
+ *   full   - gender and age in years
+ *   coarse - gender and an age band
+ *   none   - no demographics, only the pseudonymous participant ID
+ */
+const DEMOGRAPHICS_LEVELS = ['full', 'coarse', 'none'];
+
+// Lower bounds of the age bands used by 'coarse' exports
+const AGE_BAND_STARTS = [18, 25, 35, 45, 55, 65];
+
+const DEMOGRAPHICS_COLUMNS = {
+  full: {
+    gender: 'Self-reported gender: M = male, F = female, O = other',
+    age: 'Age in years at registration'
+  },
+  coarse: {
+    gender: 'Self-reported gender: M = male, F = female, O = other',
+    ageBand: 'Age band at registration: 18-24, 25-34, 35-44, 45-54, 55-64 or 65+'
+  },
+  none: {}
+};
+
+/**
+ * Validate an export's demographics option
+ * @param {string} [level] - One of DEMOGRAPHICS_LEVELS (default full)
+ * @throws {AppError} 400 for an unknown level
+ */
+const parseDemographicsLevel = (level) => {
+  if (!level) return 'full';
+  if (!DEMOGRAPHICS_LEVELS.includes(level)) {
+    throw new AppError(`Invalid demographics "${level}". Expected one of: ${DEMOGRAPHICS_LEVELS.join(', ')}`, 400);
+  }
+  return level;
+};
+
+const ageBand = (age) => {
+  if (typeof age !== 'number' || age < AGE_BAND_STARTS[0]) return null;
+  const index = AGE_BAND_STARTS.filter(start => age >= start).length - 1;
+  const next = AGE_BAND_STARTS[index + 1];
+  return next ? `${AGE_BAND_STARTS[index]}-${next - 1}` : `${AGE_BAND_STARTS[index]}+`;
+};
+
+/**
+ * Demographic values for an export at the given level; empty values when
+ * the participant has no demographics record
+ * @param {object|null} demographics - Demographics document
+ * @param {string} level - One of DEMOGRAPHICS_LEVELS
+ */
+const demographicValues = (demographics, level) => {
+  if (level === 'none') return {};
+  return {
+    gender: demographics?.gender ?? null,
+    ...(level === 'coarse'
+      ? { ageBand: ageBand(demographics?.age) }
+      : { age: demographics?.age ?? null })
+  };
+};
+
+/**
+ * Demographics for many participants, keyed by participant ID; an empty map
+ * when the export leaves demographics out
+ */
+const loadDemographics = (participantIds, level) => (level === 'none'
+  ? Promise.resolve(new Map())
+  : Demographics.mapByParticipant(participantIds));
+
+module.exports = {
+  DEMOGRAPHICS_LEVELS,
+  DEMOGRAPHICS_COLUMNS,
+  parseDemographicsLevel,
+  ageBand,
+  demographicValues,
+  loadDemographics
+};
@@ -1,3 +1,6 @@
+const AppError = require('./AppError');
+const { scoreResponse } = require('./taskRules');
+
 const formatJSON = (results) => {
   const formattedResults = {
     metadata: {
@@ -25,34 +28,136 @@ const formatJSON = (results) => {
   return JSON.stringify(formattedResults, null, 2);
 };
 
-const convertToCSV = (trialData) => {
-  const headers = [
-    'trialNumber',
-    'effortLevel',
-    'position',
-    'digit',
-    'responseKey',
-    'responseType',
-    'responseStyle',
-    'isCorrect',
-    'responseTime',
-    'sequence'
-  ];
+/**
+ * Per-trial export records for a session: sequence, cues and each response
+ * with its effort level and the rule's expected answer
+ */
+const formatTrialData = (session) => {
+  const taskRule = session.experimentConfig?.taskRule || 'parity';
 
-  const rows = trialData.flatMap(trial => 
-    trial.responses.map(response => ({
-      trialNumber: trial.trialNumber,
-      effortLevel: trial.effortLevel,
-      position: response.position,
-      digit: response.digit,
-      responseKey: response.response || '',
-      responseType: response.responseType || '',
-      responseStyle: response.responseStyle || '',
-      isCorrect: response.isCorrect,
-      responseTime: response.timestamp,
-      sequence: trial.sequence
-    }))
-  );
+  return session.state.trials.map((trial, trialIndex) => {
+    const trialResponses = Object.values(session.state.responsesByPosition)
+      .filter(r => r.trialNumber === trialIndex)
+      .sort((a, b) => a.position - b.position);
+
+    // Add effortLevel and the rule's expected answer to each response
+    const enhancedResponses = trialResponses.map(response => {
+      const cue = trial.cues?.[response.position] || null;
+      return {
+        ...response,
+        effortLevel: trial.effortLevel, // Include the effort level from the trial
+        cue,
+        expectedResponse: scoreResponse(taskRule, response.digit, response.response, session.keyMapping, cue)
+          .expectedResponse
+      };
+    });
+
+    return {
+      trialNumber: trialIndex + 1,
+      sequence: trial.number,
+      effortLevel: trial.effortLevel, // Include effort level at trial level
+      taskRule,
+      cues: trial.cues,
+      responses: enhancedResponses
+    };
+  });
+};
+
+/**
+ * Quote a CSV field when it holds commas, quotes or newlines; objects become JSON
+ */
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Generic CSV from column names and row objects
+ */
+const toCSV = (headers, rows) => [
+  headers.join(','),
+  ...rows.map(row => headers.map(header => csvValue(row[header])).join(','))
+].join('\n');
+
+const TRIAL_CSV_COLUMNS = [
+  'trialNumber',
+  'effortLevel',
+  'taskRule',
+  'position',
+  'digit',
+  'cue',
+  'expectedResponse',
+  'responseKey',
+  'responseType',
+  'responseStyle',
+  'isCorrect',
+  'responseTime',
+  'timestamp',
+  'sequence'
+];
+
+/**
+ * One row per response, keyed by TRIAL_CSV_COLUMNS
+ */
+const toTrialRows = (trialData) => trialData.flatMap(trial =>
+  trial.responses.map(response => ({
+    trialNumber: trial.trialNumber,
+    effortLevel: trial.effortLevel,
+    taskRule: trial.taskRule || '',
+    position: response.position,
+    digit: response.digit,
+    cue: response.cue || '',
+    expectedResponse: response.expectedResponse || '',
+    responseKey: response.response || '',
+    responseType: response.responseType || '',
+    responseStyle: response.responseStyle || '',
+    isCorrect: response.isCorrect,
+    responseTime: response.responseTime,
+    timestamp: response.timestamp,
+    sequence: trial.sequence
+  }))
+);
+
+const convertToCSV = (trialData) => toCSV(TRIAL_CSV_COLUMNS, toTrialRows(trialData));
+
+const convertTransitionsToCSV = (transitions) => {
+  const headers = ['timestamp', 'from', 'to', 'cause', 'trialNumber', 'digitIndex'];
+
+  const csvContent = [
+    headers.join(','),
+    ...transitions.map(transition => headers.map(header => transition[header] ?? '').join(','))
+  ].join('\n');
+
+  return csvContent;
+};
+
+const SUMMARY_COLUMNS = [
+  'responses',
+  'correct',
+  'accuracy',
+  'meanRT',
+  'medianRT',
+  'switchTrials',
+  'repeatTrials',
+  'switchRT',
+  'repeatRT',
+  'switchCost',
+  'postErrorRT',
+  'postCorrectRT',
+  'postErrorSlowing',
+  'outliers'
+];
+
+/**
+ * One row per effort level plus an 'all' row from SessionAnalyzer output
+ */
+const convertSummaryToCSV = (analysis) => {
+  const headers = ['effortLevel', ...SUMMARY_COLUMNS];
+  const rows = [
+    ...analysis.byEffortLevel,
+    { effortLevel: 'all', ...analysis.overall }
+  ];
 
   const csvContent = [
     headers.join(','),
@@ -62,7 +167,203 @@ const convertToCSV = (trialData) => {
   return csvContent;
 };
 
+/**
+ * Everything exported for one NST session; the input every registered
+ * formatter works from
+ * @param {object} session - Session from stateManager.getSessionState
+ * @param {object} options - { sessionId, stateTransitions }
+ */
+const buildSessionExport = (session, { sessionId, stateTransitions = [] }) => ({
+  sessionId,
+  seed: session.seed || null,
+  configVersion: session.configVersion ?? null,
+  cameraProfile: session.cameraProfile || null,
+  taskRule: session.experimentConfig?.taskRule || 'parity',
+  keyMapping: session.keyMapping || null,
+  schedule: session.schedule || null,
+  trials: formatTrialData(session),
+  stateTransitions,
+  pauses: session.state.pauses || [],
+  recoveries: session.state.recoveries || []
+});
+
+/**
+ * BIDS-style events: one row per digit with onset and duration in seconds.
+ * A digit's onset is its response timestamp minus the response time, relative
+ * to the first digit of the session; duration is the response time
+ */
+const convertToEventsTSV = (exportData) => {
+  const headers = [
+    'onset', 'duration', 'trial_type', 'response', 'correct',
+    'response_time', 'trial_number', 'position', 'digit', 'cue', 'expected_response'
+  ];
+  const responses = exportData.trials.flatMap(trial => trial.responses.map(response => ({ trial, response })));
+  const onsetOf = ({ response }) => (typeof response.timestamp === 'number'
+    ? response.timestamp - (response.responseTime || 0)
+    : null);
+  const onsets = responses.map(onsetOf).filter(onset => onset !== null);
+  const start = onsets.length ? Math.min(...onsets) : 0;
+  const seconds = (ms) => (ms === null || ms === undefined ? 'n/a' : (ms / 1000).toFixed(3));
+  const field = (value) => (value === null || value === undefined || value === '' ? 'n/a' : value);
+
+  const rows = responses.map(item => {
+    const { trial, response } = item;
+    const onset = onsetOf(item);
+    return {
+      onset: onset === null ? 'n/a' : seconds(onset - start),
+      duration: seconds(response.responseTime),
+      trial_type: `effort_${trial.effortLevel}`,
+      response: field(response.responseType),
+      correct: response.isCorrect === undefined ? 'n/a' : Number(Boolean(response.isCorrect)),
+      response_time: field(response.responseTime),
+      trial_number: trial.trialNumber,
+      position: response.position,
+      digit: response.digit,
+      cue: field(response.cue),
+      expected_response: field(response.expectedResponse)
+    };
+  });
+
+  return [
+    headers.join('\t'),
+    ...rows.map(row => headers.map(header => row[header]).join('\t'))
+  ].join('\n');
+};
+
+/**
+ * JSON Lines: one response object per line
+ */
+const convertToJSONLines = (exportData) => exportData.trials
+  .flatMap(trial => trial.responses.map(response => JSON.stringify({
+    sessionId: exportData.sessionId,
+    trialNumber: trial.trialNumber,
+    effortLevel: trial.effortLevel,
+    taskRule: trial.taskRule,
+    position: response.position,
+    digit: response.digit,
+    cue: response.cue,
+    expectedResponse: response.expectedResponse,
+    response: response.response,
+    responseType: response.responseType,
+    isCorrect: response.isCorrect,
+    responseTime: response.responseTime ?? null,
+    timestamp: response.timestamp ?? null
+  })))
+  .join('\n');
+
+/**
+ * Wide CSV: one row per trial with digit, response, correctness and response
+ * time columns for every position (d1_digit, d1_response, ...)
+ */
+const convertToWideCSV = (exportData) => {
+  const length = Math.max(0, ...exportData.trials.map(trial => String(trial.sequence || '').length));
+  const positionColumns = Array.from({ length }, (_, i) =>
+    ['digit', 'response', 'correct', 'rt'].map(field => `d${i + 1}_${field}`)
+  ).flat();
+  const headers = ['trialNumber', 'effortLevel', 'taskRule', 'sequence', 'responses', 'correct', ...positionColumns];
+
+  const rows = exportData.trials.map(trial => {
+    const row = {
+      trialNumber: trial.trialNumber,
+      effortLevel: trial.effortLevel,
+      taskRule: trial.taskRule,
+      sequence: trial.sequence,
+      responses: trial.responses.length,
+      correct: trial.responses.filter(r => r.isCorrect).length
+    };
+    [...String(trial.sequence || '')].forEach((digit, i) => {
+      row[`d${i + 1}_digit`] = digit;
+    });
+    trial.responses.forEach(response => {
+      const prefix = `d${response.position + 1}`;
+      row[`${prefix}_response`] = response.responseType || response.response;
+      row[`${prefix}_correct`] = response.isCorrect;
+      row[`${prefix}_rt`] = response.responseTime;
+    });
+    return row;
+  });
+
+  return toCSV(headers, rows);
+};
+
+/**
+ * Export formatter registry. A formatter turns a session export
+ * (buildSessionExport) into the contents of one file
+ */
+const formatters = {};
+
+const registerFormatter = (name, { filename, contentType, format }) => {
+  formatters[name] = { name, filename, contentType, format };
+};
+
+registerFormatter('csv', {
+  filename: 'data.csv',
+  contentType: 'text/csv',
+  format: (exportData) => convertToCSV(exportData.trials)
+});
+
+registerFormatter('json', {
+  filename: 'data.json',
+  contentType: 'application/json',
+  format: (exportData) => JSON.stringify(exportData, null, 2)
+});
+
+registerFormatter('events-tsv', {
+  filename: 'events.tsv',
+  contentType: 'text/tab-separated-values',
+  format: convertToEventsTSV
+});
+
+registerFormatter('jsonl', {
+  filename: 'responses.jsonl',
+  contentType: 'application/x-ndjson',
+  format: convertToJSONLines
+});
+
+registerFormatter('wide-csv', {
+  filename: 'trials-wide.csv',
+  contentType: 'text/csv',
+  format: convertToWideCSV
+});
+
+/**
+ * Look up a registered formatter
+ * @throws {AppError} 400 for an unknown format
+ */
+const getFormatter = (name) => {
+  const formatter = formatters[name];
+  if (!formatter) {
+    throw new AppError(
+      `Unknown export format "${name}". Expected one of: ${Object.keys(formatters).join(', ')}`,
+      400
+    );
+  }
+  return formatter;
+};
+
+/**
+ * Formatters for a `format` query value: one name or a comma-separated list
+ * @param {string} value - Query value; empty means the defaults
+ * @param {string[]} defaults - Formats used when none are requested
+ */
+const getFormatters = (value, defaults = ['csv', 'json']) => {
+  const names = value
+    ? String(value).split(',').map(name => name.trim()).filter(Boolean)
+    : defaults;
+  return [...new Set(names)].map(getFormatter);
+};
+
 module.exports = {
   formatJSON,
-  convertToCSV
+  TRIAL_CSV_COLUMNS,
+  toCSV,
+  formatTrialData,
+  toTrialRows,
+  convertToCSV,
+  convertTransitionsToCSV,
+  convertSummaryToCSV,
+  buildSessionExport,
+  registerFormatter,
+  getFormatter,
+  getFormatters
 };
@@ -1,50 +1,248 @@
 /**
  * Constants and core functions for generating number sequences with controlled 
- * cognitive load through odd/even switching patterns
+ * cognitive load through switching patterns
  * 
- * Each trial generates a 15-digit number where switches between odd/even digits
- * are controlled by effort level parameters from the config
+ * Each trial generates a 15-digit number where switches between the task
+ * rule's two conditions (odd/even by default, see taskRules.js) are controlled
+ * by effort level parameters from the config. The switch count drawn from an
+ * effort level's range is always met exactly
  */
+const { buildTrialSchedule } = require('./trialSchedule');
+const { getTaskRule } = require('./taskRules');
+const AppError = require('./AppError');
+
 const DIGITS_PER_TRIAL = 15;
 
+// Attempts at placing digits before a constraint set is reported as unsatisfiable
+const MAX_DIGIT_ATTEMPTS = 100;
+
 /**
- * Generates a single number sequence based on effort level parameters
- * @param {number} effortLevel - Current effort condition (1-7)
- * @param {object} config - Experiment configuration containing EFFORT_LEVELS
- * @returns {object} Generated number and its effort level
+ * Optional sequence constraints, set under `sequenceConstraints` in the config:
+ *   noImmediateRepeats - the same digit never appears twice in a row
+ *   balancedParity     - the two conditions (odd/even, low/high, or the two
+ *                        cues) are used equally often, to within one digit
+ *   balancedDigits     - within each condition's digits, each digit is
+ *                        used as often as the others (to within one)
  */
-const generateMarkovNumber = (effortLevel, config) => {
-  const { min, max } = config.EFFORT_LEVELS[effortLevel];
-  
-  // Calculate target switches for this sequence
-  const targetSwitches = Math.floor(Math.random() * (max - min + 1)) + min;
+const resolveConstraints = (config) => ({
+  noImmediateRepeats: false,
+  balancedParity: false,
+  balancedDigits: false,
+  ...config.sequenceConstraints
+});
 
-  let number = '';
-  let isOdd = Math.random() < 0.5;
-  let switches = 0;
+/**
+ * Pick `count` distinct values from 0..n-1, returned sorted
+ */
+const sampleIndices = (n, count, random) => {
+  const indices = Array.from({ length: n }, (_, i) => i);
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(random() * (n - i));
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+  return indices.slice(0, count).sort((a, b) => a - b);
+};
+
+/**
+ * Split `total` into `parts` random run lengths of at least one
+ */
+const randomRunLengths = (total, parts, random) => {
+  const cuts = [0, ...sampleIndices(total - 1, parts - 1, random).map(i => i + 1), total];
+  return cuts.slice(1).map((cut, i) => cut - cuts[i]);
+};
+
+/**
+ * Which condition pattern lengths a switch count allows with balanced parity.
+ * k switches give k + 1 alternating runs; the starting condition gets the
+ * extra run when the count is odd, and every run needs at least one digit
+ * @returns {number[]} Feasible digit counts for the starting condition
+ */
+const balancedStartCounts = (switches) => {
+  const startRuns = Math.ceil((switches + 1) / 2);
+  const otherRuns = Math.floor((switches + 1) / 2);
+  const half = Math.floor(DIGITS_PER_TRIAL / 2);
+
+  const fits = (runs, count) => runs <= count && (runs > 0 || count === 0);
+
+  return [half, DIGITS_PER_TRIAL - half].filter((count, i, counts) =>
+    counts.indexOf(count) === i && fits(startRuns, count) && fits(otherRuns, DIGITS_PER_TRIAL - count)
+  );
+};
+
+/**
+ * Switch counts an effort level may use under the given constraints
+ */
+const allowedSwitchCounts = (effortLevel, config, constraints) => {
+  const range = config.EFFORT_LEVELS?.[effortLevel];
+  if (!range) {
+    throw new AppError(`Effort level ${effortLevel} is not defined in EFFORT_LEVELS`, 400);
+  }
+
+  const counts = [];
+  for (let switches = range.min; switches <= range.max; switches++) {
+    if (switches < 0 || switches > DIGITS_PER_TRIAL - 1) continue;
+    if (constraints.balancedParity && balancedStartCounts(switches).length === 0) continue;
+    counts.push(switches);
+  }
+
+  return counts;
+};
+
+/**
+ * Check the task rule exists and every effort level used by trialConfig can
+ * produce a sequence under the configured constraints
+ * @param {object} config - Experiment configuration
+ * @throws {AppError} 400 naming the first unsatisfiable level
+ */
+const validateSequenceConstraints = (config) => {
+  getTaskRule(config.taskRule);
+  const constraints = resolveConstraints(config);
+
+  (config.trialConfig || []).forEach(({ level }) => {
+    const { min, max } = config.EFFORT_LEVELS?.[level] || {};
+    if (allowedSwitchCounts(level, config, constraints).length === 0) {
+      const reasons = [`switches must be between 0 and ${DIGITS_PER_TRIAL - 1}`];
+      if (constraints.balancedParity) reasons.push('balancedParity needs at least one switch');
+      throw new AppError(
+        `Effort level ${level} (${min}-${max} switches) cannot be generated: ${reasons.join('; ')}`,
+        400
+      );
+    }
+  });
+};
+
+/**
+ * Condition pattern (one of rule.conditions per digit) with exactly
+ * `switches` changes of condition
+ */
+const buildConditionPattern = (rule, switches, constraints, random) => {
+  const [first, second] = random() < 0.5 ? rule.conditions : [...rule.conditions].reverse();
+  let runs;
+
+  if (constraints.balancedParity) {
+    const startCounts = balancedStartCounts(switches);
+    const startCount = startCounts[Math.floor(random() * startCounts.length)];
+    const startRuns = randomRunLengths(startCount, Math.ceil((switches + 1) / 2), random);
+    const otherRuns = Math.floor((switches + 1) / 2) > 0
+      ? randomRunLengths(DIGITS_PER_TRIAL - startCount, Math.floor((switches + 1) / 2), random)
+      : [];
+    runs = startRuns.flatMap((length, i) => (i < otherRuns.length ? [length, otherRuns[i]] : [length]));
+  } else {
+    // Choose which of the gaps between digits are switch points
+    runs = randomRunLengths(DIGITS_PER_TRIAL, switches + 1, random);
+  }
+
+  return runs.flatMap((length, i) => Array(length).fill(i % 2 === 0 ? first : second));
+};
+
+/**
+ * Digits available to fill `slots` positions of one condition. Balanced
+ * frequencies use each digit evenly; otherwise any digit may be drawn
+ */
+const buildDigitBag = (digits, slots, constraints, random) => {
+  if (!constraints.balancedDigits) return null;
+
+  const extras = sampleIndices(digits.length, slots % digits.length, random);
+  const bag = {};
+  digits.forEach((digit, i) => {
+    bag[digit] = Math.floor(slots / digits.length) + (extras.includes(i) ? 1 : 0);
+  });
+  return bag;
+};
+
+/**
+ * Fill the condition pattern with digits, honouring repeat and frequency constraints.
+ * Cued rules draw every condition from one pool, so they share a single bag
+ */
+const fillDigits = (rule, pattern, constraints, random) => {
+  const bagFor = (condition) => (rule.cued ? 'shared' : condition);
 
-  for (let i = 0; i < DIGITS_PER_TRIAL; i++) {
-    // Determine if we should switch based on remaining switches needed
-    if (switches < targetSwitches && i < DIGITS_PER_TRIAL - 1) {
-      const switchProbability = (targetSwitches - switches) / (DIGITS_PER_TRIAL - i);
-      if (Math.random() < switchProbability) {
-        isOdd = !isOdd;
-        switches++;
-      }
+  for (let attempt = 0; attempt < MAX_DIGIT_ATTEMPTS; attempt++) {
+    const bags = {};
+    rule.conditions.forEach(condition => {
+      const slots = pattern.filter(entry => bagFor(entry) === bagFor(condition)).length;
+      bags[bagFor(condition)] = buildDigitBag(rule.digitsFor(condition), slots, constraints, random);
+    });
+    const digits = [];
+
+    for (const condition of pattern) {
+      const pool = rule.digitsFor(condition);
+      const bag = bags[bagFor(condition)];
+      const previous = digits[digits.length - 1];
+      const candidates = pool.filter(digit =>
+        (!bag || bag[digit] > 0) && !(constraints.noImmediateRepeats && digit === previous)
+      );
+      if (candidates.length === 0) break;
+
+      // Weight by what is left in the bag so balanced runs do not paint themselves into a corner
+      const weights = candidates.map(digit => (bag ? bag[digit] : 1));
+      let pick = random() * weights.reduce((sum, weight) => sum + weight, 0);
+      const index = weights.findIndex(weight => (pick -= weight) < 0);
+      const digit = candidates[index === -1 ? candidates.length - 1 : index];
+
+      if (bag) bag[digit]--;
+      digits.push(digit);
+    }
+
+    if (digits.length === pattern.length) {
+      return digits.join('');
     }
-    // Generate appropriate odd/even digit
-    const digit = isOdd ?
-      (Math.floor(Math.random() * 5) * 2 + 1).toString() : // Odd digits: 1,3,5,7,9
-      (Math.floor(Math.random() * 4) * 2 + 2).toString();  // Even digits: 2,4,6,8
-    number += digit;
   }
 
+  throw new AppError('Could not generate a digit sequence satisfying the configured sequenceConstraints', 400);
+};
+
+/**
+ * Count switches in a trial: changes of cue for cued rules, otherwise
+ * changes in the category the rule assigns each digit
+ * @param {string} number - Digit string
+ * @param {string} ruleName - Task rule name (default parity)
+ * @param {string[]} cues - Per-digit cues (cued rules only)
+ */
+const countSwitches = (number, ruleName = 'parity', cues = null) => {
+  const rule = getTaskRule(ruleName);
+  const conditions = rule.cued ? cues : [...number].map(digit => rule.expectedResponse(digit));
+
+  let switches = 0;
+  for (let i = 1; i < conditions.length; i++) {
+    if (conditions[i] !== conditions[i - 1]) switches++;
+  }
+  return switches;
+};
+
+/**
+ * Generates a single number sequence based on effort level parameters.
+ * The number of condition switches always equals targetSwitches
+ * @param {number} effortLevel - Current effort condition (1-7)
+ * @param {object} config - Experiment configuration containing EFFORT_LEVELS,
+ *   taskRule and optional sequenceConstraints
+ * @param {function} random - Random source in [0, 1); pass a seeded one to reproduce a sequence
+ * @returns {object} Generated number and its effort level, plus the per-digit
+ *   cues for cued task rules
+ */
+const generateMarkovNumber = (effortLevel, config, random = Math.random) => {
+  const rule = getTaskRule(config.taskRule);
+  const constraints = resolveConstraints(config);
+  const switchCounts = allowedSwitchCounts(effortLevel, config, constraints);
+  if (switchCounts.length === 0) {
+    throw new AppError(`Effort level ${effortLevel} cannot satisfy the configured sequenceConstraints`, 400);
+  }
+
+  // Calculate target switches for this sequence
+  const targetSwitches = switchCounts[Math.floor(random() * switchCounts.length)];
+
+  const pattern = buildConditionPattern(rule, targetSwitches, constraints, random);
+  const number = fillDigits(rule, pattern, constraints, random);
+  const cues = rule.cued ? pattern : undefined;
+
   return { 
     number, 
     effortLevel,
+    ...(cues && { cues }),
     metadata: {
+      taskRule: rule.name,
       targetSwitches,
-      actualSwitches: switches
+      actualSwitches: countSwitches(number, rule.name, cues)
     }
   };
 };
@@ -52,30 +250,20 @@ const generateMarkovNumber = (effortLevel, config) => {
 /**
  * Generates full set of trial numbers for an experiment session
  * @param {object} config - Full experiment configuration
- * @returns {array} Array of trial numbers with their effort levels
+ * @param {object} options - { schedule } from buildTrialSchedule, or the
+ *   { participantNumber } used to build one, plus an optional seeded { random }
+ * @returns {array} Array of trial numbers with their effort levels, in schedule order
  */
-const generateTrialNumbers = (config) => {
-
-  const trialNumbers = config.trialConfig.flatMap(({ level, trials }) => {
-    
-    return Array(trials).fill().map(() => generateMarkovNumber(level, config));
-  });
-
-  for (let i = 0; i < config.numTrials; i++) {
-    const level = effortLevels[i % effortLevels.length];
-    trialNumbers.push(generateMarkovNumber(level, config));
-  }
-
+const generateTrialNumbers = (config, options = {}) => {
+  validateSequenceConstraints(config);
+  const { levels } = options.schedule || buildTrialSchedule(config, options);
 
-  // Fisher-Yates shuffle
-  for (let i = trialNumbers.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [trialNumbers[i], trialNumbers[j]] = [trialNumbers[j], trialNumbers[i]];
-  }
-
-  return trialNumbers;
+  return levels.map(level => generateMarkovNumber(level, config, options.random));
 };
+
 module.exports = { 
   generateMarkovNumber,
-  generateTrialNumbers 
+  generateTrialNumbers,
+  validateSequenceConstraints,
+  countSwitches
 };
\ No newline at end of file
@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const Participant = require('../models/Participant');
+const stateManager = require('../services/stateManager');
+const SessionAnalyzer = require('./sessionAnalyzer');
+const AppError = require('./AppError');
+const { parseDemographicsLevel, demographicValues, loadDemographics } = require('./demographics');
+const {
+  toCSV,
+  buildSessionExport,
+  getFormatters,
+  convertTransitionsToCSV,
+  convertSummaryToCSV
+} = require('./exportFormatters');
+
+const BUNDLE_VERSION = 1;
+
+const sessionAnalyzer = new SessionAnalyzer(stateManager);
+
+/**
+ * Participant data bundle: everything recorded for one participant across
+ * tasks, laid out as
+ *
+ *   manifest.json             - bundle contents with size and SHA-256 per file
+ *   checksums.sha256          - sha256sum-compatible list of every other file
+ *   participant.json          - participant record, with demographics at the
+ *                               requested level
+ *   neutral/captures.json     - neutral capture metadata
+ *   nst/sessions.json         - NST session list
+ *   nst/<sessionId>/...       - trial data in each requested format (data.csv and
+ *                               data.json by default), transitions.csv, summary.csv
+ *   nst/captures.csv|json     - per-digit capture metadata
+ *   nst/clips.csv|json        - timing of the video clips around digit onsets
+ *   physical-effort/...       - trial plan and per-trial capture and clip metadata
+ *   images/<task>/<trial>/... - photos grouped by task and trial
+ *   clips/<task>/<trial>/...  - WebM clips grouped by task and trial
+ */
+
+const readDirectory = async (dir) => {
+  try {
+    return (await fs.readdir(dir)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+};
+
+const readJSON = async (filePath) => JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+/**
+ * Size and SHA-256 of a bundle file; files on disk are hashed as a stream
+ * @returns {Promise<object|null>} { size, sha256 }, or null if the file is gone
+ */
+const describeFile = async (file) => {
+  if (!file.path) {
+    return { size: Buffer.byteLength(file.content), sha256: sha256(file.content) };
+  }
+
+  try {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    for await (const chunk of createReadStream(file.path)) {
+      hash.update(chunk);
+      size += chunk.length;
+    }
+    return { size, sha256: hash.digest('hex') };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Bundle folder for a participant photo or clip, from the naming used by participantRoutes
+ */
+const imageFolder = (task, filename) => {
+  const root = filename.endsWith('.webm') ? 'clips' : 'images';
+  if (task === 'nst') {
+    const match = filename.match(/-t(\d+)-d\d+\./);
+    return match ? `${root}/nst/trial-${match[1]}` : `${root}/nst`;
+  }
+  if (task === 'physical-effort') {
+    const match = filename.match(/^physical-effort-(?:main|equipment)-(.+)\.[a-z]+$/i);
+    return match ? `${root}/physical-effort/${match[1]}` : `${root}/physical-effort`;
+  }
+  return `${root}/${task}`;
+};
+
+/**
+ * Capture and clip metadata files saved under data/<participantId>/metadata
+ * (capture-*.json and clip-*.json; NST files are named by trial and digit)
+ */
+const readCaptureMetadata = async (metadataDir) => {
+  const nst = [];
+  const physicalEffort = [];
+  const clips = { nst: [], physicalEffort: [] };
+
+  for (const file of await readDirectory(metadataDir)) {
+    const match = file.match(/^(capture|clip)-(t\d+-d\d+\.json)?/);
+    if (!match || !file.endsWith('.json')) continue;
+    const data = await readJSON(path.join(metadataDir, file));
+    const isNst = Boolean(match[2]);
+    if (match[1] === 'clip') {
+      (isNst ? clips.nst : clips.physicalEffort).push(data);
+    } else {
+      (isNst ? nst : physicalEffort).push(data);
+    }
+  }
+
+  const byPosition = (a, b) => a.trialNumber - b.trialNumber || a.digitIndex - b.digitIndex;
+  nst.sort(byPosition);
+  clips.nst.sort(byPosition);
+  return { nst, physicalEffort, clips };
+};
+
+/**
+ * Export files for each NST session the participant ran
+ */
+const collectSessionFiles = async (participantId, formatters) => {
+  const files = [];
+  const sessions = await stateManager.listSessions({ participantId });
+
+  for (const summary of sessions) {
+    const sessionId = summary.experimentId;
+    const session = await stateManager.getSessionState(sessionId);
+    if (!session) continue;
+
+    const stateTransitions = await stateManager.getStateTransitions(sessionId);
+    const exportData = buildSessionExport(session, { sessionId, stateTransitions });
+    const folder = `nst/${sessionId}`;
+
+    files.push(
+      ...formatters.map(formatter => ({
+        name: `${folder}/${formatter.filename}`,
+        content: formatter.format(exportData)
+      })),
+      { name: `${folder}/transitions.csv`, content: convertTransitionsToCSV(stateTransitions) },
+      { name: `${folder}/summary.csv`, content: convertSummaryToCSV(await sessionAnalyzer.analyzeSession(sessionId)) }
+    );
+
+    // Frames stored by the media handler during the session
+    for (const capture of await stateManager.getSessionCaptures(sessionId)) {
+      if (!capture.filepath) continue;
+      files.push({
+        name: `images/nst/${sessionId}/trial-${capture.trialNumber ?? 'unknown'}/${path.basename(capture.filepath)}`,
+        path: capture.filepath
+      });
+    }
+  }
+
+  return { sessions, files };
+};
+
+/**
+ * Collect every file in a participant's data bundle. Generated files are
+ * returned as { name, content }, photos as { name, path } so they can be
+ * streamed from disk
+ * @param {string} participantId - Participant to export
+ * @param {object} options - { format, demographics } comma-separated session
+ *   data formats; demographics level full (default), coarse or none
+ * @returns {Promise<object[]>} Files with manifest.json and checksums.sha256 first
+ * @throws {AppError} 404 when the participant does not exist, 400 for an unknown format or level
+ */
+const buildParticipantBundle = async (participantId, { format, demographics } = {}) => {
+  const formatters = getFormatters(format);
+  const level = parseDemographicsLevel(demographics);
+  const participant = await Participant.findOne({ participantId }).lean();
+  if (!participant) {
+    throw new AppError('Participant not found', 404);
+  }
+
+  const baseDir = path.join(process.cwd(), 'data', participantId);
+  const { _id, __v, ...participantRecord } = participant;
+  if (level !== 'none') {
+    const demographicsById = await loadDemographics([participantId], level);
+    participantRecord.demographics = demographicValues(demographicsById.get(participantId), level);
+  }
+  const captures = await readCaptureMetadata(path.join(baseDir, 'metadata'));
+  const neutral = participant.tasksCompleted?.find(task => task.taskType === 'neutral-capture');
+  const { sessions, files: sessionFiles } = await collectSessionFiles(participantId, formatters);
+
+  const files = [
+    { name: 'participant.json', content: JSON.stringify(participantRecord, null, 2) },
+    { name: 'neutral/captures.json', content: JSON.stringify(neutral?.metadata || null, null, 2) },
+    { name: 'nst/sessions.json', content: JSON.stringify(sessions, null, 2) },
+    ...sessionFiles,
+    {
+      name: 'nst/captures.csv',
+      content: toCSV(
+        ['trialNumber', 'digitIndex', 'digit', 'response', 'responseTime', 'timestamp', 'timing', 'quality', 'files'],
+        captures.nst
+      )
+    },
+    { name: 'nst/captures.json', content: JSON.stringify(captures.nst, null, 2) },
+    {
+      name: 'physical-effort/captures.csv',
+      content: toCSV(
+        ['trialId', 'timestamp', 'trial', 'timing', 'quality', 'files'],
+        captures.physicalEffort.map(capture => ({ trialId: capture.trial?.trialId, ...capture }))
+      )
+    },
+    { name: 'physical-effort/captures.json', content: JSON.stringify(captures.physicalEffort, null, 2) },
+    {
+      name: 'nst/clips.csv',
+      content: toCSV(
+        ['trialNumber', 'digitIndex', 'digit', 'onset', 'preMs', 'postMs', 'files', 'timing'],
+        captures.clips.nst
+      )
+    },
+    { name: 'nst/clips.json', content: JSON.stringify(captures.clips.nst, null, 2) },
+    {
+      name: 'physical-effort/clips.csv',
+      content: toCSV(
+        ['trialId', 'onset', 'preMs', 'postMs', 'files', 'timing'],
+        captures.clips.physicalEffort.map(clip => ({ trialId: clip.trial?.trialId, ...clip }))
+      )
+    },
+    { name: 'physical-effort/clips.json', content: JSON.stringify(captures.clips.physicalEffort, null, 2) },
+    {
+      name: 'physical-effort/trial-plan.json',
+      content: JSON.stringify(participant.taskProgress?.['physical-effort'] || null, null, 2)
+    }
+  ];
+
+  for (const task of ['neutral', 'nst', 'physical-effort']) {
+    for (const filename of await readDirectory(path.join(baseDir, task))) {
+      files.push({
+        name: `${imageFolder(task, filename)}/${filename}`,
+        path: path.join(baseDir, task, filename)
+      });
+    }
+  }
+
+  // Files that disappeared since they were listed are left out of the bundle
+  const entries = [];
+  const bundled = [];
+  for (const file of files) {
+    const description = await describeFile(file);
+    if (!description) continue;
+    entries.push({ path: file.name, ...description });
+    bundled.push(file);
+  }
+
+  const manifest = JSON.stringify({
+    bundleVersion: BUNDLE_VERSION,
+    participantId,
+    participantNumber: participant.participantNumber,
+    demographics: level,
+    exportedAt: new Date().toISOString(),
+    tasks: {
+      neutral: Boolean(neutral),
+      nst: sessions.map(s => s.experimentId),
+      physicalEffort: captures.physicalEffort.length
+    },
+    files: entries
+  }, null, 2);
+
+  const checksums = [
+    ...entries,
+    { path: 'manifest.json', sha256: sha256(manifest) }
+  ].map(entry => `${entry.sha256}  ${entry.path}`).join('\n') + '\n';
+
+  return [
+    { name: 'manifest.json', content: manifest },
+    { name: 'checksums.sha256', content: checksums },
+    ...bundled
+  ];
+};
+
+module.exports = { buildParticipantBundle, readCaptureMetadata };
@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const { scoreResponse } = require('./taskRules');
 
 class ResultsAggregator {
   constructor(stateManager) {
@@ -6,25 +7,32 @@ class ResultsAggregator {
   }
 
   async getFullResults(sessionId) {
-    const stateVector = this.stateManager.getFullStateVector(sessionId);
-    const session = this.stateManager.getSessionState(sessionId);
+    const stateVector = await this.stateManager.getFullStateVector(sessionId);
+    const session = await this.stateManager.getSessionState(sessionId);
     
     return {
       sessionMetrics: this.calculateSessionMetrics(session),
-      trialDetails: this.processTrialDetails(stateVector, session.keyMapping),
+      trialDetails: this.processTrialDetails(stateVector, session.keyMapping, session.experimentConfig?.taskRule),
       captureData: this.processCaptureData(stateVector),
       experimentConfig: session.experimentConfig,
+      seed: session.seed || null,
+      schedule: session.schedule || null,
       keyMapping: session.keyMapping, // Include key mapping in results
+      stateTransitions: await this.stateManager.getStateTransitions(sessionId),
       validationHash: this.generateChecksum(stateVector)
     };
   }
 
   calculateSessionMetrics(session) {
-    const { startTime, state } = session;
+    const { state } = session;
+    const startTime = new Date(session.startTime).getTime();
     const endTime = Date.now();
+    const pausedTime = this.stateManager.getPausedDuration(state, startTime, endTime);
     
     return {
-      totalTime: endTime - startTime,
+      totalTime: endTime - startTime - pausedTime,
+      pausedTime,
+      pauseCount: (state.pauses || []).length,
       trialsCompleted: state.currentTrial,
       totalTrials: state.trials.length,
       responseCount: state.responses.length,
@@ -33,7 +41,7 @@ class ResultsAggregator {
     };
   }
 
-  processTrialDetails(stateVector, keyMapping) {
+  processTrialDetails(stateVector, keyMapping, taskRule = 'parity') {
     const { experimentState, responseState } = stateVector;
     
     return experimentState.trials.map((trial, index) => ({
@@ -44,19 +52,20 @@ class ResultsAggregator {
         response: responseState[index]?.key || null,
         responseType: responseState[index]?.responseType || null,
         responseStyle: responseState[index]?.responseStyle || keyMapping?.responseStyle || null,
-        isCorrect: this.validateResponse(digit, responseState[index]?.key, keyMapping),
+        cue: trial.cues?.[pos] || null,
+        isCorrect: this.validateResponse(digit, responseState[index]?.key, keyMapping, taskRule, trial.cues?.[pos]),
         timestamp: responseState[index]?.timestamp || null,
         position: pos + 1
       })),
       effortLevel: trial.effortLevel,
+      taskRule,
       totalCorrect: responseState[index]?.filter(r => r.isCorrect).length || 0
     }));
   }
 
-  validateResponse(digit, key, keyMapping) {
+  validateResponse(digit, key, keyMapping, taskRule = 'parity', cue = null) {
     if (!key || !keyMapping) return false;
-    const isOdd = digit % 2 !== 0;
-    return (isOdd && key === keyMapping.odd) || (!isOdd && key === keyMapping.even);
+    return scoreResponse(taskRule, digit, key, keyMapping, cue).isCorrect;
   }
 
   processCaptureData(stateVector) {
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+/**
+ * Seeded pseudo-random number generation so a session's sequences can be
+ * regenerated exactly. The seed string is hashed (cyrb128) into the state
+ * of a sfc32 generator; both are small, fast and well distributed
+ */
+
+/**
+ * Create a new random seed (hex string)
+ */
+const generateSeed = () => {
+  return crypto.randomBytes(8).toString('hex');
+};
+
+/**
+ * Hash a string into four 32-bit state words
+ */
+const cyrb128 = (str) => {
+  let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+
+  for (let i = 0; i < str.length; i++) {
+    const k = str.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+
+  return [(h1 ^ h2 ^ h3 ^ h4) >>> 0, (h2 ^ h1) >>> 0, (h3 ^ h1) >>> 0, (h4 ^ h1) >>> 0];
+};
+
+/**
+ * Create a Math.random replacement driven by the given seed
+ * @param {string|number} seed - Seed value; the same seed yields the same stream
+ * @returns {function} Returns floats in [0, 1)
+ */
+const createRandom = (seed) => {
+  let [a, b, c, d] = cyrb128(String(seed));
+
+  return () => {
+    a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+    let t = (a + b) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    d = (d + 1) | 0;
+    t = (t + d) | 0;
+    c = (c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  };
+};
+
+module.exports = {
+  generateSeed,
+  createRandom
+};
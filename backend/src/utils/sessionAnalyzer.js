@@ -0,0 +1,150 @@
+const { getTaskRule } = require('./taskRules');
+
+// Responses faster than this are anticipations, not judgments
+const MIN_RT = 200;
+// Slow outliers lie this many scaled MADs above the median RT
+const OUTLIER_MADS = 3;
+// Scales the MAD to match a standard deviation for normal data
+const MAD_SCALE = 1.4826;
+
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const difference = (a, b) => (a === null || b === null ? null : a - b);
+
+const round = (value, places = 1) => (value === null ? null : Number(value.toFixed(places)));
+
+/**
+ * SessionAnalyzer - switch-cost and effort-level analytics for an NST session
+ *
+ * Each response is classified as a switch (its condition differs from the
+ * previous digit's: parity/magnitude category, or cue for cued rules) or a
+ * repeat. RT statistics use correct, non-outlier responses only
+ */
+class SessionAnalyzer {
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+  }
+
+  async analyzeSession(sessionId) {
+    const session = await this.stateManager.getSessionState(sessionId);
+    if (!session) return null;
+
+    const taskRule = session.experimentConfig?.taskRule || 'parity';
+    const responses = this.classifyResponses(session.state.trials, session.state.responses, taskRule);
+    const effortLevels = [...new Set(responses.map(r => r.effortLevel))].sort((a, b) => a - b);
+
+    return {
+      sessionId,
+      participantId: session.participantId,
+      taskRule,
+      thresholds: this.getThresholds(responses),
+      overall: this.summarize(responses),
+      byEffortLevel: effortLevels.map(effortLevel => ({
+        effortLevel,
+        ...this.summarize(responses.filter(r => r.effortLevel === effortLevel))
+      })),
+      trials: session.state.trials.map((trial, trialNumber) => ({
+        trialNumber,
+        effortLevel: trial.effortLevel,
+        ...this.summarize(responses.filter(r => r.trialNumber === trialNumber))
+      })),
+      outliers: responses
+        .filter(r => r.outlier)
+        .map(({ trialNumber, position, responseTime, outlier }) => ({ trialNumber, position, responseTime, reason: outlier }))
+    };
+  }
+
+  /**
+   * Attach effort level, switch/repeat, previous-error and outlier flags to
+   * each response, in presentation order
+   */
+  classifyResponses(trials, responses, taskRule) {
+    const rule = getTaskRule(taskRule);
+    const conditionAt = (trial, position) => (rule.cued
+      ? trial.cues?.[position]
+      : rule.expectedResponse(trial.number[position]));
+
+    const ordered = [...responses]
+      .filter(r => trials[r.trialNumber])
+      .sort((a, b) => a.trialNumber - b.trialNumber || a.position - b.position);
+
+    const byPosition = {};
+    ordered.forEach(r => { byPosition[`${r.trialNumber}-${r.position}`] = r; });
+
+    const classified = ordered.map(r => {
+      const trial = trials[r.trialNumber];
+      const previous = byPosition[`${r.trialNumber}-${r.position - 1}`];
+
+      return {
+        trialNumber: r.trialNumber,
+        position: r.position,
+        effortLevel: trial.effortLevel,
+        isCorrect: Boolean(r.isCorrect),
+        responseTime: typeof r.responseTime === 'number' ? r.responseTime : null,
+        transition: r.position > 0
+          ? (conditionAt(trial, r.position) === conditionAt(trial, r.position - 1) ? 'repeat' : 'switch')
+          : null,
+        afterError: previous ? !previous.isCorrect : null
+      };
+    });
+
+    const { slowCutoff } = this.getThresholds(classified);
+    classified.forEach(r => {
+      if (r.responseTime === null) return;
+      if (r.responseTime < MIN_RT) r.outlier = 'fast';
+      else if (slowCutoff !== null && r.responseTime > slowCutoff) r.outlier = 'slow';
+    });
+
+    return classified;
+  }
+
+  /**
+   * RT outlier cutoffs for the session: fixed fast cutoff, median + 3 MAD slow cutoff
+   */
+  getThresholds(responses) {
+    const rts = responses.map(r => r.responseTime).filter(rt => rt !== null && rt >= MIN_RT);
+    const medianRT = median(rts);
+    const mad = medianRT === null ? null : median(rts.map(rt => Math.abs(rt - medianRT))) * MAD_SCALE;
+
+    return {
+      fastCutoff: MIN_RT,
+      slowCutoff: mad === null ? null : round(medianRT + OUTLIER_MADS * mad)
+    };
+  }
+
+  summarize(responses) {
+    const valid = responses.filter(r => r.isCorrect && r.responseTime !== null && !r.outlier);
+    const rts = (filter) => valid.filter(filter).map(r => r.responseTime);
+
+    const switchRT = mean(rts(r => r.transition === 'switch'));
+    const repeatRT = mean(rts(r => r.transition === 'repeat'));
+    const postErrorRT = mean(rts(r => r.afterError === true));
+    const postCorrectRT = mean(rts(r => r.afterError === false));
+
+    return {
+      responses: responses.length,
+      correct: responses.filter(r => r.isCorrect).length,
+      accuracy: responses.length ? round(responses.filter(r => r.isCorrect).length / responses.length, 4) : null,
+      meanRT: round(mean(valid.map(r => r.responseTime))),
+      medianRT: round(median(valid.map(r => r.responseTime))),
+      switchTrials: responses.filter(r => r.transition === 'switch').length,
+      repeatTrials: responses.filter(r => r.transition === 'repeat').length,
+      switchRT: round(switchRT),
+      repeatRT: round(repeatRT),
+      switchCost: round(difference(switchRT, repeatRT)),
+      postErrorRT: round(postErrorRT),
+      postCorrectRT: round(postCorrectRT),
+      postErrorSlowing: round(difference(postErrorRT, postCorrectRT)),
+      outliers: responses.filter(r => r.outlier).length
+    };
+  }
+}
+
+module.exports = SessionAnalyzer;
@@ -1,7 +1,46 @@
 const crypto = require('crypto');
+const { generateTrialNumbers } = require('./markovChain');
+const { buildTrialSchedule } = require('./trialSchedule');
+const { generateSeed, createRandom } = require('./seededRandom');
+const { getTaskRule, buildKeyMapping } = require('./taskRules');
 
 const generateSessionId = () => {
   return crypto.randomBytes(16).toString('hex');
 };
 
-module.exports = { generateSessionId };
+/**
+ * Generate everything random about an NST session from one seed: the trial
+ * schedule, the digit sequences and the key mapping. Drawing them in a fixed
+ * order from the same stream means the seed alone reproduces the session
+ * @param {object} config - Experiment configuration (keyMappingPolicy picks
+ *   a balanced, random, standard or reversed key mapping)
+ * @param {object} options - { seed, participantNumber, responseStyle }; the
+ *   'balanced' policy uses responseStyle, the participant's allocated mapping
+ * @returns {object} { seed, schedule, trials, keyMapping }
+ */
+const generateSessionPlan = (config, options = {}) => {
+  const seed = options.seed || generateSeed();
+  const random = createRandom(seed);
+
+  const schedule = buildTrialSchedule(config, {
+    participantNumber: options.participantNumber,
+    random
+  });
+  const trials = generateTrialNumbers(config, { schedule, random });
+
+  // 'random' (and 'balanced' without an allocation): 50% chance of standard vs reversed
+  const policy = config.keyMappingPolicy || 'random';
+  let useStandardMapping;
+  if (policy === 'balanced' && options.responseStyle) {
+    useStandardMapping = options.responseStyle === 'standard';
+  } else if (policy === 'random' || policy === 'balanced') {
+    useStandardMapping = random() < 0.5;
+  } else {
+    useStandardMapping = policy === 'standard';
+  }
+  const keyMapping = buildKeyMapping(getTaskRule(config.taskRule), useStandardMapping);
+
+  return { seed, schedule, trials, keyMapping };
+};
+
+module.exports = { generateSessionId, generateSessionPlan };
@@ -0,0 +1,344 @@
+const path = require('path');
+const Participant = require('../models/Participant');
+const Demographics = require('../models/Demographics');
+const stateManager = require('../services/stateManager');
+const AppError = require('./AppError');
+const { readCaptureMetadata } = require('./participantBundle');
+const { TRIAL_CSV_COLUMNS, toCSV, formatTrialData, toTrialRows } = require('./exportFormatters');
+const {
+  DEMOGRAPHICS_COLUMNS,
+  parseDemographicsLevel,
+  demographicValues,
+  loadDemographics
+} = require('./demographics');
+
+/**
+ * Study-wide batch export: every participant matching a filter, written as
+ * one long-format CSV per task (one row per response / capture, with the
+ * participant columns repeated) plus a codebook describing every column.
+ * Demographics are joined in at the requested level (see utils/demographics)
+ */
+
+const STATUSES = ['registered', 'in-progress', 'completed', 'incomplete'];
+const GENDERS = ['M', 'F', 'O'];
+
+const PARTICIPANT_COLUMNS = {
+  participantId: 'Pseudonymous participant identifier',
+  participantNumber: 'Sequential participant number assigned at registration',
+  status: 'Participant status: registered, in-progress, completed or incomplete',
+  registrationTime: 'Registration time (ISO 8601)',
+  protocol: 'Name of the study protocol the participant was registered under'
+};
+
+const NST_COLUMNS = {
+  sessionId: 'NST session identifier',
+  configVersion: 'Experiment config version the session ran under; empty for sessions from before config versioning',
+  cameraProfile: 'Name of the camera station profile the session ran under; empty when none was recorded',
+  trialNumber: 'Trial number within the session, starting at 1',
+  effortLevel: 'Effort level of the trial: index into the EFFORT_LEVELS switch ranges of the session config version; the number of condition switches in the digit sequence lies in that range',
+  taskRule: 'Task rule: parity (odd/even), magnitude (low/high) or cued (cue picks parity or magnitude)',
+  position: 'Digit position within the trial, starting at 0',
+  digit: 'Digit shown at this position',
+  cue: 'Cue shown with the digit for the cued rule (parity or magnitude); empty otherwise',
+  expectedResponse: 'Correct response category for the digit (odd, even, low or high)',
+  responseKey: 'Key pressed by the participant',
+  responseType: 'Response category the pressed key stands for under the session key mapping',
+  responseStyle: 'Key mapping: standard (first category on F) or reversed (first category on J)',
+  isCorrect: 'Whether the response matched the expected response, scored on the server',
+  responseTime: 'Milliseconds from the digit onset to the key press, less any pause in between',
+  timestamp: 'Time the key press was recorded by the client (ms since Unix epoch)',
+  sequence: 'Full digit sequence shown in the trial'
+};
+
+const CLIP_COLUMNS = {
+  mainClip: 'Path of the main camera WebM clip around the stimulus onset; empty when no clip was recorded',
+  equipmentClip: 'Path of the equipment camera WebM clip around the stimulus onset; empty when no clip was recorded',
+  clipOnsetMs: 'Milliseconds from the start of the main camera clip (or the equipment clip) to the stimulus onset'
+};
+
+const FRAME_TIMING_COLUMNS = {
+  stimulusOnset: 'Stimulus onset recorded by the client (ms since Unix epoch, sub-millisecond)',
+  mainFrameTime: 'Time of the captured main camera frame (ms since Unix epoch); empty when the browser does not report frame times',
+  equipmentFrameTime: 'Time of the captured equipment camera frame (ms since Unix epoch); empty when the browser does not report frame times',
+  cameraSkewMs: 'Equipment frame time minus main frame time in ms; empty unless both frame times are known'
+};
+
+const QUALITY_COLUMNS = {
+  mainQuality: 'Main camera photo quality check: pass, or fail with the failed checks (too-dark, too-bright, low-contrast, blurry, identical-frame); empty when not checked',
+  equipmentQuality: 'Equipment camera photo quality check: pass, or fail with the failed checks; empty when not checked'
+};
+
+const PHYSICAL_EFFORT_COLUMNS = {
+  cameraProfile: 'Name of the camera station profile the task ran under; empty when none was recorded',
+  trialIndex: 'Order in which the capture was saved, starting at 1',
+  trialId: 'Trial identifier: <effort dot>-<repetition>',
+  dot: 'Effort target (dynamometer dot) the participant was asked to reach',
+  rep: 'Repetition of this effort target, starting at 1',
+  timestamp: 'Capture time recorded by the client',
+  mainPhoto: 'Path of the main camera photo',
+  equipmentPhoto: 'Path of the equipment camera photo'
+};
+
+const NEUTRAL_COLUMNS = {
+  camera: 'Camera the photo came from: main or equipment',
+  index: 'Capture index within the neutral capture, starting at 0',
+  filename: 'Stored photo filename',
+  size: 'Photo size in bytes',
+  timestamp: 'Neutral capture time recorded by the client',
+  brightness: 'Mean gray level of the photo (0-255)',
+  contrast: 'Standard deviation of the gray levels',
+  sharpness: 'Variance of the Laplacian; low values mean a blurred photo',
+  quality: 'Quality check: pass, or fail with the failed checks; empty when not checked',
+  retakes: 'Times the photo was retaken after failing the quality check',
+  keptDespiteFailures: 'Whether the photo was kept although it failed the quality check'
+};
+
+/**
+ * Codebook rows for each exported file at a demographics level. NST columns
+ * follow TRIAL_CSV_COLUMNS, the columns convertToCSV produces for
+ * single-session exports
+ */
+const buildCodebook = (demographics = 'full') => {
+  const { participantId, participantNumber, ...rest } = PARTICIPANT_COLUMNS;
+  const participantColumns = { participantId, participantNumber, ...DEMOGRAPHICS_COLUMNS[demographics], ...rest };
+
+  return {
+    'participants.csv': participantColumns,
+    'nst.csv': {
+      ...participantColumns,
+      sessionId: NST_COLUMNS.sessionId,
+      configVersion: NST_COLUMNS.configVersion,
+      cameraProfile: NST_COLUMNS.cameraProfile,
+      ...Object.fromEntries(TRIAL_CSV_COLUMNS.map(column => [column, NST_COLUMNS[column]])),
+      ...FRAME_TIMING_COLUMNS,
+      ...QUALITY_COLUMNS,
+      ...CLIP_COLUMNS
+    },
+    'physical-effort.csv': {
+      ...participantColumns,
+      ...PHYSICAL_EFFORT_COLUMNS,
+      ...FRAME_TIMING_COLUMNS,
+      ...QUALITY_COLUMNS,
+      ...CLIP_COLUMNS
+    },
+    'neutral-capture.csv': { ...participantColumns, ...NEUTRAL_COLUMNS }
+  };
+};
+
+const CODEBOOK = buildCodebook();
+
+/**
+ * Validate filter options and turn them into a Participant query. Gender
+ * lives in the Demographics collection, so a gender filter becomes a list
+ * of participant IDs
+ * @param {object} filter - { from, to, status, gender }; dates are registration times
+ * @throws {AppError} 400 for invalid dates, status or gender
+ */
+const buildParticipantQuery = async (filter = {}) => {
+  const query = {};
+
+  if (filter.from || filter.to) {
+    query.registrationTime = {};
+    [['from', '$gte'], ['to', '$lte']].forEach(([name, operator]) => {
+      if (!filter[name]) return;
+      const date = new Date(filter[name]);
+      if (Number.isNaN(date.getTime())) {
+        throw new AppError(`Invalid "${name}" date: ${filter[name]}`, 400);
+      }
+      // A bare "to" date includes the whole day
+      if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(filter.to)) {
+        date.setUTCHours(23, 59, 59, 999);
+      }
+      query.registrationTime[operator] = date;
+    });
+  }
+
+  if (filter.status) {
+    if (!STATUSES.includes(filter.status)) {
+      throw new AppError(`Invalid status "${filter.status}". Expected one of: ${STATUSES.join(', ')}`, 400);
+    }
+    query.status = filter.status;
+  }
+
+  if (filter.gender) {
+    if (!GENDERS.includes(filter.gender)) {
+      throw new AppError(`Invalid gender "${filter.gender}". Expected one of: ${GENDERS.join(', ')}`, 400);
+    }
+    query.participantId = { $in: await Demographics.distinct('participantId', { gender: filter.gender }) };
+  }
+
+  return query;
+};
+
+const participantColumns = (participant, demographics) => ({
+  participantId: participant.participantId,
+  participantNumber: participant.participantNumber,
+  ...demographics,
+  status: participant.status,
+  registrationTime: participant.registrationTime?.toISOString?.() || participant.registrationTime,
+  protocol: participant.protocol?.name || 'standard'
+});
+
+/**
+ * Clip columns for a clip's metadata (empty when there is no clip)
+ */
+const clipColumns = (clip) => ({
+  mainClip: clip?.files?.main,
+  equipmentClip: clip?.files?.equipment,
+  clipOnsetMs: clip?.timing?.main?.onsetOffsetMs ?? clip?.timing?.equipment?.onsetOffsetMs
+});
+
+/**
+ * Frame timing columns for a photo capture's metadata (empty when the
+ * capture has no timing)
+ */
+const frameTimingColumns = (capture) => ({
+  stimulusOnset: capture?.timing?.stimulusOnset,
+  mainFrameTime: capture?.timing?.main?.frameTime,
+  equipmentFrameTime: capture?.timing?.equipment?.frameTime,
+  cameraSkewMs: capture?.timing?.skewMs
+});
+
+/**
+ * A photo's quality check result as pass / fail: <checks> (empty when the
+ * photo was not checked)
+ */
+const qualityResult = (scores) => {
+  if (!scores) return undefined;
+  return scores.passed ? 'pass' : `fail: ${(scores.failures || []).join(' ')}`;
+};
+
+const qualityColumns = (capture) => ({
+  mainQuality: qualityResult(capture?.quality?.main),
+  equipmentQuality: qualityResult(capture?.quality?.equipment)
+});
+
+const nstRows = async (participant, demographics, captures, clips) => {
+  const rows = [];
+  const sessions = await stateManager.listSessions({ participantId: participant.participantId });
+  // Captures and clips are saved with the 0-based trial index; exported trial numbers start at 1
+  const byPosition = (items) => new Map(items.map(item => [`${item.trialNumber + 1}-${item.digitIndex}`, item]));
+  const capturesByPosition = byPosition(captures);
+  const clipsByPosition = byPosition(clips);
+
+  // listSessions is most recent first; export in the order they were run
+  for (const summary of [...sessions].reverse()) {
+    const session = await stateManager.getSessionState(summary.experimentId);
+    if (!session) continue;
+
+    toTrialRows(formatTrialData(session)).forEach(row => {
+      rows.push({
+        ...participantColumns(participant, demographics),
+        sessionId: summary.experimentId,
+        configVersion: summary.configVersion ?? '',
+        cameraProfile: summary.cameraProfile ?? '',
+        ...row,
+        ...frameTimingColumns(capturesByPosition.get(`${row.trialNumber}-${row.position}`)),
+        ...qualityColumns(capturesByPosition.get(`${row.trialNumber}-${row.position}`)),
+        ...clipColumns(clipsByPosition.get(`${row.trialNumber}-${row.position}`))
+      });
+    });
+  }
+
+  return rows;
+};
+
+const physicalEffortRows = (participant, demographics, captures, clips) => captures.map((capture, i) => ({
+  ...participantColumns(participant, demographics),
+  cameraProfile: participant.taskProgress?.['physical-effort']?.cameraProfile?.name,
+  trialIndex: i + 1,
+  trialId: capture.trial?.trialId,
+  dot: capture.trial?.dot,
+  rep: capture.trial?.rep,
+  timestamp: capture.timestamp,
+  mainPhoto: capture.files?.main,
+  equipmentPhoto: capture.files?.equipment,
+  ...frameTimingColumns(capture),
+  ...qualityColumns(capture),
+  ...clipColumns(clips.find(clip => clip.trial?.trialId === capture.trial?.trialId))
+}));
+
+const neutralRows = (participant, demographics) => {
+  const neutral = participant.tasksCompleted?.find(task => task.taskType === 'neutral-capture');
+  const files = neutral?.metadata?.files || {};
+
+  return ['main', 'equipment'].flatMap(camera => (files[camera] || []).map(file => ({
+    ...participantColumns(participant, demographics),
+    camera,
+    index: file.index,
+    filename: file.filename,
+    size: file.size,
+    timestamp: neutral.metadata.timestamp,
+    brightness: file.quality?.brightness,
+    contrast: file.quality?.contrast,
+    sharpness: file.quality?.sharpness,
+    quality: qualityResult(file.quality),
+    retakes: file.quality?.retakes,
+    keptDespiteFailures: file.quality?.keptDespiteFailures
+  })));
+};
+
+const codebookCSV = (codebook) => toCSV(
+  ['file', 'column', 'description'],
+  Object.entries(codebook).flatMap(([file, columns]) =>
+    Object.entries(columns).map(([column, description]) => ({ file, column, description }))
+  )
+);
+
+/**
+ * Build the study export for every participant matching the filter
+ * @param {object} filter - { from, to, status, gender, demographics };
+ *   demographics is full (default), coarse or none
+ * @returns {Promise<object[]>} Files as { name, content }
+ */
+const buildStudyExport = async (filter = {}) => {
+  const level = parseDemographicsLevel(filter.demographics);
+  const query = await buildParticipantQuery(filter);
+  const participants = await Participant.find(query).sort({ participantNumber: 1 }).lean();
+  const demographicsById = await loadDemographics(participants.map(p => p.participantId), level);
+  const codebook = buildCodebook(level);
+
+  const rows = {
+    'participants.csv': [],
+    'nst.csv': [],
+    'physical-effort.csv': [],
+    'neutral-capture.csv': []
+  };
+
+  for (const participant of participants) {
+    const metadataDir = path.join(process.cwd(), 'data', participant.participantId, 'metadata');
+    const captures = await readCaptureMetadata(metadataDir);
+    const demographics = demographicValues(demographicsById.get(participant.participantId), level);
+
+    rows['participants.csv'].push(participantColumns(participant, demographics));
+    rows['nst.csv'].push(...await nstRows(participant, demographics, captures.nst, captures.clips.nst));
+    rows['physical-effort.csv'].push(
+      ...physicalEffortRows(participant, demographics, captures.physicalEffort, captures.clips.physicalEffort)
+    );
+    rows['neutral-capture.csv'].push(...neutralRows(participant, demographics));
+  }
+
+  return [
+    ...Object.entries(rows).map(([name, fileRows]) => ({
+      name,
+      content: toCSV(Object.keys(codebook[name]), fileRows)
+    })),
+    { name: 'codebook.csv', content: codebookCSV(codebook) },
+    {
+      name: 'export-info.json',
+      content: JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        filter: { from: filter.from || null, to: filter.to || null, status: filter.status || null, gender: filter.gender || null },
+        demographics: level,
+        participants: participants.length
+      }, null, 2)
+    }
+  ];
+};
+
+module.exports = {
+  CODEBOOK,
+  buildCodebook,
+  buildParticipantQuery,
+  buildStudyExport
+};
@@ -0,0 +1,29 @@
+const { balancedLatinSquare, shuffle } = require('./trialSchedule');
+
+/**
+ * Order a protocol's tasks for one participant
+ *   fixed           - as listed in the protocol
+ *   random          - shuffled with the participant's seeded random stream
+ *   counterbalanced - row (participantNumber - 1) of a balanced Latin square
+ * ('balanced' orders come from assignmentService at registration)
+ * @param {object} protocol - Protocol or protocol snapshot
+ * @param {object} options - { participantNumber, random }
+ * @returns {string[]} task types in the order they run
+ */
+const buildTaskOrder = (protocol, { participantNumber = 1, random = Math.random } = {}) => {
+  const tasks = protocol.tasks.map(task => task.taskType);
+
+  switch (protocol.ordering) {
+    case 'random':
+      return shuffle([...tasks], random);
+    case 'counterbalanced': {
+      const rows = balancedLatinSquare(tasks.length);
+      const row = rows[(Math.max(participantNumber, 1) - 1) % rows.length];
+      return row.map(index => tasks[index]);
+    }
+    default:
+      return tasks;
+  }
+};
+
+module.exports = { buildTaskOrder };
@@ -0,0 +1,134 @@
+const AppError = require('./AppError');
+
+/**
+ * Task rules for the NST. A rule decides what the participant judges about
+ * each digit and what a sequence "switch" is:
+ *
+ *   parity    - odd / even; a switch is a change of parity
+ *   magnitude - low (< 5) / high (> 5); a switch is a change of magnitude
+ *   cued      - classic cued task-switching: a cue shown with each digit says
+ *               whether to judge parity or magnitude; a switch is a change of cue
+ *
+ * Every rule has two `conditions` the sequence alternates between, with the
+ * digits each condition may draw from. Responses are categories
+ * ('odd', 'even', 'low', 'high') which the key mapping turns into keys
+ */
+
+const ODD_DIGITS = ['1', '3', '5', '7', '9'];
+const EVEN_DIGITS = ['2', '4', '6', '8'];
+const LOW_DIGITS = ['1', '2', '3', '4'];
+const HIGH_DIGITS = ['6', '7', '8', '9'];
+
+const classifyParity = (digit) => (Number(digit) % 2 !== 0 ? 'odd' : 'even');
+const classifyMagnitude = (digit) => (Number(digit) < 5 ? 'low' : 'high');
+
+const TASK_RULES = {
+  parity: {
+    name: 'parity',
+    cued: false,
+    conditions: ['odd', 'even'],
+    digitsFor: (condition) => (condition === 'odd' ? ODD_DIGITS : EVEN_DIGITS),
+    // Response categories in key order: the first goes on the standard left key
+    responses: ['odd', 'even'],
+    expectedResponse: (digit) => classifyParity(digit)
+  },
+
+  magnitude: {
+    name: 'magnitude',
+    cued: false,
+    conditions: ['low', 'high'],
+    digitsFor: (condition) => (condition === 'low' ? LOW_DIGITS : HIGH_DIGITS),
+    responses: ['low', 'high'],
+    expectedResponse: (digit) => classifyMagnitude(digit)
+  },
+
+  cued: {
+    name: 'cued',
+    cued: true,
+    conditions: ['parity', 'magnitude'],
+    // 5 is neither low nor high, so both cues draw from the same digits without it
+    digitsFor: () => [...LOW_DIGITS, ...HIGH_DIGITS],
+    responses: [['odd', 'low'], ['even', 'high']],
+    expectedResponse: (digit, cue) =>
+      (cue === 'magnitude' ? classifyMagnitude(digit) : classifyParity(digit))
+  }
+};
+
+/**
+ * Look up the rule named in the config (`taskRule`), defaulting to parity
+ * @throws {AppError} 400 for an unknown rule name
+ */
+const getTaskRule = (name = 'parity') => {
+  const rule = TASK_RULES[name || 'parity'];
+  if (!rule) {
+    throw new AppError(
+      `Unknown task rule "${name}". Expected one of: ${Object.keys(TASK_RULES).join(', ')}`,
+      400
+    );
+  }
+  return rule;
+};
+
+/**
+ * Build the key mapping for a rule. Each response category maps to a key;
+ * cued rules share the two keys between their parity and magnitude responses
+ * @param {object} rule - Task rule
+ * @param {boolean} standard - Standard puts the first response on 'f'
+ */
+const buildKeyMapping = (rule, standard) => {
+  const [left, right] = standard ? ['f', 'j'] : ['j', 'f'];
+  const keyMapping = {
+    responseStyle: standard ? 'standard' : 'reversed'
+  };
+
+  [left, right].forEach((key, i) => {
+    [].concat(rule.responses[i]).forEach(response => {
+      keyMapping[response] = key;
+    });
+  });
+
+  return keyMapping;
+};
+
+/**
+ * Score a key press against a digit
+ * @param {string} ruleName - Task rule name from the session config
+ * @param {string|number} digit - Digit shown
+ * @param {string} key - Key pressed
+ * @param {object} keyMapping - Session key mapping
+ * @param {string} cue - Cue shown with the digit (cued rules only)
+ * @returns {object} { isCorrect, expectedResponse, expectedKey }
+ */
+const scoreResponse = (ruleName, digit, key, keyMapping, cue = null) => {
+  const rule = getTaskRule(ruleName);
+  const expectedResponse = rule.expectedResponse(digit, cue);
+  const expectedKey = keyMapping?.[expectedResponse] || null;
+
+  return {
+    isCorrect: Boolean(key && expectedKey && key === expectedKey),
+    expectedResponse,
+    expectedKey
+  };
+};
+
+/**
+ * The response category a key press means for this digit. Cued rules share
+ * keys between tasks, so the cue picks between e.g. 'odd' and 'low'
+ * @returns {string|null} Category, or null for a key outside the mapping
+ */
+const responseForKey = (ruleName, keyMapping, key, cue = null) => {
+  const rule = getTaskRule(ruleName);
+  const categories = rule.cued
+    ? rule.responses.map(pair => pair[cue === 'magnitude' ? 1 : 0])
+    : rule.responses;
+
+  return categories.find(category => keyMapping?.[category] === key) || null;
+};
+
+module.exports = {
+  TASK_RULES,
+  getTaskRule,
+  buildKeyMapping,
+  scoreResponse,
+  responseForKey
+};
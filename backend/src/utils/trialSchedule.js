@@ -0,0 +1,220 @@
+const AppError = require('./AppError');
+
+/**
+ * Builds the order of effort levels for an NST session from `trialConfig`
+ * and the `schedule` section of the experiment config
+ *
+ * Designs:
+ *   fixed        - levels in the order they appear in trialConfig
+ *   shuffled     - every trial shuffled (Fisher-Yates)
+ *   blocked      - trials grouped by level, block order shuffled
+ *   ascending    - blocked, lowest effort level first
+ *   descending   - blocked, highest effort level first
+ *   latin-square - blocked, block order counterbalanced across participant
+ *                  numbers with a balanced (Williams) Latin square
+ *
+ * `maxConsecutive` caps how many trials of the same level may run back to back
+ */
+const SCHEDULE_DESIGNS = ['fixed', 'shuffled', 'blocked', 'ascending', 'descending', 'latin-square'];
+
+const MAX_SHUFFLE_ATTEMPTS = 1000;
+
+/**
+ * Resolve the design name, falling back to the legacy `shuffleTrials` flag
+ */
+const resolveDesign = (config) => {
+  const design = config.schedule?.design || (config.shuffleTrials === false ? 'fixed' : 'shuffled');
+
+  if (!SCHEDULE_DESIGNS.includes(design)) {
+    throw new AppError(
+      `Unknown schedule design "${design}". Expected one of: ${SCHEDULE_DESIGNS.join(', ')}`,
+      400
+    );
+  }
+
+  return design;
+};
+
+/**
+ * In-place Fisher-Yates shuffle
+ */
+const shuffle = (items, random = Math.random) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
+/**
+ * Rows of a balanced Latin square for n conditions. Each condition appears
+ * once per position and follows every other condition equally often; odd n
+ * needs the mirrored rows as well to balance carry-over
+ * @param {number} n - Number of conditions
+ * @returns {number[][]} Rows of condition indices
+ */
+const balancedLatinSquare = (n) => {
+  const rows = [];
+
+  for (let row = 0; row < n; row++) {
+    const order = [];
+    for (let j = 0; j < n; j++) {
+      const offset = j % 2 === 0 ? j / 2 : n - (j + 1) / 2;
+      order.push((row + offset) % n);
+    }
+    rows.push(order);
+  }
+
+  if (n % 2 === 1) {
+    rows.push(...rows.map(order => [...order].reverse()));
+  }
+
+  return rows;
+};
+
+/**
+ * Length of the longest run of identical levels
+ */
+const longestRun = (levels) => {
+  let longest = 0;
+  let run = 0;
+
+  levels.forEach((level, i) => {
+    run = i > 0 && level === levels[i - 1] ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  return longest;
+};
+
+/**
+ * Randomly order the levels so no more than maxConsecutive identical levels
+ * are adjacent. Picks each next level weighted by how many remain, skipping
+ * the one that would break the run limit, and restarts on a dead end
+ */
+const constrainedShuffle = (counts, maxConsecutive, random = Math.random) => {
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+  // A level can fill at most maxConsecutive slots around each other trial
+  Object.entries(counts).forEach(([level, count]) => {
+    const others = total - count;
+    if (count > maxConsecutive * (others + 1)) {
+      throw new AppError(
+        `Cannot schedule ${count} trials of level ${level} with at most ${maxConsecutive} consecutive ` +
+        `(only ${others} other trials to separate them)`,
+        400
+      );
+    }
+  });
+
+  for (let attempt = 0; attempt < MAX_SHUFFLE_ATTEMPTS; attempt++) {
+    const remaining = { ...counts };
+    const levels = [];
+    let run = 0;
+
+    while (levels.length < total) {
+      const previous = levels[levels.length - 1];
+      const candidates = Object.keys(remaining).filter(level =>
+        remaining[level] > 0 && !(Number(level) === previous && run >= maxConsecutive)
+      );
+      if (candidates.length === 0) break;
+
+      const weight = candidates.reduce((sum, level) => sum + remaining[level], 0);
+      let pick = random() * weight;
+      const level = candidates.find(candidate => (pick -= remaining[candidate]) < 0) ||
+        candidates[candidates.length - 1];
+
+      remaining[level]--;
+      run = Number(level) === previous ? run + 1 : 1;
+      levels.push(Number(level));
+    }
+
+    if (levels.length === total) {
+      return levels;
+    }
+  }
+
+  throw new AppError(`Could not find a schedule with at most ${maxConsecutive} consecutive trials per level`, 400);
+};
+
+/**
+ * Build the effort level order for one session
+ * @param {object} config - Experiment configuration (trialConfig, schedule, shuffleTrials)
+ * @param {object} options - { participantNumber, random }
+ * @returns {object} { design, participantNumber, levels, maxConsecutive, latinSquareRow }
+ */
+const buildTrialSchedule = (config, options = {}) => {
+  const { participantNumber = 1, random = Math.random } = options;
+  const design = resolveDesign(config);
+  const maxConsecutive = config.schedule?.maxConsecutive || null;
+  const trialConfig = config.trialConfig || [];
+
+  if (maxConsecutive !== null && (!Number.isInteger(maxConsecutive) || maxConsecutive < 1)) {
+    throw new AppError('schedule.maxConsecutive must be a positive integer', 400);
+  }
+
+  const blocks = trialConfig.map(({ level, trials }) => Array(trials).fill(level));
+  let latinSquareRow = null;
+  let levels;
+
+  switch (design) {
+    case 'fixed':
+      levels = blocks.flat();
+      break;
+
+    case 'shuffled':
+      if (maxConsecutive) {
+        const counts = {};
+        trialConfig.forEach(({ level, trials }) => {
+          counts[level] = (counts[level] || 0) + trials;
+        });
+        levels = constrainedShuffle(counts, maxConsecutive, random);
+      } else {
+        levels = shuffle(blocks.flat(), random);
+      }
+      break;
+
+    case 'blocked':
+      levels = shuffle(blocks, random).flat();
+      break;
+
+    case 'ascending':
+      levels = [...blocks].sort((a, b) => a[0] - b[0]).flat();
+      break;
+
+    case 'descending':
+      levels = [...blocks].sort((a, b) => b[0] - a[0]).flat();
+      break;
+
+    case 'latin-square': {
+      const rows = balancedLatinSquare(blocks.length);
+      latinSquareRow = (Math.max(participantNumber, 1) - 1) % rows.length;
+      levels = rows[latinSquareRow].flatMap(index => blocks[index]);
+      break;
+    }
+  }
+
+  // Ordered designs cannot be rearranged to meet the constraint
+  if (maxConsecutive && longestRun(levels) > maxConsecutive) {
+    throw new AppError(
+      `The ${design} schedule runs ${longestRun(levels)} trials of one level in a row, ` +
+      `more than schedule.maxConsecutive (${maxConsecutive})`,
+      400
+    );
+  }
+
+  return {
+    design,
+    participantNumber,
+    levels,
+    maxConsecutive,
+    latinSquareRow
+  };
+};
+
+module.exports = {
+  SCHEDULE_DESIGNS,
+  buildTrialSchedule,
+  balancedLatinSquare,
+  shuffle
+};
@@ -1,54 +1,91 @@
-const JSZip = require('jszip');
-const fs = require('fs').promises;
+const archiver = require('archiver');
 const path = require('path');
+const logger = require('./logger');
 
-const createAndDownloadZip = async (data) => {
-  const zip = new JSZip();
-  const tempDir = path.join(process.cwd(), 'temp');
-  
-  // Ensure temp directory exists
-  await fs.mkdir(tempDir, { recursive: true });
-  
-  const zipFileName = path.join(tempDir, `nst_export_${Date.now()}.zip`);
-
-  // Add data files
-  zip.file('data.csv', data['data.csv']);
-  zip.file('data.json', data['data.json']);
-
-  // Organize captures by effort level
-  if (data.captures && data.captures.length > 0) {
-    // Group captures by effort level
-    const capturesByEffort = {};
-    
-    for (const capture of data.captures) {
-      const effortLevel = capture.effortLevel || 0;
-      if (!capturesByEffort[effortLevel]) {
-        capturesByEffort[effortLevel] = [];
-      }
-      capturesByEffort[effortLevel].push(capture);
+// How often archive progress is reported while streaming
+const PROGRESS_INTERVAL_MS = 1000;
+
+// Already-compressed files are stored as-is; deflating them again only costs CPU
+const STORED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webm', '.mp4', '.zip'];
+
+/**
+ * Stream a ZIP archive straight to an HTTP response. Files are either
+ * in-memory ({ name, content }) or read from disk as the archive is written
+ * ({ name, path }), so nothing is buffered whole or written to a temp folder.
+ * Files missing on disk are skipped with a warning
+ *
+ * onProgress gets { filename, processed, total, bytes, status } when the
+ * archive starts, at most once per second while files are written, and when
+ * it ends (status running, complete or failed); see services/exportProgress.
+ * The X-Export-Entries header tells clients how many files to expect
+ *
+ * @param {object} res - Express response
+ * @param {object} options - { filename, files, onProgress }
+ * @returns {Promise<object>} { completed, entries, bytes } once the response ends;
+ *   completed is false when the client disconnected or archiving failed
+ */
+const streamZip = (res, { filename, files, onProgress }) => new Promise((resolve) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const total = files.length;
+  let processed = 0;
+  let lastReport = 0;
+  let settled = false;
+
+  const report = (status) => {
+    if (onProgress) onProgress({ filename, processed, total, bytes: archive.pointer(), status });
+  };
+
+  const finish = (completed) => {
+    if (settled) return;
+    settled = true;
+    report(completed ? 'complete' : 'failed');
+    resolve({ completed, entries: total, bytes: archive.pointer() });
+  };
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+  res.setHeader('X-Export-Entries', total);
+
+  archive.on('progress', ({ entries }) => {
+    processed = entries.processed;
+    const now = Date.now();
+    if (now - lastReport < PROGRESS_INTERVAL_MS) return;
+    lastReport = now;
+    report('running');
+  });
+
+  archive.on('warning', (error) => {
+    logger.warn(`Export ${filename}: skipped file`, { error: error.message, path: error.path });
+  });
+
+  archive.on('error', (error) => {
+    logger.error(`Export ${filename} failed`, { error: error.message });
+    res.destroy(error);
+    finish(false);
+  });
+
+  res.on('finish', () => finish(true));
+  res.on('close', () => {
+    // Client went away before the archive was complete
+    if (!res.writableFinished) {
+      archive.abort();
+      finish(false);
     }
-    
-    // Create directories for each effort level
-    for (const [effortLevel, captures] of Object.entries(capturesByEffort)) {
-      const effortFolder = zip.folder(`effort_level_${effortLevel}`);
-      
-      for (const capture of captures) {
-        try {
-          const imageData = await fs.readFile(capture.filepath);
-          const filename = path.basename(capture.filepath);
-          effortFolder.file(filename, imageData);
-        } catch (error) {
-          console.error(`Failed to read capture file: ${capture.filepath}`, error);
-        }
-      }
+  });
+
+  archive.pipe(res);
+  report('running');
+
+  for (const file of files) {
+    if (file.path) {
+      const store = STORED_EXTENSIONS.includes(path.extname(file.path).toLowerCase());
+      archive.file(file.path, { name: file.name, store });
+    } else {
+      archive.append(file.content, { name: file.name });
     }
   }
 
-  // Generate and save zip file
-  const content = await zip.generateAsync({ type: 'nodebuffer' });
-  await fs.writeFile(zipFileName, content);
-
-  return zipFileName;
-};
+  archive.finalize();
+});
 
-module.exports = { createAndDownloadZip };
\ No newline at end of file
+module.exports = { streamZip };
@@ -10,6 +10,7 @@ import {
   removeFromQueue 
 } from '../redux/captureSlice';
 import { API_CONFIG } from '../config/api';
+import { photoEncoding } from '../services/cameraProfiles';
 
 export const enumerateCameras = async () => {
   try {
@@ -56,7 +57,24 @@ const CAPTURE_SETTINGS = {
   imageType: 'image/jpeg',
   quality: 0.8
 };
-const CameraCapture = ({ experimentId, shouldCapture, selectedCameraId = null }) => {
+
+/**
+ * Capture settings from a camera profile's settings for one camera
+ * (services/cameraProfiles); CAPTURE_SETTINGS without a profile
+ */
+const captureSettingsFor = (profileSettings) => {
+  if (!profileSettings) return CAPTURE_SETTINGS;
+  const { type, quality } = photoEncoding(profileSettings);
+  return {
+    width: profileSettings.width,
+    height: profileSettings.height,
+    frameRate: profileSettings.frameRate,
+    imageType: type,
+    quality
+  };
+};
+
+const CameraCapture = ({ experimentId, shouldCapture, selectedCameraId = null, profileSettings = null }) => {
   const dispatch = useDispatch();
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
@@ -65,6 +83,7 @@ const CameraCapture = ({ experimentId, shouldCapture, selectedCameraId = null })
   
   const { deviceStatus } = useSelector(state => state.capture);
   const { trialNumber, digitIndex } = useSelector(state => state.experiment.trialState);
+  const captureSettings = captureSettingsFor(profileSettings);
 
   // Initialize camera stream once
   useEffect(() => {
@@ -77,8 +96,9 @@ const CameraCapture = ({ experimentId, shouldCapture, selectedCameraId = null })
         }
         const constraints = {
           video: {
-            width: CAPTURE_SETTINGS.width,
-            height: CAPTURE_SETTINGS.height
+            width: captureSettings.width,
+            height: captureSettings.height,
+            ...(captureSettings.frameRate && { frameRate: captureSettings.frameRate })
           }
         };
         
@@ -101,7 +121,7 @@ const CameraCapture = ({ experimentId, shouldCapture, selectedCameraId = null })
     };
 
     initializeCamera();
-  }, [selectedCameraId]); // Reinitialize when camera selection changes
+  }, [selectedCameraId, captureSettings.width, captureSettings.height, captureSettings.frameRate]); // Reinitialize when camera selection or settings change
 
   // Update capture effect
   useEffect(() => {
@@ -117,7 +137,7 @@ const CameraCapture = ({ experimentId, shouldCapture, selectedCameraId = null })
       ctx.fillRect(0, 0, canvas.width, canvas.height);
       ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
       
-      const imageData = canvas.toDataURL(CAPTURE_SETTINGS.imageType, CAPTURE_SETTINGS.quality);
+      const imageData = canvas.toDataURL(captureSettings.imageType, captureSettings.quality);
 
       fetch(`${API_CONFIG.BASE_URL}/capture`, {
         method: 'POST',
@@ -127,7 +147,7 @@ const CameraCapture = ({ experimentId, shouldCapture, selectedCameraId = null })
           experimentId,
           captureData: imageData,
           timestamp: Date.now(),
-          settings: CAPTURE_SETTINGS,
+          settings: captureSettings,
           trialNumber,
           digitIndex
         })
@@ -142,7 +162,7 @@ const CameraCapture = ({ experimentId, shouldCapture, selectedCameraId = null })
   return (
     <div style={{ position: 'absolute', left: '-9999px', top: '-9999px' }}>
       <video ref={videoRef} autoPlay playsInline muted />
-      <canvas ref={canvasRef} width={CAPTURE_SETTINGS.width} height={CAPTURE_SETTINGS.height} />
+      <canvas ref={canvasRef} width={captureSettings.width} height={captureSettings.height} />
     </div>
   );
 };
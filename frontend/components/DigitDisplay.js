@@ -1,12 +1,15 @@
 import React, { memo } from 'react';
 import { useSelector } from 'react-redux';
+import { getInstructionText, CUE_LABELS } from '../services/taskRules';
 import '../styles/TargetDisplay.css';
 
 const DigitDisplay = memo(() => {
-  const { currentDigit, phase } = useSelector(state => state.experiment.trialState);
+  const { currentDigit, phase, trialNumber, digitIndex } = useSelector(state => state.experiment.trialState);
   const { isCapturing } = useSelector(state => state.capture);
   const displayBlank = useSelector(state => state.experiment.displayBlank);
   const keyMapping = useSelector(state => state.experiment.keyMapping);
+  const taskRule = useSelector(state => state.experiment.taskRule);
+  const cue = useSelector(state => state.experiment.trials[trialNumber]?.cues?.[digitIndex]);
 
   console.log('Rendering digit display:', {
     currentDigit,
@@ -15,23 +18,20 @@ const DigitDisplay = memo(() => {
     timestamp: Date.now()
   });
 
-  // Generate instruction text based on key mapping
-  const getInstructionText = () => {
-    if (keyMapping) {
-      return `Press '${keyMapping.odd}' for odd, '${keyMapping.even}' for even`;
-    }
-    return "Press 'f' for odd, 'j' for even"; // Fallback (shouldn't happen after experiment starts)
-  };
+  // Instruction text from the task rule and key mapping (falls back to F/J before the experiment starts)
+  const instructionText = getInstructionText(taskRule, keyMapping);
 
   return (
     <div className="target-container">
       {!displayBlank ? (
         <>
+          {cue && <div className="target-cue">{CUE_LABELS[cue]}</div>}
+          
           <div className="target-display">
             <div className="target-element">{currentDigit}</div>
           </div>
           
-          <div className="target-instructions">{getInstructionText()}</div>
+          <div className="target-instructions">{instructionText}</div>
           
           {phase === 'awaiting-response' && (
             <div className="target-status">Awaiting Response...</div>
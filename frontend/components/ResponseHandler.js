@@ -2,33 +2,65 @@ import React from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { queueResponse, setDisplayBlank } from '../redux/experimentSlice';
 import { withResponseErrorHandling } from './ResponseErrorBoundary';
+import { validateResponse } from '../services/validation';
+import { getResponseKeys } from '../services/taskRules';
+import { highResNow, onNextPaint } from '../services/frameTiming';
 
-const ResponseHandler = ({ experimentId }) => {
+/**
+ * ResponseHandler - Turns response key presses into responses. A task that
+ * tracks its own progress (NSTTask) passes `onResponse` and `isActive` and
+ * records the response itself; otherwise the response is queued here.
+ * Either way responseQueueMiddleware posts it to the server. Response times
+ * are measured from the digit's onset
+ */
+const ResponseHandler = ({ experimentId, onResponse = null, isActive }) => {
   const dispatch = useDispatch();
   const { phase, currentDigit, digitIndex, trialNumber } = useSelector(
     state => state.experiment.trialState
   );
   const keyMapping = useSelector(state => state.experiment.keyMapping);
+  const taskRule = useSelector(state => state.experiment.taskRule);
+  const cue = useSelector(state => state.experiment.trials[trialNumber]?.cues?.[digitIndex] || null);
+  
+  const accepting = isActive ?? phase === 'running';
+  const onsetRef = React.useRef(null);
+  
+  // Note each digit's onset when it is painted
+  React.useEffect(() => {
+    onsetRef.current = null;
+    if (currentDigit === null) return;
+    return onNextPaint(onset => {
+      onsetRef.current = onset;
+    });
+  }, [currentDigit, trialNumber, digitIndex]);
   
   const handleKeyPress = (event) => {
-    // Only respond to f and j keys in running phase
-    if ((event.key !== 'f' && event.key !== 'j') || phase !== 'running') return;
+    // Only respond to the mapped keys while accepting responses
+    if (!getResponseKeys(keyMapping).includes(event.key) || !accepting) return;
+    
+    const timestamp = highResNow();
+    const responseTime = onsetRef.current === null ? null : Math.round(timestamp - onsetRef.current);
+    
+    if (onResponse) {
+      onResponse(event.key, responseTime, timestamp);
+      return;
+    }
     
     // 1. Immediately blank the display
     dispatch(setDisplayBlank(true));
     
-    // Prepare the response data using dynamic key mapping
-    const isOdd = currentDigit % 2 === 1;
-    const responseType = event.key === keyMapping?.odd ? 'odd' : 'even';
-    const isCorrect = (responseType === 'odd' && isOdd) || (responseType === 'even' && !isOdd);
+    // Prepare the response data using the task rule and dynamic key mapping
+    const { isCorrect, responseType } = validateResponse(event.key, currentDigit, { taskRule, keyMapping, cue });
     
     const responseData = {
       experimentId,
       response: event.key,
       responseType,
       digit: currentDigit,
+      cue,
       isCorrect,
-      timestamp: Date.now(),
+      timestamp,
+      responseTime,
       position: digitIndex,
       trialNumber,
       responseStyle: keyMapping?.responseStyle // Tag the response style
@@ -51,7 +83,7 @@ const ResponseHandler = ({ experimentId }) => {
     return () => {
       window.removeEventListener('keypress', handleKeyPress);
     };
-  }, [currentDigit, experimentId, phase, digitIndex, trialNumber]);
+  }, [currentDigit, experimentId, accepting, onResponse, digitIndex, trialNumber, keyMapping, taskRule, cue]);
 
   // This component doesn't render anything
   return null;
@@ -1,11 +1,34 @@
 import React, { useEffect, useState } from 'react';
-import { useSelector } from 'react-redux';
 import { API_CONFIG } from '../config/api';
 
-const ResultsView = ({ experimentId, onExportComplete }) => {
+// Trial data formats offered by the export routes
+const EXPORT_FORMATS = [
+  { value: 'csv,json', label: 'CSV + JSON' },
+  { value: 'events-tsv', label: 'BIDS events (TSV)' },
+  { value: 'jsonl', label: 'JSON Lines' },
+  { value: 'wide-csv', label: 'Wide CSV (one row per trial)' }
+];
+
+// How often the archive's file count is polled while an export downloads
+const PROGRESS_POLL_MS = 1000;
+
+const createProgressId = () => (window.crypto?.randomUUID
+  ? window.crypto.randomUUID()
+  : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`);
+
+/**
+ * ResultsView - Results, switch-cost analysis and export for one NST
+ * session. Uses researcher-only routes, so it is shown in the researcher
+ * dashboard
+ */
+const ResultsView = ({ experimentId, title = 'Experiment Complete', onExportComplete }) => {
   const [results, setResults] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
   const [exportStatus, setExportStatus] = useState('idle');
   const [isLoading, setIsLoading] = useState(false);
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS[0].value);
+  const [downloadedBytes, setDownloadedBytes] = useState(0);
+  const [archiveProgress, setArchiveProgress] = useState(null);
 
   useEffect(() => {
     const fetchResults = async () => {
@@ -23,15 +46,43 @@ const ResultsView = ({ experimentId, onExportComplete }) => {
         console.error('Failed to fetch results:', error);
       }
     };
+    
+    const fetchAnalysis = async () => {
+      try {
+        const response = await fetch(
+          `${API_CONFIG.BASE_URL}/analysis/${experimentId}`,
+          { credentials: 'include' }
+        );
+        if (!response.ok) throw new Error(`Server error: ${response.status}`);
+        setAnalysis(await response.json());
+      } catch (error) {
+        console.error('Failed to fetch analysis:', error);
+      }
+    };
   
     fetchResults();
+    fetchAnalysis();
   }, [experimentId]);
 
   const handleExport = async () => {
     setIsLoading(true);
+    setDownloadedBytes(0);
+    setArchiveProgress(null);
+    
+    // The server reports how many of the archive's files it has written
+    const progressId = createProgressId();
+    const pollProgress = setInterval(async () => {
+      try {
+        const response = await fetch(`${API_CONFIG.BASE_URL}/export/progress/${progressId}`, { credentials: 'include' });
+        if (response.ok) setArchiveProgress(await response.json());
+      } catch (error) {
+        console.warn('Export progress unavailable:', error);
+      }
+    }, PROGRESS_POLL_MS);
+    
     try {
       const response = await fetch(
-        `${API_CONFIG.BASE_URL}/export/${experimentId}`,
+        `${API_CONFIG.BASE_URL}/export/${experimentId}?format=${encodeURIComponent(exportFormat)}&progressId=${progressId}`,
         { 
           method: 'GET',
           credentials: 'include'
@@ -40,7 +91,19 @@ const ResultsView = ({ experimentId, onExportComplete }) => {
       
       if (!response.ok) throw new Error('Export failed');
       
-      const blob = await response.blob();
+      // The archive is streamed, so report progress as it arrives
+      const reader = response.body.getReader();
+      const chunks = [];
+      let received = 0;
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        received += value.length;
+        setDownloadedBytes(received);
+      }
+      
+      const blob = new Blob(chunks, { type: 'application/zip' });
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
@@ -56,12 +119,13 @@ const ResultsView = ({ experimentId, onExportComplete }) => {
       console.error('Export failed:', error);
       setExportStatus('error');
     } finally {
+      clearInterval(pollProgress);
       setIsLoading(false);
     }
   };  
   return (
     <div className="results-view">
-      <h1>Experiment Complete</h1>
+      {title && <h1>{title}</h1>}
       {results && (
         <div className="results-data">
           <p>Total Trials: {results.metrics?.totalTrials || 'Unknown'}</p>
@@ -82,12 +146,54 @@ const ResultsView = ({ experimentId, onExportComplete }) => {
           )}
         </div>
       )}
+      {analysis && (
+        <table className="results-summary">
+          <thead>
+            <tr>
+              <th>Effort Level</th>
+              <th>Accuracy</th>
+              <th>Mean RT</th>
+              <th>Median RT</th>
+              <th>Switch Cost</th>
+              <th>Post-Error Slowing</th>
+              <th>RT Outliers</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...analysis.byEffortLevel, { effortLevel: 'All', ...analysis.overall }].map(row => (
+              <tr key={row.effortLevel}>
+                <td>{row.effortLevel}</td>
+                <td>{row.accuracy === null ? '-' : `${(row.accuracy * 100).toFixed(1)}%`}</td>
+                <td>{row.meanRT ?? '-'} ms</td>
+                <td>{row.medianRT ?? '-'} ms</td>
+                <td>{row.switchCost ?? '-'} ms</td>
+                <td>{row.postErrorSlowing ?? '-'} ms</td>
+                <td>{row.outliers}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <select
+        value={exportFormat}
+        onChange={(e) => setExportFormat(e.target.value)}
+        disabled={isLoading}
+        className="export-format"
+      >
+        {EXPORT_FORMATS.map(format => (
+          <option key={format.value} value={format.value}>{format.label}</option>
+        ))}
+      </select>
       <button 
         onClick={handleExport}
         disabled={isLoading}
         className="export-button"
       >
-        {isLoading ? 'Preparing Export...' : 'Export Results'}
+        {isLoading
+          ? (downloadedBytes > 0
+            ? `Downloading... ${archiveProgress ? `${archiveProgress.processed} of ${archiveProgress.total} files, ` : ''}${(downloadedBytes / (1024 * 1024)).toFixed(1)} MB`
+            : 'Preparing Export...')
+          : 'Export Results'}
       </button>
     </div>
   );
@@ -2,11 +2,13 @@ import React, { useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { updateTrialState } from '../redux/experimentSlice';
 import { checkCameraAvailability } from './CameraCapture';
+import { getTaskRule, getKeyLabels } from '../services/taskRules';
 
 const StartScreen = () => {
   const dispatch = useDispatch();
   const deviceStatus = useSelector(state => state.capture.deviceStatus);
   const keyMapping = useSelector(state => state.experiment.keyMapping);
+  const taskRule = useSelector(state => state.experiment.taskRule);
 
   useEffect(() => {
     checkCameraAvailability(dispatch);
@@ -31,8 +33,9 @@ const StartScreen = () => {
     if (keyMapping) {
       return (
         <>
-          <p>Press '{keyMapping.odd}' for odd numbers</p>
-          <p>Press '{keyMapping.even}' for even numbers</p>
+          {getKeyLabels(taskRule, keyMapping).map(({ key, label }) => (
+            <p key={key}>Press '{key}' for {label.toLowerCase()} numbers</p>
+          ))}
         </>
       );
     } else {
@@ -40,7 +43,7 @@ const StartScreen = () => {
       return (
         <>
           <p>You will be shown numbers one at a time</p>
-          <p>Press the correct key based on whether the number is odd or even</p>
+          <p>Press the correct key based on {getTaskRule(taskRule).description}</p>
           <p>Instructions will be shown after you start</p>
         </>
       );
@@ -0,0 +1,190 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import ParticipantDetail, { formatDuration } from './ParticipantDetail';
+import LoginForm from './LoginForm';
+import ConfigEditor from './ConfigEditor';
+import ProtocolEditor from './ProtocolEditor';
+import '../../styles/AdminDashboard.css';
+
+const STATUSES = ['registered', 'in-progress', 'completed', 'incomplete'];
+const GENDERS = [
+  { value: 'M', label: 'Male' },
+  { value: 'F', label: 'Female' },
+  { value: 'O', label: 'Other' }
+];
+
+const EMPTY_FILTERS = { search: '', status: '', gender: '', from: '', to: '' };
+
+/**
+ * AdminDashboard - Researcher view of every participant run so far,
+ * with filters and a drill-down into each participant's trials and captures
+ */
+const AdminDashboard = () => {
+  // undefined while checking the session, null when logged out
+  const [researcher, setResearcher] = useState(undefined);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [participants, setParticipants] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [showConfig, setShowConfig] = useState(false);
+  const [showProtocols, setShowProtocols] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch('/api/auth/me', { credentials: 'include' })
+      .then(response => (response.ok ? response.json() : { researcher: null }))
+      .then(data => setResearcher(data.researcher))
+      .catch(() => setResearcher(null));
+  }, []);
+
+  const handleLogout = async () => {
+    await fetch('/api/auth/logout', { method: 'POST', credentials: 'include' });
+    setResearcher(null);
+  };
+
+  const loadParticipants = useCallback(async () => {
+    if (!researcher) return;
+    setIsLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams(
+        Object.entries(filters).filter(([, value]) => value)
+      );
+      const response = await fetch(`/api/admin/participants?${params}`, { credentials: 'include' });
+      if (response.status === 401) {
+        setResearcher(null);
+        return;
+      }
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || data.error || `Server error: ${response.status}`);
+      setParticipants(data.participants);
+    } catch (err) {
+      console.error('Failed to load participants:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters, researcher]);
+
+  useEffect(() => {
+    loadParticipants();
+  }, [loadParticipants]);
+
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  if (researcher === undefined) {
+    return <div className="admin-dashboard"><div className="admin-loading">Loading...</div></div>;
+  }
+
+  if (!researcher) {
+    return <LoginForm onLogin={setResearcher} />;
+  }
+
+  if (showConfig) {
+    return <ConfigEditor canEdit={researcher.role === 'admin'} onBack={() => setShowConfig(false)} />;
+  }
+
+  if (showProtocols) {
+    return <ProtocolEditor onBack={() => setShowProtocols(false)} />;
+  }
+
+  if (selectedId) {
+    return (
+      <ParticipantDetail
+        participantId={selectedId}
+        onBack={() => {
+          setSelectedId(null);
+          loadParticipants();
+        }}
+      />
+    );
+  }
+
+  return (
+    <div className="admin-dashboard">
+      <div className="admin-detail-header">
+        <h1 className="admin-title">Participants</h1>
+        <span>{researcher.name || researcher.username} ({researcher.role})</span>
+        <button className="admin-button" onClick={() => setShowConfig(true)}>Experiment Config</button>
+        <button className="admin-button" onClick={() => setShowProtocols(true)}>Protocols</button>
+        <button className="admin-button" onClick={handleLogout}>Log Out</button>
+      </div>
+
+      <div className="admin-filters">
+        <input
+          type="text"
+          placeholder="Search participant ID"
+          value={filters.search}
+          onChange={(e) => updateFilter('search', e.target.value)}
+        />
+        <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)}>
+          <option value="">All statuses</option>
+          {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+        </select>
+        <select value={filters.gender} onChange={(e) => updateFilter('gender', e.target.value)}>
+          <option value="">All genders</option>
+          {GENDERS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <label>
+          From
+          <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} />
+        </label>
+        <label>
+          To
+          <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} />
+        </label>
+        <button className="admin-button" onClick={() => setFilters(EMPTY_FILTERS)}>Clear</button>
+      </div>
+
+      {error && <div className="admin-error">{error}</div>}
+      {isLoading && <div className="admin-loading">Loading...</div>}
+
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Participant</th>
+            <th>Gender / Age</th>
+            <th>Status</th>
+            <th>Complete</th>
+            <th>Protocol</th>
+            <th>Task Order</th>
+            <th>Registered</th>
+            <th>Duration</th>
+            <th>Captures (N / NST / PE)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {participants.map(participant => (
+            <tr
+              key={participant.participantId}
+              className="admin-row"
+              onClick={() => setSelectedId(participant.participantId)}
+            >
+              <td>{participant.participantNumber}</td>
+              <td>{participant.participantId}</td>
+              <td>{participant.gender} / {participant.age}</td>
+              <td className={`admin-status admin-status-${participant.status}`}>{participant.status}</td>
+              <td>{participant.completionPercentage}%</td>
+              <td>{participant.protocol}</td>
+              <td>{(participant.taskOrder || []).join(' → ')}</td>
+              <td>{new Date(participant.registrationTime).toLocaleString()}</td>
+              <td>{formatDuration(participant.durationMs)}</td>
+              <td>
+                {participant.captureCounts.neutral} / {participant.captureCounts.nst} / {participant.captureCounts['physical-effort']}
+              </td>
+            </tr>
+          ))}
+          {!isLoading && participants.length === 0 && (
+            <tr>
+              <td colSpan={10} className="admin-empty">No participants match these filters</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default AdminDashboard;
@@ -0,0 +1,183 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+const toJSON = (config) => JSON.stringify(config, null, 2);
+
+/**
+ * ConfigEditor - View saved experiment config versions and, for admins,
+ * validate and save edits as a new version
+ */
+const ConfigEditor = ({ canEdit, onBack }) => {
+  const [current, setCurrent] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [draft, setDraft] = useState('');
+  const [note, setNote] = useState('');
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadConfig = useCallback(async () => {
+    try {
+      const [currentResponse, versionsResponse] = await Promise.all([
+        fetch('/api/config', { credentials: 'include' }),
+        fetch('/api/config/versions', { credentials: 'include' })
+      ]);
+      const currentData = await currentResponse.json();
+      const versionsData = await versionsResponse.json();
+      if (!currentResponse.ok) throw new Error(currentData.error || `Server error: ${currentResponse.status}`);
+      if (!versionsResponse.ok) throw new Error(versionsData.error || `Server error: ${versionsResponse.status}`);
+
+      setCurrent(currentData);
+      setVersions(versionsData.versions);
+      setDraft(toJSON(currentData.config));
+      setReport(null);
+    } catch (err) {
+      console.error('Failed to load config:', err);
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadConfig();
+  }, [loadConfig]);
+
+  const showVersion = async (version) => {
+    try {
+      const response = await fetch(`/api/config/versions/${version}`, { credentials: 'include' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `Server error: ${response.status}`);
+      setDraft(toJSON(data.config));
+      setReport(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Parse the draft, reporting a JSON syntax error the same way as a schema error
+   */
+  const parseDraft = () => {
+    try {
+      return JSON.parse(draft);
+    } catch (err) {
+      setReport({ valid: false, errors: [{ path: '/', message: `Not valid JSON: ${err.message}` }] });
+      return null;
+    }
+  };
+
+  const sendDraft = async (method, url, body) => {
+    const response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(body)
+    });
+    return { response, data: await response.json() };
+  };
+
+  const handleValidate = async () => {
+    const config = parseDraft();
+    if (!config) return;
+    setError(null);
+    try {
+      const { response, data } = await sendDraft('POST', '/api/config/validate', config);
+      if (!response.ok) throw new Error(data.error || `Server error: ${response.status}`);
+      setReport(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSave = async () => {
+    const config = parseDraft();
+    if (!config) return;
+    setIsSaving(true);
+    setError(null);
+    try {
+      const { response, data } = await sendDraft('PUT', '/api/config', { ...config, note: note || undefined });
+      if (response.status === 400 && data.errors) {
+        setReport({ valid: false, errors: data.errors });
+        return;
+      }
+      if (!response.ok) throw new Error(data.error || `Server error: ${response.status}`);
+      setNote('');
+      await loadConfig();
+    } catch (err) {
+      console.error('Failed to save config:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="admin-dashboard">
+      <div className="admin-detail-header">
+        <button className="admin-button" onClick={onBack}>← Back</button>
+        <h1 className="admin-title">Experiment Config</h1>
+        {current && <span>current version v{current.version}</span>}
+      </div>
+
+      {error && <div className="admin-error">{error}</div>}
+
+      <div className="admin-config">
+        <textarea
+          className="admin-config-editor"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          readOnly={!canEdit}
+          spellCheck={false}
+        />
+
+        <table className="admin-table admin-config-versions">
+          <thead>
+            <tr><th>Version</th><th>Saved</th><th>By</th><th>Note</th></tr>
+          </thead>
+          <tbody>
+            {versions.map(version => (
+              <tr key={version.version} className="admin-row" onClick={() => showVersion(version.version)}>
+                <td>v{version.version}</td>
+                <td>{new Date(version.createdAt).toLocaleString()}</td>
+                <td>{version.createdBy || '-'}</td>
+                <td>{version.note || ''}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {report && (
+        report.valid
+          ? <div className="admin-config-valid">Config is valid</div>
+          : (
+            <ul className="admin-error">
+              {report.errors.map(({ path, message }) => (
+                <li key={`${path}-${message}`}><code>{path}</code> {message}</li>
+              ))}
+            </ul>
+          )
+      )}
+
+      {canEdit ? (
+        <div className="admin-filters">
+          <input
+            type="text"
+            placeholder="Note for this version"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+          />
+          <button className="admin-button" onClick={handleValidate}>Validate</button>
+          <button className="admin-button" onClick={handleSave} disabled={isSaving}>
+            {isSaving ? 'Saving...' : 'Save as New Version'}
+          </button>
+          {current && (
+            <button className="admin-button" onClick={() => setDraft(toJSON(current.config))}>Reset</button>
+          )}
+        </div>
+      ) : (
+        <p className="admin-empty">Only admins can change the experiment config</p>
+      )}
+    </div>
+  );
+};
+
+export default ConfigEditor;
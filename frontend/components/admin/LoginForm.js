@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+
+/**
+ * LoginForm - Researcher login for the admin dashboard
+ */
+const LoginForm = ({ onLogin }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ username, password })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || data.error || `Server error: ${response.status}`);
+      setPassword('');
+      onLogin(data.researcher);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="admin-dashboard">
+      <form className="admin-login" onSubmit={handleSubmit}>
+        <h1 className="admin-title">Researcher Login</h1>
+        <input
+          type="text"
+          placeholder="Username"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+        />
+        <input
+          type="password"
+          placeholder="Password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+        />
+        {error && <div className="admin-error">{error}</div>}
+        <button className="admin-button" type="submit" disabled={isSubmitting || !username || !password}>
+          {isSubmitting ? 'Logging in...' : 'Log In'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginForm;
@@ -0,0 +1,222 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import ResultsView from '../ResultsView';
+
+/**
+ * Format a millisecond duration as "1h 05m" / "12m 30s"
+ */
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '-';
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+};
+
+const formatPercent = (value) => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`);
+
+/**
+ * Row of photo thumbnails; clicking one opens the full image
+ */
+const Thumbnails = ({ images }) => (
+  <div className="admin-thumbnails">
+    {images.map(image => (
+      <a key={image.filename} href={image.url} target="_blank" rel="noreferrer">
+        <img src={image.url} alt={image.filename} title={image.filename} loading="lazy" />
+      </a>
+    ))}
+  </div>
+);
+
+/**
+ * ParticipantDetail - Drill-down for one participant: tasks, NST trials and
+ * per-session results (ResultsView), capture thumbnails, export and
+ * mark-incomplete actions
+ */
+const ParticipantDetail = ({ participantId, onBack }) => {
+  const [detail, setDetail] = useState(null);
+  const [error, setError] = useState(null);
+  const [isUpdating, setIsUpdating] = useState(false);
+  const [resultsSessionId, setResultsSessionId] = useState(null);
+
+  const loadDetail = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/admin/participants/${encodeURIComponent(participantId)}`, {
+        credentials: 'include'
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || data.error || `Server error: ${response.status}`);
+      setDetail(data);
+    } catch (err) {
+      console.error('Failed to load participant:', err);
+      setError(err.message);
+    }
+  }, [participantId]);
+
+  useEffect(() => {
+    loadDetail();
+  }, [loadDetail]);
+
+  const handleMarkIncomplete = async () => {
+    const notes = window.prompt(`Mark ${participantId} as incomplete? Optional note:`);
+    if (notes === null) return;
+
+    setIsUpdating(true);
+    try {
+      const response = await fetch(`/api/admin/participants/${encodeURIComponent(participantId)}/incomplete`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ notes })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || data.error || `Server error: ${response.status}`);
+      await loadDetail();
+    } catch (err) {
+      console.error('Failed to update participant:', err);
+      setError(err.message);
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  if (!detail) {
+    return (
+      <div className="admin-dashboard">
+        <button className="admin-button" onClick={onBack}>← Back</button>
+        {error ? <div className="admin-error">{error}</div> : <div className="admin-loading">Loading...</div>}
+      </div>
+    );
+  }
+
+  const { participant, sessions, captures } = detail;
+
+  return (
+    <div className="admin-dashboard">
+      <div className="admin-detail-header">
+        <button className="admin-button" onClick={onBack}>← Back</button>
+        <h1 className="admin-title">{participant.participantId}</h1>
+        <a
+          className="admin-button"
+          href={`/api/participants/${encodeURIComponent(participantId)}/export`}
+        >
+          Export Data
+        </a>
+        <button
+          className="admin-button admin-button-danger"
+          onClick={handleMarkIncomplete}
+          disabled={isUpdating || participant.status === 'incomplete'}
+        >
+          Mark Incomplete
+        </button>
+      </div>
+
+      {error && <div className="admin-error">{error}</div>}
+
+      <section className="admin-section">
+        <p>
+          #{participant.participantNumber} · {participant.gender} / {participant.age} ·{' '}
+          <span className={`admin-status admin-status-${participant.status}`}>{participant.status}</span> ·{' '}
+          {participant.completionPercentage}% complete · {formatDuration(participant.durationMs)}
+        </p>
+        <p>Protocol: {participant.protocol} · Task order: {(participant.taskOrder || []).join(' → ')}</p>
+        {participant.metadata?.notes && <p>Notes: {participant.metadata.notes}</p>}
+        <table className="admin-table">
+          <thead>
+            <tr><th>Task</th><th>Status</th><th>Completed</th><th>Duration</th></tr>
+          </thead>
+          <tbody>
+            {participant.taskDurations.map(task => (
+              <tr key={task.taskType}>
+                <td>{task.taskType}</td>
+                <td>{task.status}</td>
+                <td>{new Date(task.completedAt).toLocaleString()}</td>
+                <td>{formatDuration(task.durationMs)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section className="admin-section">
+        <h2>Neutral Capture</h2>
+        {captures.neutral.length ? <Thumbnails images={captures.neutral} /> : <p>No photos</p>}
+      </section>
+
+      <section className="admin-section">
+        <h2>Cognitive Effort (NST)</h2>
+        {sessions.map(session => (
+          <div key={session.experimentId} className="admin-session">
+            <h3>
+              {session.experimentId} · {session.status} · {session.taskRule || 'parity'} ·{' '}
+              config v{session.configVersion ?? '-'} ·{' '}
+              accuracy {formatPercent(session.overall?.accuracy)}
+            </h3>
+            <button
+              className="admin-button"
+              onClick={() => setResultsSessionId(
+                resultsSessionId === session.experimentId ? null : session.experimentId
+              )}
+            >
+              {resultsSessionId === session.experimentId ? 'Hide Results' : 'Results & Export'}
+            </button>
+            {resultsSessionId === session.experimentId && (
+              <ResultsView experimentId={session.experimentId} title={null} />
+            )}
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Trial</th><th>Effort</th><th>Responses</th><th>Accuracy</th>
+                  <th>Mean RT</th><th>Switch Cost</th><th>Photos</th>
+                </tr>
+              </thead>
+              <tbody>
+                {session.trials.map(trial => (
+                  <tr key={trial.trialNumber}>
+                    <td>{trial.trialNumber + 1}</td>
+                    <td>{trial.effortLevel}</td>
+                    <td>{trial.responses}</td>
+                    <td>{formatPercent(trial.accuracy)}</td>
+                    <td>{trial.meanRT ?? '-'} ms</td>
+                    <td>{trial.switchCost ?? '-'} ms</td>
+                    <td>
+                      <Thumbnails
+                        images={captures.nst
+                          .filter(capture => capture.trialNumber === trial.trialNumber)
+                          .flatMap(capture => capture.images)}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+        {sessions.length === 0 && <p>No sessions</p>}
+      </section>
+
+      <section className="admin-section">
+        <h2>Physical Effort</h2>
+        <table className="admin-table">
+          <thead>
+            <tr><th>Trial</th><th>Target</th><th>Captured</th><th>Photos</th></tr>
+          </thead>
+          <tbody>
+            {captures.physicalEffort.map(capture => (
+              <tr key={capture.trial?.trialId}>
+                <td>{capture.trial?.trialId}</td>
+                <td>{capture.trial?.dot}</td>
+                <td>{capture.timestamp}</td>
+                <td><Thumbnails images={capture.images} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {captures.physicalEffort.length === 0 && <p>No captures</p>}
+      </section>
+    </div>
+  );
+};
+
+export default ParticipantDetail;
@@ -0,0 +1,162 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+const EDITABLE_FIELDS = ['title', 'description', 'neutralCapture', 'ordering', 'tasks', 'active'];
+
+const NEW_PROTOCOL = {
+  name: 'new-protocol',
+  title: 'New protocol',
+  description: '',
+  neutralCapture: true,
+  ordering: 'random',
+  tasks: [
+    { taskType: 'nst', settings: {} },
+    { taskType: 'physical-effort', settings: { repetitions: 5, restDuration: 10 } }
+  ],
+  active: true
+};
+
+const toDraft = (protocol) => JSON.stringify(
+  Object.fromEntries(EDITABLE_FIELDS.map(field => [field, protocol[field]])),
+  null,
+  2
+);
+
+/**
+ * ProtocolEditor - List the study protocols offered at registration and
+ * define or edit them as JSON
+ */
+const ProtocolEditor = ({ onBack }) => {
+  const [protocols, setProtocols] = useState([]);
+  const [selectedName, setSelectedName] = useState(null);
+  const [isNew, setIsNew] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadProtocols = useCallback(async () => {
+    try {
+      const response = await fetch('/api/protocols', { credentials: 'include' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || data.error || `Server error: ${response.status}`);
+      setProtocols(data.protocols);
+    } catch (err) {
+      console.error('Failed to load protocols:', err);
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProtocols();
+  }, [loadProtocols]);
+
+  const selectProtocol = (protocol) => {
+    setSelectedName(protocol.name);
+    setIsNew(false);
+    setDraft(toDraft(protocol));
+    setError(null);
+  };
+
+  const startNewProtocol = () => {
+    setSelectedName(null);
+    setIsNew(true);
+    setNewName(NEW_PROTOCOL.name);
+    setDraft(toDraft(NEW_PROTOCOL));
+    setError(null);
+  };
+
+  const handleSave = async () => {
+    let fields;
+    try {
+      fields = JSON.parse(draft);
+    } catch (err) {
+      setError(`Not valid JSON: ${err.message}`);
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      const response = await fetch(
+        isNew ? '/api/protocols' : `/api/protocols/${encodeURIComponent(selectedName)}`,
+        {
+          method: isNew ? 'POST' : 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          body: JSON.stringify(isNew ? { ...fields, name: newName } : fields)
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || data.error || `Server error: ${response.status}`);
+
+      await loadProtocols();
+      selectProtocol(data.protocol);
+    } catch (err) {
+      console.error('Failed to save protocol:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const isEditing = isNew || selectedName;
+
+  return (
+    <div className="admin-dashboard">
+      <div className="admin-detail-header">
+        <button className="admin-button" onClick={onBack}>← Back</button>
+        <h1 className="admin-title">Protocols</h1>
+        <button className="admin-button" onClick={startNewProtocol}>New Protocol</button>
+      </div>
+
+      {error && <div className="admin-error">{error}</div>}
+
+      <table className="admin-table">
+        <thead>
+          <tr><th>Name</th><th>Title</th><th>Neutral</th><th>Ordering</th><th>Tasks</th><th>Active</th></tr>
+        </thead>
+        <tbody>
+          {protocols.map(protocol => (
+            <tr key={protocol.name} className="admin-row" onClick={() => selectProtocol(protocol)}>
+              <td>{protocol.name}</td>
+              <td>{protocol.title}</td>
+              <td>{protocol.neutralCapture ? 'yes' : 'no'}</td>
+              <td>{protocol.ordering}</td>
+              <td>{protocol.tasks.map(task => task.taskType).join(', ')}</td>
+              <td>{protocol.active ? 'yes' : 'no'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {isEditing && (
+        <section className="admin-section">
+          <h2>{isNew ? 'New protocol' : selectedName}</h2>
+          {isNew && (
+            <div className="admin-filters">
+              <input
+                type="text"
+                placeholder="Name (lowercase letters, digits and dashes)"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+              />
+            </div>
+          )}
+          <textarea
+            className="admin-config-editor"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            spellCheck={false}
+          />
+          <div className="admin-filters">
+            <button className="admin-button" onClick={handleSave} disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Save Protocol'}
+            </button>
+          </div>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default ProtocolEditor;
@@ -1,6 +1,20 @@
 import React, { useState, useRef, useEffect, createContext, useContext } from 'react';
 import { useDispatch } from 'react-redux';
 import { setCameraReady, setCaptureError } from '../../redux/captureSlice';
+import { ClipRecorder, DEFAULT_CLIP_CONFIG, isClipRecordingSupported } from '../../services/clipRecorder';
+import { buildCaptureTiming, highResNow, waitForVideoFrame } from '../../services/frameTiming';
+import { checkCaptureQuality } from '../../services/captureQuality';
+import {
+  ACTIVE_PROFILE_KEY,
+  applyTrackConstraints,
+  buildVideoConstraints,
+  cameraSettings,
+  describeAppliedSettings,
+  fetchCameraProfiles,
+  findCameraByLabel,
+  photoEncoding,
+  saveCameraProfile as saveProfile
+} from '../../services/cameraProfiles';
 
 const CameraContext = createContext(null);
 
@@ -16,8 +30,12 @@ export const useCamera = () => {
  * DualCameraProvider - Manages two camera streams for the experiment
  * Camera 1: Participant's face (for emotion/effort capture)
  * Camera 2: Dynamometer/equipment view (for physical effort monitoring)
+ * `clipConfig` ({ enabled, preMs, postMs }) turns on video clips around
+ * stimulus onsets while a task has clip recording active. The station's
+ * camera profile (services/cameraProfiles) picks the cameras by label and
+ * sets their resolution, frame rate, photo format and track constraints
  */
-export const DualCameraProvider = ({ children }) => {
+export const DualCameraProvider = ({ clipConfig: clipConfigProp, children }) => {
   const dispatch = useDispatch();
   
   // Camera device management
@@ -42,10 +60,36 @@ export const DualCameraProvider = ({ children }) => {
   // Canvas refs for image capture
   const mainCanvasRef = useRef(null);
   const secondCanvasRef = useRef(null);
+  
+  // Clip recorders per camera, running while a task has recording active
+  const [clipRecordingActive, setClipRecordingActive] = useState(false);
+  const clipRecordersRef = useRef({ main: null, second: null });
+  
+  // Each camera's previous photo, for the identical-frame quality check
+  const previousFramesRef = useRef({ main: null, equipment: null });
+  const clipEnabled = Boolean(clipConfigProp?.enabled);
+  const clipPreMs = clipConfigProp?.preMs ?? DEFAULT_CLIP_CONFIG.preMs;
+  const clipPostMs = clipConfigProp?.postMs ?? DEFAULT_CLIP_CONFIG.postMs;
+  
+  // Camera station profiles
+  const [cameraProfiles, setCameraProfiles] = useState([]);
+  const [activeProfileName, setActiveProfileName] = useState(
+    () => localStorage.getItem(ACTIVE_PROFILE_KEY) || 'default'
+  );
+  const activeCameraProfile = cameraProfiles.find(profile => profile.name === activeProfileName) || null;
+  const profileSettings = {
+    main: cameraSettings(activeCameraProfile, 'main'),
+    equipment: cameraSettings(activeCameraProfile, 'equipment')
+  };
+  // Camera (re)starts can come from stale closures, so they read settings from a ref
+  const profileSettingsRef = useRef(profileSettings);
+  profileSettingsRef.current = profileSettings;
+  const profileKey = JSON.stringify(profileSettings);
 
   // Initialize cameras on mount
   useEffect(() => {
     initializeCameraDevices();
+    loadCameraProfiles();
     
     // Load saved camera selections from localStorage
     const savedMain = localStorage.getItem('nstplus_main_camera');
@@ -118,6 +162,51 @@ export const DualCameraProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Load the camera station profiles; without them cameras run at the
+   * default settings
+   */
+  const loadCameraProfiles = async () => {
+    try {
+      setCameraProfiles(await fetchCameraProfiles());
+    } catch (err) {
+      console.warn('Could not load camera profiles - using default camera settings:', err.message);
+    }
+  };
+
+  const selectCameraProfile = (name) => {
+    setActiveProfileName(name);
+    localStorage.setItem(ACTIVE_PROFILE_KEY, name);
+  };
+
+  /**
+   * Save a profile to the backend (researcher login required) and make it
+   * the station's profile
+   */
+  const saveCameraProfile = async (profile, isNew = false) => {
+    const saved = await saveProfile(profile, isNew);
+    setCameraProfiles(prev => [...prev.filter(other => other.name !== saved.name), saved]
+      .sort((a, b) => a.name.localeCompare(b.name)));
+    selectCameraProfile(saved.name);
+    return saved;
+  };
+
+  /**
+   * What sessions record about the cameras: the profile name and the
+   * settings each camera actually runs at; null without a profile
+   */
+  const getCameraProfileRecord = () => {
+    if (!activeCameraProfile) return null;
+    const settings = profileSettingsRef.current;
+    return {
+      name: activeCameraProfile.name,
+      applied: {
+        main: describeAppliedSettings(mainStreamRef.current, settings.main),
+        equipment: describeAppliedSettings(secondStreamRef.current, settings.equipment)
+      }
+    };
+  };
+
   /**
    * Start the main camera stream (participant face)
    */
@@ -130,21 +219,14 @@ export const DualCameraProvider = ({ children }) => {
         mainStreamRef.current = null;
       }
       
+      const settings = profileSettingsRef.current.main;
       const constraints = {
-        video: deviceId 
-          ? { 
-              deviceId: { exact: deviceId },
-              width: { ideal: 1280 },
-              height: { ideal: 720 }
-            }
-          : { 
-              width: { ideal: 1280 },
-              height: { ideal: 720 }
-            },
+        video: buildVideoConstraints(deviceId, settings),
         audio: false
       };
       
       const stream = await navigator.mediaDevices.getUserMedia(constraints);
+      await applyTrackConstraints(stream.getVideoTracks()[0], settings.trackConstraints);
       mainStreamRef.current = stream;
       
       // Add stream event listeners for monitoring
@@ -186,16 +268,14 @@ export const DualCameraProvider = ({ children }) => {
         return null;
       }
       
+      const settings = profileSettingsRef.current.equipment;
       const constraints = {
-        video: {
-          deviceId: { exact: deviceId },
-          width: { ideal: 1280 },
-          height: { ideal: 720 }
-        },
+        video: buildVideoConstraints(deviceId, settings),
         audio: false
       };
       
       const stream = await navigator.mediaDevices.getUserMedia(constraints);
+      await applyTrackConstraints(stream.getVideoTracks()[0], settings.trackConstraints);
       secondStreamRef.current = stream;
       
       // Add stream event listeners for monitoring
@@ -386,12 +466,16 @@ export const DualCameraProvider = ({ children }) => {
   };
 
   /**
-   * Capture a photo from specified camera
+   * Grab a frame from specified camera
+   * @returns {Promise<object>} { blob, timing } - blob is null on failure;
+   *   timing has requestedAt, the frame's time from requestVideoFrameCallback
+   *   where available (frameTime, source) and drawnAt
    */
-  const capturePhoto = async (videoRef, canvasRef, label = 'photo') => {
+  const grabFrame = async (videoRef, canvasRef, label = 'photo') => {
+    const requestedAt = highResNow();
     if (!videoRef?.current || !canvasRef?.current) {
       console.error(`Missing refs for capture: ${label}`);
-      return null;
+      return { blob: null, timing: { requestedAt, source: 'unavailable', frameTime: null } };
     }
 
     const video = videoRef.current;
@@ -441,29 +525,40 @@ export const DualCameraProvider = ({ children }) => {
       
       const context = canvas.getContext('2d');
       
-      // Draw video frame to canvas
+      // Draw the next frame as soon as it arrives, so its timestamp is the one captured
+      const frame = await waitForVideoFrame(video);
       context.drawImage(video, 0, 0, canvas.width, canvas.height);
+      const timing = { requestedAt, ...frame, drawnAt: highResNow() };
       
-      // Convert to blob
+      // Convert to blob in the profile's photo format
+      const { type, quality } = photoEncoding(
+        videoRef === secondVideoRef ? profileSettingsRef.current.equipment : profileSettingsRef.current.main
+      );
       return new Promise((resolve) => {
         canvas.toBlob(
           (blob) => {
             if (blob) {
               console.log(`Photo captured: ${label}, size: ${blob.size} bytes`);
             }
-            resolve(blob);
+            resolve({ blob, timing });
           },
-          'image/jpeg',
-          0.95
+          type,
+          quality
         );
       });
       
     } catch (err) {
       console.error(`Error capturing photo ${label}:`, err);
-      return null;
+      return { blob: null, timing: { requestedAt, source: 'error', frameTime: null } };
     }
   };
 
+  /**
+   * Capture a photo from specified camera
+   */
+  const capturePhoto = async (videoRef, canvasRef, label = 'photo') =>
+    (await grabFrame(videoRef, canvasRef, label)).blob;
+
   /**
    * Create a mock photo blob for testing without cameras
    */
@@ -492,66 +587,147 @@ export const DualCameraProvider = ({ children }) => {
     });
   };
 
+  /**
+   * Mock photo with the same { blob, timing } shape as grabFrame
+   */
+  const grabMockFrame = async (label) => {
+    const requestedAt = highResNow();
+    const blob = await createMockPhoto(label);
+    return { blob, timing: { requestedAt, source: 'mock', frameTime: null } };
+  };
+
+  /**
+   * Quality scores for a camera's photo (services/captureQuality); null for
+   * mock photos or when the photo cannot be analysed
+   */
+  const scorePhoto = async (camera, { blob, timing }) => {
+    if (!blob || timing.source === 'mock') return null;
+    try {
+      const { scores, gray } = await checkCaptureQuality(blob, previousFramesRef.current[camera]);
+      previousFramesRef.current[camera] = gray;
+      return scores;
+    } catch (err) {
+      console.warn(`Quality check failed for ${camera} photo:`, err);
+      return null;
+    }
+  };
+
   /**
    * Capture photos from both cameras simultaneously
+   * @param {object} [options]
+   * @param {number} [options.stimulusOnset] - Stimulus onset (highResNow) the capture belongs to
+   * @returns {Promise<object>} { main, second, timing, quality } - timing holds
+   *   the stimulus onset, the request time, per-camera frame timing (main,
+   *   equipment) and the inter-camera skew in ms; quality holds each camera's
+   *   quality scores (main, equipment)
    */
-  const captureBothCameras = async (mainLabel = 'main', secondLabel = 'second') => {
+  const captureBothCameras = async (mainLabel = 'main', secondLabel = 'second', { stimulusOnset = null } = {}) => {
     console.log(`Capturing photos: ${cameras.length} camera(s) available`);
+    const requestedAt = highResNow();
+    let results;
     
-    // If no cameras are available, create mock photos for testing
     if (cameras.length === 0) {
+      // If no cameras are available, create mock photos for testing
       console.warn('No cameras available - creating mock photos for testing');
-      const results = await Promise.all([
-        createMockPhoto(mainLabel),
-        createMockPhoto(secondLabel)
+      results = await Promise.all([
+        grabMockFrame(mainLabel),
+        grabMockFrame(secondLabel)
       ]);
-      
-      return {
-        main: results[0],
-        second: results[1]
-      };
-    }
-
-    // Handle single camera scenario - capture from main, mock for second
-    if (cameras.length === 1 && selectedMainCamera && !selectedSecondCamera) {
+    } else if (cameras.length === 1 && selectedMainCamera && !selectedSecondCamera) {
+      // Handle single camera scenario - capture from main, mock for second
       console.log('Single camera mode - capturing main, mocking second');
-      const results = await Promise.all([
-        capturePhoto(mainVideoRef, mainCanvasRef, mainLabel),
-        createMockPhoto(`${secondLabel}_mock`)
+      results = await Promise.all([
+        grabFrame(mainVideoRef, mainCanvasRef, mainLabel),
+        grabMockFrame(`${secondLabel}_mock`)
+      ]);
+    } else {
+      // Normal dual camera capture
+      results = await Promise.all([
+        grabFrame(mainVideoRef, mainCanvasRef, mainLabel),
+        grabFrame(secondVideoRef, secondCanvasRef, secondLabel)
       ]);
-      
-      return {
-        main: results[0],
-        second: results[1]
-      };
     }
-
-    // Normal dual camera capture
-    const results = await Promise.all([
-      capturePhoto(mainVideoRef, mainCanvasRef, mainLabel),
-      capturePhoto(secondVideoRef, secondCanvasRef, secondLabel)
+    
+    const [mainQuality, equipmentQuality] = await Promise.all([
+      scorePhoto('main', results[0]),
+      scorePhoto('equipment', results[1])
     ]);
     
     return {
-      main: results[0],
-      second: results[1]
+      main: results[0].blob,
+      second: results[1].blob,
+      quality: { main: mainQuality, equipment: equipmentQuality },
+      timing: buildCaptureTiming({
+        stimulusOnset,
+        requestedAt,
+        main: results[0].timing,
+        equipment: results[1].timing
+      })
     };
   };
 
-  // Start cameras when selections change
+  /**
+   * Record clips from both cameras around a stimulus onset
+   * @returns {Promise<object|null>} { main, second } clips (null for a camera
+   *   that is not recording), or null when clip recording is off
+   */
+  const recordClipsAround = async (onset = Date.now()) => {
+    const { main, second } = clipRecordersRef.current;
+    if (!main && !second) return null;
+    
+    const [mainClip, secondClip] = await Promise.all([
+      main ? main.clipAround(onset) : null,
+      second ? second.clipAround(onset) : null
+    ]);
+    return { main: mainClip, second: secondClip };
+  };
+
+  // Keep clip recorders running on the live streams while recording is active
+  useEffect(() => {
+    if (!clipEnabled || !clipRecordingActive) return;
+    if (!isClipRecordingSupported()) {
+      console.warn('MediaRecorder WebM recording not supported - no clips will be recorded');
+      return;
+    }
+    
+    const options = { preMs: clipPreMs, postMs: clipPostMs };
+    const recorders = {
+      main: mainStreamActive && mainStreamRef.current ? new ClipRecorder(mainStreamRef.current, options) : null,
+      second: secondStreamActive && secondStreamRef.current ? new ClipRecorder(secondStreamRef.current, options) : null
+    };
+    Object.values(recorders).forEach(recorder => recorder?.start());
+    clipRecordersRef.current = recorders;
+    
+    return () => {
+      Object.values(recorders).forEach(recorder => recorder?.stop());
+      clipRecordersRef.current = { main: null, second: null };
+    };
+  }, [clipEnabled, clipPreMs, clipPostMs, clipRecordingActive, mainStreamActive, secondStreamActive]);
+
+  // Pick the cameras the profile names by device label
+  useEffect(() => {
+    if (!camerasInitialized || cameras.length === 0) return;
+    
+    const main = findCameraByLabel(cameras, profileSettings.main.deviceLabel);
+    const equipment = findCameraByLabel(cameras, profileSettings.equipment.deviceLabel);
+    if (main) setSelectedMainCamera(main.deviceId);
+    if (equipment) setSelectedSecondCamera(equipment.deviceId);
+  }, [cameras, camerasInitialized, profileSettings.main.deviceLabel, profileSettings.equipment.deviceLabel]);
+
+  // Start cameras when selections or profile settings change
   useEffect(() => {
     if (selectedMainCamera && camerasInitialized) {
       startMainCamera(selectedMainCamera);
       localStorage.setItem('nstplus_main_camera', selectedMainCamera);
     }
-  }, [selectedMainCamera, camerasInitialized]);
+  }, [selectedMainCamera, camerasInitialized, profileKey]);
 
   useEffect(() => {
     if (selectedSecondCamera && camerasInitialized) {
       startSecondCamera(selectedSecondCamera);
       localStorage.setItem('nstplus_second_camera', selectedSecondCamera);
     }
-  }, [selectedSecondCamera, camerasInitialized]);
+  }, [selectedSecondCamera, camerasInitialized, profileKey]);
 
   // Auto-select cameras if available and no saved preference
   useEffect(() => {
@@ -590,6 +766,15 @@ export const DualCameraProvider = ({ children }) => {
     setSelectedMainCamera,
     setSelectedSecondCamera,
     
+    // Camera station profiles
+    cameraProfiles,
+    activeCameraProfile,
+    profileSettings,
+    selectCameraProfile,
+    saveCameraProfile,
+    reloadCameraProfiles: loadCameraProfiles,
+    getCameraProfileRecord,
+    
     // Stream status
     mainStreamActive,
     secondStreamActive,
@@ -602,6 +787,11 @@ export const DualCameraProvider = ({ children }) => {
     mainStreamRef,
     secondStreamRef,
     
+    // Clip recording
+    clipRecordingEnabled: clipEnabled,
+    setClipRecordingActive,
+    recordClipsAround,
+    
     // Methods
     capturePhoto,
     captureBothCameras,
@@ -8,10 +8,38 @@ import Tutorial from './Tutorial';
 import { DualCameraProvider } from './DualCameraProvider';
 import GlobalCameraSettings from './GlobalCameraSettings';
 import DevPanel from './DevPanel';
+import UploadQueueIndicator from '../shared/UploadQueueIndicator';
+import { setTaskRule } from '../../redux/experimentSlice';
+import {
+  startUploadQueue,
+  setUploadToken,
+  subscribeUploadQueue,
+  getUploadQueueStatus
+} from '../../services/uploadQueue';
+
+// Phases that occur once per task
+const TASK_PHASES = ['inter-task', 'tutorial', 'task'];
+
+/**
+ * Phase sequence for a participant's protocol: registration, the neutral
+ * capture unless the protocol skips it, a tutorial and the task for each
+ * task in order with a break between tasks, then completion
+ */
+const buildPhaseSequence = (protocol, taskOrder = []) => [
+  { phase: 'registration', taskIndex: 0 },
+  ...(protocol?.neutralCapture === false ? [] : [{ phase: 'neutral-capture', taskIndex: 0 }]),
+  ...taskOrder.flatMap((task, taskIndex) => [
+    ...(taskIndex > 0 ? [{ phase: 'inter-task', taskIndex }] : []),
+    { phase: 'tutorial', taskIndex },
+    { phase: 'task', taskIndex }
+  ]),
+  { phase: 'completion', taskIndex: taskOrder.length }
+];
 
 /**
  * ExperimentController - Main orchestrator for the NST Plus experiment
- * Manages the complete flow: Registration → Neutral → Tasks (randomized order) → Export
+ * Manages the complete flow from the participant's protocol:
+ * Registration → Neutral → Tasks (protocol order) → Export
  */
 const ExperimentController = () => {
   const dispatch = useDispatch();
@@ -21,18 +49,156 @@ const ExperimentController = () => {
   const [currentTaskIndex, setCurrentTaskIndex] = useState(0);
   const [completedTasks, setCompletedTasks] = useState([]);
   const [experimentData, setExperimentData] = useState({});
+  const [recovery, setRecovery] = useState(null);
+  const [clipConfig, setClipConfig] = useState(null);
+  const [uploadQueue, setUploadQueue] = useState(getUploadQueueStatus());
+  const uploadsOutstanding = uploadQueue.pending + uploadQueue.failed > 0;
 
-  // Experiment phases in order
-  const phases = [
-    'registration',      // Collect demographics
-    'neutral-capture',   // Capture baseline facial expression
-    'tutorial',          // Tutorial for first task
-    'task',              // Execute current task
-    'inter-task',        // Break between tasks (if applicable)
-    'tutorial-2',        // Tutorial for second task (if applicable)
-    'task-2',            // Execute second task (if applicable)
-    'completion'         // Export and finish
-  ];
+  // Experiment phases in order for this participant's protocol
+  const phaseSequence = buildPhaseSequence(participant?.protocol, participant?.taskOrder);
+  const phasePosition = phaseSequence.findIndex(step =>
+    step.phase === currentPhase && (!TASK_PHASES.includes(step.phase) || step.taskIndex === currentTaskIndex)
+  );
+  
+  /**
+   * Move to a step of the phase sequence
+   */
+  const goToStep = (step) => {
+    if (step.phase === 'completion') {
+      localStorage.removeItem('nstplus_current_participant');
+    }
+    setCurrentTaskIndex(step.taskIndex);
+    setCurrentPhase(step.phase);
+  };
+  
+  /**
+   * Move to the phase after the current one
+   */
+  const advancePhase = () => {
+    goToStep(phaseSequence[phasePosition + 1] || phaseSequence[phaseSequence.length - 1]);
+  };
+
+  // Load the task rule so tutorials and the NST show the right instructions,
+  // and whether video clips are recorded around stimuli
+  useEffect(() => {
+    const loadTaskRule = async () => {
+      try {
+        const response = await fetch('/api/config', { credentials: 'include' });
+        if (!response.ok) {
+          throw new Error(`Server error: ${response.status}`);
+        }
+        const { config } = await response.json();
+        dispatch(setTaskRule(config?.taskRule || 'parity'));
+        setClipConfig(config?.clipConfig || null);
+      } catch (error) {
+        console.error('Failed to load task rule, using parity:', error);
+        dispatch(setTaskRule('parity'));
+      }
+    };
+    
+    loadTaskRule();
+  }, [dispatch]);
+
+  // Resume uploads queued before a reload and follow the queue
+  useEffect(() => {
+    const stopUploadQueue = startUploadQueue();
+    const unsubscribe = subscribeUploadQueue(setUploadQueue);
+    return () => {
+      stopUploadQueue();
+      unsubscribe();
+    };
+  }, []);
+
+  // Warn before the page is closed while captures are still waiting to upload
+  useEffect(() => {
+    const warnOutstandingUploads = (event) => {
+      const { pending, failed } = getUploadQueueStatus();
+      if (pending + failed === 0) return;
+      event.preventDefault();
+      event.returnValue = '';
+    };
+    
+    window.addEventListener('beforeunload', warnOutstandingUploads);
+    return () => window.removeEventListener('beforeunload', warnOutstandingUploads);
+  }, []);
+
+  // A protocol can run the NST under a different task rule
+  useEffect(() => {
+    const protocolTaskRule = participant?.protocol?.tasks
+      ?.find(task => task.taskType === 'nst')?.settings?.taskRule;
+    if (protocolTaskRule) {
+      dispatch(setTaskRule(protocolTaskRule));
+    }
+  }, [participant, dispatch]);
+
+  // Offer to resume a participant whose session was interrupted by a reload or crash
+  useEffect(() => {
+    const saved = localStorage.getItem('nstplus_current_participant');
+    if (!saved) return;
+    
+    const checkForRecovery = async () => {
+      try {
+        const { participantId } = JSON.parse(saved);
+        const response = await fetch(`/api/participants/${participantId}/recovery`, {
+          credentials: 'include'
+        });
+        
+        if (!response.ok) {
+          throw new Error(`Server error: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        if (data.resumePhase === 'completion') {
+          localStorage.removeItem('nstplus_current_participant');
+          return;
+        }
+        
+        console.log('Interrupted participant found:', data);
+        setRecovery(data);
+        setCurrentPhase('recovery');
+        
+      } catch (error) {
+        console.error('Recovery check failed:', error);
+      }
+    };
+    
+    checkForRecovery();
+  }, []);
+
+  /**
+   * Resume the interrupted participant at the saved phase
+   */
+  const handleResume = () => {
+    // The upload token was only returned at registration
+    const saved = JSON.parse(localStorage.getItem('nstplus_current_participant') || '{}');
+    setUploadToken(saved.uploadToken);
+    
+    dispatch({ 
+      type: 'experiment/setParticipant', 
+      payload: recovery.participant 
+    });
+    
+    setExperimentData(prev => ({
+      ...prev,
+      participant: recovery.participant,
+      startTime: recovery.participant.registrationTime,
+      taskOrder: recovery.participant.taskOrder,
+      recoveredAt: new Date().toISOString()
+    }));
+    setCompletedTasks(recovery.completedTasks);
+    setCurrentTaskIndex(recovery.taskIndex);
+    
+    setCurrentPhase(recovery.resumePhase === 'neutral-capture' ? 'neutral-capture' : 'task');
+  };
+
+  /**
+   * Discard the interrupted participant and register a new one
+   */
+  const handleStartNew = () => {
+    localStorage.removeItem('nstplus_current_participant');
+    setRecovery(null);
+    setCurrentPhase('registration');
+  };
 
   /**
    * Handle participant registration completion
@@ -48,8 +214,8 @@ const ExperimentController = () => {
       taskOrder: participantData.taskOrder
     }));
     
-    // Move to neutral capture
-    setCurrentPhase('neutral-capture');
+    // Move to the first phase after registration
+    goToStep(buildPhaseSequence(participantData.protocol, participantData.taskOrder)[1]);
   };
 
   /**
@@ -64,8 +230,7 @@ const ExperimentController = () => {
       neutralCaptureTime: new Date().toISOString()
     }));
     
-    // Move to tutorial for first task
-    setCurrentPhase('tutorial');
+    advancePhase();
   };
 
   /**
@@ -73,7 +238,7 @@ const ExperimentController = () => {
    */
   const handleTutorialComplete = () => {
     console.log('Tutorial completed for task:', getCurrentTask());
-    setCurrentPhase('task');
+    advancePhase();
   };
 
   /**
@@ -93,15 +258,8 @@ const ExperimentController = () => {
     // Mark task as completed
     setCompletedTasks(prev => [...prev, currentTask]);
     
-    // Determine next phase
-    if (currentTaskIndex < (participant?.taskOrder?.length || 0) - 1) {
-      // More tasks to complete
-      setCurrentTaskIndex(prev => prev + 1);
-      setCurrentPhase('inter-task');
-    } else {
-      // All tasks completed
-      setCurrentPhase('completion');
-    }
+    // Break before the next task, or completion after the last
+    advancePhase();
   };
 
   /**
@@ -109,32 +267,7 @@ const ExperimentController = () => {
    */
   const handleInterTaskComplete = () => {
     console.log('Inter-task break completed');
-    setCurrentPhase('tutorial-2');
-  };
-
-  /**
-   * Handle second tutorial completion
-   */
-  const handleSecondTutorialComplete = () => {
-    console.log('Second tutorial completed');
-    setCurrentPhase('task-2');
-  };
-
-  /**
-   * Handle second task completion
-   */
-  const handleSecondTaskComplete = (taskData) => {
-    const currentTask = getCurrentTask();
-    console.log(`${currentTask} (second) task completed:`, taskData);
-    
-    setExperimentData(prev => ({
-      ...prev,
-      [currentTask]: taskData,
-      [`${currentTask}CompletionTime`]: new Date().toISOString()
-    }));
-    
-    setCompletedTasks(prev => [...prev, currentTask]);
-    setCurrentPhase('completion');
+    advancePhase();
   };
 
   /**
@@ -147,11 +280,17 @@ const ExperimentController = () => {
     return participant.taskOrder[currentTaskIndex];
   };
 
+  /**
+   * Protocol settings and tutorial text for the current task, if any
+   */
+  const getCurrentProtocolTask = () =>
+    participant?.protocol?.tasks?.find(task => task.taskType === getCurrentTask()) || null;
+
   /**
    * Check if we're currently in an experimental task (not setup/config)
    */
   const isInExperimentalTask = () => {
-    const experimentalPhases = ['task-1', 'task-2'];
+    const experimentalPhases = ['task'];
     const experimentalScreens = ['nst-practice', 'nst-running', 'physical-practice', 'physical-experiment'];
     
     // Check current phase
@@ -219,6 +358,30 @@ const ExperimentController = () => {
       case 'registration':
         return <ParticipantRegistration onComplete={handleRegistrationComplete} />;
         
+      case 'recovery':
+        return (
+          <div className="inter-task-break">
+            <h2>Interrupted Session Found</h2>
+            <p>
+              Participant {recovery.participant.participantId} did not finish
+              {recovery.currentTask ? ` the ${recovery.currentTask} task` : ' the neutral capture'}.
+            </p>
+            <p>Resume where they left off, or discard it and register a new participant.</p>
+            <button 
+              className="continue-button"
+              onClick={handleResume}
+            >
+              Resume Participant
+            </button>
+            <button 
+              className="continue-button"
+              onClick={handleStartNew}
+            >
+              Start New Participant
+            </button>
+          </div>
+        );
+        
       case 'neutral-capture':
         return (
           <NeutralCapture 
@@ -230,7 +393,9 @@ const ExperimentController = () => {
       case 'tutorial':
         return (
           <Tutorial 
+            key={currentTaskIndex}
             taskType={getCurrentTask()}
+            tutorial={getCurrentProtocolTask()?.tutorial}
             onComplete={handleTutorialComplete}
           />
         );
@@ -241,7 +406,7 @@ const ExperimentController = () => {
       case 'inter-task':
         return (
           <div className="inter-task-break">
-            <h2>Task 1 Complete!</h2>
+            <h2>Task {currentTaskIndex} Complete!</h2>
             <p>Take a short break. Click continue when ready for the next task.</p>
             <button 
               className="continue-button"
@@ -252,28 +417,24 @@ const ExperimentController = () => {
           </div>
         );
         
-      case 'tutorial-2':
-        return (
-          <Tutorial 
-            taskType={getCurrentTask()}
-            onComplete={handleSecondTutorialComplete}
-          />
-        );
-        
-      case 'task-2':
-        return renderTask(getCurrentTask(), handleSecondTaskComplete);
-        
       case 'completion':
         return (
           <div className="experiment-completion">
             <h2>Experiment Complete!</h2>
-            <p>Thank you for participating. Your data has been collected successfully.</p>
+            <p>
+              Thank you for participating.{' '}
+              {uploadsOutstanding
+                ? 'Your data is still being uploaded - please keep this page open.'
+                : 'Your data has been collected successfully.'}
+            </p>
             <button 
               className="export-button"
               onClick={handleExportData}
+              disabled={uploadsOutstanding}
             >
               Download Data
             </button>
+            <UploadQueueIndicator detailed />
           </div>
         );
         
@@ -292,7 +453,9 @@ const ExperimentController = () => {
       case 'nst':
         return (
           <NSTTask 
+            key={currentTaskIndex}
             participantId={participant?.participantId}
+            recovery={recovery?.currentTask === 'nst' ? recovery : null}
             onComplete={onComplete}
           />
         );
@@ -300,8 +463,11 @@ const ExperimentController = () => {
       case 'physical-effort':
         return (
           <PhysicalEffortTask 
+            key={currentTaskIndex}
             participantId={participant?.participantId}
             participantGender={participant?.gender}
+            settings={getCurrentProtocolTask()?.settings}
+            recovery={recovery?.currentTask === 'physical-effort' ? recovery : null}
             onComplete={onComplete}
           />
         );
@@ -312,7 +478,7 @@ const ExperimentController = () => {
   };
 
   // Hide UI elements during active tasks
-  const isActiveTask = currentPhase === 'task' || currentPhase === 'task-2';
+  const isActiveTask = currentPhase === 'task';
   const currentTask = getCurrentTask();
   const isNSTOrPhysicalEffort = currentTask === 'nst' || currentTask === 'physical-effort';
   const shouldHideUI = isActiveTask && isNSTOrPhysicalEffort;
@@ -403,7 +569,7 @@ const ExperimentController = () => {
   };
 
   return (
-    <DualCameraProvider>
+    <DualCameraProvider clipConfig={clipConfig}>
       <div className="experiment-container">
         {/* Global Camera Settings - hidden during active NST/Physical Effort tasks */}
         <GlobalCameraSettings hideButton={shouldHideUI} />
@@ -415,16 +581,19 @@ const ExperimentController = () => {
               <div 
                 className="progress-fill"
                 style={{ 
-                  width: `${((phases.indexOf(currentPhase) + 1) / phases.length) * 100}%` 
+                  width: `${((phasePosition + 1) / phaseSequence.length) * 100}%` 
                 }}
               />
             </div>
             <div className="progress-text">
-              Phase {phases.indexOf(currentPhase) + 1} of {phases.length}
+              Phase {phasePosition + 1} of {phaseSequence.length}
             </div>
           </div>
         )}
         
+        {/* Pending/failed uploads - the completion screen shows its own list */}
+        {!shouldHideUI && currentPhase !== 'completion' && <UploadQueueIndicator />}
+        
         {/* Current phase content */}
         <div className="phase-content">
           {renderCurrentPhase()}
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useCamera } from './DualCameraProvider';
 import CameraView from '../shared/CameraView';
+import CameraProfileEditor from '../shared/CameraProfileEditor';
 
 /**
  * GlobalCameraSettings - Floating camera configuration accessible from anywhere
@@ -221,6 +222,9 @@ const GlobalCameraSettings = ({ hideButton = false }) => {
           </div>
         </div>
 
+        {/* Station profile: camera labels, resolution, frame rate, photo format, exposure */}
+        <CameraProfileEditor />
+
         {/* Debug Info */}
         <div style={{ 
           marginTop: '30px', 
@@ -1,10 +1,12 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useDispatch } from 'react-redux';
+import { setUploadToken } from '../../services/uploadQueue';
 import '../../styles/experiment.css';
 
 /**
- * ParticipantRegistration - Collects participant demographic information
- * and creates the participant directory structure
+ * ParticipantRegistration - Collects participant demographic information,
+ * lets the researcher pick the study protocol, and creates the participant
+ * directory structure
  */
 const ParticipantRegistration = ({ onComplete }) => {
   const dispatch = useDispatch();
@@ -12,21 +14,36 @@ const ParticipantRegistration = ({ onComplete }) => {
   const [formData, setFormData] = useState({
     gender: '',
     age: '',
-    participantNumber: null
+    protocol: 'standard'
   });
   
+  const [protocols, setProtocols] = useState([]);
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
 
-  /**
-   * Get the next participant number from localStorage
-   */
-  const getNextParticipantNumber = () => {
-    const lastNumber = parseInt(localStorage.getItem('nstplus_last_participant') || '0');
-    const nextNumber = lastNumber + 1;
-    localStorage.setItem('nstplus_last_participant', nextNumber.toString());
-    return nextNumber;
-  };
+  // Protocols a researcher can pick; the standard one is used if this fails
+  useEffect(() => {
+    const loadProtocols = async () => {
+      try {
+        const response = await fetch('/api/protocols', { credentials: 'include' });
+        if (!response.ok) {
+          throw new Error(`Server error: ${response.status}`);
+        }
+        const data = await response.json();
+        const active = data.protocols.filter(protocol => protocol.active);
+        setProtocols(active);
+        if (active.length > 0 && !active.some(protocol => protocol.name === 'standard')) {
+          setFormData(prev => ({ ...prev, protocol: active[0].name }));
+        }
+      } catch (error) {
+        console.error('Failed to load protocols:', error);
+      }
+    };
+    
+    loadProtocols();
+  }, []);
+
+  const selectedProtocol = protocols.find(protocol => protocol.name === formData.protocol);
 
   /**
    * Validate form inputs
@@ -62,17 +79,13 @@ const ParticipantRegistration = ({ onComplete }) => {
     setIsSubmitting(true);
     
     try {
-      // Get participant number
-      const participantNumber = getNextParticipantNumber();
-      
-      // Create participant data object
+      // Create participant data object; the server assigns the participant
+      // number and a pseudonymous participant ID
       const participantData = {
         gender: formData.gender,
         age: parseInt(formData.age),
-        participantNumber,
-        participantId: `${formData.gender}-${formData.age}-${participantNumber}`,
         registrationTime: new Date().toISOString(),
-        taskOrder: Math.random() < 0.5 ? ['physical-effort', 'nst'] : ['nst', 'physical-effort']
+        protocol: formData.protocol
       };
       
       // Send to backend to create directory structure
@@ -98,6 +111,8 @@ const ParticipantRegistration = ({ onComplete }) => {
       });
       
       localStorage.setItem('nstplus_current_participant', JSON.stringify(result.participant));
+      setUploadToken(result.participant.uploadToken);
+      localStorage.setItem('nstplus_last_participant', String(result.participant.participantNumber));
       
       // Call completion callback with participant data
       onComplete(result.participant);
@@ -116,11 +131,29 @@ const ParticipantRegistration = ({ onComplete }) => {
         <h1 className="registration-title">Welcome to the NST Plus Study</h1>
         
         <p className="registration-instructions">
-          This study consists of two tasks measuring cognitive and physical effort.
-          Please provide the following information to begin.
+          {selectedProtocol?.description || 'This study consists of two tasks measuring cognitive and physical effort.'}
+          {' '}Please provide the following information to begin.
         </p>
         
         <form onSubmit={handleSubmit} className="registration-form">
+          {/* Protocol Selection - only when there is a choice */}
+          {protocols.length > 1 && (
+            <div className="form-group">
+              <label htmlFor="protocol" className="form-label">Protocol (researcher)</label>
+              <select
+                id="protocol"
+                value={formData.protocol}
+                onChange={(e) => setFormData({ ...formData, protocol: e.target.value })}
+                className="form-input"
+                disabled={isSubmitting}
+              >
+                {protocols.map(protocol => (
+                  <option key={protocol.name} value={protocol.name}>{protocol.title}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          
           {/* Gender Selection */}
           <div className="form-group">
             <label className="form-label">Gender</label>
@@ -1,10 +1,32 @@
 import React, { useState } from 'react';
+import { useSelector } from 'react-redux';
+import { getTaskRule, getKeyLabels, CUE_LABELS } from '../../services/taskRules';
+
+/**
+ * Steps for tutorial text from a protocol; blank lines separate paragraphs
+ */
+const toTutorialContent = ({ title, steps }) => ({
+  title,
+  steps: steps.map(step => ({
+    title: step.title,
+    content: (
+      <div>
+        {step.text.split(/\n\s*\n/).map((paragraph, index) => <p key={index}>{paragraph}</p>)}
+      </div>
+    )
+  }))
+});
 
 /**
  * Tutorial - Reusable tutorial component for different task types
+ * A protocol's `tutorial` ({ title, steps: [{ title, text }] }) replaces the
+ * built-in content for its task
  */
-const Tutorial = ({ taskType, onComplete }) => {
+const Tutorial = ({ taskType, tutorial = null, onComplete }) => {
   const [currentStep, setCurrentStep] = useState(0);
+  const taskRule = useSelector(state => state.experiment?.taskRule);
+  const keyMapping = useSelector(state => state.experiment?.keyMapping);
+  const rule = getTaskRule(taskRule);
 
   // Tutorial content for each task type
   const tutorialContent = {
@@ -16,7 +38,13 @@ const Tutorial = ({ taskType, onComplete }) => {
           content: (
             <div>
               <p>In this task, you will see sequences of numbers appearing on the screen.</p>
-              <p>Your job is to identify whether each number is <strong>odd</strong> or <strong>even</strong>.</p>
+              <p>Your job is to identify {rule.description}.</p>
+              {rule.cued && (
+                <p>
+                  A cue above each number tells you which: <strong>{CUE_LABELS.parity}</strong> means
+                  judge odd or even, <strong>{CUE_LABELS.magnitude}</strong> means judge lower or higher than 5.
+                </p>
+              )}
               <p>You need to respond as quickly and accurately as possible, while still labeling all of the digits <strong>correctly</strong>.</p>
             </div>
           )
@@ -27,12 +55,13 @@ const Tutorial = ({ taskType, onComplete }) => {
             <div>
               <p>Use these keys to respond:</p>
               <div className="key-instructions">
-                <div className="key-pair">
-                  <kbd>F</kbd> <span>for ODD numbers (1, 3, 5, 7, 9)</span>
-                </div>
-                <div className="key-pair">
-                  <kbd>J</kbd> <span>for EVEN numbers (2, 4, 6, 8)</span>
-                </div>
+                {getKeyLabels(taskRule, keyMapping).map(({ key, label }) => (
+                  <div className="key-pair" key={key}>
+                    <kbd>{key.toUpperCase()}</kbd> <span>for {label} numbers ({
+                      label.toLowerCase().split(' / ').map(response => rule.examples[response]).join(' / ')
+                    })</span>
+                  </div>
+                ))}
               </div>
               <p>Place your left index finger on F and right index finger on J.</p>
             </div>
@@ -80,7 +109,9 @@ const Tutorial = ({ taskType, onComplete }) => {
     }
   };
 
-  const currentTutorial = tutorialContent[taskType];
+  const currentTutorial = tutorial?.steps?.length
+    ? toTutorialContent({ title: tutorial.title || tutorialContent[taskType]?.title, steps: tutorial.steps })
+    : tutorialContent[taskType];
   
   if (!currentTutorial) {
     return (
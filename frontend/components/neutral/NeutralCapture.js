@@ -1,10 +1,14 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useCamera } from '../common/DualCameraProvider';
+import { describeQualityFailures } from '../../services/captureQuality';
+import { enqueueUpload } from '../../services/uploadQueue';
 import '../../styles/NeutralCapture.css';
 import '../../styles/TargetDisplay.css';
 
 /**
  * NeutralCapture - Captures baseline facial expression before tasks begin
+ * A photo that fails the quality check (dark, flat, blurry or a frozen
+ * frame) pauses the sequence with a prompt to retake it or keep it
  */
 const NeutralCapture = ({ participantId, onComplete }) => {
   const { 
@@ -12,7 +16,8 @@ const NeutralCapture = ({ participantId, onComplete }) => {
     camerasInitialized,
     cameras,
     mainVideoRef,
-    secondVideoRef 
+    secondVideoRef,
+    getCameraProfileRecord
   } = useCamera();
   
   const [phase, setPhase] = useState('instructions'); // instructions, countdown, capturing, complete
@@ -20,6 +25,8 @@ const NeutralCapture = ({ participantId, onComplete }) => {
   const [isCapturing, setIsCapturing] = useState(false);
   const [captureError, setCaptureError] = useState(null);
   const [captureCount, setCaptureCount] = useState(0);
+  const [retakePrompt, setRetakePrompt] = useState(null); // { captureNumber, failures }
+  const retakeResolverRef = useRef(null);
   const TOTAL_CAPTURES = 5;
   const CAPTURE_INTERVAL = 2000; // 2 seconds between captures
 
@@ -57,28 +64,61 @@ const NeutralCapture = ({ participantId, onComplete }) => {
     await performMultipleCaptures();
   };
 
+  /**
+   * Show the retake prompt and wait for the answer (true = retake)
+   */
+  const askRetake = (captureNumber, failures) => new Promise(resolve => {
+    retakeResolverRef.current = resolve;
+    setRetakePrompt({ captureNumber, failures });
+  });
+
+  const answerRetake = (retake) => {
+    setRetakePrompt(null);
+    retakeResolverRef.current?.(retake);
+    retakeResolverRef.current = null;
+  };
+
+  /**
+   * Capture one photo pair, retaking it while it fails the quality check
+   * and the participant asks to
+   */
+  const captureWithQualityCheck = async (captureNumber) => {
+    for (let retakes = 0; ; retakes++) {
+      // Capture photos from both cameras
+      const photos = await captureBothCameras(`neutral-main-${captureNumber}`, `neutral-equipment-${captureNumber}`);
+      
+      if (!photos.main && !photos.second) {
+        throw new Error('Failed to capture from any camera');
+      }
+      
+      const failures = describeQualityFailures(photos.quality);
+      if (failures.length > 0 && await askRetake(captureNumber, failures)) {
+        continue;
+      }
+      
+      return {
+        captureNumber,
+        timestamp: new Date().toISOString(),
+        photos: {
+          main: photos.main,
+          equipment: photos.second
+        },
+        quality: {
+          ...photos.quality,
+          retakes,
+          keptDespiteFailures: failures.length > 0
+        }
+      };
+    }
+  };
+
   const performMultipleCaptures = async () => {
     const captures = [];
     
     for (let i = 0; i < TOTAL_CAPTURES; i++) {
       try {
         setCaptureCount(i + 1);
-        
-        // Capture photos from both cameras
-        const photos = await captureBothCameras(`neutral-main-${i+1}`, `neutral-equipment-${i+1}`);
-        
-        if (!photos.main && !photos.second) {
-          throw new Error('Failed to capture from any camera');
-        }
-        
-        captures.push({
-          captureNumber: i + 1,
-          timestamp: new Date().toISOString(),
-          photos: {
-            main: photos.main,
-            equipment: photos.second
-          }
-        });
+        captures.push(await captureWithQualityCheck(i + 1));
         
         // Wait between captures (except after last one)
         if (i < TOTAL_CAPTURES - 1) {
@@ -99,7 +139,7 @@ const NeutralCapture = ({ participantId, onComplete }) => {
     }
     
     try {
-      // Send all captures to backend
+      // Hand all captures over to the upload queue
       const neutralData = {
         participantId,
         timestamp: new Date().toISOString(),
@@ -129,6 +169,7 @@ const NeutralCapture = ({ participantId, onComplete }) => {
     formData.append('participantId', neutralData.participantId);
     formData.append('timestamp', neutralData.timestamp);
     formData.append('totalCaptures', neutralData.totalCaptures.toString());
+    formData.append('cameraProfile', JSON.stringify(getCameraProfileRecord()));
     
     // Append all captures
     neutralData.captures.forEach((capture, index) => {
@@ -139,19 +180,10 @@ const NeutralCapture = ({ participantId, onComplete }) => {
         formData.append(`equipmentPhoto_${index + 1}`, capture.photos.equipment, `neutral-equipment-${index + 1}.jpg`);
       }
       formData.append(`timestamp_${index + 1}`, capture.timestamp);
+      formData.append(`quality_${index + 1}`, JSON.stringify(capture.quality));
     });
     
-    const response = await fetch('/api/participants/neutral-capture', {
-      method: 'POST',
-      credentials: 'include',
-      body: formData
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Server error: ${response.status}`);
-    }
-    
-    return response.json();
+    return enqueueUpload('/api/participants/neutral-capture', formData, 'Neutral capture');
   };
 
   const renderPhase = () => {
@@ -171,6 +203,7 @@ const NeutralCapture = ({ participantId, onComplete }) => {
                   <li>Hold still</li>
                   <li>We will take 5 photos with 2-second intervals</li>
                   <li>The captures will begin after a 3-second countdown</li>
+                  <li>If a photo comes out too dark or blurry, you will be asked to retake it</li>
                 </ul>
               </div>
               
@@ -225,6 +258,23 @@ const NeutralCapture = ({ participantId, onComplete }) => {
               Capturing {captureCount} of {TOTAL_CAPTURES}
             </div>
             
+            {retakePrompt && (
+              <div className="retake-prompt">
+                <h3>Photo {retakePrompt.captureNumber} did not come out well</h3>
+                <ul>
+                  {retakePrompt.failures.map(failure => <li key={failure}>{failure}</li>)}
+                </ul>
+                <div className="retake-actions">
+                  <button className="start-capture-button" onClick={() => answerRetake(true)}>
+                    Retake
+                  </button>
+                  <button className="start-capture-button keep-button" onClick={() => answerRetake(false)}>
+                    Keep Anyway
+                  </button>
+                </div>
+              </div>
+            )}
+            
             <div className="target-secondary-status">
               <div className="capture-progress">
                 <div className="progress-bar">
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { useCamera } from '../common/DualCameraProvider';
 import ResponseHandler from '../ResponseHandler';
@@ -8,25 +8,72 @@ import {
   completeExperiment,
   recordResponse,
   setKeyMapping,
-  setTrials 
+  setTaskRule,
+  setTrials,
+  pauseExperiment,
+  resumeExperiment,
+  restorePosition,
+  markCaptured
 } from '../../redux/experimentSlice';
+import {
+  getTaskRule,
+  getResponseKeys,
+  getResponseForKey,
+  getKeyLabels,
+  CUE_LABELS
+} from '../../services/taskRules';
+import { appendClips } from '../../services/clipRecorder';
+import { onNextPaint } from '../../services/frameTiming';
+import { enqueueUpload } from '../../services/uploadQueue';
+
+// Researcher pause toggle (Shift+P) - well away from the F/J response keys
+const PAUSE_KEY = 'P';
+
+// Used until the server session arrives with its config version's settings
+const DEFAULT_NST_CONFIG = {
+  configVersion: null,
+  captureConfig: {
+    firstCapture: 0,     // Start capturing from first digit
+    interval: 3,         // Capture every 3rd digit
+    quality: 'high'
+  },
+  timing: {
+    feedbackDuration: 1500,  // ms practice feedback is shown
+    interDigitDelay: 100,    // ms between a response and the next digit
+    completionDelay: 2000    // ms on the completion screen
+  }
+};
 
 /**
  * NSTTask - Number Switching Task implementation with camera capture
+ * When `recovery` carries an interrupted session, the task skips straight
+ * back to the digit the participant was on
  */
-const NSTTask = ({ participantId, onComplete }) => {
+const NSTTask = ({ participantId, recovery = null, onComplete }) => {
   const dispatch = useDispatch();
-  const { captureBothCameras } = useCamera();
+  const {
+    captureBothCameras,
+    clipRecordingEnabled,
+    setClipRecordingActive,
+    recordClipsAround,
+    getCameraProfileRecord
+  } = useCamera();
   
   const experimentState = useSelector(state => state.experiment);
   const { 
     isRunning = false, 
-    currentDigit = null, 
+    isPaused = false,
     trialState = {}, 
     sessionData = {}, 
-    keyMapping = null 
+    keyMapping = null,
+    taskRule = null,
+    trials = []
   } = experimentState || {};
   
+  const currentDigit = trialState.currentDigit ?? null;
+  const currentCue = trials[trialState.trialNumber]?.cues?.[trialState.digitIndex] || null;
+  const keyLabels = getKeyLabels(taskRule, keyMapping);
+  
   const [taskPhase, setTaskPhase] = useState('instructions'); // instructions, training, running, complete
   const [trainingPhase, setTrainingPhase] = useState('ready'); // ready, active, feedback, complete
   const [trainingTrials, setTrainingTrials] = useState([]);
@@ -35,20 +82,69 @@ const NSTTask = ({ participantId, onComplete }) => {
   const [captureQueue, setCaptureQueue] = useState([]);
   const [isProcessingCaptures, setIsProcessingCaptures] = useState(false);
   const [trainingStartTime, setTrainingStartTime] = useState(null);
+  const [pendingSession, setPendingSession] = useState(null);
+  const [nstConfig, setNstConfig] = useState(DEFAULT_NST_CONFIG);
+  // Paint time (see frameTiming) of the digit on screen, for captures and clips
+  const digitOnsetRef = useRef(null);
+
+  /**
+   * Use the capture settings and timing of the config version the server
+   * session was created under
+   */
+  const applySessionConfig = (data) => {
+    setNstConfig(prev => ({
+      ...prev,
+      configVersion: data.configVersion ?? null,
+      captureConfig: data.captureConfig || prev.captureConfig,
+      timing: { ...prev.timing, ...data.timing }
+    }));
+  };
 
-  // Initialize key mapping if not already set
+  // Resume an interrupted session, or create the session up front so the
+  // server's key mapping is the one shown in the instructions and practice
   useEffect(() => {
-    if (!keyMapping) {
-      // Randomly assign F/J to odd/even
-      const randomizeKeys = Math.random() < 0.5;
-      const mapping = randomizeKeys 
-        ? { odd: 'f', even: 'j', responseStyle: 'f-odd' }
-        : { odd: 'j', even: 'f', responseStyle: 'j-odd' };
-      
-      console.log('Setting random key mapping:', mapping);
-      dispatch(setKeyMapping(mapping));
+    if (recovery?.nst?.sessionId) {
+      resumeNSTExperiment(recovery.nst.sessionId);
+    } else {
+      createNSTSession().catch(error => {
+        console.error('Failed to create NST session:', error);
+      });
     }
-  }, [keyMapping, dispatch]);
+  }, []);
+
+  // Clip recording runs from practice on, so the first digits have a
+  // full pre-onset window
+  useEffect(() => {
+    if (!clipRecordingEnabled) return;
+    setClipRecordingActive(['training', 'running'].includes(taskPhase) && !isPaused);
+    return () => setClipRecordingActive(false);
+  }, [clipRecordingEnabled, taskPhase, isPaused]);
+
+  const digitShown = taskPhase === 'running' && !isPaused && currentDigit !== null;
+
+  // Note each digit's onset when it is painted (again after a pause)
+  useEffect(() => {
+    digitOnsetRef.current = null;
+    if (!digitShown) return;
+    return onNextPaint(onset => {
+      digitOnsetRef.current = onset;
+    });
+  }, [digitShown, currentDigit, trialState.trialNumber, trialState.digitIndex]);
+
+  // Record a clip around the onset of each digit at a capture position
+  useEffect(() => {
+    if (!clipRecordingEnabled || !digitShown) return;
+    
+    const { trialNumber, digitIndex } = trialState;
+    if (!isCapturePosition(trialNumber, digitIndex)) return;
+    
+    const digit = currentDigit;
+    return onNextPaint(onset => {
+      recordClipsAround(onset)
+        .then(clips => clips && saveNSTClip({ trialNumber, digitIndex, digit, clips }))
+        .catch(error => console.error('NST clip error:', error));
+    });
+  }, [clipRecordingEnabled, digitShown, currentDigit, trialState.trialNumber, trialState.digitIndex]);
 
   // Keyboard event handling for training
   useEffect(() => {
@@ -60,7 +156,7 @@ const NSTTask = ({ participantId, onComplete }) => {
         console.warn('NST: Key mapping not initialized, ignoring key press');
         return;
       }
-      if (key === keyMapping.odd || key === keyMapping.even) {
+      if (getResponseKeys(keyMapping).includes(key)) {
         const responseTime = Date.now() - trainingStartTime;
         handleTrainingResponse(key, responseTime);
       }
@@ -73,21 +169,56 @@ const NSTTask = ({ participantId, onComplete }) => {
     return () => window.removeEventListener('keydown', handleKeyPress);
   }, [taskPhase, trainingPhase, currentTrainingTrial, trainingStartTime]);
 
-  // NST Configuration - can be moved to config file later
-  const nstConfig = {
-    trialConfig: [
-      { level: 6, trials: 1 },
-      { level: 4, trials: 1 },
-      { level: 2, trials: 1 }
-    ],
-    captureConfig: {
-      firstCapture: 0,     // Start capturing from first digit
-      interval: 3,         // Capture every 3rd digit
-      quality: 'high'
-    },
-    digitDuration: 1500,   // ms each digit is shown
-    interTrialDelay: 2000  // ms between trials
-  };
+  /**
+   * Pause or resume the running session on the backend and mirror it in Redux
+   */
+  const togglePause = useCallback(async () => {
+    const sessionId = sessionData.sessionId;
+    if (!sessionId) {
+      console.warn('NST: Cannot pause - no active session');
+      return;
+    }
+    
+    const action = isPaused ? 'resume' : 'pause';
+    try {
+      const response = await fetch(`/api/session/${sessionId}/${action}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ cause: 'researcher-key' })
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Failed to ${action} session: ${response.status}`);
+      }
+      
+      const result = await response.json();
+      if (isPaused) {
+        dispatch(resumeExperiment({ resumedAt: result.resumedAt }));
+      } else {
+        dispatch(pauseExperiment({ pausedAt: result.pausedAt }));
+      }
+    } catch (error) {
+      console.error('NST pause toggle error:', error);
+    }
+  }, [sessionData.sessionId, isPaused, dispatch]);
+
+  // Researcher pause key is only live while the main task is running
+  useEffect(() => {
+    if (taskPhase !== 'running') return;
+
+    const handlePauseKey = (e) => {
+      if (e.shiftKey && e.key === PAUSE_KEY) {
+        e.preventDefault();
+        togglePause();
+      }
+    };
+
+    window.addEventListener('keydown', handlePauseKey);
+    return () => window.removeEventListener('keydown', handlePauseKey);
+  }, [taskPhase, togglePause]);
 
   /**
    * Start NST training phase
@@ -127,12 +258,16 @@ const NSTTask = ({ participantId, onComplete }) => {
       const trials = [];
       const numberSequence = practiceData.number; // e.g., "123456789123456"
       
+      const rule = getTaskRule(taskRule);
+      
       // Take first 10 digits for practice
       for (let i = 0; i < Math.min(10, numberSequence.length); i++) {
         const digit = parseInt(numberSequence[i]);
+        const cue = practiceData.cues?.[i] || null;
         trials.push({
           digit,
-          correctAnswer: digit % 2 === 0 ? 'even' : 'odd',
+          cue,
+          correctAnswer: rule.expectedResponse(digit, cue),
           userResponse: null,
           responseTime: null,
           correct: null
@@ -145,14 +280,17 @@ const NSTTask = ({ participantId, onComplete }) => {
       
     } catch (error) {
       console.error('Failed to generate practice trials:', error);
-      // Fallback to simple generation without 0
+      // Fallback to simple generation without 0 (and without 5 when judging magnitude)
+      const rule = getTaskRule(taskRule);
       const trials = [];
-      const digits = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+      const digits = [1, 2, 3, 4, 5, 6, 7, 8, 9].filter(digit => rule.name === 'parity' || digit !== 5);
       const shuffled = [...digits].sort(() => Math.random() - 0.5);
       for (let digit of shuffled) {
+        const cue = rule.cued ? (Math.random() < 0.5 ? 'parity' : 'magnitude') : null;
         trials.push({
           digit,
-          correctAnswer: digit % 2 === 0 ? 'even' : 'odd',
+          cue,
+          correctAnswer: rule.expectedResponse(digit, cue),
           userResponse: null,
           responseTime: null,
           correct: null
@@ -173,7 +311,6 @@ const NSTTask = ({ participantId, onComplete }) => {
       return;
     }
     
-    const response = key === keyMapping.odd ? 'odd' : 'even';
     if (!trainingTrials || trainingTrials.length === 0) {
       console.error('NST: Cannot handle training response - no training trials available');
       return;
@@ -189,6 +326,7 @@ const NSTTask = ({ participantId, onComplete }) => {
       return;
     }
     
+    const response = getResponseForKey(taskRule, keyMapping, key, trial.cue);
     const isCorrect = response === trial.correctAnswer;
     
     // Update trial with response
@@ -215,7 +353,43 @@ const NSTTask = ({ participantId, onComplete }) => {
         setTrainingAccuracy(accuracy);
         setTrainingPhase('complete');
       }
-    }, 1500);
+    }, nstConfig.timing.feedbackDuration);
+  };
+
+  /**
+   * Create the backend session without starting it. The server generates the
+   * trials and key mapping; the key mapping is used from practice onwards so
+   * server-side scoring matches what the participant was taught
+   */
+  const createNSTSession = async () => {
+    const response = await fetch('/api/start', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      credentials: 'include',
+      body: JSON.stringify({
+        participantId,
+        taskType: 'nst',
+        deferStart: true,
+        cameraProfile: getCameraProfileRecord()
+      })
+    });
+    
+    if (!response.ok) {
+      throw new Error('Failed to create NST session');
+    }
+    
+    const sessionData = await response.json();
+    console.log('NST session created:', sessionData);
+    
+    dispatch(setKeyMapping(sessionData.keyMapping));
+    applySessionConfig(sessionData);
+    if (sessionData.taskRule) {
+      dispatch(setTaskRule(sessionData.taskRule));
+    }
+    setPendingSession(sessionData);
+    return sessionData;
   };
 
   /**
@@ -223,16 +397,18 @@ const NSTTask = ({ participantId, onComplete }) => {
    */
   const startNSTExperiment = async () => {
     try {
-      // Call backend to start session and get trials
-      const response = await fetch('/api/start', {
+      const sessionData = pendingSession || await createNSTSession();
+      
+      // Call backend to start the session created for practice
+      const response = await fetch(`/api/session/${sessionData.experimentId}/transition`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
         credentials: 'include',
         body: JSON.stringify({
-          participantId,
-          taskType: 'nst'
+          targetState: 'RUNNING',
+          cause: 'session-started'
         })
       });
       
@@ -240,27 +416,19 @@ const NSTTask = ({ participantId, onComplete }) => {
         throw new Error('Failed to start NST session');
       }
       
-      const sessionData = await response.json();
-      console.log('NST session started:', sessionData);
+      console.log('NST session started:', sessionData.experimentId);
       
       // Dispatch Redux action with session data
       dispatch(startExperiment({
         participantId,
+        sessionId: sessionData.experimentId,
         taskType: 'nst',
         config: nstConfig
       }));
       
-      // Set trials in Redux state
+      // Set trials in Redux state; this also shows the first digit
       dispatch(setTrials(sessionData.trials));
       
-      // Update trial state with first digit
-      if (sessionData.trialState) {
-        dispatch({ 
-          type: 'experiment/updateTrialState', 
-          payload: sessionData.trialState 
-        });
-      }
-      
       setTaskPhase('running');
       
     } catch (error) {
@@ -270,14 +438,87 @@ const NSTTask = ({ participantId, onComplete }) => {
     }
   };
 
+  /**
+   * Restore an interrupted session from its persisted state
+   */
+  const resumeNSTExperiment = async (sessionId) => {
+    try {
+      // Marks the gap in the session data and returns the position to resume at
+      const response = await fetch(`/api/session/${sessionId}/recover`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ cause: 'page-reload' })
+      });
+      
+      if (!response.ok) {
+        throw new Error('Failed to recover NST session');
+      }
+      
+      const { recoveryPlan } = await response.json();
+      console.log('NST session recovered:', recoveryPlan);
+      
+      if (recoveryPlan.status === 'INIT') {
+        // Interrupted during practice - nothing recorded, so replace the session and start over
+        await fetch(`/api/session/${sessionId}/transition`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          credentials: 'include',
+          body: JSON.stringify({ targetState: 'ABORTED', cause: 'interrupted-before-start' })
+        });
+        await createNSTSession();
+        setTaskPhase('instructions');
+        return;
+      }
+      
+      dispatch(setKeyMapping(recoveryPlan.keyMapping));
+      applySessionConfig(recoveryPlan);
+      dispatch(startExperiment({
+        participantId,
+        sessionId: recoveryPlan.sessionId,
+        taskType: 'nst',
+        config: nstConfig
+      }));
+      dispatch(setTrials(recoveryPlan.trials));
+      
+      if (recoveryPlan.isComplete) {
+        // Every digit was answered before the interruption - just finish up
+        dispatch(completeExperiment());
+        return;
+      }
+      
+      dispatch(restorePosition({
+        trialNumber: recoveryPlan.trialIndex,
+        digitIndex: recoveryPlan.digitIndex,
+        capturedPositions: (recovery.captured?.nst || [])
+          .map(capture => `${capture.trialNumber}-${capture.digitIndex}`)
+      }));
+      
+      if (recoveryPlan.status === 'PAUSED') {
+        dispatch(pauseExperiment());
+      }
+      
+      setTaskPhase('running');
+      
+    } catch (error) {
+      console.error('Failed to resume NST experiment:', error);
+      // Fall back to the normal flow from the instructions
+      setTaskPhase('instructions');
+    }
+  };
+
   /**
    * Handle participant response to a digit
    */
-  const handleResponse = useCallback((response, responseTime) => {
+  const handleResponse = useCallback((response, responseTime, timestamp = Date.now()) => {
     dispatch(recordResponse({
       response,
       responseTime,
-      timestamp: Date.now()
+      timestamp
     }));
     
     // Check if we should capture a photo
@@ -289,9 +530,9 @@ const NSTTask = ({ participantId, onComplete }) => {
     // Move to next digit or complete trial
     setTimeout(() => {
       dispatch(nextDigit());
-    }, 100);
+    }, nstConfig.timing.interDigitDelay);
     
-  }, [dispatch, trialState]);
+  }, [dispatch, trialState, nstConfig]);
 
   /**
    * Check if we should capture a photo based on current position
@@ -302,9 +543,20 @@ const NSTTask = ({ participantId, onComplete }) => {
       return false;
     }
     
-    const { digitIndex } = trialState;
+    return isCapturePosition(trialState.trialNumber, trialState.digitIndex);
+  };
+
+  /**
+   * Whether a digit position gets a photo (and a clip when clips are on)
+   */
+  const isCapturePosition = (trialNumber, digitIndex) => {
     const { firstCapture, interval } = nstConfig.captureConfig;
     
+    // Positions captured before a recovery are not captured twice
+    if (sessionData.capturedPositions?.includes(`${trialNumber}-${digitIndex}`)) {
+      return false;
+    }
+    
     // Capture on first digit and then at intervals
     return digitIndex >= firstCapture && (digitIndex - firstCapture) % interval === 0;
   };
@@ -321,6 +573,7 @@ const NSTTask = ({ participantId, onComplete }) => {
       response,
       responseTime,
       timestamp: Date.now(),
+      stimulusOnset: digitOnsetRef.current,
       taskType: 'nst'
     };
     
@@ -344,16 +597,20 @@ const NSTTask = ({ participantId, onComplete }) => {
     
     try {
       // Capture photos from both cameras
-      const photos = await captureBothCameras(
+      const { timing, quality, ...photos } = await captureBothCameras(
         `nst-main-t${captureData.trialNumber}-d${captureData.digitIndex}`,
-        `nst-equipment-t${captureData.trialNumber}-d${captureData.digitIndex}`
+        `nst-equipment-t${captureData.trialNumber}-d${captureData.digitIndex}`,
+        { stimulusOnset: captureData.stimulusOnset }
       );
       
-      // Send to backend
+      // Hand over to the upload queue
       await saveNSTCapture({
         ...captureData,
-        photos
+        photos,
+        timing,
+        quality
       });
+      dispatch(markCaptured(`${captureData.trialNumber}-${captureData.digitIndex}`));
       
       // Remove from queue
       setCaptureQueue(prev => prev.slice(1));
@@ -368,17 +625,19 @@ const NSTTask = ({ participantId, onComplete }) => {
   };
 
   /**
-   * Save NST capture data to backend
+   * Queue NST capture data for upload to the backend
    */
   const saveNSTCapture = async (captureData) => {
     const formData = new FormData();
     
     // Add metadata
     Object.keys(captureData).forEach(key => {
-      if (key !== 'photos') {
+      if (!['photos', 'timing', 'quality', 'stimulusOnset'].includes(key)) {
         formData.append(key, captureData[key]);
       }
     });
+    formData.append('timing', JSON.stringify(captureData.timing));
+    formData.append('quality', JSON.stringify(captureData.quality));
     
     // Add photos
     if (captureData.photos.main) {
@@ -391,17 +650,25 @@ const NSTTask = ({ participantId, onComplete }) => {
         `nst-equipment-t${captureData.trialNumber}-d${captureData.digitIndex}.jpg`);
     }
     
-    const response = await fetch('/api/nst-capture', {
-      method: 'POST',
-      credentials: 'include',
-      body: formData
-    });
+    return enqueueUpload('/api/participants/nst-capture', formData,
+      `NST capture t${captureData.trialNumber}-d${captureData.digitIndex}`);
+  };
+
+  /**
+   * Queue the clips recorded around a digit onset for upload
+   */
+  const saveNSTClip = async ({ trialNumber, digitIndex, digit, clips }) => {
+    const formData = new FormData();
+    formData.append('participantId', participantId);
+    formData.append('trialNumber', trialNumber);
+    formData.append('digitIndex', digitIndex);
+    formData.append('digit', digit);
     
-    if (!response.ok) {
-      throw new Error(`Server error: ${response.status}`);
+    if (!appendClips(formData, clips, camera => `nst-${camera}-t${trialNumber}-d${digitIndex}.webm`)) {
+      return null;
     }
     
-    return response.json();
+    return enqueueUpload('/api/participants/nst-clip', formData, `NST clip t${trialNumber}-d${digitIndex}`);
   };
 
   /**
@@ -425,7 +692,7 @@ const NSTTask = ({ participantId, onComplete }) => {
   const handleExperimentComplete = async () => {
     try {
       // Send final results to backend
-      const response = await fetch('/api/nst-complete', {
+      const response = await fetch('/api/participants/nst-complete', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -448,7 +715,7 @@ const NSTTask = ({ participantId, onComplete }) => {
       // Return to experiment controller
       setTimeout(() => {
         onComplete(results);
-      }, 2000);
+      }, nstConfig.timing.completionDelay);
       
     } catch (error) {
       console.error('NST completion error:', error);
@@ -465,16 +732,20 @@ const NSTTask = ({ participantId, onComplete }) => {
             <h2>Cognitive Effort Task</h2>
             
             <div className="key-mapping-clean">
-              <div className="key-group">
-                <kbd className="key-f">{keyMapping?.odd?.toUpperCase() || 'F'}</kbd>
-                <span className="key-label">ODD</span>
-              </div>
-              <div className="key-group">
-                <kbd className="key-j">{keyMapping?.even?.toUpperCase() || 'J'}</kbd>
-                <span className="key-label">EVEN</span>
-              </div>
+              {keyLabels.map(({ key, label }) => (
+                <div className="key-group" key={key}>
+                  <kbd className={`key-${key}`}>{key.toUpperCase()}</kbd>
+                  <span className="key-label">{label}</span>
+                </div>
+              ))}
             </div>
             
+            {getTaskRule(taskRule).cued && (
+              <p className="simple-instruction">
+                The word above each number tells you which judgment to make.
+              </p>
+            )}
+            
             <p className="simple-instruction">
               Respond as quickly as possible while still labeling every digit accurately.
             </p>
@@ -482,6 +753,7 @@ const NSTTask = ({ participantId, onComplete }) => {
             <button 
               className="start-button-clean"
               onClick={startTraining}
+              disabled={!keyMapping}
             >
               Start Practice
             </button>
@@ -500,6 +772,9 @@ const NSTTask = ({ participantId, onComplete }) => {
             
             {trainingPhase === 'active' && (
               <div className="training-active target-container">
+                {trainingTrials[currentTrainingTrial]?.cue && (
+                  <div className="target-cue">{CUE_LABELS[trainingTrials[currentTrainingTrial].cue]}</div>
+                )}
                 <div className="target-display">
                   <div className="target-element">
                     {trainingTrials[currentTrainingTrial]?.digit}
@@ -508,7 +783,12 @@ const NSTTask = ({ participantId, onComplete }) => {
                 
                 <div className="target-instructions">
                   Practice Trial {currentTrainingTrial + 1} of 10<br/>
-                  <kbd>{keyMapping?.odd?.toUpperCase() || 'F'}</kbd> = ODD &nbsp;&nbsp;&nbsp; <kbd>{keyMapping?.even?.toUpperCase() || 'J'}</kbd> = EVEN
+                  {keyLabels.map(({ key, label }, index) => (
+                    <React.Fragment key={key}>
+                      {index > 0 && <>&nbsp;&nbsp;&nbsp; </>}
+                      <kbd>{key.toUpperCase()}</kbd> = {label}
+                    </React.Fragment>
+                  ))}
                 </div>
               </div>
             )}
@@ -571,9 +851,20 @@ const NSTTask = ({ participantId, onComplete }) => {
         );
         
       case 'running':
+        if (isPaused) {
+          return (
+            <div className="nst-paused">
+              <h2>Paused</h2>
+              <p>The task has been paused by the researcher.</p>
+              <p className="pause-hint">Press Shift+{PAUSE_KEY} to resume</p>
+            </div>
+          );
+        }
+        
         return (
           <div className="nst-running">
             <div className="target-container">
+              {currentCue && <div className="target-cue">{CUE_LABELS[currentCue]}</div>}
               <div className="target-display">
                 <div className="target-element">
                   {currentDigit}
@@ -1,6 +1,7 @@
 import React from 'react';
 import { useCamera } from '../common/DualCameraProvider';
 import CameraView from '../shared/CameraView';
+import CameraProfileEditor from '../shared/CameraProfileEditor';
 
 /**
  * ConfigScreen - Camera configuration interface for physical effort task
@@ -113,6 +114,9 @@ const ConfigScreen = ({ onClose }) => {
           </div>
         </div>
 
+        {/* Station profile: camera labels, resolution, frame rate, photo format, exposure */}
+        <CameraProfileEditor />
+
         {/* Status Information */}
         <div className="config-status">
           <h3 className="status-title">System Status</h3>
@@ -2,18 +2,28 @@ import React, { useState, useEffect } from 'react';
 import { useCamera } from '../common/DualCameraProvider';
 import ConfigScreen from './ConfigScreen';
 import CameraView from '../shared/CameraView';
+import { appendClips } from '../../services/clipRecorder';
+import { highResNow } from '../../services/frameTiming';
+import { enqueueUpload } from '../../services/uploadQueue';
 import '../../styles/TargetDisplay.css';
 import '../../styles/PhysicalEffort.css';
 
 /**
  * PhysicalEffortTask - Physical effort task using handgrip dynamometer
  * Adapted from face-capture app with proper integration into NST Plus
+ * When `recovery` carries a saved trial plan, training is skipped and the
+ * task resumes at the first trial without a capture
+ * `settings` come from the participant's protocol: repetitions, restDuration
  */
-const PhysicalEffortTask = ({ participantId, participantGender, onComplete }) => {
+const PhysicalEffortTask = ({ participantId, participantGender, settings = {}, recovery = null, onComplete }) => {
   const { 
     captureBothCameras,
     selectedMainCamera,
-    selectedSecondCamera 
+    selectedSecondCamera,
+    clipRecordingEnabled,
+    setClipRecordingActive,
+    recordClipsAround,
+    getCameraProfileRecord
   } = useCamera();
   
   const [taskPhase, setTaskPhase] = useState('training'); // training, experiment, complete
@@ -25,13 +35,23 @@ const PhysicalEffortTask = ({ participantId, participantGender, onComplete }) =>
   const [showConfig, setShowConfig] = useState(false);
   const [trainingComplete, setTrainingComplete] = useState(false);
   
-  // Auto-start training when component mounts
+  // Auto-start training when component mounts, unless resuming
   useEffect(() => {
-    if (taskPhase === 'training') {
+    if (recovery?.physicalEffort) {
+      resumeTask();
+    } else if (taskPhase === 'training') {
       startTask();
     }
   }, []);
   
+  // Clip recording runs from training on, so the first trial has a full
+  // pre-onset window
+  useEffect(() => {
+    if (!clipRecordingEnabled) return;
+    setClipRecordingActive(['training', 'experiment'].includes(taskPhase));
+    return () => setClipRecordingActive(false);
+  }, [clipRecordingEnabled, taskPhase]);
+  
   // Effort levels based on gender - 3 dots per participant
   const effortLevels = {
     'M': { dots: ['Dot 2', 'Dot 3', 'Dot 4'] },
@@ -43,8 +63,8 @@ const PhysicalEffortTask = ({ participantId, participantGender, onComplete }) =>
     'Prefer not to say': { dots: ['Dot 1', 'Dot 2', 'Dot 3'] }
   };
   
-  const totalRepetitions = 5;
-  const restDuration = 10; // seconds
+  const totalRepetitions = settings?.repetitions ?? 5;
+  const restDuration = settings?.restDuration ?? 10; // seconds
   
   // Training trials - now using participant's assigned dots
   const getTrainingTrials = () => {
@@ -83,6 +103,39 @@ const PhysicalEffortTask = ({ participantId, participantGender, onComplete }) =>
     runTrainingSequence();
   };
 
+  /**
+   * Resume an interrupted task from the saved trial plan
+   */
+  const resumeTask = async () => {
+    try {
+      const response = await fetch('/api/participants/physical-effort-recover', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ participantId, cause: 'page-reload' })
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Server error: ${response.status}`);
+      }
+      
+      const { physicalEffort } = await response.json();
+      console.log('Physical effort task recovered:', physicalEffort);
+      
+      window.physicalEffortTrials = physicalEffort.trials;
+      setCapturedImages(physicalEffort.completedTrialIds.map(trialId => ({ trial: trialId })));
+      setTaskPhase('experiment');
+      runNextTrial(physicalEffort.currentTrial);
+      
+    } catch (error) {
+      console.error('Physical effort recovery error:', error);
+      // Fall back to a fresh start
+      startTask();
+    }
+  };
+
   /**
    * Run the training sequence
    */
@@ -142,7 +195,7 @@ const PhysicalEffortTask = ({ participantId, participantGender, onComplete }) =>
     const participantDots = effortLevels[participantGender]?.dots || effortLevels['O'].dots;
     console.log('generateAndRunTrials - selected dots:', participantDots);
     
-    // Create trials array - 5 repetitions of each of the 3 assigned dots (15 total trials)
+    // Create trials array - totalRepetitions of each of the 3 assigned dots (15 by default)
     const trials = [];
     for (let i = 0; i < totalRepetitions; i++) {
       participantDots.forEach((dot, dotIndex) => {
@@ -162,9 +215,28 @@ const PhysicalEffortTask = ({ participantId, participantGender, onComplete }) =>
     
     // Store trials and start first one
     window.physicalEffortTrials = trials;
+    saveTrialPlan(trials);
     runNextTrial(0);
   };
 
+  /**
+   * Persist the randomized trial order so an interrupted task can resume
+   */
+  const saveTrialPlan = async (trials) => {
+    try {
+      await fetch('/api/participants/physical-effort-progress', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ participantId, trials, cameraProfile: getCameraProfileRecord() })
+      });
+    } catch (error) {
+      console.error('Failed to save physical effort trial plan:', error);
+    }
+  };
+
   /**
    * Run the next experimental trial
    */
@@ -177,6 +249,8 @@ const PhysicalEffortTask = ({ participantId, participantGender, onComplete }) =>
     const trial = window.physicalEffortTrials[trialIndex];
     setTargetDot(trial.dot);
     setCurrentTrial(trialIndex);
+    const stimulusOnset = highResNow();
+    recordTrialClip(trial, stimulusOnset);
     
     // Start capture countdown
     setCaptureTimer(3);
@@ -184,7 +258,7 @@ const PhysicalEffortTask = ({ participantId, participantGender, onComplete }) =>
       setCaptureTimer(prev => {
         if (prev <= 1) {
           clearInterval(captureInterval);
-          captureTrialPhoto(trial);
+          captureTrialPhoto(trial, stimulusOnset);
           setCaptureTimer(null);
           
           // Start rest period before next trial
@@ -203,24 +277,28 @@ const PhysicalEffortTask = ({ participantId, participantGender, onComplete }) =>
 
   /**
    * Capture photos during a trial
+   * @param {number} stimulusOnset - When the trial's target was shown (highResNow)
    */
-  const captureTrialPhoto = async (trial) => {
+  const captureTrialPhoto = async (trial, stimulusOnset) => {
     try {
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       
-      const photos = await captureBothCameras(
+      const { timing, quality, ...photos } = await captureBothCameras(
         `physical-effort-main-${trial.trialId}`,
-        `physical-effort-equipment-${trial.trialId}`
+        `physical-effort-equipment-${trial.trialId}`,
+        { stimulusOnset }
       );
       
       const captureData = {
         participantId,
         trial,
         timestamp,
+        timing,
+        quality,
         photos
       };
       
-      // Save to backend
+      // Hand over to the upload queue
       await savePhysicalEffortCapture(captureData);
       
       // Store for local tracking
@@ -236,7 +314,7 @@ const PhysicalEffortTask = ({ participantId, participantGender, onComplete }) =>
   };
 
   /**
-   * Save physical effort capture to backend
+   * Queue a physical effort capture for upload to the backend
    */
   const savePhysicalEffortCapture = async (captureData) => {
     const formData = new FormData();
@@ -245,6 +323,8 @@ const PhysicalEffortTask = ({ participantId, participantGender, onComplete }) =>
     formData.append('participantId', captureData.participantId);
     formData.append('trial', JSON.stringify(captureData.trial));
     formData.append('timestamp', captureData.timestamp);
+    formData.append('timing', JSON.stringify(captureData.timing));
+    formData.append('quality', JSON.stringify(captureData.quality));
     formData.append('taskType', 'physical-effort');
     
     // Add photos
@@ -258,17 +338,30 @@ const PhysicalEffortTask = ({ participantId, participantGender, onComplete }) =>
         `physical-effort-equipment-${captureData.trial.trialId}.jpg`);
     }
     
-    const response = await fetch('/api/participants/physical-effort-capture', {
-      method: 'POST',
-      credentials: 'include',
-      body: formData
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Server error: ${response.status}`);
+    return enqueueUpload('/api/participants/physical-effort-capture', formData,
+      `Physical effort capture ${captureData.trial.trialId}`);
+  };
+
+  /**
+   * Record clips around the onset of a trial's target and queue them for upload
+   */
+  const recordTrialClip = async (trial, stimulusOnset) => {
+    try {
+      const clips = await recordClipsAround(stimulusOnset);
+      if (!clips) return;
+      
+      const formData = new FormData();
+      formData.append('participantId', participantId);
+      formData.append('trial', JSON.stringify(trial));
+      if (!appendClips(formData, clips, camera => `physical-effort-${camera}-${trial.trialId}.webm`)) {
+        return;
+      }
+      
+      await enqueueUpload('/api/participants/physical-effort-clip', formData,
+        `Physical effort clip ${trial.trialId}`);
+    } catch (error) {
+      console.error('Physical effort clip error:', error);
     }
-    
-    return response.json();
   };
 
   /**
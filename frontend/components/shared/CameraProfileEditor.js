@@ -0,0 +1,280 @@
+import React, { useEffect, useState } from 'react';
+import { useCamera } from '../common/DualCameraProvider';
+import {
+  CAMERA_ROLES,
+  EDITABLE_TRACK_CONSTRAINTS,
+  cameraSettings,
+  describeAppliedSettings
+} from '../../services/cameraProfiles';
+
+const ROLE_TITLES = {
+  main: 'Main Camera',
+  equipment: 'Equipment Camera'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '6px',
+  background: '#333',
+  color: '#00ff00',
+  border: '1px solid #00ff00',
+  borderRadius: '5px',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = {
+  display: 'block',
+  color: '#00ff00',
+  fontSize: '12px',
+  marginBottom: '8px'
+};
+
+const buttonStyle = {
+  padding: '8px 16px',
+  background: 'transparent',
+  color: '#00ff00',
+  border: '1px solid #00ff00',
+  borderRadius: '5px',
+  cursor: 'pointer'
+};
+
+const toDraft = (profile) => ({
+  title: profile?.title || '',
+  description: profile?.description || '',
+  cameras: Object.fromEntries(CAMERA_ROLES.map(role => [role, cameraSettings(profile, role)]))
+});
+
+/**
+ * CameraProfileEditor - Pick the station's camera profile and edit its
+ * per-camera settings. Saving goes to the backend and needs a researcher
+ * login (/admin) in this browser
+ */
+const CameraProfileEditor = () => {
+  const {
+    cameras,
+    cameraProfiles,
+    activeCameraProfile,
+    selectCameraProfile,
+    saveCameraProfile,
+    selectedMainCamera,
+    selectedSecondCamera,
+    mainStreamRef,
+    secondStreamRef
+  } = useCamera();
+  const [draft, setDraft] = useState(() => toDraft(activeCameraProfile));
+  const [newName, setNewName] = useState('');
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Start from the saved profile whenever another one is picked or it is saved
+  useEffect(() => {
+    setDraft(toDraft(activeCameraProfile));
+  }, [activeCameraProfile?.name, activeCameraProfile?.updatedAt]);
+
+  const updateCamera = (role, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      cameras: { ...prev.cameras, [role]: { ...prev.cameras[role], ...changes } }
+    }));
+  };
+
+  const updateConstraint = (role, key, value) => {
+    const trackConstraints = { ...draft.cameras[role].trackConstraints, [key]: value };
+    if (value === '') delete trackConstraints[key];
+    updateCamera(role, { trackConstraints });
+  };
+
+  // Fill the device label from the camera currently selected for a role
+  const fillSelectedLabel = (role) => {
+    const deviceId = role === 'main' ? selectedMainCamera : selectedSecondCamera;
+    const camera = cameras.find(device => device.deviceId === deviceId);
+    if (camera?.label) updateCamera(role, { deviceLabel: camera.label });
+  };
+
+  const handleSave = async (isNew) => {
+    if (isNew && !newName.trim()) {
+      setError('Enter a name for the new profile');
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const saved = await saveCameraProfile(
+        { ...draft, name: isNew ? newName.trim() : activeCameraProfile.name },
+        isNew
+      );
+      setNewName('');
+      setMessage(`Saved profile "${saved.name}"`);
+    } catch (err) {
+      console.error('Failed to save camera profile:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderNumber = (role, field, label, step = 1) => (
+    <label style={labelStyle}>
+      {label}
+      <input
+        type="number"
+        step={step}
+        value={draft.cameras[role][field]}
+        onChange={(e) => updateCamera(role, { [field]: e.target.value === '' ? '' : Number(e.target.value) })}
+        style={inputStyle}
+      />
+    </label>
+  );
+
+  const renderCamera = (role) => {
+    const settings = draft.cameras[role];
+    const applied = describeAppliedSettings(
+      (role === 'main' ? mainStreamRef : secondStreamRef).current,
+      settings
+    );
+
+    return (
+      <div key={role}>
+        <h4 style={{ color: '#00ff00', margin: '0 0 10px 0' }}>{ROLE_TITLES[role]}</h4>
+
+        <label style={labelStyle}>
+          Device label contains
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <input
+              type="text"
+              value={settings.deviceLabel}
+              placeholder="Any camera"
+              onChange={(e) => updateCamera(role, { deviceLabel: e.target.value })}
+              style={inputStyle}
+            />
+            <button type="button" onClick={() => fillSelectedLabel(role)} style={buttonStyle}>
+              Use selected
+            </button>
+          </div>
+        </label>
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '8px' }}>
+          {renderNumber(role, 'width', 'Width')}
+          {renderNumber(role, 'height', 'Height')}
+          {renderNumber(role, 'frameRate', 'Frame rate')}
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px' }}>
+          <label style={labelStyle}>
+            Photo format
+            <select
+              value={settings.imageFormat}
+              onChange={(e) => updateCamera(role, { imageFormat: e.target.value })}
+              style={inputStyle}
+            >
+              <option value="jpeg">JPEG</option>
+              <option value="png">PNG</option>
+            </select>
+          </label>
+          {settings.imageFormat === 'jpeg' && renderNumber(role, 'jpegQuality', 'JPEG quality', 0.05)}
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px' }}>
+          {Object.entries(EDITABLE_TRACK_CONSTRAINTS).map(([key, { label, options, type }]) => (
+            <label key={key} style={labelStyle}>
+              {label}
+              {options ? (
+                <select
+                  value={settings.trackConstraints[key] ?? ''}
+                  onChange={(e) => updateConstraint(role, key, e.target.value)}
+                  style={inputStyle}
+                >
+                  <option value="">Camera default</option>
+                  {options.map(option => <option key={option} value={option}>{option}</option>)}
+                </select>
+              ) : (
+                <input
+                  type={type}
+                  value={settings.trackConstraints[key] ?? ''}
+                  placeholder="Camera default"
+                  onChange={(e) => updateConstraint(role, key, e.target.value === '' ? '' : Number(e.target.value))}
+                  style={inputStyle}
+                />
+              )}
+            </label>
+          ))}
+        </div>
+
+        <p style={{ color: '#888', fontSize: '12px', margin: '4px 0 0 0' }}>
+          {applied
+            ? `Running at ${applied.width}x${applied.height}, ${Math.round(applied.frameRate || 0)} fps`
+            : 'Camera not running'}
+        </p>
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ marginTop: '20px', padding: '15px', border: '1px solid #333', borderRadius: '5px' }}>
+      <h3 style={{ color: '#00ff00', margin: '0 0 10px 0' }}>Station Profile</h3>
+
+      <select
+        value={activeCameraProfile?.name || ''}
+        onChange={(e) => selectCameraProfile(e.target.value)}
+        style={{ ...inputStyle, marginBottom: '15px' }}
+      >
+        {!activeCameraProfile && <option value="">Default settings (no profile loaded)</option>}
+        {cameraProfiles.map(profile => (
+          <option key={profile.name} value={profile.name}>
+            {profile.title} ({profile.name})
+          </option>
+        ))}
+      </select>
+
+      <label style={labelStyle}>
+        Title
+        <input
+          type="text"
+          value={draft.title}
+          onChange={(e) => setDraft(prev => ({ ...prev, title: e.target.value }))}
+          style={inputStyle}
+        />
+      </label>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
+        gap: '20px'
+      }}>
+        {CAMERA_ROLES.map(renderCamera)}
+      </div>
+
+      {error && <p style={{ color: '#ff6600', fontSize: '14px' }}>{error}</p>}
+      {message && <p style={{ color: '#00ff00', fontSize: '14px' }}>{message}</p>}
+
+      <div style={{ display: 'flex', gap: '10px', marginTop: '15px', flexWrap: 'wrap' }}>
+        <button
+          type="button"
+          onClick={() => handleSave(false)}
+          disabled={isSaving || !activeCameraProfile}
+          style={buttonStyle}
+        >
+          Save Profile
+        </button>
+        <input
+          type="text"
+          value={newName}
+          placeholder="new-profile-name"
+          onChange={(e) => setNewName(e.target.value)}
+          style={{ ...inputStyle, width: '200px' }}
+        />
+        <button type="button" onClick={() => handleSave(true)} disabled={isSaving} style={buttonStyle}>
+          Save as New
+        </button>
+      </div>
+      <p style={{ color: '#888', fontSize: '12px', margin: '8px 0 0 0' }}>
+        Saving a profile requires a researcher login at /admin in this browser.
+      </p>
+    </div>
+  );
+};
+
+export default CameraProfileEditor;
@@ -0,0 +1,60 @@
+import React, { useEffect, useState } from 'react';
+import {
+  subscribeUploadQueue,
+  listFailedUploads,
+  retryFailedUploads
+} from '../../services/uploadQueue';
+
+/**
+ * UploadQueueIndicator - Researcher-facing count of captures and clips still
+ * waiting to upload (services/uploadQueue). Renders nothing when the queue is
+ * empty; `detailed` also lists failed uploads with their last error
+ */
+const UploadQueueIndicator = ({ detailed = false }) => {
+  const [queue, setQueue] = useState({ pending: 0, failed: 0 });
+  const [failedUploads, setFailedUploads] = useState([]);
+  const [isRetrying, setIsRetrying] = useState(false);
+
+  useEffect(() => subscribeUploadQueue(setQueue), []);
+
+  useEffect(() => {
+    if (!detailed) return;
+    listFailedUploads().then(setFailedUploads);
+  }, [detailed, queue.failed]);
+
+  const handleRetry = async () => {
+    setIsRetrying(true);
+    try {
+      await retryFailedUploads();
+    } finally {
+      setIsRetrying(false);
+    }
+  };
+
+  if (queue.pending === 0 && queue.failed === 0) return null;
+
+  return (
+    <div className={`upload-queue-indicator ${queue.failed > 0 ? 'has-failed' : ''} ${detailed ? 'detailed' : ''}`}>
+      {queue.pending > 0 && (
+        <span>⏳ {queue.pending} upload{queue.pending === 1 ? '' : 's'} pending</span>
+      )}
+      {queue.failed > 0 && (
+        <span>⚠ {queue.failed} upload{queue.failed === 1 ? '' : 's'} failed</span>
+      )}
+      {queue.failed > 0 && (
+        <button type="button" onClick={handleRetry} disabled={isRetrying}>
+          {isRetrying ? 'Retrying...' : 'Retry'}
+        </button>
+      )}
+      {detailed && failedUploads.length > 0 && (
+        <ul>
+          {failedUploads.map(upload => (
+            <li key={upload.uploadKey}>{upload.label}: {upload.lastError}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default UploadQueueIndicator;
@@ -1,26 +1,39 @@
 import { createSlice } from '@reduxjs/toolkit';
 import { API_CONFIG } from '../config/api';
+import { enqueueJSON } from '../services/uploadQueue';
 
-// Process responses function remains the same
+// Post responses; the server scores them and returns the authoritative results.
+// A failed post goes to the upload queue, which retries it (the server keeps
+// one response per position) and lists it with the failed uploads if the
+// server keeps refusing it
 const processResponses = async (responses, experimentId) => {
-  try {
-    const processedResponses = responses.map(response => ({
-      ...response,
-      experimentId,
-      timestamp: response.timestamp || Date.now()
-    }));
+  const processedResponses = responses.map(response => ({
+    ...response,
+    experimentId,
+    timestamp: response.timestamp || Date.now()
+  }));
+  const url = `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.RESPONSE}`;
+  const body = { experimentId, responses: processedResponses };
 
-    await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.RESPONSE}`, {
+  try {
+    const response = await fetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'include',
-      body: JSON.stringify({
-        experimentId,
-        responses: processedResponses
-      })
+      body: JSON.stringify(body)
     });
+    
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Server error: ${response.status}`);
+    }
+    return data.results || [];
   } catch (error) {
     console.error('Response processing error:', error);
+    const positions = processedResponses.map(({ trialNumber, position }) => `t${trialNumber}-d${position}`);
+    await enqueueJSON(url, body, `Responses ${positions.join(', ')}`)
+      .catch(queueError => console.error('Failed to queue responses:', queueError));
+    return [];
   }
 };
 
@@ -30,8 +43,9 @@ export const responseQueueMiddleware = store => next => action => {
   if (action.type === 'experiment/queueResponse') {
     const state = store.getState().experiment;
     
-    processResponses([action.payload], state.experimentId)
-      .then(() => {
+    processResponses([action.payload], state.sessionData.sessionId || state.experimentId)
+      .then(results => {
+        store.dispatch(applyServerScores(results));
         store.dispatch(completeResponseProcessing());
         store.dispatch(updateTrialState({
           phase: 'trial-start',
@@ -42,6 +56,16 @@ export const responseQueueMiddleware = store => next => action => {
         console.error('Response processing error:', error);
       });
   }
+  
+  // Tasks that advance themselves (NSTTask) record responses locally;
+  // post the recorded copy so the server keeps every response
+  if (action.type === 'experiment/recordResponse') {
+    const state = store.getState().experiment;
+    const recorded = state.sessionData.responses[state.sessionData.responses.length - 1];
+    
+    processResponses([{ ...recorded, position: recorded.digitIndex }], state.sessionData.sessionId || state.experimentId)
+      .then(results => store.dispatch(applyServerScores(results)));
+  }
   return result;
 };
 
@@ -55,6 +79,7 @@ const experimentSlice = createSlice({
     experimentId: null,
     displayBlank: false,
     keyMapping: null,
+    taskRule: null,
     trialState: {
       currentDigit: null,
       trialNumber: 0,
@@ -70,6 +95,7 @@ const experimentSlice = createSlice({
     },
     trials: [],
     isRunning: false,
+    isPaused: false,
     isComplete: false,
     responses: {
       byPosition: {},
@@ -79,10 +105,15 @@ const experimentSlice = createSlice({
     
     // Session data for tasks
     sessionData: {
+      sessionId: null,
       totalTrials: 0,
       responses: [],
       startTime: null,
-      endTime: null
+      endTime: null,
+      pauses: [],
+      pausedDuration: 0,
+      capturedPositions: [],
+      recoveredAt: null
     },
     
     captureConfig: {
@@ -158,13 +189,35 @@ const experimentSlice = createSlice({
       }
     },
 
+    // Overwrite client-side correctness with the server's scoring
+    applyServerScores: (state, action) => {
+      action.payload.forEach(result => {
+        const scored = {
+          isCorrect: result.isCorrect,
+          expectedResponse: result.expectedResponse,
+          responseType: result.responseType
+        };
+        
+        if (state.responses.byPosition[result.positionKey]) {
+          Object.assign(state.responses.byPosition[result.positionKey], scored);
+        }
+        state.sessionData.responses
+          .filter(response => `${response.trialNumber}-${response.digitIndex}` === result.positionKey)
+          .forEach(response => Object.assign(response, scored));
+      });
+    },
+
     completeResponseProcessing: (state) => {
       state.responses.queue = [];
       state.responses.lastProcessed = Date.now();
     },
 
+    // Also puts the digit at the current position on screen, so a freshly
+    // started session shows the first digit of its first trial
     setTrials: (state, action) => {
       state.trials = action.payload;
+      const { trialNumber, digitIndex } = state.trialState;
+      state.trialState.currentDigit = state.trials?.[trialNumber]?.number[digitIndex] ?? null;
     },
 
     setComplete: (state, action) => {
@@ -189,6 +242,11 @@ const experimentSlice = createSlice({
       state.keyMapping = action.payload;
     },
     
+    // Task rule from the experiment config ('parity', 'magnitude', 'cued')
+    setTaskRule: (state, action) => {
+      state.taskRule = action.payload;
+    },
+    
     // New actions for NST Plus integration
     setParticipant: (state, action) => {
       state.participant = action.payload;
@@ -197,8 +255,14 @@ const experimentSlice = createSlice({
     
     startExperiment: (state, action) => {
       state.isRunning = true;
+      state.isPaused = false;
       state.isComplete = false;
       state.sessionData.startTime = Date.now();
+      state.sessionData.sessionId = action.payload.sessionId || null;
+      state.sessionData.pauses = [];
+      state.sessionData.pausedDuration = 0;
+      state.sessionData.capturedPositions = [];
+      state.sessionData.recoveredAt = null;
       state.experimentId = action.payload.participantId;
       
       // Reset trial state
@@ -259,6 +323,41 @@ const experimentSlice = createSlice({
       }
     },
     
+    // Put a recovered session back at the digit it was interrupted on
+    restorePosition: (state, action) => {
+      const { trialNumber, digitIndex, capturedPositions = [] } = action.payload;
+      const trial = state.trials[trialNumber];
+      
+      state.trialState.trialNumber = trialNumber;
+      state.trialState.digitIndex = digitIndex;
+      state.trialState.currentDigit = trial?.number[digitIndex] ?? null;
+      state.sessionData.capturedPositions = capturedPositions;
+      state.sessionData.recoveredAt = Date.now();
+    },
+    
+    markCaptured: (state, action) => {
+      state.sessionData.capturedPositions.push(action.payload);
+    },
+    
+    pauseExperiment: (state, action) => {
+      if (state.isPaused) return;
+      state.isPaused = true;
+      state.sessionData.pauses.push({
+        start: action.payload?.pausedAt || Date.now(),
+        end: null
+      });
+    },
+    
+    resumeExperiment: (state, action) => {
+      if (!state.isPaused) return;
+      state.isPaused = false;
+      const pause = state.sessionData.pauses[state.sessionData.pauses.length - 1];
+      if (pause) {
+        pause.end = action.payload?.resumedAt || Date.now();
+        state.sessionData.pausedDuration += pause.end - pause.start;
+      }
+    },
+    
     completeExperiment: (state) => {
       state.isComplete = true;
       state.isRunning = false;
@@ -271,6 +370,7 @@ const experimentSlice = createSlice({
 export const {
   updateTrialState,
   queueResponse,
+  applyServerScores,
   completeResponseProcessing,
   setTrials,
   setComplete,
@@ -278,11 +378,16 @@ export const {
   setCaptureConfig,
   setSelectedCamera,
   setKeyMapping,
+  setTaskRule,
   // New NST Plus actions
   setParticipant,
   startExperiment,
   nextDigit,
   recordResponse,
+  restorePosition,
+  markCaptured,
+  pauseExperiment,
+  resumeExperiment,
   completeExperiment
 } = experimentSlice.actions;
 
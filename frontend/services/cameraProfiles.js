@@ -0,0 +1,141 @@
+/**
+ * Camera station profiles: named camera setups stored on the backend
+ * (/api/camera-profiles). A profile picks each camera by device label and
+ * sets the resolution, frame rate, photo format and track constraints
+ * (exposure, white balance, ...) it runs at
+ */
+
+// Station's chosen profile
+export const ACTIVE_PROFILE_KEY = 'nstplus_camera_profile';
+
+export const CAMERA_ROLES = ['main', 'equipment'];
+
+export const DEFAULT_CAMERA_SETTINGS = {
+  deviceLabel: '',
+  width: 1280,
+  height: 720,
+  frameRate: 30,
+  imageFormat: 'jpeg',
+  jpegQuality: 0.95,
+  trackConstraints: {}
+};
+
+// Track constraints offered in the station editor (the backend accepts a few more)
+export const EDITABLE_TRACK_CONSTRAINTS = {
+  exposureMode: { label: 'Exposure mode', options: ['continuous', 'manual'] },
+  exposureTime: { label: 'Exposure time', type: 'number' },
+  whiteBalanceMode: { label: 'White balance mode', options: ['continuous', 'manual'] },
+  colorTemperature: { label: 'Color temperature (K)', type: 'number' },
+  focusMode: { label: 'Focus mode', options: ['continuous', 'manual'] }
+};
+
+const readJSON = async (response) => {
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.message || data.error || `Server error: ${response.status}`);
+  return data;
+};
+
+export const fetchCameraProfiles = async () => {
+  const data = await readJSON(await fetch('/api/camera-profiles', { credentials: 'include' }));
+  return data.profiles;
+};
+
+/**
+ * Create or update a profile; saving needs a researcher login
+ * @param {object} profile - { name, title, description, cameras }
+ * @param {boolean} isNew - Create instead of update
+ */
+export const saveCameraProfile = async (profile, isNew) => {
+  const { name, title, description, cameras } = profile;
+  const data = await readJSON(await fetch(
+    isNew ? '/api/camera-profiles' : `/api/camera-profiles/${encodeURIComponent(name)}`,
+    {
+      method: isNew ? 'POST' : 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(isNew ? { name, title, description, cameras } : { title, description, cameras })
+    }
+  ));
+  return data.profile;
+};
+
+/**
+ * A camera role's settings from a profile, with defaults filled in
+ */
+export const cameraSettings = (profile, role) => ({
+  ...DEFAULT_CAMERA_SETTINGS,
+  ...profile?.cameras?.[role],
+  trackConstraints: { ...profile?.cameras?.[role]?.trackConstraints }
+});
+
+/**
+ * The camera whose label contains the profile's device label
+ * (case-insensitive), or null
+ */
+export const findCameraByLabel = (cameras, deviceLabel) => {
+  if (!deviceLabel) return null;
+  const wanted = deviceLabel.toLowerCase();
+  return cameras.find(camera => camera.label?.toLowerCase().includes(wanted)) || null;
+};
+
+/**
+ * getUserMedia video constraints for a device at a profile's settings
+ */
+export const buildVideoConstraints = (deviceId, settings = DEFAULT_CAMERA_SETTINGS) => ({
+  ...(deviceId && { deviceId: { exact: deviceId } }),
+  width: { ideal: settings.width },
+  height: { ideal: settings.height },
+  frameRate: { ideal: settings.frameRate }
+});
+
+/**
+ * Apply a profile's track constraints that the camera supports; the rest
+ * are skipped with a warning
+ */
+export const applyTrackConstraints = async (track, trackConstraints = {}) => {
+  const capabilities = track.getCapabilities ? track.getCapabilities() : {};
+  const supported = Object.fromEntries(
+    Object.entries(trackConstraints).filter(([key]) => key in capabilities)
+  );
+  const skipped = Object.keys(trackConstraints).filter(key => !(key in supported));
+  if (skipped.length > 0) {
+    console.warn(`Camera ${track.label} does not support: ${skipped.join(', ')}`);
+  }
+  if (Object.keys(supported).length === 0) return;
+
+  try {
+    await track.applyConstraints({ advanced: [supported] });
+  } catch (err) {
+    console.warn(`Could not apply camera constraints to ${track.label}:`, err.message);
+  }
+};
+
+/**
+ * What a camera actually runs at, for the session record
+ */
+export const describeAppliedSettings = (stream, settings = DEFAULT_CAMERA_SETTINGS) => {
+  const track = stream?.getVideoTracks()[0];
+  if (!track) return null;
+
+  const actual = track.getSettings ? track.getSettings() : {};
+  return {
+    deviceLabel: track.label,
+    width: actual.width,
+    height: actual.height,
+    frameRate: actual.frameRate,
+    imageFormat: settings.imageFormat,
+    jpegQuality: settings.jpegQuality,
+    ...Object.fromEntries(
+      Object.keys(settings.trackConstraints || {})
+        .filter(key => actual[key] !== undefined)
+        .map(key => [key, actual[key]])
+    )
+  };
+};
+
+/**
+ * Canvas toBlob arguments for a profile's photo format
+ */
+export const photoEncoding = (settings = DEFAULT_CAMERA_SETTINGS) => (settings.imageFormat === 'png'
+  ? { type: 'image/png', quality: undefined, extension: 'png' }
+  : { type: 'image/jpeg', quality: settings.jpegQuality, extension: 'jpg' });
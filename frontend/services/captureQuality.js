@@ -0,0 +1,133 @@
+/**
+ * Capture quality checks. Each photo is scaled down to a small grayscale
+ * image and scored for brightness (mean, 0-255), contrast (standard
+ * deviation), sharpness (variance of the Laplacian) and its difference from
+ * the camera's previous photo (mean absolute difference), which catches a
+ * stalled stream returning the same frame
+ */
+
+// Width photos are scaled to before scoring; scores are comparable across resolutions
+const ANALYSIS_WIDTH = 160;
+
+export const QUALITY_THRESHOLDS = {
+  minBrightness: 25,   // Darker is a black or badly lit frame
+  maxBrightness: 235,  // Brighter is washed out
+  minContrast: 12,     // Flatter is a uniform frame
+  minSharpness: 20,    // Lower Laplacian variance is blurred or out of focus
+  minDifference: 0.5   // Closer to the previous photo counts as the identical frame
+};
+
+export const QUALITY_FAILURE_MESSAGES = {
+  'too-dark': 'too dark',
+  'too-bright': 'too bright',
+  'low-contrast': 'no contrast (blank frame?)',
+  'blurry': 'blurry',
+  'identical-frame': 'identical to the previous photo (camera frozen?)'
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Grayscale pixels of an image blob at the analysis size
+ * @returns {Promise<object>} { gray: Float32Array, width, height }
+ */
+const toGrayscale = async (blob) => {
+  const bitmap = await createImageBitmap(blob);
+  const width = Math.min(ANALYSIS_WIDTH, bitmap.width);
+  const height = Math.max(1, Math.round(bitmap.height * (width / bitmap.width)));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close?.();
+
+  const { data } = context.getImageData(0, 0, width, height);
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return { gray, width, height };
+};
+
+const meanAndDeviation = (values) => {
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) sum += values[i];
+  const mean = sum / values.length;
+
+  let squares = 0;
+  for (let i = 0; i < values.length; i++) squares += (values[i] - mean) ** 2;
+  return { mean, deviation: Math.sqrt(squares / values.length) };
+};
+
+/**
+ * Variance of the 4-neighbour Laplacian over the image interior
+ */
+const laplacianVariance = ({ gray, width, height }) => {
+  if (width < 3 || height < 3) return 0;
+
+  const laplacian = new Float32Array((width - 2) * (height - 2));
+  let n = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      laplacian[n++] = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+    }
+  }
+  return meanAndDeviation(laplacian).deviation ** 2;
+};
+
+const meanAbsoluteDifference = (a, b) => {
+  if (!a || !b || a.length !== b.length) return null;
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += Math.abs(a[i] - b[i]);
+  return sum / a.length;
+};
+
+/**
+ * Score a photo and check it against QUALITY_THRESHOLDS
+ * @param {Blob} blob - Photo
+ * @param {Float32Array|null} previousGray - The camera's previous photo
+ *   (the `gray` this function returned for it)
+ * @returns {Promise<object>} { scores, gray } - scores holds brightness,
+ *   contrast, sharpness, differenceFromPrevious (null for a camera's first
+ *   photo), identicalToPrevious, passed and failures (QUALITY_FAILURE_MESSAGES keys)
+ */
+export const checkCaptureQuality = async (blob, previousGray = null, thresholds = QUALITY_THRESHOLDS) => {
+  const image = await toGrayscale(blob);
+  const { mean: brightness, deviation: contrast } = meanAndDeviation(image.gray);
+  const sharpness = laplacianVariance(image);
+  const difference = meanAbsoluteDifference(image.gray, previousGray);
+  const identicalToPrevious = difference !== null && difference < thresholds.minDifference;
+
+  const failures = [
+    brightness < thresholds.minBrightness && 'too-dark',
+    brightness > thresholds.maxBrightness && 'too-bright',
+    contrast < thresholds.minContrast && 'low-contrast',
+    sharpness < thresholds.minSharpness && 'blurry',
+    identicalToPrevious && 'identical-frame'
+  ].filter(Boolean);
+
+  return {
+    scores: {
+      brightness: round(brightness),
+      contrast: round(contrast),
+      sharpness: round(sharpness),
+      differenceFromPrevious: difference === null ? null : round(difference),
+      identicalToPrevious,
+      passed: failures.length === 0,
+      failures
+    },
+    gray: image.gray
+  };
+};
+
+/**
+ * Readable list of what failed in one or more cameras' scores
+ * @param {object} quality - { main, equipment } scores (null when unchecked)
+ */
+export const describeQualityFailures = (quality) => Object.entries(quality || {})
+  .filter(([, scores]) => scores && !scores.passed)
+  .map(([camera, scores]) =>
+    `${camera === 'main' ? 'Face' : 'Equipment'} camera: ${scores.failures.map(failure => QUALITY_FAILURE_MESSAGES[failure]).join(', ')}`);
@@ -0,0 +1,161 @@
+/**
+ * Short video clips around stimulus onsets, recorded with MediaRecorder.
+ *
+ * A WebM stream cut out of the middle of one long recording is not playable
+ * on its own, so instead the recorder keeps a ring of overlapping segments:
+ * a new MediaRecorder starts every `preMs` (at least 500 ms), and segments
+ * too old to be needed for a future onset are dropped. A clip is the newest
+ * segment that started at least `preMs` before the onset, stopped `postMs`
+ * after it - so it holds the whole pre-window (plus up to one segment
+ * interval extra) and is a complete file
+ */
+
+const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Shortest gap between segment starts, to bound the number of recorders
+const MIN_SEGMENT_INTERVAL = 500;
+
+// Allowance for setInterval firing late when pruning segments
+const TIMER_SLACK = 50;
+
+export const DEFAULT_CLIP_CONFIG = {
+  enabled: false,
+  preMs: 1000,
+  postMs: 2000
+};
+
+/**
+ * Whether this browser can record WebM clips
+ */
+export const isClipRecordingSupported = () =>
+  typeof window !== 'undefined' &&
+  typeof window.MediaRecorder !== 'undefined' &&
+  MIME_TYPES.some(type => window.MediaRecorder.isTypeSupported(type));
+
+export class ClipRecorder {
+  constructor(stream, { preMs = DEFAULT_CLIP_CONFIG.preMs, postMs = DEFAULT_CLIP_CONFIG.postMs } = {}) {
+    this.stream = stream;
+    this.preMs = preMs;
+    this.postMs = postMs;
+    this.interval = Math.max(preMs, MIN_SEGMENT_INTERVAL);
+    this.mimeType = MIME_TYPES.find(type => window.MediaRecorder.isTypeSupported(type));
+    this.segments = [];
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.startSegment();
+    this.timer = setInterval(() => this.startSegment(), this.interval);
+  }
+
+  /**
+   * Stop recording. Clips already requested are still finished
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.segments
+      .filter(segment => !segment.claimed)
+      .forEach(segment => this.stopSegment(segment));
+    this.segments = [];
+  }
+
+  startSegment() {
+    // The camera was stopped or replaced; the provider starts a new recorder
+    if (!this.stream.active) return;
+
+    const recorder = new MediaRecorder(this.stream, { mimeType: this.mimeType });
+    const segment = { recorder, chunks: [], startedAt: Date.now(), claimed: false, stopAt: null };
+
+    segment.finished = new Promise(resolve => {
+      recorder.ondataavailable = (event) => {
+        if (event.data && event.data.size > 0) segment.chunks.push(event.data);
+      };
+      recorder.onstop = () => resolve({
+        blob: new Blob(segment.chunks, { type: this.mimeType }),
+        startedAt: segment.startedAt,
+        endedAt: Date.now()
+      });
+    });
+
+    recorder.start();
+    this.segments.push(segment);
+    this.pruneSegments();
+  }
+
+  stopSegment(segment) {
+    if (segment.recorder.state !== 'inactive') {
+      segment.recorder.stop();
+    }
+  }
+
+  /**
+   * Drop unclaimed segments that can no longer be the best segment for a
+   * future onset: a newer one already has a full pre-window
+   */
+  pruneSegments() {
+    const cutoff = Date.now() - this.preMs - this.interval + TIMER_SLACK;
+    this.segments = this.segments.filter(segment => {
+      if (segment.claimed || segment.startedAt >= cutoff) return true;
+      this.stopSegment(segment);
+      return false;
+    });
+  }
+
+  /**
+   * Record a clip around a stimulus onset
+   * @param {number} onset - Onset time (ms since epoch, Date.now())
+   * @returns {Promise<object|null>} { blob, mimeType, onset, startedAt, endedAt,
+   *   preMs, postMs }, or null when nothing was recording
+   */
+  async clipAround(onset = Date.now()) {
+    const eligible = this.segments.filter(segment => segment.startedAt <= onset - this.preMs);
+    // Shortly after start no segment has a full pre-window yet: use the oldest
+    const segment = eligible[eligible.length - 1] || this.segments[0];
+    if (!segment) return null;
+
+    // Onsets close together share a segment, which then runs until the last post-window ends
+    const stopAt = onset + this.postMs;
+    if (!segment.claimed || stopAt > segment.stopAt) {
+      clearTimeout(segment.stopTimer);
+      segment.claimed = true;
+      segment.stopAt = stopAt;
+      segment.stopTimer = setTimeout(() => {
+        this.stopSegment(segment);
+        this.segments = this.segments.filter(other => other !== segment);
+      }, Math.max(0, stopAt - Date.now()));
+    }
+
+    const clip = await segment.finished;
+    return {
+      ...clip,
+      mimeType: this.mimeType,
+      onset,
+      preMs: this.preMs,
+      postMs: this.postMs
+    };
+  }
+}
+
+/**
+ * Add clips from recordClipsAround to an upload form as mainClip /
+ * equipmentClip, with their timing as JSON in clipTiming
+ * @param {FormData} formData
+ * @param {object} clips - { main, second }
+ * @param {function} filename - ('main' | 'equipment') => upload filename
+ * @returns {boolean} Whether any clip was added
+ */
+export const appendClips = (formData, clips, filename) => {
+  const timing = {};
+  [['main', clips?.main], ['equipment', clips?.second]].forEach(([camera, clip]) => {
+    if (!clip?.blob?.size) return;
+    formData.append(`${camera}Clip`, clip.blob, filename(camera));
+    timing.onset = clip.onset;
+    timing.preMs = clip.preMs;
+    timing.postMs = clip.postMs;
+    timing[camera] = { startedAt: clip.startedAt, endedAt: clip.endedAt };
+  });
+  formData.append('clipTiming', JSON.stringify(timing));
+  return timing.onset !== undefined;
+};
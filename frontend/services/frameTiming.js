@@ -0,0 +1,86 @@
+/**
+ * High-resolution capture timing. All times are milliseconds since the Unix
+ * epoch with sub-millisecond precision (performance.timeOrigin +
+ * performance.now()), so they line up with Date.now() timestamps elsewhere
+ */
+
+// How long to wait for requestVideoFrameCallback before grabbing whatever
+// frame the video element holds (the callback does not fire for videos the
+// browser is not painting)
+const FRAME_CALLBACK_TIMEOUT = 100;
+
+const toEpoch = (time) => (typeof time === 'number' ? performance.timeOrigin + time : null);
+
+const round = (time) => (typeof time === 'number' ? Math.round(time * 1000) / 1000 : null);
+
+/**
+ * Current time, high resolution
+ */
+export const highResNow = () => round(performance.timeOrigin + performance.now());
+
+/**
+ * Call back with the time of the next paint - when a stimulus rendered now
+ * reaches the screen. Uses the requestAnimationFrame timestamp, falling back
+ * to the current time. Returns a function that cancels the callback
+ */
+export const onNextPaint = (callback) => {
+  if (typeof requestAnimationFrame !== 'function') {
+    callback(highResNow());
+    return () => {};
+  }
+
+  const handle = requestAnimationFrame(time => callback(round(toEpoch(time))));
+  return () => cancelAnimationFrame(handle);
+};
+
+/**
+ * Wait for the next frame of a video element. Resolves with the frame's
+ * timing: frameTime is the camera capture time when the browser reports it,
+ * otherwise the frame's expected display time. source says where it came
+ * from: 'requestVideoFrameCallback', 'timeout' or 'unsupported'
+ * (frameTime null for the last two)
+ */
+export const waitForVideoFrame = (video) => {
+  if (typeof video?.requestVideoFrameCallback !== 'function') {
+    return Promise.resolve({ source: 'unsupported', frameTime: null });
+  }
+
+  return new Promise(resolve => {
+    let settled = false;
+    let handle = null;
+
+    const timer = setTimeout(() => {
+      if (settled) return;
+      settled = true;
+      if (handle !== null) video.cancelVideoFrameCallback?.(handle);
+      resolve({ source: 'timeout', frameTime: null });
+    }, FRAME_CALLBACK_TIMEOUT);
+
+    handle = video.requestVideoFrameCallback((now, metadata) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve({
+        source: 'requestVideoFrameCallback',
+        frameTime: round(toEpoch(metadata.captureTime ?? metadata.expectedDisplayTime)),
+        captureTime: round(toEpoch(metadata.captureTime)),
+        presentationTime: round(toEpoch(metadata.presentationTime)),
+        presentedFrames: metadata.presentedFrames ?? null
+      });
+    });
+  });
+};
+
+/**
+ * Timing record for a two-camera capture. skewMs is the equipment frame
+ * time minus the main frame time (null unless both frames were timed)
+ */
+export const buildCaptureTiming = ({ stimulusOnset = null, requestedAt, main = null, equipment = null }) => ({
+  stimulusOnset: round(stimulusOnset),
+  requestedAt,
+  main,
+  equipment,
+  skewMs: main?.frameTime != null && equipment?.frameTime != null
+    ? round(equipment.frameTime - main.frameTime)
+    : null
+});
@@ -0,0 +1,139 @@
+/**
+ * Task rules for the NST, mirroring backend/src/utils/taskRules.js.
+ * A rule says what the participant judges about each digit; responses are
+ * categories ('odd', 'even', 'low', 'high') that the key mapping turns into keys
+ */
+
+const classifyParity = (digit) => (Number(digit) % 2 !== 0 ? 'odd' : 'even');
+const classifyMagnitude = (digit) => (Number(digit) < 5 ? 'low' : 'high');
+
+export const CUE_LABELS = {
+  parity: 'ODD / EVEN',
+  magnitude: 'LOW / HIGH'
+};
+
+export const RESPONSE_LABELS = {
+  odd: 'ODD',
+  even: 'EVEN',
+  low: 'LOW',
+  high: 'HIGH'
+};
+
+export const TASK_RULES = {
+  parity: {
+    name: 'parity',
+    cued: false,
+    // Response categories in key order: the first goes on the standard left key
+    responses: ['odd', 'even'],
+    description: 'whether each number is odd or even',
+    examples: {
+      odd: '1, 3, 5, 7, 9',
+      even: '2, 4, 6, 8'
+    },
+    expectedResponse: (digit) => classifyParity(digit)
+  },
+
+  magnitude: {
+    name: 'magnitude',
+    cued: false,
+    responses: ['low', 'high'],
+    description: 'whether each number is lower or higher than 5',
+    examples: {
+      low: '1, 2, 3, 4',
+      high: '6, 7, 8, 9'
+    },
+    expectedResponse: (digit) => classifyMagnitude(digit)
+  },
+
+  cued: {
+    name: 'cued',
+    cued: true,
+    responses: [['odd', 'low'], ['even', 'high']],
+    description: 'whether each number is odd or even, or lower or higher than 5, as shown by the cue above it',
+    examples: {
+      odd: '1, 3, 7, 9',
+      even: '2, 4, 6, 8',
+      low: '1, 2, 3, 4',
+      high: '6, 7, 8, 9'
+    },
+    cueResponses: {
+      parity: ['odd', 'even'],
+      magnitude: ['low', 'high']
+    },
+    expectedResponse: (digit, cue) =>
+      (cue === 'magnitude' ? classifyMagnitude(digit) : classifyParity(digit))
+  }
+};
+
+/**
+ * Look up a rule by name, falling back to parity
+ */
+export const getTaskRule = (name) => TASK_RULES[name] || TASK_RULES.parity;
+
+/**
+ * Build a key mapping for a rule; standard puts the first response on 'f'
+ */
+export const buildKeyMapping = (ruleName, standard) => {
+  const rule = getTaskRule(ruleName);
+  const [left, right] = standard ? ['f', 'j'] : ['j', 'f'];
+  const keyMapping = {
+    responseStyle: standard ? 'standard' : 'reversed'
+  };
+
+  [left, right].forEach((key, i) => {
+    [].concat(rule.responses[i]).forEach(response => {
+      keyMapping[response] = key;
+    });
+  });
+
+  return keyMapping;
+};
+
+/**
+ * Keys that count as responses under a key mapping
+ */
+export const getResponseKeys = (keyMapping) => {
+  if (!keyMapping) return [];
+  return [...new Set(
+    Object.entries(keyMapping)
+      .filter(([name]) => RESPONSE_LABELS[name])
+      .map(([, key]) => key)
+  )];
+};
+
+/**
+ * Translate a key press into the response category it means for this digit.
+ * Cued rules share keys between tasks, so the cue picks the category
+ */
+export const getResponseForKey = (ruleName, keyMapping, key, cue = null) => {
+  const rule = getTaskRule(ruleName);
+  const categories = rule.cued
+    ? rule.cueResponses[cue] || rule.cueResponses.parity
+    : rule.responses;
+
+  return categories.find(category => keyMapping?.[category] === key) || null;
+};
+
+/**
+ * "F = ODD, J = EVEN" style labels for each key, in keyboard order
+ */
+export const getKeyLabels = (ruleName, keyMapping) => {
+  const rule = getTaskRule(ruleName);
+  const fallbackKeys = ['f', 'j'];
+
+  return rule.responses
+    .map((responses, i) => ({
+      key: keyMapping?.[[].concat(responses)[0]] || fallbackKeys[i],
+      label: [].concat(responses).map(response => RESPONSE_LABELS[response]).join(' / ')
+    }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+};
+
+/**
+ * One-line response instructions for a rule and key mapping
+ */
+export const getInstructionText = (ruleName, keyMapping) => {
+  return getKeyLabels(ruleName, keyMapping)
+    .map(({ key, label }) => `Press '${key}' for ${label.toLowerCase()}`)
+    .join(', ');
+};
@@ -0,0 +1,309 @@
+/**
+ * Durable upload queue for captures, clips and NST responses that could not
+ * be posted straight away. Each upload is stored in
+ * IndexedDB before it is sent, so it survives a network error or a page
+ * reload, and is retried with exponential backoff until the server accepts
+ * it. Every upload carries a unique Idempotency-Key that stays the same across
+ * retries; the server answers a repeated key with the stored response instead
+ * of saving the upload twice. Uploads also carry the upload token of the
+ * participant they belong to, so they are accepted after another participant
+ * has registered in this browser
+ */
+
+const DB_NAME = 'nstplus_uploads';
+const STORE_NAME = 'uploads';
+
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 60000;
+// Attempts before an upload is marked failed and waits for a manual retry
+const MAX_ATTEMPTS = 8;
+
+// Statuses worth retrying; any other 4xx will not succeed on its own.
+// 401 clears once the participant's session, or a researcher login, is back
+const RETRYABLE_STATUSES = [401, 408, 425, 429];
+
+// In-memory store for browsers without IndexedDB (not durable)
+const memoryStore = new Map();
+let databasePromise = null;
+
+const listeners = new Set();
+let status = { pending: 0, failed: 0 };
+let isProcessing = false;
+let retryTimer = null;
+let uploadToken = null;
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = typeof indexedDB === 'undefined'
+      ? Promise.resolve(null)
+      : new Promise(resolve => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'uploadKey' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('Upload queue: IndexedDB unavailable, uploads are kept in memory only', request.error);
+          resolve(null);
+        };
+      });
+  }
+  return databasePromise;
+};
+
+/**
+ * Run one operation on the uploads store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} operation - (store) => IDBRequest
+ */
+const withStore = async (mode, operation) => {
+  const database = await openDatabase();
+  const transaction = database.transaction(STORE_NAME, mode);
+  const completed = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const result = await requestResult(operation(transaction.objectStore(STORE_NAME)));
+  await completed;
+  return result;
+};
+
+const putEntry = async (entry) => {
+  if (!await openDatabase()) {
+    memoryStore.set(entry.uploadKey, entry);
+    return;
+  }
+  await withStore('readwrite', store => store.put(entry));
+};
+
+const deleteEntry = async (uploadKey) => {
+  if (!await openDatabase()) {
+    memoryStore.delete(uploadKey);
+    return;
+  }
+  await withStore('readwrite', store => store.delete(uploadKey));
+};
+
+const listEntries = async () => {
+  const entries = await openDatabase()
+    ? await withStore('readonly', store => store.getAll())
+    : [...memoryStore.values()];
+  return entries.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+const createUploadKey = () => (window.crypto?.randomUUID
+  ? window.crypto.randomUUID()
+  : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`);
+
+/**
+ * Delay before the next attempt: doubles per attempt with some jitter,
+ * capped at RETRY_MAX_DELAY
+ */
+const retryDelay = (attempts) =>
+  Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (attempts - 1)) * (0.75 + Math.random() * 0.5);
+
+const notify = async () => {
+  const entries = await listEntries();
+  status = {
+    pending: entries.filter(entry => entry.status === 'pending').length,
+    failed: entries.filter(entry => entry.status === 'failed').length
+  };
+  listeners.forEach(listener => listener(status));
+};
+
+/**
+ * Rebuild the stored form fields; files keep their filename
+ */
+const toFormData = (fields) => {
+  const formData = new FormData();
+  fields.forEach(([name, value]) => {
+    if (value instanceof Blob) {
+      formData.append(name, value, value.name);
+    } else {
+      formData.append(name, value);
+    }
+  });
+  return formData;
+};
+
+/**
+ * Send one upload; resolves to the server's JSON response
+ */
+const sendUpload = async (entry) => {
+  const response = await fetch(entry.url, {
+    method: 'POST',
+    credentials: 'include',
+    headers: {
+      'Idempotency-Key': entry.uploadKey,
+      // Lets the server authorize the upload before reading its files
+      ...(entry.uploadToken && entry.participantId && {
+        'Upload-Token': entry.uploadToken,
+        'Upload-Participant': entry.participantId
+      }),
+      ...(entry.json && { 'Content-Type': 'application/json' })
+    },
+    body: entry.json ? JSON.stringify(entry.json) : toFormData(entry.fields)
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.message || data.error || `Server error: ${response.status}`);
+    error.retryable = response.status >= 500 || RETRYABLE_STATUSES.includes(response.status);
+    throw error;
+  }
+  return response.json();
+};
+
+const scheduleRetry = (entries) => {
+  clearTimeout(retryTimer);
+  const next = entries
+    .filter(entry => entry.status === 'pending')
+    .reduce((earliest, entry) => Math.min(earliest, entry.nextAttemptAt), Infinity);
+  if (next !== Infinity) {
+    retryTimer = setTimeout(processUploadQueue, Math.max(0, next - Date.now()));
+  }
+};
+
+/**
+ * Send every pending upload that is due, oldest first
+ */
+export const processUploadQueue = async () => {
+  if (isProcessing) return;
+  isProcessing = true;
+  clearTimeout(retryTimer);
+
+  try {
+    await notify();
+    for (const entry of await listEntries()) {
+      if (entry.status !== 'pending' || entry.nextAttemptAt > Date.now()) continue;
+
+      try {
+        await sendUpload(entry);
+        await deleteEntry(entry.uploadKey);
+      } catch (error) {
+        // Network errors (fetch rejects) are always worth retrying
+        const retryable = error.retryable !== false;
+        const attempts = entry.attempts + 1;
+        const failed = !retryable || attempts >= MAX_ATTEMPTS;
+        console.warn(`Upload ${entry.label} attempt ${attempts} failed:`, error.message);
+        await putEntry({
+          ...entry,
+          attempts,
+          status: failed ? 'failed' : 'pending',
+          nextAttemptAt: Date.now() + retryDelay(attempts),
+          lastError: error.message
+        });
+      }
+      await notify();
+    }
+  } catch (error) {
+    console.error('Upload queue error:', error);
+  } finally {
+    isProcessing = false;
+  }
+
+  // Covers retries with backoff and uploads queued during this pass
+  listEntries().then(scheduleRetry).catch(error => console.error('Upload queue error:', error));
+};
+
+/**
+ * Store a request with a fresh upload key and start sending it
+ */
+const queueEntry = async (request) => {
+  const uploadKey = createUploadKey();
+  await putEntry({
+    ...request,
+    uploadKey,
+    uploadToken,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastError: null,
+    createdAt: Date.now()
+  });
+  processUploadQueue();
+  return uploadKey;
+};
+
+/**
+ * Store an upload and start sending it
+ * @param {string} url - Upload endpoint
+ * @param {FormData} formData - Fields and files to post
+ * @param {string} label - Shown in logs and the failed uploads list
+ * @returns {Promise<string>} The upload key
+ */
+export const enqueueUpload = (url, formData, label = url) => queueEntry({
+  url,
+  label,
+  participantId: formData.get('participantId'),
+  fields: Array.from(formData.entries())
+});
+
+/**
+ * Store a JSON post and start sending it
+ * @param {string} url - Endpoint
+ * @param {object} body - Posted as JSON
+ * @param {string} label - Shown in logs and the failed uploads list
+ * @returns {Promise<string>} The upload key
+ */
+export const enqueueJSON = (url, body, label = url) => queueEntry({
+  url,
+  label,
+  participantId: null,
+  json: body
+});
+
+/**
+ * Set the upload token (issued at registration) of the participant whose
+ * uploads are queued from now on
+ */
+export const setUploadToken = (token) => {
+  uploadToken = token || null;
+};
+
+/**
+ * Give failed uploads another round of attempts
+ */
+export const retryFailedUploads = async () => {
+  const entries = await listEntries();
+  await Promise.all(entries
+    .filter(entry => entry.status === 'failed')
+    .map(entry => putEntry({ ...entry, status: 'pending', attempts: 0, nextAttemptAt: 0 })));
+  return processUploadQueue();
+};
+
+/**
+ * Failed uploads with their last error, oldest first
+ */
+export const listFailedUploads = async () =>
+  (await listEntries())
+    .filter(entry => entry.status === 'failed')
+    .map(({ uploadKey, label, attempts, lastError, createdAt }) => ({ uploadKey, label, attempts, lastError, createdAt }));
+
+/**
+ * Follow the queue's { pending, failed } counts
+ * @returns {function} Unsubscribe
+ */
+export const subscribeUploadQueue = (listener) => {
+  listeners.add(listener);
+  listener(status);
+  return () => listeners.delete(listener);
+};
+
+export const getUploadQueueStatus = () => status;
+
+/**
+ * Resume uploads left from an earlier page load and retry as soon as the
+ * browser is back online
+ */
+export const startUploadQueue = () => {
+  window.addEventListener('online', processUploadQueue);
+  processUploadQueue();
+  return () => window.removeEventListener('online', processUploadQueue);
+};
@@ -1,15 +1,23 @@
+import { getTaskRule, getResponseForKey } from './taskRules';
+
 const VALID_KEYS = {
   ODD: 'f',
   EVEN: 'j'
 };
 
-export const validateResponse = (response, digit) => {
-  const isOdd = digit % 2 !== 0;
-  const expectedKey = isOdd ? VALID_KEYS.ODD : VALID_KEYS.EVEN;
+/**
+ * Score a key press against a digit under the session's task rule.
+ * Without a rule or key mapping this falls back to odd/even on F/J
+ */
+export const validateResponse = (response, digit, { taskRule = 'parity', keyMapping = null, cue = null } = {}) => {
+  const mapping = keyMapping || { odd: VALID_KEYS.ODD, even: VALID_KEYS.EVEN };
+  const expectedResponse = getTaskRule(taskRule).expectedResponse(digit, cue);
+  const expectedKey = mapping[expectedResponse];
   
   return {
     isCorrect: response === expectedKey,
-    responseType: isOdd ? 'odd' : 'even',
+    responseType: getResponseForKey(taskRule, mapping, response, cue),
+    expectedResponse,
     expected: expectedKey,
     received: response
   };
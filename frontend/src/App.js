@@ -1,6 +1,8 @@
 import React from 'react';
 import { Provider } from 'react-redux';
+import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import ExperimentController from '../components/common/ExperimentController';
+import AdminDashboard from '../components/admin/AdminDashboard';
 import store from '../redux/store';
 import '../styles/theme.css';
 import '../styles/experiment.css';
@@ -8,11 +10,21 @@ import '../styles/experiment.css';
 const App = () => {
   return (
     <Provider store={store}>
-      <div className="app-container">
-        <ExperimentController />
-      </div>
+      <BrowserRouter>
+        <Routes>
+          <Route path="/admin" element={<AdminDashboard />} />
+          <Route
+            path="*"
+            element={
+              <div className="app-container">
+                <ExperimentController />
+              </div>
+            }
+          />
+        </Routes>
+      </BrowserRouter>
     </Provider>
   );
 };
 
-export default App;
\ No newline at end of file
+export default App;
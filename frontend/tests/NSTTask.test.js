@@ -0,0 +1,183 @@
+import React from 'react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import experimentReducer, { responseQueueMiddleware } from '../redux/experimentSlice';
+import { buildKeyMapping, getTaskRule } from '../services/taskRules';
+import { enqueueUpload, enqueueJSON } from '../services/uploadQueue';
+import NSTTask from '../components/nst/NSTTask';
+
+const mockCamera = {
+  captureBothCameras: jest.fn(),
+  clipRecordingEnabled: false,
+  setClipRecordingActive: jest.fn(),
+  recordClipsAround: jest.fn(),
+  getCameraProfileRecord: () => null
+};
+
+jest.mock('../components/common/DualCameraProvider', () => ({
+  useCamera: () => mockCamera
+}));
+jest.mock('../services/uploadQueue', () => ({
+  enqueueUpload: jest.fn(() => Promise.resolve()),
+  enqueueJSON: jest.fn(() => Promise.resolve())
+}));
+
+const KEY_MAPPING = buildKeyMapping('parity', true);
+const SEQUENCE = '123456789123456';
+const PRACTICE = '2468135792';
+
+const SESSION = {
+  experimentId: 'session-1',
+  keyMapping: KEY_MAPPING,
+  taskRule: 'parity',
+  trials: [{ number: SEQUENCE, effortLevel: 1 }],
+  captureConfig: { firstCapture: 0, interval: 3, quality: 'high' },
+  timing: { feedbackDuration: 0, interDigitDelay: 0, completionDelay: 0 }
+};
+
+const keyFor = (digit) => KEY_MAPPING[getTaskRule('parity').expectedResponse(Number(digit))];
+
+const json = (body) => Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+
+const ROUTES = {
+  '/api/start': () => json(SESSION),
+  '/api/generate-practice-trial': () => json({ number: PRACTICE }),
+  '/api/session/session-1/transition': () => json({ status: 'RUNNING' }),
+  '/api/response': (body) => json({
+    results: body.responses.map(response => ({
+      positionKey: `${response.trialNumber}-${response.digitIndex}`,
+      isCorrect: true,
+      expectedResponse: 'odd',
+      responseType: 'correct'
+    }))
+  })
+};
+
+// Per test, so a test can make an endpoint fail
+let routes;
+
+const nextFrame = () => act(() => new Promise(resolve => setTimeout(resolve, 50)));
+
+const renderTask = () => {
+  const store = configureStore({
+    reducer: { experiment: experimentReducer },
+    middleware: (getDefaultMiddleware) => getDefaultMiddleware().concat(responseQueueMiddleware)
+  });
+  render(
+    <Provider store={store}>
+      <NSTTask participantId="p-1" onComplete={jest.fn()} />
+    </Provider>
+  );
+  return store;
+};
+
+/**
+ * Answer every practice digit correctly and start the main task
+ */
+const completePractice = async () => {
+  fireEvent.click(await screen.findByText('Start Practice', {}, { timeout: 2000 }));
+  for (let i = 0; i < PRACTICE.length; i++) {
+    await screen.findByText(`Practice Trial ${i + 1} of 10`, { exact: false });
+    fireEvent.keyDown(window, { key: keyFor(PRACTICE[i]) });
+  }
+  fireEvent.click(await screen.findByText('Start Main Task'));
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  routes = { ...ROUTES };
+  global.fetch = jest.fn((url, options = {}) =>
+    routes[url](options.body ? JSON.parse(options.body) : {}));
+  mockCamera.captureBothCameras.mockResolvedValue({ timing: {}, quality: {}, main: null, second: null });
+});
+
+afterEach(() => {
+  mockCamera.clipRecordingEnabled = false;
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+describe('NSTTask', () => {
+  test('shows the first digit when the main task starts', async () => {
+    const store = renderTask();
+    await completePractice();
+
+    await waitFor(() => expect(store.getState().experiment.trialState.currentDigit).toBe('1'));
+    expect(document.querySelector('.nst-running .target-element').textContent).toBe('1');
+  });
+
+  test('records and posts a key press on the digit on screen', async () => {
+    const store = renderTask();
+    await completePractice();
+    await screen.findByText('1');
+    await nextFrame();
+
+    fireEvent.keyPress(window, { key: keyFor('1') });
+
+    await screen.findByText('2');
+    const [recorded] = store.getState().experiment.sessionData.responses;
+    expect(recorded).toMatchObject({ trialNumber: 0, digitIndex: 0, digit: '1', response: keyFor('1') });
+    expect(recorded.responseTime).toBeGreaterThanOrEqual(0);
+
+    await waitFor(() => expect(fetch).toHaveBeenCalledWith('/api/response', expect.anything()));
+    const posted = JSON.parse(fetch.mock.calls.find(([url]) => url === '/api/response')[1].body);
+    expect(posted).toMatchObject({
+      experimentId: 'session-1',
+      responses: [expect.objectContaining({ digit: '1', digitIndex: 0, position: 0 })]
+    });
+    await waitFor(() => expect(store.getState().experiment.sessionData.responses[0].isCorrect).toBe(true));
+    expect(enqueueJSON).not.toHaveBeenCalled();
+  });
+
+  test('queues a response the server did not take for another attempt', async () => {
+    routes['/api/response'] = () => Promise.reject(new TypeError('Failed to fetch'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    renderTask();
+    await completePractice();
+    await screen.findByText('1');
+
+    fireEvent.keyPress(window, { key: keyFor('1') });
+
+    await waitFor(() => expect(enqueueJSON).toHaveBeenCalled());
+    const [url, body, label] = enqueueJSON.mock.calls[0];
+    expect(url).toBe('/api/response');
+    expect(body).toMatchObject({
+      experimentId: 'session-1',
+      responses: [expect.objectContaining({ digit: '1', position: 0 })]
+    });
+    expect(label).toBe('Responses t0-d0');
+  });
+
+  test('records a clip around the first digit', async () => {
+    mockCamera.clipRecordingEnabled = true;
+    mockCamera.recordClipsAround.mockImplementation(async (onset) => ({
+      main: { blob: new Blob(['clip']), onset, preMs: 500, postMs: 1000 }
+    }));
+    renderTask();
+    await completePractice();
+
+    await waitFor(() => expect(enqueueUpload).toHaveBeenCalledWith('/api/participants/nst-clip', expect.anything(), expect.anything()));
+    const [, formData] = enqueueUpload.mock.calls.find(([url]) => url === '/api/participants/nst-clip');
+    expect(mockCamera.recordClipsAround).toHaveBeenCalledWith(expect.any(Number));
+    expect(formData.get('digit')).toBe('1');
+    expect(formData.get('digitIndex')).toBe('0');
+  });
+
+  test('captures the digit with the time it was painted', async () => {
+    renderTask();
+    await completePractice();
+    await screen.findByText('1');
+    await nextFrame();
+
+    fireEvent.keyPress(window, { key: keyFor('1') });
+
+    await waitFor(() => expect(enqueueUpload).toHaveBeenCalledWith('/api/participants/nst-capture', expect.anything(), expect.anything()));
+    const [, , { stimulusOnset }] = mockCamera.captureBothCameras.mock.calls[0];
+    expect(stimulusOnset).toBeGreaterThan(0);
+    const [, formData] = enqueueUpload.mock.calls.find(([url]) => url === '/api/participants/nst-capture');
+    expect(formData.get('digit')).toBe('1');
+    expect(formData.get('digitIndex')).toBe('0');
+  });
+});